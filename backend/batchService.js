@@ -0,0 +1,294 @@
+/**
+ * Batch Portfolio Assessment
+ *
+ * Assesses many rooftops in one request (e.g. all schools in a district).
+ * Each site goes through the same path as the single-site calculator:
+ * getSolarData() (with its cache) and then calculateAll().
+ *
+ * Input:
+ * - JSON: { sites: [{ name, lat, lon, roofArea, panelType, tariff }, ...] }
+ * - CSV: a header row with the same columns (see parseSitesCsv)
+ *
+ * Throttling:
+ * - Only BATCH_CONCURRENCY sites are looked up at a time, so a 100-site
+ *   upload doesn't fire 100 NASA calls at once
+ * - Nearby sites (same cache key) share one NASA call via the cache
+ *
+ * A bad row doesn't fail the whole batch - it comes back with
+ * status "error" with an error code and message, and is left out of the totals.
+ */
+
+const solarApiService = require('./solarApiService');
+const { ERROR_CODES } = require('./errors');
+const { calculateAll, calculateSystemSize, PANEL_EFFICIENCY } = require('../utils/calculations');
+
+const MAX_SITES = 200;
+const CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 3;
+
+// Panel type names accepted in uploads (same options as the calculator form)
+const PANEL_TYPES = {
+    poly: 15,
+    polycrystalline: 15,
+    mono: 18,
+    monocrystalline: 18,
+    perc: 20,
+    premium: 20,
+    'high-efficiency': 22,
+    high: 22
+};
+
+// Column name variants accepted in CSV headers / JSON keys
+const FIELD_ALIASES = {
+    name: ['name', 'site', 'sitename'],
+    lat: ['lat', 'latitude'],
+    lon: ['lon', 'lng', 'long', 'longitude'],
+    roofArea: ['roofarea', 'area', 'roofaream2'],
+    panelType: ['paneltype', 'panel', 'efficiency', 'panelefficiency'],
+    tariff: ['tariff', 'rate', 'electricityrate'],
+    tilt: ['tilt'],
+    azimuth: ['azimuth']
+};
+
+/**
+ * Split one CSV line into fields (handles "quoted, values" and "" escapes)
+ *
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Fields
+ */
+function splitCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            fields.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current.trim());
+    return fields;
+}
+
+/**
+ * Parse a CSV of sites into plain objects keyed by header
+ *
+ * Expected header (case and spaces don't matter):
+ *   name,lat,lon,roof_area,panel_type,tariff[,tilt,azimuth]
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<object>} One object per data row
+ */
+function parseSitesCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '' && !line.startsWith('#'));
+    if (lines.length === 0) return [];
+
+    const header = splitCsvLine(lines[0]);
+    return lines.slice(1).map(line => {
+        const fields = splitCsvLine(line);
+        const row = {};
+        header.forEach((column, i) => {
+            row[column] = fields[i];
+        });
+        return row;
+    });
+}
+
+/**
+ * Read a field from a row using the accepted aliases
+ *
+ * @param {object} row - Raw site object
+ * @param {string} field - Field name from FIELD_ALIASES
+ * @returns {*} Value or undefined
+ */
+function readField(row, field) {
+    const key = Object.keys(row).find(k =>
+        FIELD_ALIASES[field].includes(k.toLowerCase().replace(/[^a-z0-9]/g, ''))
+    );
+    const value = key !== undefined ? row[key] : undefined;
+    return value === '' ? undefined : value;
+}
+
+/**
+ * Turn a panel type ("mono", "PERC", "20") into an efficiency in %
+ *
+ * @param {*} value - Panel type name or efficiency number
+ * @returns {number} Efficiency in % (NaN if unknown)
+ */
+function resolveEfficiency(value) {
+    if (value === undefined) return PANEL_EFFICIENCY.DEFAULT;
+
+    const number = parseFloat(value);
+    if (!isNaN(number)) return number;
+
+    const named = PANEL_TYPES[String(value).trim().toLowerCase()];
+    return named !== undefined ? named : NaN;
+}
+
+/**
+ * Validate and normalise one site
+ *
+ * @param {object} row - Raw site (from JSON or CSV)
+ * @param {number} index - Row position (0-based)
+ * @param {object} defaults - Defaults for missing tariff/tilt/azimuth
+ * @returns {object} { site } or { error }
+ */
+function normaliseSite(row, index, defaults) {
+    const name = readField(row, 'name') || `Site ${index + 1}`;
+    const latitude = parseFloat(readField(row, 'lat'));
+    const longitude = parseFloat(readField(row, 'lon'));
+    const roofArea = parseFloat(readField(row, 'roofArea'));
+    const efficiency = resolveEfficiency(readField(row, 'panelType'));
+    const tariffValue = readField(row, 'tariff');
+    const tariff = tariffValue !== undefined ? parseFloat(tariffValue) : defaults.tariff;
+    const tiltValue = readField(row, 'tilt');
+    const tilt = tiltValue !== undefined ? parseFloat(tiltValue) : defaults.tilt;
+    const azimuthValue = readField(row, 'azimuth');
+    const azimuth = azimuthValue !== undefined ? parseFloat(azimuthValue) : defaults.azimuth;
+
+    const fail = code => ({ error: { index, name: String(name), status: 'error', code, message: ERROR_CODES[code].message } });
+
+    if (isNaN(latitude) || latitude < -90 || latitude > 90) return fail('INVALID_LATITUDE');
+    if (isNaN(longitude) || longitude < -180 || longitude > 180) return fail('INVALID_LONGITUDE');
+    if (isNaN(roofArea) || roofArea <= 0) return fail('INVALID_ROOF_AREA');
+    if (isNaN(efficiency) || efficiency <= 0 || efficiency > 100) return fail('INVALID_PANEL_TYPE');
+    if (isNaN(tariff) || tariff < 0) return fail('INVALID_ELECTRICITY_RATE');
+    if (isNaN(tilt) || tilt < 0 || tilt > 90) return fail('INVALID_TILT');
+    if (azimuth !== undefined && (isNaN(azimuth) || azimuth < 0 || azimuth > 360)) return fail('INVALID_AZIMUTH');
+
+    return {
+        site: { index, name: String(name), latitude, longitude, roofArea, efficiency, tariff, tilt, azimuth }
+    };
+}
+
+/**
+ * Run an async function over items with at most `limit` running at once
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Max concurrent calls
+ * @param {function} worker - async (item) => result
+ * @returns {Promise<Array>} Results in the same order as items
+ */
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const position = next++;
+            results[position] = await worker(items[position]);
+        }
+    });
+
+    await Promise.all(runners);
+    return results;
+}
+
+/**
+ * Assess one site (errors are returned, not thrown)
+ *
+ * @param {object} site - Normalised site
+ * @param {object} options - { source }
+ * @returns {Promise<object>} Site result
+ */
+async function assessSite(site, options) {
+    try {
+        const solarData = await solarApiService.getSolarData(site.latitude, site.longitude, {
+            tilt: site.tilt,
+            azimuth: site.azimuth,
+            source: options.source
+        });
+
+        const result = calculateAll({
+            roofArea: site.roofArea,
+            efficiency: site.efficiency,
+            electricityRate: site.tariff,
+            avgDailyIrradiance: solarData.averageDailyPoaIrradiance ?? solarData.averageDailyIrradiance,
+            monthlyData: solarData.monthlyData
+        });
+
+        const systemSize = calculateSystemSize(site.roofArea, site.efficiency);
+
+        return {
+            ...site,
+            status: 'ok',
+            annualEnergy: result.annualEnergy,
+            annualSavings: result.annualSavings,
+            co2Saved: result.co2Saved,
+            avgDailyIrradiance: solarData.averageDailyPoaIrradiance ?? solarData.averageDailyIrradiance,
+            systemSize,
+            specificYield: systemSize > 0 ? Math.round(result.annualEnergy / systemSize) : null, // kWh per kWp
+            fetchedAt: solarData.fetchedAt,
+            stale: solarData.stale
+        };
+    } catch (error) {
+        return {
+            ...site,
+            status: 'error',
+            message: error.message,
+            code: ERROR_CODES[error.code] ? error.code : 'INTERNAL_ERROR'
+        };
+    }
+}
+
+/**
+ * Assess a portfolio of sites
+ *
+ * @param {Array<object>} rows - Raw sites (JSON objects or parsed CSV rows)
+ * @param {object} [options] - { tariff, tilt, azimuth, source } defaults
+ * @returns {Promise<object>} { sites, totals }
+ */
+async function assessPortfolio(rows, options = {}) {
+    const defaults = {
+        tariff: options.tariff ?? 7,
+        tilt: options.tilt ?? 20,
+        azimuth: options.azimuth
+    };
+
+    const normalised = rows.map((row, index) => normaliseSite(row, index, defaults));
+    const valid = normalised.filter(item => item.site).map(item => item.site);
+
+    const assessed = await mapWithConcurrency(valid, CONCURRENCY, site => assessSite(site, options));
+
+    // Keep the original row order, invalid rows included
+    const sites = normalised.map(item =>
+        item.error || assessed.find(result => result.index === item.site.index)
+    );
+
+    const ok = sites.filter(site => site.status === 'ok');
+    const sum = field => Math.round(ok.reduce((total, site) => total + site[field], 0) * 100) / 100;
+
+    return {
+        sites,
+        totals: {
+            sites: sites.length,
+            succeeded: ok.length,
+            failed: sites.length - ok.length,
+            roofArea: sum('roofArea'),
+            annualEnergy: sum('annualEnergy'),
+            annualSavings: sum('annualSavings'),
+            co2Saved: sum('co2Saved')
+        }
+    };
+}
+
+module.exports = {
+    parseSitesCsv,
+    assessPortfolio,
+    PANEL_TYPES,
+    MAX_SITES
+};
@@ -1,94 +1,238 @@
 /**
  * Cache Service for Solar Potential Calculator
- * 
- * This module provides in-memory caching to reduce redundant API calls
- * to the NASA POWER API. Since solar irradiance data doesn't change rapidly,
- * caching responses for a period helps improve performance and reduces
- * the load on external APIs.
- * 
- * Cache Strategy:
- * - Uses node-cache for simple in-memory storage
- * - Default TTL (Time To Live): 24 hours (solar data is daily averages)
+ *
+ * This module caches NASA POWER responses to reduce redundant API calls.
+ * Since solar irradiance data doesn't change rapidly, caching responses
+ * helps improve performance and reduces the load on external APIs.
+ *
+ * Cache Strategy (two layers):
+ * - Memory: node-cache for fast lookups, entries evicted after 24 hours
+ * - Disk: one JSON file per entry in CACHE_DIR, so the cache survives
+ *   restarts and redeploys (no cold start against NASA)
  * - Cache key based on latitude and longitude (rounded to 2 decimal places)
+ *   plus the year window, so different climatology windows don't collide
+ *
+ * Stale-While-Revalidate:
+ * - Entries younger than CACHE_FRESH_SECONDS (default 24 hours) are "fresh"
+ * - Older entries are "stale": they are returned immediately and refreshed
+ *   in the background, so the user never waits on NASA for cached locations
+ * - Entries are never thrown away, so if NASA is unreachable the last known
+ *   good data is still served (marked stale)
+ * - Every result carries `fetchedAt` and `stale` so the frontend can show
+ *   how fresh the data is
+ *
+ * Request Coalescing:
+ * - If ten users ask for the same city at once, only the first request calls
+ *   NASA; the others wait on the same promise (one upstream call per key)
  */
 
+const fs = require('fs');
+const path = require('path');
 const NodeCache = require('node-cache');
 
-// Initialize cache with default TTL of 24 hours (86400 seconds)
+// How long an entry counts as fresh (seconds)
+const FRESH_SECONDS = parseInt(process.env.CACHE_FRESH_SECONDS, 10) || 86400;
+
+// Where entries are stored on disk
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, 'data', 'cache');
+
+// Initialize memory cache with default TTL of 24 hours (86400 seconds)
 // checkperiod: How often to check for expired entries (600 seconds = 10 minutes)
+// Expiry only frees memory - the disk copy is still there
 const cache = new NodeCache({
     stdTTL: 86400,
     checkperiod: 600,
     useClones: false // For better performance with large objects
 });
 
+// Fetches in progress, keyed by cache key (shared by concurrent requests)
+const inFlight = new Map();
+
 /**
- * Generate a cache key from coordinates
+ * Generate a cache key from coordinates and year window
  * Rounds to 2 decimal places to group nearby locations
  * (reduces cache misses for very similar coordinates)
- * 
+ *
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
+ * @param {number} startYear - First year of the data window
+ * @param {number} endYear - Last year of the data window
+ * @param {string} [prefix='solar'] - Data type ('solar' for monthly, 'hourly' for hourly)
  * @returns {string} Cache key
  */
-function generateKey(lat, lon) {
+function generateKey(lat, lon, startYear, endYear, prefix = 'solar') {
     const roundedLat = Math.round(lat * 100) / 100;
     const roundedLon = Math.round(lon * 100) / 100;
-    return `solar_${roundedLat}_${roundedLon}`;
+    return `${prefix}_${roundedLat}_${roundedLon}_${startYear}-${endYear}`;
 }
 
 /**
- * Get cached solar data for given coordinates
- * 
- * @param {number} lat - Latitude
- * @param {number} lon - Longitude
- * @returns {object|null} Cached data or null if not found
+ * Path of the disk file for a key
+ *
+ * @param {string} key - Cache key
+ * @returns {string} File path
+ */
+function entryPath(key) {
+    return path.join(CACHE_DIR, `${key}.json`);
+}
+
+/**
+ * Check whether an entry is older than the fresh window
+ *
+ * @param {object} entry - Cache entry { data, fetchedAt }
+ * @returns {boolean} True if the entry should be refreshed
+ */
+function isStale(entry) {
+    return Date.now() - new Date(entry.fetchedAt).getTime() > FRESH_SECONDS * 1000;
+}
+
+/**
+ * Get a cache entry (memory first, then disk)
+ *
+ * @param {string} key - Cache key
+ * @returns {Promise<object|null>} Entry { data, fetchedAt, stale } or null if not found
  */
-function get(lat, lon) {
-    const key = generateKey(lat, lon);
-    const data = cache.get(key);
+async function get(key) {
+    let entry = cache.get(key);
 
-    if (data) {
-        return data;
+    if (!entry) {
+        try {
+            const text = await fs.promises.readFile(entryPath(key), 'utf8');
+            entry = JSON.parse(text);
+            cache.set(key, entry); // warm the memory layer
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Cannot read cache entry:', key, error.message);
+            }
+            return null;
+        }
     }
 
-    return null;
+    return { ...entry, stale: isStale(entry) };
 }
 
 /**
- * Store solar data in cache
- * 
- * @param {number} lat - Latitude
- * @param {number} lon - Longitude
- * @param {object} data - Solar data to cache
- * @returns {boolean} True if successfully cached
+ * Store data in the cache (memory and disk)
+ * Writes to a temporary file first so a crash never leaves a half-written entry.
+ *
+ * @param {string} key - Cache key
+ * @param {object} data - Data to cache
+ * @returns {Promise<object>} The stored entry { data, fetchedAt, stale }
  */
-function set(lat, lon, data) {
-    const key = generateKey(lat, lon);
-    return cache.set(key, data);
+async function set(key, data) {
+    const entry = { data, fetchedAt: new Date().toISOString() };
+    cache.set(key, entry);
+
+    try {
+        await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+        const tempPath = `${entryPath(key)}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(entry));
+        await fs.promises.rename(tempPath, entryPath(key));
+    } catch (error) {
+        // Disk problems shouldn't break the request - memory still has it
+        console.error('Cannot write cache entry:', key, error.message);
+    }
+
+    return { ...entry, stale: false };
+}
+
+/**
+ * Fetch fresh data and store it, sharing one upstream call per key
+ * Concurrent callers for the same key get the same promise.
+ *
+ * @param {string} key - Cache key
+ * @param {function} fetcher - Async function returning fresh data
+ * @returns {Promise<object>} The stored entry { data, fetchedAt, stale }
+ */
+function fetchAndStore(key, fetcher) {
+    if (inFlight.has(key)) {
+        return inFlight.get(key);
+    }
+
+    const promise = Promise.resolve()
+        .then(fetcher)
+        .then(data => set(key, data))
+        .finally(() => inFlight.delete(key));
+
+    inFlight.set(key, promise);
+    return promise;
+}
+
+/**
+ * Refresh an entry without making the caller wait
+ * Failures are logged and the old entry is kept.
+ *
+ * @param {string} key - Cache key
+ * @param {function} fetcher - Async function returning fresh data
+ */
+function refreshInBackground(key, fetcher) {
+    if (inFlight.has(key)) return;
+
+    fetchAndStore(key, fetcher)
+        .catch(error => console.error('Background refresh failed, keeping cached data:', key, error.message));
+}
+
+/**
+ * Get data from the cache, fetching it when missing (stale-while-revalidate)
+ *
+ * - Fresh entry: returned as is
+ * - Stale entry: returned immediately, refreshed in the background
+ * - No entry: fetched now, or joins a fetch already in progress
+ *   (errors are passed to the caller)
+ *
+ * @param {string} key - Cache key
+ * @param {function} fetcher - Async function returning fresh data
+ * @returns {Promise<object>} Entry { data, fetchedAt, stale }
+ */
+async function getOrFetch(key, fetcher) {
+    const entry = await get(key);
+
+    if (entry) {
+        if (entry.stale) {
+            refreshInBackground(key, fetcher);
+        }
+        return entry;
+    }
+
+    return fetchAndStore(key, fetcher);
 }
 
 /**
  * Get cache statistics (useful for debugging/monitoring)
- * 
+ *
  * @returns {object} Cache statistics
  */
 function getStats() {
-    return cache.getStats();
+    let diskEntries = 0;
+    try {
+        diskEntries = fs.readdirSync(CACHE_DIR).filter(name => name.endsWith('.json')).length;
+    } catch {
+        // no cache directory yet
+    }
+
+    return {
+        ...cache.getStats(),
+        diskEntries,
+        inFlight: inFlight.size
+    };
 }
 
 /**
- * Clear all cached data
+ * Clear all cached data (memory and disk)
  * (useful for testing or when data needs to be refreshed)
  */
 function clear() {
     cache.flushAll();
+    fs.rmSync(CACHE_DIR, { recursive: true, force: true });
     console.log('Cache cleared');
 }
 
 module.exports = {
+    generateKey,
     get,
     set,
+    getOrFetch,
     getStats,
-    clear
+    clear,
+    FRESH_SECONDS
 };
@@ -0,0 +1,156 @@
+/**
+ * API Error Catalogue
+ *
+ * Every error the API returns has a stable machine-readable `code` from this
+ * list, so integrators can handle errors without parsing message text.
+ *
+ * Error Response Shape:
+ * {
+ *   "success": false,
+ *   "type": "bad_input",              // bad_input | not_found | upstream_unavailable | internal
+ *   "code": "INVALID_LATITUDE",       // from ERROR_CODES below
+ *   "error": "Invalid latitude",      // short title
+ *   "message": "Latitude must be ...",// human-readable explanation
+ *   "field": "/query/lat",            // JSON pointer to the bad input (if any)
+ *   "errors": [ ... ]                 // all problems found, same fields as above
+ * }
+ *
+ * The same list is published in the OpenAPI document (GET /api/docs).
+ */
+
+const ERROR_CODES = {
+    // ---- Bad input (400) ----
+    MISSING_PARAMETER: { status: 400, title: 'Missing parameter', message: 'A required parameter is missing' },
+    INVALID_PARAMETER: { status: 400, title: 'Invalid parameter', message: 'A parameter has an invalid value' },
+    INVALID_BODY: { status: 400, title: 'Invalid body', message: 'The request body could not be read' },
+    INVALID_LATITUDE: { status: 400, title: 'Invalid latitude', message: 'Latitude must be a number between -90 and 90' },
+    INVALID_LONGITUDE: { status: 400, title: 'Invalid longitude', message: 'Longitude must be a number between -180 and 180' },
+    INVALID_YEARS: { status: 400, title: 'Invalid years', message: 'Years must be a whole number between 1 and 30' },
+    INVALID_YEAR: { status: 400, title: 'Invalid year', message: 'Year must be between 2001 and the last complete year' },
+    INVALID_TILT: { status: 400, title: 'Invalid tilt', message: 'Tilt must be a number between 0 and 90 degrees' },
+    INVALID_AZIMUTH: { status: 400, title: 'Invalid azimuth', message: 'Azimuth must be a number between 0 and 360 degrees (180 = South)' },
+    INVALID_SOURCE: { status: 400, title: 'Invalid source', message: 'Source must be one of the providers listed at /api/solar/providers' },
+    INVALID_ROOF_AREA: { status: 400, title: 'Invalid roof area', message: 'Roof area must be a positive number (m²)' },
+    INVALID_ROOF_FACES: { status: 400, title: 'Invalid roof faces', message: 'roofFaces must be outlines of at least 3 { lat, lng } corners, with tilt 0-90°, azimuth 0-360° and obstructions in m²' },
+    INVALID_HORIZON: { status: 400, title: 'Invalid horizon', message: 'horizon must be skyline elevations (0 to below 90°) by compass direction - numbers from North, or { azimuth, elevation } points' },
+    INVALID_EFFICIENCY: { status: 400, title: 'Invalid efficiency', message: 'Efficiency must be between 0 and 100 (%)' },
+    INVALID_ELECTRICITY_RATE: { status: 400, title: 'Invalid electricity rate', message: 'Electricity rate must be a positive number (₹/kWh)' },
+    INVALID_TEMPERATURE_COEFFICIENT: { status: 400, title: 'Invalid temperature coefficient', message: 'Temperature coefficient must be a number (%/°C), usually -0.30 to -0.45' },
+    INVALID_INVERTER_CAPACITY: { status: 400, title: 'Invalid inverter capacity', message: 'Inverter capacity must be a positive number (kW)' },
+    INVALID_IRRADIANCE: { status: 400, title: 'Invalid irradiance', message: 'Irradiance must be a positive number (kWh/m²/day)' },
+    INVALID_MONTHLY_DATA: { status: 400, title: 'Invalid monthly data', message: 'monthlyData must have 12 items, each with a numeric irradiance (kWh/m²/day)' },
+    MISSING_SOLAR_DATA: { status: 400, title: 'Missing solar data', message: 'Send lat and lon, monthlyData, or avgDailyIrradiance' },
+    INVALID_SITES: { status: 400, title: 'Invalid sites', message: 'Send JSON { "sites": [...] } (1 to 200 sites) or a CSV file with Content-Type text/csv' },
+    INVALID_TARIFF: { status: 400, title: 'Invalid tariff', message: 'Tariff must be a preset id from /api/tariffs or a tariff object with slabs' },
+    INVALID_CONSUMPTION: { status: 400, title: 'Invalid consumption', message: 'monthlyConsumption must be kWh per month - one number or 12 numbers' },
+    INVALID_BILL: { status: 400, title: 'Invalid bill amount', message: 'monthlyBill must be a ₹ amount above the tariff\'s fixed charges' },
+    INVALID_METERING: { status: 400, title: 'Invalid metering', message: 'metering.mode must be net, gross or net-billing, with rates in ₹/kWh' },
+    INVALID_FINANCE: { status: 400, title: 'Invalid finance options', message: 'finance needs a positive systemCost (₹), with rates (% per year) and loan terms within the documented ranges' },
+    INVALID_COST: { status: 400, title: 'Invalid cost options', message: 'cost needs a positive costPerKw (₹/kWp) and a known subsidy scheme / state top-up (see /api/subsidies)' },
+    INVALID_SANCTIONED_LOAD: { status: 400, title: 'Invalid sanctioned load', message: 'Sanctioned load must be a positive number (kW)' },
+    INVALID_MODULE: { status: 400, title: 'Invalid module or layout', message: 'sizing needs a catalog module id (see /api/modules) or { watts, length, width }, with sizes in metres' },
+    INVALID_UNCERTAINTY: { status: 400, title: 'Invalid uncertainty settings', message: 'uncertainty needs 100-20000 samples, a whole-number seed and spreads of 0 or more' },
+    INVALID_BATTERY: { status: 400, title: 'Invalid battery', message: 'battery needs a positive capacity (kWh), percentages from 0 to 100 and a load profile id from /api/batteries or 24 hourly values' },
+    INVALID_LOSSES: { status: 400, title: 'Invalid system losses', message: 'losses must map loss components from /api/losses to a percentage from 0 to below 100' },
+    INVALID_PROJECT: { status: 400, title: 'Invalid project', message: 'A project needs a name (up to 120 characters) and a site with latitude and longitude; inputs, solarSnapshot and results are objects' },
+    INVALID_PANEL_TYPE: { status: 400, title: 'Invalid panel type', message: 'Panel type must be poly, mono, perc, high or an efficiency in %' },
+
+    // ---- Not found (404) ----
+    NOT_FOUND: { status: 404, title: 'Not found', message: 'No API endpoint at this path' },
+    NO_LOCAL_DATA: { status: 404, title: 'No data', message: 'No local weather file near this location' },
+    PROJECT_NOT_FOUND: { status: 404, title: 'Project not found', message: 'No saved project with this id' },
+
+    // ---- Upstream problems (502-504) ----
+    UPSTREAM_TIMEOUT: { status: 504, title: 'Upstream unavailable', message: 'The solar data service did not respond in time' },
+    UPSTREAM_ERROR: { status: 503, title: 'Upstream unavailable', message: 'The solar data service returned an error' },
+    UPSTREAM_RATE_LIMITED: { status: 503, title: 'Upstream unavailable', message: 'The solar data service is rate limiting us' },
+    UPSTREAM_NETWORK_ERROR: { status: 503, title: 'Upstream unavailable', message: 'The solar data service could not be reached' },
+    UPSTREAM_CIRCUIT_OPEN: { status: 503, title: 'Upstream unavailable', message: 'The solar data service is temporarily unavailable' },
+    UPSTREAM_BAD_RESPONSE: { status: 502, title: 'Upstream unavailable', message: 'The solar data service returned unexpected data' },
+
+    // ---- Our fault (500) ----
+    INTERNAL_ERROR: { status: 500, title: 'API Error', message: 'Something went wrong. Please try again later.' }
+};
+
+/**
+ * Work out the error `type` from an HTTP status
+ *
+ * @param {number} status - HTTP status
+ * @returns {string} bad_input | not_found | upstream_unavailable | internal
+ */
+function typeForStatus(status) {
+    if (status === 404) return 'not_found';
+    if (status >= 502 && status <= 504) return 'upstream_unavailable';
+    if (status >= 400 && status < 500) return 'bad_input';
+    return 'internal';
+}
+
+/**
+ * Create an API error from the catalogue
+ *
+ * @param {string} code - Key of ERROR_CODES
+ * @param {object} [options] - { message, field, errors, retryAfter }
+ * @returns {Error} Error with code, statusCode, field and errors
+ */
+function apiError(code, options = {}) {
+    const entry = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+    const error = new Error(options.message || entry.message);
+    error.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+    error.statusCode = entry.status;
+    error.field = options.field;
+    error.errors = options.errors;
+    error.retryAfter = options.retryAfter;
+    return error;
+}
+
+/**
+ * Build the JSON body for an error
+ *
+ * Errors with a catalogue code keep their message; anything else becomes
+ * INTERNAL_ERROR so stack details never leak to clients.
+ *
+ * @param {Error} error - Error to describe
+ * @returns {object} { status, body }
+ */
+function toResponse(error) {
+    const entry = ERROR_CODES[error.code];
+    if (!entry) {
+        return toResponse(apiError('INTERNAL_ERROR'));
+    }
+
+    const status = error.statusCode || entry.status;
+    const body = {
+        success: false,
+        type: typeForStatus(status),
+        code: error.code,
+        error: entry.title,
+        message: error.message
+    };
+
+    if (error.field) body.field = error.field;
+    if (error.retryAfter) body.retryAfter = error.retryAfter;
+    body.errors = error.errors || [{ code: error.code, field: error.field, message: error.message }];
+
+    return { status, body };
+}
+
+/**
+ * Send an error response
+ *
+ * @param {object} res - Express response
+ * @param {Error} error - Error to send (catalogue error or any Error)
+ */
+function sendError(res, error) {
+    const { status, body } = toResponse(error);
+    if (body.retryAfter) {
+        res.set('Retry-After', String(body.retryAfter));
+    }
+    res.status(status).json(body);
+}
+
+module.exports = {
+    ERROR_CODES,
+    apiError,
+    toResponse,
+    sendError
+};
@@ -0,0 +1,1387 @@
+/**
+ * OpenAPI Contract
+ *
+ * The API description served at GET /api/docs. It is the single source of
+ * truth for request parameters: validation.js compiles the schemas below and
+ * checks every /api request against them, so the docs can't drift from what
+ * the server actually accepts.
+ *
+ * Conventions:
+ * - OpenAPI 3.1 (schemas are plain JSON Schema 2020-12)
+ * - Each parameter/body property names its error code in `x-error-code`
+ *   (see errors.js), used when that input fails validation
+ * - Built by a function so limits (years window, providers, last data year)
+ *   come from the same constants the code uses
+ */
+
+const { ERROR_CODES } = require('./errors');
+
+const MONTHS_IN_YEAR = 12;
+
+/**
+ * Build the OpenAPI document
+ *
+ * @param {object} limits - Values shared with the code
+ * @param {number} limits.minYears - Smallest climatology window
+ * @param {number} limits.maxYears - Largest climatology window
+ * @param {number} limits.defaultYears - Default climatology window
+ * @param {number} limits.firstHourlyYear - First year of hourly data
+ * @param {Array<string>} limits.providers - Data provider names
+ * @param {number} limits.maxBatchSites - Max sites per batch request
+ * @param {Array<string>} limits.tariffPresets - Tariff preset ids
+ * @param {object} limits.metering - Metering defaults (mode, rates, daytime load share)
+ * @param {object} limits.finance - Lifetime financial model defaults (rates in %)
+ * @param {object} limits.loan - Loan defaults (down payment %, interest %, tenure)
+ * @param {Array<string>} limits.modules - Module catalog ids
+ * @param {object} limits.sizing - Panel layout defaults (setback, row spacing, orientation)
+ * @param {Array<object>} limits.losses - Loss components ({ id, name, defaultLoss })
+ * @param {object} limits.battery - Battery defaults (capacity, depth of discharge, efficiency, ...)
+ * @param {Array<string>} limits.loadProfiles - Daily load profile ids
+ * @param {Array<string>} limits.subsidySchemes - Central subsidy scheme ids
+ * @param {Array<string>} limits.stateTopUps - State top-up ids
+ * @param {object} limits.uncertainty - Monte Carlo defaults (samples, seed, spreads)
+ * @param {number} limits.maxUncertaintySamples - Most Monte Carlo samples per request
+ * @returns {object} OpenAPI document
+ */
+function buildOpenApiDocument(limits) {
+    const lastCompleteYear = new Date().getFullYear() - 1;
+
+    // ---- Reusable parameter schemas ----
+    const latitude = {
+        type: 'number', minimum: -90, maximum: 90,
+        description: 'Latitude in decimal degrees', 'x-error-code': 'INVALID_LATITUDE'
+    };
+    const longitude = {
+        type: 'number', minimum: -180, maximum: 180,
+        description: 'Longitude in decimal degrees', 'x-error-code': 'INVALID_LONGITUDE'
+    };
+    const tilt = {
+        type: 'number', minimum: 0, maximum: 90, default: 0,
+        description: 'Panel tilt from horizontal in degrees', 'x-error-code': 'INVALID_TILT'
+    };
+    const azimuth = {
+        type: 'number', minimum: 0, maximum: 360,
+        description: 'Panel compass azimuth in degrees (180 = South). Defaults to facing the equator',
+        'x-error-code': 'INVALID_AZIMUTH'
+    };
+    const source = {
+        type: 'string', enum: limits.providers,
+        description: 'Data provider (see /api/solar/providers)', 'x-error-code': 'INVALID_SOURCE'
+    };
+    const years = {
+        type: 'integer', minimum: limits.minYears, maximum: limits.maxYears, default: limits.defaultYears,
+        description: 'Number of complete years to average', 'x-error-code': 'INVALID_YEARS'
+    };
+    const roofArea = {
+        type: 'number', exclusiveMinimum: 0,
+        description: 'Roof area available for panels in m²', 'x-error-code': 'INVALID_ROOF_AREA'
+    };
+    const efficiency = {
+        type: 'number', exclusiveMinimum: 0, maximum: 100, default: 18,
+        description: 'Panel efficiency in %', 'x-error-code': 'INVALID_EFFICIENCY'
+    };
+    const electricityRate = {
+        type: 'number', minimum: 0,
+        description: 'Electricity rate in ₹/kWh', 'x-error-code': 'INVALID_ELECTRICITY_RATE'
+    };
+    const temperatureCoefficient = {
+        type: 'number', minimum: -2, maximum: 0, default: -0.4,
+        description: 'Power temperature coefficient in %/°C', 'x-error-code': 'INVALID_TEMPERATURE_COEFFICIENT'
+    };
+
+    const queryParameter = (name, schema, required = false) => ({
+        name, in: 'query', required, schema
+    });
+
+    const errorResponses = (...statuses) => Object.fromEntries(statuses.map(status => [
+        String(status),
+        {
+            description: {
+                400: 'Bad input - see `code` and `field`',
+                404: 'Not found',
+                502: 'Upstream returned unexpected data',
+                503: 'Upstream unavailable (down, rate limiting or circuit open)',
+                504: 'Upstream timeout'
+            }[status],
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        }
+    ]));
+
+    const jsonResponse = (description, schemaName) => ({
+        description,
+        content: { 'application/json': { schema: { $ref: `#/components/schemas/${schemaName}` } } }
+    });
+
+    const nullableNumber = { type: ['number', 'null'] };
+
+    // ---- Saved projects ----
+    const projectId = {
+        name: 'id', in: 'path', required: true,
+        schema: { type: 'string', format: 'uuid' }, description: 'Project id'
+    };
+    const projectFields = {
+        name: { type: 'string', minLength: 1, maxLength: 120, 'x-error-code': 'INVALID_PROJECT' },
+        customerName: { type: 'string', maxLength: 120, 'x-error-code': 'INVALID_PROJECT' },
+        site: {
+            type: 'object',
+            required: ['latitude', 'longitude'],
+            properties: {
+                name: { type: 'string', description: 'Address or place name' },
+                latitude: { type: 'number', minimum: -90, maximum: 90 },
+                longitude: { type: 'number', minimum: -180, maximum: 180 }
+            },
+            'x-error-code': 'INVALID_PROJECT'
+        },
+        inputs: { type: 'object', description: 'Calculator inputs (the web app\'s form)', 'x-error-code': 'INVALID_PROJECT' },
+        solarSnapshot: {
+            type: ['object', 'null'],
+            description: 'Irradiance data the results were calculated from (a GET /api/solar response)',
+            'x-error-code': 'INVALID_PROJECT'
+        },
+        results: { type: ['object', 'null'], description: 'Calculation results', 'x-error-code': 'INVALID_PROJECT' }
+    };
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Solar Potential Calculator API',
+            version: '1.0.0',
+            description: 'Solar irradiance data, energy and savings estimates for rooftops. ' +
+                'Errors use the codes listed in `x-error-codes`.'
+        },
+        servers: [{ url: '/' }],
+        'x-error-codes': Object.fromEntries(Object.entries(ERROR_CODES).map(([code, entry]) => [
+            code, { status: entry.status, message: entry.message }
+        ])),
+        paths: {
+            '/api/health': {
+                get: {
+                    summary: 'Check the server is running',
+                    operationId: 'getHealth',
+                    responses: { 200: jsonResponse('Server is up', 'Health') }
+                }
+            },
+            '/api/docs': {
+                get: {
+                    summary: 'This OpenAPI document',
+                    operationId: 'getApiDocs',
+                    responses: { 200: { description: 'OpenAPI 3.1 document', content: { 'application/json': {} } } }
+                }
+            },
+            '/api/solar': {
+                get: {
+                    summary: 'Long-term monthly irradiance for a location',
+                    operationId: 'getSolarData',
+                    parameters: [
+                        queryParameter('lat', latitude, true),
+                        queryParameter('lon', longitude, true),
+                        queryParameter('years', years),
+                        queryParameter('tilt', tilt),
+                        queryParameter('azimuth', azimuth),
+                        queryParameter('source', source)
+                    ],
+                    responses: {
+                        200: jsonResponse('Solar data', 'SolarResponse'),
+                        ...errorResponses(400, 404, 502, 503, 504)
+                    }
+                }
+            },
+            '/api/solar/hourly': {
+                get: {
+                    summary: 'A year of hourly data (8760 hours) with optional energy simulation',
+                    operationId: 'getHourlyData',
+                    parameters: [
+                        queryParameter('lat', latitude, true),
+                        queryParameter('lon', longitude, true),
+                        queryParameter('year', {
+                            type: 'integer', minimum: limits.firstHourlyYear, maximum: lastCompleteYear,
+                            description: 'Data year (default: last complete year)', 'x-error-code': 'INVALID_YEAR'
+                        }),
+                        queryParameter('tilt', tilt),
+                        queryParameter('azimuth', azimuth),
+                        queryParameter('source', source),
+                        queryParameter('roofArea', { ...roofArea, description: 'Roof area in m² - enables the simulation' }),
+                        queryParameter('efficiency', efficiency),
+                        queryParameter('temperatureCoefficient', temperatureCoefficient),
+                        queryParameter('inverterCapacity', {
+                            type: 'number', exclusiveMinimum: 0,
+                            description: 'Inverter AC limit in kW - output above it is clipped',
+                            'x-error-code': 'INVALID_INVERTER_CAPACITY'
+                        }),
+                        queryParameter('series', {
+                            type: 'boolean', default: true,
+                            description: 'false leaves out the raw 8760-hour series', 'x-error-code': 'INVALID_PARAMETER'
+                        })
+                    ],
+                    responses: {
+                        200: jsonResponse('Hourly data and simulation', 'HourlyResponse'),
+                        ...errorResponses(400, 404, 502, 503, 504)
+                    }
+                }
+            },
+            '/api/solar/providers': {
+                get: {
+                    summary: 'List irradiance data providers',
+                    operationId: 'listProviders',
+                    responses: { 200: jsonResponse('Providers', 'ProvidersResponse') }
+                }
+            },
+            '/api/tariffs': {
+                get: {
+                    summary: 'List the bundled state DISCOM tariff presets (slabs, fixed charges, duty)',
+                    operationId: 'listTariffs',
+                    responses: { 200: jsonResponse('Tariff presets', 'TariffsResponse') }
+                }
+            },
+            '/api/modules': {
+                get: {
+                    summary: 'List the module catalog (watts, dimensions, derived efficiency)',
+                    operationId: 'listModules',
+                    responses: { 200: jsonResponse('Module catalog', 'ModulesResponse') }
+                }
+            },
+            '/api/losses': {
+                get: {
+                    summary: 'List the system loss components with their default % loss',
+                    operationId: 'listLosses',
+                    responses: { 200: jsonResponse('Loss components', 'LossesResponse') }
+                }
+            },
+            '/api/batteries': {
+                get: {
+                    summary: 'List the daily household load profiles and battery defaults',
+                    operationId: 'listBatteries',
+                    responses: { 200: jsonResponse('Load profiles and battery defaults', 'BatteriesResponse') }
+                }
+            },
+            '/api/subsidies': {
+                get: {
+                    summary: 'List the ₹/kWp cost benchmarks, central subsidy schemes and state top-ups',
+                    operationId: 'listSubsidies',
+                    responses: { 200: jsonResponse('Cost and subsidy rules', 'SubsidiesResponse') }
+                }
+            },
+            '/api/calculate': {
+                post: {
+                    summary: 'Run the full calculation (same engine as the web app)',
+                    operationId: 'calculate',
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': { schema: { $ref: '#/components/schemas/CalculateRequest' } }
+                        }
+                    },
+                    responses: {
+                        200: jsonResponse('Calculation results', 'CalculateResponse'),
+                        ...errorResponses(400, 404, 502, 503, 504)
+                    }
+                }
+            },
+            '/api/projects': {
+                get: {
+                    summary: 'List saved projects (newest change first) with their headline numbers',
+                    operationId: 'listProjects',
+                    responses: { 200: jsonResponse('Project summaries', 'ProjectListResponse') }
+                },
+                post: {
+                    summary: 'Save a project - customer, site, inputs, irradiance snapshot and results',
+                    operationId: 'createProject',
+                    requestBody: {
+                        required: true,
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/ProjectRequest' } } }
+                    },
+                    responses: {
+                        201: jsonResponse('The saved project', 'ProjectResponse'),
+                        ...errorResponses(400)
+                    }
+                }
+            },
+            '/api/projects/{id}': {
+                get: {
+                    summary: 'Get a saved project',
+                    operationId: 'getProject',
+                    parameters: [projectId],
+                    responses: {
+                        200: jsonResponse('The project', 'ProjectResponse'),
+                        ...errorResponses(404)
+                    }
+                },
+                patch: {
+                    summary: 'Change a project - rename it, or store new inputs and results',
+                    operationId: 'updateProject',
+                    parameters: [projectId],
+                    requestBody: {
+                        required: true,
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/ProjectUpdate' } } }
+                    },
+                    responses: {
+                        200: jsonResponse('The updated project', 'ProjectResponse'),
+                        ...errorResponses(400, 404)
+                    }
+                },
+                delete: {
+                    summary: 'Delete a project',
+                    operationId: 'deleteProject',
+                    parameters: [projectId],
+                    responses: {
+                        200: jsonResponse('Deleted', 'DeletedResponse'),
+                        ...errorResponses(404)
+                    }
+                }
+            },
+            '/api/projects/{id}/duplicate': {
+                post: {
+                    summary: 'Copy a project (optional new name, default "<name> (copy)")',
+                    operationId: 'duplicateProject',
+                    parameters: [projectId],
+                    requestBody: {
+                        content: {
+                            'application/json': {
+                                schema: { type: 'object', properties: { name: projectFields.name } }
+                            }
+                        }
+                    },
+                    responses: {
+                        201: jsonResponse('The copy', 'ProjectResponse'),
+                        ...errorResponses(400, 404)
+                    }
+                }
+            },
+            '/api/solar/batch': {
+                post: {
+                    summary: 'Assess many sites at once (portfolio)',
+                    operationId: 'assessPortfolio',
+                    parameters: [
+                        queryParameter('tariff', { ...electricityRate, description: 'Default rate in ₹/kWh for rows without one' }),
+                        queryParameter('tilt', { ...tilt, default: 20 }),
+                        queryParameter('azimuth', azimuth),
+                        queryParameter('source', source)
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': { schema: { $ref: '#/components/schemas/BatchRequest' } },
+                            'text/csv': {
+                                schema: { type: 'string' },
+                                example: 'name,lat,lon,roof_area,panel_type,tariff\nGovt School Nagpur,21.1458,79.0882,120,mono,8'
+                            }
+                        }
+                    },
+                    responses: {
+                        200: jsonResponse('Per-site results and totals', 'BatchResponse'),
+                        ...errorResponses(400)
+                    }
+                }
+            }
+        },
+        components: {
+            schemas: {
+                Error: {
+                    type: 'object',
+                    required: ['success', 'type', 'code', 'error', 'message'],
+                    properties: {
+                        success: { const: false },
+                        type: { enum: ['bad_input', 'not_found', 'upstream_unavailable', 'internal'] },
+                        code: { enum: Object.keys(ERROR_CODES) },
+                        error: { type: 'string' },
+                        message: { type: 'string' },
+                        field: { type: 'string', description: 'JSON pointer, e.g. /query/lat' },
+                        retryAfter: { type: 'integer', description: 'Seconds to wait before retrying' },
+                        errors: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    code: { type: 'string' },
+                                    field: { type: 'string' },
+                                    message: { type: 'string' }
+                                }
+                            }
+                        }
+                    }
+                },
+                Health: {
+                    type: 'object',
+                    required: ['status'],
+                    properties: {
+                        status: { type: 'string' },
+                        message: { type: 'string' },
+                        timestamp: { type: 'string', format: 'date-time' }
+                    }
+                },
+                Location: {
+                    type: 'object',
+                    required: ['latitude', 'longitude'],
+                    properties: { latitude: { type: 'number' }, longitude: { type: 'number' } }
+                },
+                Provider: {
+                    type: 'object',
+                    required: ['name', 'label'],
+                    properties: { name: { type: 'string' }, label: { type: 'string' } }
+                },
+                MonthlyItem: {
+                    type: 'object',
+                    required: ['month', 'monthIndex', 'irradiance'],
+                    properties: {
+                        month: { type: 'string' },
+                        monthIndex: { type: 'integer', minimum: 0, maximum: 11 },
+                        irradiance: { type: 'number', description: 'kWh/m²/day, horizontal' },
+                        min: { type: 'number' },
+                        max: { type: 'number' },
+                        stdDev: { type: 'number' },
+                        yearsOfData: { type: 'integer' },
+                        diffuseIrradiance: nullableNumber,
+                        clearSkyIrradiance: nullableNumber,
+                        temperature: nullableNumber,
+                        windSpeed: nullableNumber,
+                        poaIrradiance: { type: 'number', description: 'kWh/m²/day on the panel plane' },
+                        poaBeamIrradiance: { type: 'number', description: 'Direct (beam) part of poaIrradiance' },
+                        poaDiffuseIrradiance: { type: 'number', description: 'Sky-diffuse part of poaIrradiance' },
+                        clearSkyPoaIrradiance: nullableNumber,
+                        cellTemperature: nullableNumber
+                    }
+                },
+                SolarData: {
+                    type: 'object',
+                    required: ['averageDailyIrradiance', 'monthlyData'],
+                    properties: {
+                        averageDailyIrradiance: { type: 'number' },
+                        averageDailyPoaIrradiance: { type: 'number' },
+                        monthlyData: { type: 'array', items: { $ref: '#/components/schemas/MonthlyItem' } },
+                        annualTotals: { type: 'array' },
+                        annualVariability: { type: 'object' },
+                        period: { type: 'object' },
+                        orientation: { type: ['object', 'null'] },
+                        orientationComparison: { type: 'array' },
+                        provider: { $ref: '#/components/schemas/Provider' },
+                        fetchedAt: { type: 'string', format: 'date-time' },
+                        stale: { type: 'boolean', description: 'true if served from an old cache entry while it refreshes' },
+                        location: { $ref: '#/components/schemas/Location' }
+                    }
+                },
+                SolarResponse: {
+                    type: 'object',
+                    required: ['success', 'data', 'location'],
+                    properties: {
+                        success: { const: true },
+                        data: { $ref: '#/components/schemas/SolarData' },
+                        location: { $ref: '#/components/schemas/Location' },
+                        period: { type: 'object' }
+                    }
+                },
+                HourlyResponse: {
+                    type: 'object',
+                    required: ['success', 'data', 'location'],
+                    properties: {
+                        success: { const: true },
+                        data: {
+                            type: 'object',
+                            required: ['hours'],
+                            properties: {
+                                year: { type: ['integer', 'null'] },
+                                hours: { const: 8760 },
+                                timeStandard: { type: 'string' },
+                                series: { type: 'object' },
+                                provider: { $ref: '#/components/schemas/Provider' }
+                            }
+                        },
+                        simulation: {
+                            type: ['object', 'null'],
+                            properties: {
+                                annualEnergy: { type: 'number' },
+                                monthlyEnergy: { type: 'array', items: { type: 'number' }, minItems: MONTHS_IN_YEAR, maxItems: MONTHS_IN_YEAR },
+                                peakPower: { type: 'number' },
+                                clippedEnergy: { type: 'number' },
+                                typicalDay: { type: 'array' }
+                            }
+                        },
+                        location: { $ref: '#/components/schemas/Location' }
+                    }
+                },
+                ProvidersResponse: {
+                    type: 'object',
+                    required: ['success', 'providers'],
+                    properties: {
+                        success: { const: true },
+                        providers: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    name: { type: 'string' },
+                                    label: { type: 'string' },
+                                    description: { type: 'string' },
+                                    isDefault: { type: 'boolean' }
+                                }
+                            }
+                        },
+                        defaultProvider: { type: 'string' }
+                    }
+                },
+                Slab: {
+                    type: 'object',
+                    required: ['rate'],
+                    properties: {
+                        upTo: { type: ['number', 'null'], description: 'Upper limit of the slab in kWh/month (null for the last slab)' },
+                        rate: { type: 'number', minimum: 0, description: '₹/kWh' }
+                    }
+                },
+                Tariff: {
+                    type: 'object',
+                    required: ['slabs'],
+                    properties: {
+                        id: { type: 'string' },
+                        name: { type: 'string' },
+                        state: { type: 'string' },
+                        discom: { type: 'string' },
+                        effectiveFrom: { type: 'string' },
+                        fixedCharge: {
+                            type: 'object',
+                            required: ['amount', 'per'],
+                            properties: {
+                                amount: { type: 'number', minimum: 0, description: '₹' },
+                                per: { enum: ['month', 'kW'] }
+                            }
+                        },
+                        slabs: { type: 'array', minItems: 1, items: { $ref: '#/components/schemas/Slab' } },
+                        fuelSurcharge: { type: 'number', minimum: 0, description: '₹/kWh on every unit' },
+                        dutyPercent: { type: 'number', minimum: 0, description: '% of energy + fixed + fuel charges' },
+                        dutyPerUnit: { type: 'number', minimum: 0, description: '₹/kWh' },
+                        seasons: {
+                            type: 'array',
+                            description: 'Replace the slabs in the listed months (0 = January)',
+                            items: {
+                                type: 'object',
+                                required: ['months', 'slabs'],
+                                properties: {
+                                    name: { type: 'string' },
+                                    months: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 11 } },
+                                    slabs: { type: 'array', minItems: 1, items: { $ref: '#/components/schemas/Slab' } }
+                                }
+                            }
+                        }
+                    }
+                },
+                TariffsResponse: {
+                    type: 'object',
+                    required: ['success', 'tariffs'],
+                    properties: {
+                        success: { const: true },
+                        tariffs: { type: 'array', items: { $ref: '#/components/schemas/Tariff' } }
+                    }
+                },
+                Module: {
+                    type: 'object',
+                    required: ['watts', 'length', 'width'],
+                    properties: {
+                        id: { type: 'string' },
+                        name: { type: 'string' },
+                        technology: { type: 'string' },
+                        watts: { type: 'number', exclusiveMinimum: 0, description: 'Rated power at STC (Wp)' },
+                        length: { type: 'number', exclusiveMinimum: 0, maximum: 3, description: 'm' },
+                        width: { type: 'number', exclusiveMinimum: 0, maximum: 3, description: 'm' },
+                        temperatureCoefficient: { type: 'number', minimum: -2, maximum: 0, description: '%/°C' },
+                        efficiency: { type: 'number', description: '% (derived from watts and dimensions)' }
+                    }
+                },
+                ModulesResponse: {
+                    type: 'object',
+                    required: ['success', 'modules'],
+                    properties: {
+                        success: { const: true },
+                        modules: { type: 'array', items: { $ref: '#/components/schemas/Module' } },
+                        defaults: { type: 'object' }
+                    }
+                },
+                LossesResponse: {
+                    type: 'object',
+                    required: ['success', 'components'],
+                    properties: {
+                        success: { const: true },
+                        components: {
+                            type: 'array',
+                            description: 'In the order they are applied (temperature comes from the weather data)',
+                            items: {
+                                type: 'object',
+                                required: ['id', 'name', 'defaultLoss'],
+                                properties: {
+                                    id: { type: 'string' },
+                                    name: { type: 'string' },
+                                    stage: { enum: ['dc', 'ac'] },
+                                    defaultLoss: { type: 'number', description: '%' },
+                                    description: { type: 'string' }
+                                }
+                            }
+                        }
+                    }
+                },
+                BatteriesResponse: {
+                    type: 'object',
+                    required: ['success', 'loadProfiles'],
+                    properties: {
+                        success: { const: true },
+                        loadProfiles: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['id', 'name', 'hourly'],
+                                properties: {
+                                    id: { type: 'string' },
+                                    name: { type: 'string' },
+                                    hourly: {
+                                        type: 'array', minItems: 24, maxItems: 24, items: { type: 'number' },
+                                        description: 'Relative use in each hour from midnight'
+                                    }
+                                }
+                            }
+                        },
+                        defaults: { type: 'object' }
+                    }
+                },
+                SubsidyScheme: {
+                    type: 'object',
+                    required: ['slabs', 'maxAmount'],
+                    properties: {
+                        id: { type: 'string' },
+                        name: { type: 'string' },
+                        description: { type: 'string' },
+                        effectiveFrom: { type: 'string' },
+                        slabs: {
+                            type: 'array',
+                            description: 'Per-kW amounts, applied slab by slab',
+                            items: {
+                                type: 'object',
+                                required: ['upToKw', 'perKw'],
+                                properties: {
+                                    upToKw: { type: 'number', exclusiveMinimum: 0, description: 'Cumulative kW limit of the slab' },
+                                    perKw: { type: 'number', minimum: 0, description: '₹ per kW' }
+                                }
+                            }
+                        },
+                        maxAmount: { type: 'number', minimum: 0, description: 'Cap per installation in ₹' }
+                    }
+                },
+                StateTopUp: {
+                    type: 'object',
+                    required: ['perKw', 'maxAmount'],
+                    properties: {
+                        id: { type: 'string' },
+                        name: { type: 'string' },
+                        perKw: { type: 'number', minimum: 0, description: '₹ per kW' },
+                        maxAmount: { type: 'number', minimum: 0, description: 'Cap in ₹' }
+                    }
+                },
+                SubsidiesResponse: {
+                    type: 'object',
+                    required: ['success', 'benchmarks', 'schemes', 'stateTopUps'],
+                    properties: {
+                        success: { const: true },
+                        benchmarks: {
+                            type: 'array',
+                            description: 'Installed cost by size band (upToKw null = no upper limit)',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    upToKw: { type: ['number', 'null'] },
+                                    costPerKw: { type: 'number' }
+                                }
+                            }
+                        },
+                        schemes: { type: 'array', items: { $ref: '#/components/schemas/SubsidyScheme' } },
+                        stateTopUps: { type: 'array', items: { $ref: '#/components/schemas/StateTopUp' } },
+                        defaultScheme: { type: 'string' }
+                    }
+                },
+                CalculateRequest: {
+                    type: 'object',
+                    description: 'Needs roofArea or roofFaces, and electricityRate (flat rate) or tariff + monthlyConsumption (slab tariff)',
+                    properties: {
+                        roofArea,
+                        roofFaces: {
+                            type: 'array', minItems: 1, maxItems: 20,
+                            description: 'Roof faces outlined on a map - their usable area is the roof area when roofArea is left out. Each face is laid out and modelled at its own tilt and azimuth; tilt and azimuth default to the largest face\'s',
+                            'x-error-code': 'INVALID_ROOF_FACES',
+                            items: {
+                                type: 'object',
+                                required: ['points'],
+                                properties: {
+                                    name: { type: 'string' },
+                                    points: {
+                                        type: 'array', minItems: 3, maxItems: 100,
+                                        description: 'Corners in order',
+                                        items: {
+                                            type: 'object',
+                                            required: ['lat', 'lng'],
+                                            properties: {
+                                                lat: { type: 'number', minimum: -90, maximum: 90 },
+                                                lng: { type: 'number', minimum: -180, maximum: 180 }
+                                            }
+                                        }
+                                    },
+                                    tilt: { type: 'number', minimum: 0, exclusiveMaximum: 90, default: 0, description: 'Roof pitch in degrees' },
+                                    azimuth: { type: 'number', minimum: 0, maximum: 360, description: 'Degrees (default: suggested from the outline)' },
+                                    exclusion: { type: 'number', minimum: 0, default: 0, description: 'm² of obstructions (water tanks, stairs, ...)' }
+                                }
+                            }
+                        },
+                        efficiency,
+                        electricityRate,
+                        temperatureCoefficient,
+                        lat: latitude,
+                        lon: longitude,
+                        latitude: {
+                            ...latitude,
+                            description: 'Site latitude for horizon shading and roof faces with your own monthlyData / avgDailyIrradiance - nothing is fetched (lat/lon fetch the data instead)'
+                        },
+                        tilt,
+                        azimuth,
+                        years,
+                        source,
+                        horizon: {
+                            description: 'Skyline elevation (0 to below 90°) by compass direction - equally spaced numbers clockwise from North, '
+                                + 'or { azimuth, elevation } points. Needs lat, latitude or roofFaces for the sun\'s path; replaces losses.shading',
+                            'x-error-code': 'INVALID_HORIZON',
+                            oneOf: [
+                                {
+                                    type: 'array', minItems: 1, maxItems: 360,
+                                    items: { type: 'number', minimum: 0, exclusiveMaximum: 90 }
+                                },
+                                {
+                                    type: 'array', minItems: 1, maxItems: 360,
+                                    items: {
+                                        type: 'object',
+                                        required: ['azimuth', 'elevation'],
+                                        properties: {
+                                            azimuth: { type: 'number', minimum: 0, maximum: 360 },
+                                            elevation: { type: 'number', minimum: 0, exclusiveMaximum: 90 }
+                                        }
+                                    }
+                                }
+                            ]
+                        },
+                        sizing: {
+                            type: 'object',
+                            description: 'Fit whole modules on the roof - energy then comes from the installed kWp',
+                            'x-error-code': 'INVALID_MODULE',
+                            properties: {
+                                module: {
+                                    description: 'A catalog id from /api/modules or your own module',
+                                    oneOf: [
+                                        { type: 'string', enum: limits.modules },
+                                        { $ref: '#/components/schemas/Module' }
+                                    ]
+                                },
+                                roofLength: { type: 'number', exclusiveMinimum: 0, description: 'm (with roofWidth; default: square roof)' },
+                                roofWidth: { type: 'number', exclusiveMinimum: 0, description: 'm' },
+                                setback: { type: 'number', minimum: 0, default: limits.sizing.setback, description: 'm kept clear along each edge' },
+                                rowSpacing: { type: 'number', minimum: 0, default: limits.sizing.rowSpacing, description: 'm between rows' },
+                                orientation: { enum: ['portrait', 'landscape', 'auto'], default: limits.sizing.orientation },
+                                tilt: { type: 'number', minimum: 0, maximum: 90, default: 0, description: 'Rack tilt on a flat roof (0 = flush-mounted)' },
+                                targetOffset: {
+                                    type: 'number', exclusiveMinimum: 0, maximum: 200,
+                                    description: '% of yearly consumption to cover - installs only the panels needed (needs monthlyConsumption or monthlyBill)'
+                                }
+                            },
+                            dependentRequired: { roofLength: ['roofWidth'], roofWidth: ['roofLength'] }
+                        },
+                        losses: {
+                            type: 'object',
+                            description: 'System losses in % - any component left out uses its default (see /api/losses)',
+                            'x-error-code': 'INVALID_LOSSES',
+                            properties: Object.fromEntries(limits.losses.map(component => [component.id, {
+                                type: 'number', minimum: 0, exclusiveMaximum: 100,
+                                default: component.defaultLoss, description: component.name
+                            }])),
+                            additionalProperties: false
+                        },
+                        tariff: {
+                            description: 'Slab tariff - a preset id from /api/tariffs or your own tariff object',
+                            'x-error-code': 'INVALID_TARIFF',
+                            oneOf: [
+                                { type: 'string', enum: limits.tariffPresets },
+                                { $ref: '#/components/schemas/Tariff' }
+                            ]
+                        },
+                        monthlyConsumption: {
+                            description: 'Electricity used in kWh per month - one number or 12 (January first)',
+                            'x-error-code': 'INVALID_CONSUMPTION',
+                            oneOf: [
+                                { type: 'number', minimum: 0 },
+                                { type: 'array', minItems: MONTHS_IN_YEAR, maxItems: MONTHS_IN_YEAR, items: { type: 'number', minimum: 0 } }
+                            ]
+                        },
+                        monthlyBill: {
+                            type: 'number', exclusiveMinimum: 0,
+                            description: 'Average electricity bill in ₹/month - turned into units through the tariff when monthlyConsumption is left out',
+                            'x-error-code': 'INVALID_BILL'
+                        },
+                        metering: {
+                            type: 'object',
+                            description: 'How exported solar is paid for (needs monthlyConsumption except for gross metering)',
+                            'x-error-code': 'INVALID_METERING',
+                            properties: {
+                                mode: {
+                                    enum: ['net', 'gross', 'net-billing'], default: limits.metering.mode,
+                                    description: 'net: exports offset imports, surplus banked and settled yearly; ' +
+                                        'gross: all generation sold at the feed-in tariff; net-billing: exports credited at the export rate'
+                                },
+                                settlementRate: { type: 'number', minimum: 0, default: limits.metering.settlementRate, description: '₹/kWh for units banked at year end (net)' },
+                                feedInTariff: { type: 'number', minimum: 0, default: limits.metering.feedInTariff, description: '₹/kWh (gross)' },
+                                exportRate: { type: 'number', minimum: 0, default: limits.metering.exportRate, description: '₹/kWh (net-billing)' },
+                                daytimeLoadShare: {
+                                    type: 'number', minimum: 0, maximum: 1, default: limits.metering.daytimeLoadShare,
+                                    description: 'Share of consumption while the panels generate'
+                                },
+                                bankingStartMonth: {
+                                    type: 'integer', minimum: 0, maximum: 11, default: limits.metering.bankingStartMonth,
+                                    description: 'First month of the banking year (3 = April)'
+                                }
+                            }
+                        },
+                        cost: {
+                            type: 'object',
+                            description: 'System cost estimate - gross cost, subsidy and net cost (rules at /api/subsidies)',
+                            'x-error-code': 'INVALID_COST',
+                            properties: {
+                                costPerKw: { type: 'number', exclusiveMinimum: 0, description: 'Your own ₹/kWp quote (default: size benchmark)' },
+                                subsidyScheme: {
+                                    description: 'Central subsidy - a scheme id or your own rules',
+                                    oneOf: [
+                                        { type: 'string', enum: limits.subsidySchemes },
+                                        { $ref: '#/components/schemas/SubsidyScheme' }
+                                    ]
+                                },
+                                stateTopUp: {
+                                    description: 'Optional state top-up - an id or your own rules',
+                                    oneOf: [
+                                        { type: 'string', enum: limits.stateTopUps },
+                                        { $ref: '#/components/schemas/StateTopUp' }
+                                    ]
+                                }
+                            }
+                        },
+                        finance: {
+                            type: 'object',
+                            description: 'Lifetime cash-flow model (NPV, IRR, LCOE, payback) - all rates in % per year',
+                            'x-error-code': 'INVALID_FINANCE',
+                            properties: {
+                                systemCost: {
+                                    type: 'number', exclusiveMinimum: 0,
+                                    description: 'Up-front cost in ₹ after subsidy (default: net cost from `cost`)'
+                                },
+                                lifetimeYears: { type: 'integer', minimum: 1, maximum: 40, default: limits.finance.lifetimeYears },
+                                discountRate: { type: 'number', minimum: 0, maximum: 50, default: limits.finance.discountRate },
+                                tariffEscalation: { type: 'number', minimum: -10, maximum: 30, default: limits.finance.tariffEscalation },
+                                degradationRate: { type: 'number', minimum: 0, maximum: 10, default: limits.finance.degradationRate },
+                                omCostPercent: { type: 'number', minimum: 0, maximum: 20, default: limits.finance.omCostPercent, description: '% of system cost per year' },
+                                omEscalation: { type: 'number', minimum: 0, maximum: 30, default: limits.finance.omEscalation },
+                                inverterReplacementYear: {
+                                    type: 'integer', minimum: 0, maximum: 40, default: limits.finance.inverterReplacementYear,
+                                    description: 'Year the inverter is replaced (0 = never)'
+                                },
+                                inverterReplacementPercent: {
+                                    type: 'number', minimum: 0, maximum: 100, default: limits.finance.inverterReplacementPercent,
+                                    description: 'Replacement cost as % of system cost'
+                                },
+                                loan: {
+                                    type: 'object',
+                                    description: 'Loan terms - adds a cash vs loan vs zero-down comparison (results.financing)',
+                                    properties: {
+                                        downPaymentPercent: { type: 'number', minimum: 0, maximum: 100, default: limits.loan.downPaymentPercent },
+                                        interestRate: { type: 'number', minimum: 0, maximum: 30, default: limits.loan.interestRate, description: '% per year' },
+                                        tenureYears: { type: 'number', exclusiveMinimum: 0, maximum: 30, default: limits.loan.tenureYears }
+                                    }
+                                }
+                            }
+                        },
+                        battery: {
+                            type: 'object',
+                            description: 'Home battery - simulated hour by hour on a typical day each month (needs monthlyConsumption or monthlyBill)',
+                            'x-error-code': 'INVALID_BATTERY',
+                            properties: {
+                                capacity: { type: 'number', exclusiveMinimum: 0, maximum: 1000, default: limits.battery.capacity, description: 'kWh (nameplate)' },
+                                depthOfDischarge: { type: 'number', exclusiveMinimum: 0, maximum: 100, default: limits.battery.depthOfDischarge, description: '% of capacity that may be used' },
+                                roundTripEfficiency: { type: 'number', exclusiveMinimum: 0, maximum: 100, default: limits.battery.roundTripEfficiency, description: '%' },
+                                degradationRate: { type: 'number', minimum: 0, maximum: 20, default: limits.battery.degradationRate, description: '% capacity fade per year' },
+                                power: { type: 'number', exclusiveMinimum: 0, description: 'kW charge/discharge limit (default: capacity × powerRate)' },
+                                loadProfile: {
+                                    description: 'Daily load shape - a profile id from /api/batteries or 24 hourly values from midnight',
+                                    default: limits.battery.loadProfile,
+                                    oneOf: [
+                                        { type: 'string', enum: limits.loadProfiles },
+                                        { type: 'array', minItems: 24, maxItems: 24, items: { type: 'number', minimum: 0 } }
+                                    ]
+                                },
+                                backupLoad: { type: 'number', exclusiveMinimum: 0, description: 'kW kept running in an outage (default: average load)' },
+                                costPerKwh: { type: 'number', minimum: 0, default: limits.battery.costPerKwh, description: 'Installed ₹/kWh' },
+                                lifetimeYears: { type: 'integer', minimum: 1, maximum: 30, default: limits.battery.lifetimeYears }
+                            }
+                        },
+                        uncertainty: {
+                            type: 'object',
+                            description: 'P50/P75/P90/P99 of annual energy and savings by Monte Carlo - same seed and samples give the same results',
+                            'x-error-code': 'INVALID_UNCERTAINTY',
+                            properties: {
+                                samples: { type: 'integer', minimum: 100, maximum: limits.maxUncertaintySamples, default: limits.uncertainty.samples },
+                                seed: { type: 'integer', default: limits.uncertainty.seed, description: 'Random seed' },
+                                irradianceVariability: {
+                                    type: 'number', minimum: 0, maximum: 50,
+                                    description: '% std dev of a year\'s irradiation (default: NASA year-to-year totals with lat/lon, else the monthly spread)'
+                                },
+                                lossSpread: { type: 'number', minimum: 0, maximum: 200, default: limits.uncertainty.lossSpread, description: 'Std dev of each loss, % of its value' },
+                                degradationSpread: { type: 'number', minimum: 0, maximum: 5, default: limits.uncertainty.degradationSpread, description: 'Std dev of the degradation rate, %/year' }
+                            }
+                        },
+                        sanctionedLoad: {
+                            type: 'number', exclusiveMinimum: 0, default: 3,
+                            description: 'Sanctioned load in kW (for per-kW fixed charges)', 'x-error-code': 'INVALID_SANCTIONED_LOAD'
+                        },
+                        avgDailyIrradiance: {
+                            type: 'number', minimum: 0,
+                            description: 'Your own average daily irradiance (kWh/m²/day)', 'x-error-code': 'INVALID_IRRADIANCE'
+                        },
+                        monthlyData: {
+                            type: 'array', minItems: MONTHS_IN_YEAR, maxItems: MONTHS_IN_YEAR,
+                            description: 'Your own monthly data (irradiance or poaIrradiance, optional temperature/windSpeed)',
+                            'x-error-code': 'INVALID_MONTHLY_DATA',
+                            items: {
+                                type: 'object',
+                                anyOf: [{ required: ['irradiance'] }, { required: ['poaIrradiance'] }],
+                                properties: {
+                                    irradiance: { type: 'number', minimum: 0 },
+                                    poaIrradiance: { type: 'number', minimum: 0 },
+                                    poaBeamIrradiance: { type: 'number', minimum: 0 },
+                                    poaDiffuseIrradiance: { type: 'number', minimum: 0 },
+                                    temperature: nullableNumber,
+                                    windSpeed: nullableNumber
+                                }
+                            }
+                        }
+                    },
+                    dependentRequired: { lat: ['lon'], lon: ['lat'] }
+                },
+                CalculationResults: {
+                    type: 'object',
+                    required: ['annualEnergy', 'annualSavings', 'co2Saved', 'assumptions'],
+                    properties: {
+                        annualEnergy: { type: 'number', description: 'kWh/year' },
+                        annualSavings: { type: 'number', description: '₹/year' },
+                        co2Saved: { type: 'number', description: 'kg/year' },
+                        avgDailyIrradiance: { type: 'number' },
+                        dailyEnergy: { type: 'string' },
+                        monthlyEnergy: { type: 'string' },
+                        monthlySavings: { type: 'number' },
+                        monthlyBreakdown: { type: ['array', 'null'] },
+                        tariffSavings: {
+                            type: ['object', 'null'],
+                            description: 'Month-by-month bills with and without solar (with monthlyConsumption, a tariff or a metering mode)',
+                            properties: {
+                                tariff: { type: 'object' },
+                                metering: { type: 'object' },
+                                months: { type: 'array', minItems: MONTHS_IN_YEAR, maxItems: MONTHS_IN_YEAR },
+                                selfConsumed: { type: 'number', description: 'kWh/year used on site as it is generated' },
+                                exported: { type: 'number', description: 'kWh/year sent to the grid' },
+                                selfConsumptionShare: { type: 'number', description: '% of generation used on site' },
+                                annualBillWithout: { type: 'number' },
+                                annualBillWith: { type: 'number' },
+                                settlement: { type: ['object', 'null'], description: 'Net metering year-end payout for banked units' },
+                                annualSavings: { type: 'number' },
+                                effectiveRate: { type: 'number', description: '₹ saved per solar kWh generated' }
+                            }
+                        },
+                        roof: {
+                            type: ['object', 'null'],
+                            description: 'Measured roof faces (with roofFaces)',
+                            properties: {
+                                faces: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            name: { type: 'string' },
+                                            points: { type: 'array' },
+                                            tilt: { type: 'number' },
+                                            azimuth: { type: 'number' },
+                                            suggestedAzimuth: { type: ['number', 'null'], description: 'At right angles to the longest edge, towards the equator' },
+                                            planArea: { type: 'number', description: 'm² seen from above (geodesic)' },
+                                            surfaceArea: { type: 'number', description: 'm² along the roof pitch' },
+                                            exclusion: { type: 'number', description: 'm²' },
+                                            usableArea: { type: 'number', description: 'm²' },
+                                            length: { type: 'number', description: 'm up the slope (outline bounding box along the azimuth)' },
+                                            width: { type: 'number', description: 'm along the ridge' }
+                                        }
+                                    }
+                                },
+                                planArea: { type: 'number' },
+                                usableArea: { type: 'number' },
+                                mainFace: { type: 'integer', description: 'Index of the largest face' },
+                                tilt: { type: 'number' },
+                                azimuth: { type: 'number' }
+                            }
+                        },
+                        horizonShading: {
+                            type: ['object', 'null'],
+                            description: 'Monthly shading loss from the horizon profile (with horizon)',
+                            properties: {
+                                horizon: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: { azimuth: { type: 'number' }, elevation: { type: 'number' } }
+                                    }
+                                },
+                                diffuseLoss: { type: 'number', description: '% of sky light hidden by the skyline' },
+                                months: {
+                                    type: 'array', minItems: MONTHS_IN_YEAR, maxItems: MONTHS_IN_YEAR,
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            monthIndex: { type: 'integer' },
+                                            beamLoss: { type: 'number', description: '% of direct sunlight blocked' },
+                                            loss: { type: 'number', description: '% of the light on the panel blocked' },
+                                            unshadedIrradiance: { type: 'number', description: 'kWh/m²/day' },
+                                            shadedIrradiance: { type: 'number', description: 'kWh/m²/day' }
+                                        }
+                                    }
+                                },
+                                annualLoss: { type: 'number', description: '%' }
+                            }
+                        },
+                        systemSizing: {
+                            type: ['object', 'null'],
+                            description: 'Panel layout (with sizing)',
+                            properties: {
+                                module: { $ref: '#/components/schemas/Module' },
+                                orientation: { enum: ['portrait', 'landscape'] },
+                                panelCount: { type: 'integer' },
+                                rows: { type: 'integer' },
+                                panelsPerRow: { type: 'integer' },
+                                dcCapacity: { type: 'number', description: 'Installed kWp' },
+                                panelArea: { type: 'number', description: 'm² covered by panels' },
+                                packingDensity: { type: 'number', description: '% of the roof covered by panels' },
+                                wattsPerSquareMetre: { type: 'number' },
+                                faces: { type: 'array', description: 'Layout of each roof face (with several roofFaces)' }
+                            }
+                        },
+                        consumptionSizing: {
+                            type: ['object', 'null'],
+                            description: 'System sized from consumption (with sizing.targetOffset)',
+                            properties: {
+                                annualConsumption: { type: 'number', description: 'kWh/year' },
+                                targetOffset: { type: 'number', description: '%' },
+                                specificYield: { type: 'number', description: 'kWh delivered per kWp per year' },
+                                recommendedKwp: { type: 'number' },
+                                panelsNeeded: { type: 'integer' },
+                                roofPanelLimit: { type: 'integer', description: 'Most panels the roof holds' },
+                                fitsOnRoof: { type: 'boolean' },
+                                roofAreaNeeded: { type: ['number', 'null'], description: 'm² at this roof\'s packing density' },
+                                installedKwp: { type: 'number' },
+                                achievedOffset: { type: 'number', description: '% of yearly consumption covered' },
+                                months: { type: 'array', minItems: MONTHS_IN_YEAR, maxItems: MONTHS_IN_YEAR }
+                            }
+                        },
+                        consumptionEstimate: {
+                            type: ['object', 'null'],
+                            description: 'Units worked out from monthlyBill',
+                            properties: {
+                                monthlyBill: { type: 'number' },
+                                monthlyConsumption: { type: 'number', description: 'kWh/month' },
+                                fixedCharges: { type: 'number', description: '₹/month billed at 0 units' }
+                            }
+                        },
+                        lossTree: {
+                            type: 'object',
+                            description: 'Nominal DC energy to delivered AC energy, one loss at a time',
+                            properties: {
+                                losses: { type: 'object', description: '% per component after defaults' },
+                                steps: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            id: { type: 'string' },
+                                            name: { type: 'string' },
+                                            loss: { type: 'number', description: '% of the energy left at this step' },
+                                            energyLost: { type: 'number', description: 'kWh/year' },
+                                            energyAfter: { type: 'number', description: 'kWh/year' }
+                                        }
+                                    }
+                                },
+                                nominalEnergy: { type: 'number', description: 'kWh/year at STC efficiency' },
+                                deliveredEnergy: { type: 'number', description: 'kWh/year at the meter' },
+                                totalLoss: { type: 'number', description: '%' },
+                                performanceRatio: { type: 'number', description: '% (delivered / nominal)' }
+                            }
+                        },
+                        costEstimate: {
+                            type: ['object', 'null'],
+                            description: 'Gross cost, subsidy and net cost (with `cost`)',
+                            properties: {
+                                systemSize: { type: 'number', description: 'kWp' },
+                                costPerKw: { type: 'number', description: '₹/kWp used' },
+                                benchmarkCostPerKw: { type: 'number' },
+                                grossCost: { type: 'number' },
+                                subsidy: { type: 'object' },
+                                netCost: { type: 'number' }
+                            }
+                        },
+                        financials: {
+                            type: ['object', 'null'],
+                            description: 'Lifetime cash flows and investment metrics (with finance)',
+                            properties: {
+                                npv: { type: 'number', description: '₹ at the discount rate' },
+                                irr: { type: ['number', 'null'], description: '% per year (null if never recovered)' },
+                                lcoe: { type: ['number', 'null'], description: '₹/kWh over the lifetime' },
+                                simplePayback: { type: ['number', 'null'], description: 'Years' },
+                                discountedPayback: { type: ['number', 'null'], description: 'Years' },
+                                totals: { type: 'object' },
+                                years: { type: 'array', description: 'Year 0 (investment) to the last year' },
+                                assumptions: { type: 'object' }
+                            }
+                        },
+                        financing: {
+                            type: ['object', 'null'],
+                            description: 'Cash, loan and zero-down purchase compared (with finance.loan)',
+                            properties: {
+                                terms: { type: 'object' },
+                                scenarios: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            id: { enum: ['cash', 'loan', 'zero-down'] },
+                                            upfront: { type: 'number', description: '₹ paid on day one' },
+                                            emi: { type: 'number', description: '₹/month' },
+                                            totalInterest: { type: 'number' },
+                                            firstYearMonthlyNet: { type: 'number', description: '₹/month - savings minus O&M and EMI' },
+                                            breakEven: { type: ['number', 'null'], description: 'Years' },
+                                            netGain: { type: 'number' },
+                                            npv: { type: 'number' },
+                                            years: { type: 'array' }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        batteryStorage: {
+                            type: ['object', 'null'],
+                            description: 'Battery dispatch over a typical day per month (with battery)',
+                            properties: {
+                                settings: { type: 'object' },
+                                months: { type: 'array', minItems: MONTHS_IN_YEAR, maxItems: MONTHS_IN_YEAR },
+                                withoutBattery: { $ref: '#/components/schemas/SelfConsumption' },
+                                withBattery: { $ref: '#/components/schemas/SelfConsumption' },
+                                throughput: { type: 'number', description: 'kWh/year delivered by the battery' },
+                                backupLoad: { type: 'number', description: 'kW' },
+                                backupHours: { type: ['number', 'null'], description: 'Hours a full battery runs the backup load' },
+                                value: {
+                                    type: 'object',
+                                    properties: {
+                                        importRate: { type: 'number', description: '₹/kWh' },
+                                        exportRate: { type: 'number', description: '₹/kWh' },
+                                        firstYear: { type: 'number', description: '₹ added in year one' },
+                                        lifetime: { type: 'number' },
+                                        cost: { type: 'number' },
+                                        payback: { type: ['number', 'null'], description: 'Years' }
+                                    }
+                                },
+                                typicalDays: { type: 'array', minItems: MONTHS_IN_YEAR, maxItems: MONTHS_IN_YEAR }
+                            }
+                        },
+                        uncertainty: {
+                            type: ['object', 'null'],
+                            description: 'Monte Carlo P-values (with uncertainty) - P90 is exceeded in 90% of years',
+                            properties: {
+                                settings: { type: 'object' },
+                                firstYear: { $ref: '#/components/schemas/UncertaintyPair' },
+                                lifetime: { $ref: '#/components/schemas/UncertaintyPair' }
+                            }
+                        },
+                        assumptions: { type: 'object' }
+                    }
+                },
+                UncertaintyPair: {
+                    type: 'object',
+                    properties: {
+                        energy: { $ref: '#/components/schemas/UncertaintyStats' },
+                        savings: { $ref: '#/components/schemas/UncertaintyStats' }
+                    }
+                },
+                UncertaintyStats: {
+                    type: 'object',
+                    required: ['p50', 'p75', 'p90', 'p99'],
+                    properties: {
+                        mean: { type: 'number' },
+                        stdDev: { type: 'number' },
+                        min: { type: 'number' },
+                        max: { type: 'number' },
+                        p50: { type: 'number' },
+                        p75: { type: 'number' },
+                        p90: { type: 'number' },
+                        p99: { type: 'number' },
+                        histogram: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: { from: { type: 'number' }, to: { type: 'number' }, count: { type: 'integer' } }
+                            }
+                        }
+                    }
+                },
+                SelfConsumption: {
+                    type: 'object',
+                    properties: {
+                        selfConsumption: { type: 'number', description: '% of generation used at home' },
+                        selfSufficiency: { type: 'number', description: '% of consumption met by solar' },
+                        exported: { type: 'number', description: 'kWh/year' },
+                        imported: { type: 'number', description: 'kWh/year' }
+                    }
+                },
+                CalculateResponse: {
+                    type: 'object',
+                    required: ['success', 'results'],
+                    properties: {
+                        success: { const: true },
+                        results: { $ref: '#/components/schemas/CalculationResults' },
+                        solarData: { type: ['object', 'null'] }
+                    }
+                },
+                ProjectRequest: {
+                    type: 'object',
+                    required: ['name', 'site'],
+                    additionalProperties: false,
+                    properties: projectFields
+                },
+                ProjectUpdate: {
+                    type: 'object',
+                    additionalProperties: false,
+                    minProperties: 1,
+                    properties: projectFields
+                },
+                Project: {
+                    type: 'object',
+                    required: ['id', 'name', 'site', 'createdAt', 'updatedAt'],
+                    properties: {
+                        id: { type: 'string' },
+                        ...projectFields,
+                        createdAt: { type: 'string', format: 'date-time' },
+                        updatedAt: { type: 'string', format: 'date-time' }
+                    }
+                },
+                ProjectResponse: {
+                    type: 'object',
+                    required: ['success', 'project'],
+                    properties: {
+                        success: { const: true },
+                        project: { $ref: '#/components/schemas/Project' }
+                    }
+                },
+                ProjectListResponse: {
+                    type: 'object',
+                    required: ['success', 'projects'],
+                    properties: {
+                        success: { const: true },
+                        projects: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['id', 'name', 'site', 'updatedAt', 'summary'],
+                                properties: {
+                                    id: { type: 'string' },
+                                    name: { type: 'string' },
+                                    customerName: { type: 'string' },
+                                    site: { type: 'object' },
+                                    createdAt: { type: 'string', format: 'date-time' },
+                                    updatedAt: { type: 'string', format: 'date-time' },
+                                    summary: {
+                                        type: 'object',
+                                        properties: {
+                                            annualEnergy: nullableNumber,
+                                            annualSavings: nullableNumber,
+                                            dcCapacity: nullableNumber
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
+                DeletedResponse: {
+                    type: 'object',
+                    required: ['success', 'id'],
+                    properties: {
+                        success: { const: true },
+                        id: { type: 'string' }
+                    }
+                },
+                BatchSite: {
+                    type: 'object',
+                    description: 'One site. Column names are flexible (lat/latitude, roof_area/roofArea, ...)',
+                    properties: {
+                        name: { type: 'string' },
+                        lat: { type: ['number', 'string'] },
+                        lon: { type: ['number', 'string'] },
+                        roofArea: { type: ['number', 'string'] },
+                        panelType: { type: ['number', 'string'], description: 'poly, mono, perc, high or an efficiency in %' },
+                        tariff: { type: ['number', 'string'] },
+                        tilt: { type: ['number', 'string'] },
+                        azimuth: { type: ['number', 'string'] }
+                    }
+                },
+                BatchRequest: {
+                    type: 'object',
+                    required: ['sites'],
+                    properties: {
+                        sites: {
+                            type: 'array', minItems: 1, maxItems: limits.maxBatchSites,
+                            items: { $ref: '#/components/schemas/BatchSite' },
+                            'x-error-code': 'INVALID_SITES'
+                        }
+                    }
+                },
+                BatchResponse: {
+                    type: 'object',
+                    required: ['success', 'sites', 'totals'],
+                    properties: {
+                        success: { const: true },
+                        sites: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['index', 'name', 'status'],
+                                properties: {
+                                    index: { type: 'integer' },
+                                    name: { type: 'string' },
+                                    status: { enum: ['ok', 'error'] },
+                                    code: { type: 'string' },
+                                    message: { type: 'string' },
+                                    annualEnergy: { type: 'number' },
+                                    annualSavings: { type: 'number' },
+                                    co2Saved: { type: 'number' },
+                                    systemSize: { type: 'number', description: 'kWp the roof holds at this efficiency' },
+                                    specificYield: { type: ['number', 'null'], description: 'kWh delivered per kWp per year' }
+                                }
+                            }
+                        },
+                        totals: {
+                            type: 'object',
+                            properties: {
+                                sites: { type: 'integer' },
+                                succeeded: { type: 'integer' },
+                                failed: { type: 'integer' },
+                                roofArea: { type: 'number' },
+                                annualEnergy: { type: 'number' },
+                                annualSavings: { type: 'number' },
+                                co2Saved: { type: 'number' }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+}
+
+module.exports = {
+    buildOpenApiDocument
+};
@@ -0,0 +1,232 @@
+/**
+ * Saved Projects Store
+ *
+ * Keeps customer projects between visits: who the system is for, the site,
+ * the form inputs, the irradiance data the numbers were calculated from and
+ * the results themselves.
+ *
+ * Storage:
+ * - One JSON file per project in PROJECTS_DIR (default backend/data/projects)
+ * - Writes go to a temporary file first and are renamed into place, so a
+ *   crash never leaves a half-written project (same as cacheService.js)
+ * - No database to install - a few hundred projects is a few MB of files
+ *
+ * Why keep the irradiance snapshot?
+ * - NASA POWER revises its data and the year window moves on, so the same
+ *   location can give slightly different numbers next year
+ * - With the snapshot a reopened project shows (and recalculates to) the
+ *   numbers the customer was quoted - send snapshot.data.monthlyData to
+ *   POST /api/calculate to reproduce them through the API
+ *
+ * Project Shape:
+ * { id, name, customerName, site: { name, latitude, longitude },
+ *   inputs, solarSnapshot, results, createdAt, updatedAt }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { apiError } = require('./errors');
+
+// Where projects are stored on disk
+const PROJECTS_DIR = process.env.PROJECTS_DIR || path.join(__dirname, 'data', 'projects');
+
+// Fields a client may set (id and timestamps are managed here)
+const EDITABLE_FIELDS = ['name', 'customerName', 'site', 'inputs', 'solarSnapshot', 'results'];
+
+// Project ids are UUIDs - anything else never reaches the file system
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Last queued change for each project id (changes to one project run one at a time)
+const pendingChanges = new Map();
+
+/**
+ * Path of the file for a project id
+ *
+ * @param {string} id - Project id
+ * @returns {string} File path
+ */
+function projectPath(id) {
+    return path.join(PROJECTS_DIR, `${id}.json`);
+}
+
+/**
+ * Write a project to disk (temporary file + rename)
+ *
+ * @param {object} project - Full project
+ * @returns {Promise<object>} The same project
+ */
+async function writeProject(project) {
+    await fs.promises.mkdir(PROJECTS_DIR, { recursive: true });
+    // a temporary name of its own, so two writes of one project never share a file
+    const tempPath = `${projectPath(project.id)}.${crypto.randomUUID()}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(project));
+    await fs.promises.rename(tempPath, projectPath(project.id));
+    return project;
+}
+
+/**
+ * Headline numbers for the project list (the full results stay in the file)
+ *
+ * @param {object} project - Full project
+ * @returns {object} { id, name, customerName, site, createdAt, updatedAt, summary }
+ */
+function summariseProject(project) {
+    const { results } = project;
+    return {
+        id: project.id,
+        name: project.name,
+        customerName: project.customerName,
+        site: project.site,
+        createdAt: project.createdAt,
+        updatedAt: project.updatedAt,
+        summary: {
+            annualEnergy: results?.annualEnergy ?? null,
+            annualSavings: results?.annualSavings ?? null,
+            dcCapacity: results?.systemSizing?.dcCapacity ?? null
+        }
+    };
+}
+
+/**
+ * Run a read-modify-write of one project after the changes already queued for it
+ *
+ * Without this, two PATCHes at the same time both read the old project and
+ * the second write loses the first one's changes.
+ *
+ * @param {string} id - Project id
+ * @param {Function} change - async () => result
+ * @returns {Promise<*>} What change returns
+ */
+function queueChange(id, change) {
+    const previous = pendingChanges.get(id) || Promise.resolve();
+    const result = previous.catch(() => {}).then(change); // a failed change doesn't block the next
+    const done = result.catch(() => {}).finally(() => {
+        if (pendingChanges.get(id) === done) pendingChanges.delete(id);
+    });
+    pendingChanges.set(id, done);
+    return result;
+}
+
+/**
+ * Get one project
+ *
+ * @param {string} id - Project id
+ * @returns {Promise<object>} Full project
+ * @throws PROJECT_NOT_FOUND when there is no project with this id
+ */
+async function getProject(id) {
+    if (!ID_PATTERN.test(id)) {
+        throw apiError('PROJECT_NOT_FOUND', { field: '/path/id' });
+    }
+
+    try {
+        return JSON.parse(await fs.promises.readFile(projectPath(id), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw apiError('PROJECT_NOT_FOUND', { field: '/path/id' });
+        }
+        throw error;
+    }
+}
+
+/**
+ * List all projects, most recently changed first
+ *
+ * @returns {Promise<Array>} Project summaries (see summariseProject)
+ */
+async function listProjects() {
+    let names = [];
+    try {
+        names = await fs.promises.readdir(PROJECTS_DIR);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error; // no projects saved yet
+    }
+
+    const projects = [];
+    for (const name of names.filter(file => file.endsWith('.json'))) {
+        try {
+            projects.push(summariseProject(await getProject(name.slice(0, -'.json'.length))));
+        } catch (error) {
+            // one damaged file shouldn't hide every other project
+            console.error('Cannot read project:', name, error.message);
+        }
+    }
+
+    return projects.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Save a new project
+ *
+ * @param {object} fields - { name, customerName, site, inputs, solarSnapshot, results }
+ * @returns {Promise<object>} The stored project with its id and timestamps
+ */
+async function createProject(fields) {
+    const now = new Date().toISOString();
+    const project = {
+        id: crypto.randomUUID(),
+        customerName: '',
+        inputs: {},
+        solarSnapshot: null,
+        results: null,
+        ...Object.fromEntries(EDITABLE_FIELDS.filter(key => fields[key] !== undefined).map(key => [key, fields[key]])),
+        createdAt: now,
+        updatedAt: now
+    };
+    return writeProject(project);
+}
+
+/**
+ * Change some fields of a project (e.g. rename, or save new results)
+ *
+ * @param {string} id - Project id
+ * @param {object} changes - Any of the editable fields
+ * @returns {Promise<object>} The updated project
+ */
+function updateProject(id, changes) {
+    return queueChange(id, async () => {
+        const project = await getProject(id);
+        EDITABLE_FIELDS.filter(key => changes[key] !== undefined).forEach(key => {
+            project[key] = changes[key];
+        });
+        project.updatedAt = new Date().toISOString();
+        return writeProject(project);
+    });
+}
+
+/**
+ * Copy a project (new id, "(copy)" added to the name)
+ *
+ * @param {string} id - Project id
+ * @param {string} [name] - Name for the copy
+ * @returns {Promise<object>} The new project
+ */
+async function duplicateProject(id, name) {
+    const project = await getProject(id);
+    return createProject({ ...project, name: name || `${project.name} (copy)` });
+}
+
+/**
+ * Delete a project
+ *
+ * @param {string} id - Project id
+ * @returns {Promise<void>}
+ */
+function deleteProject(id) {
+    return queueChange(id, async () => {
+        await getProject(id); // 404 for unknown ids
+        await fs.promises.unlink(projectPath(id));
+    });
+}
+
+module.exports = {
+    listProjects,
+    getProject,
+    createProject,
+    updateProject,
+    duplicateProject,
+    deleteProject,
+    summariseProject,
+    PROJECTS_DIR
+};
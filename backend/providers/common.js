@@ -0,0 +1,50 @@
+/**
+ * Shared helpers for irradiance data providers
+ * 
+ * Every provider returns data in the same shape (see providers/index.js),
+ * so the small statistics helpers they need live here.
+ */
+
+// Month names for display
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+/**
+ * Calculate mean, min, max and standard deviation of a list of values
+ * 
+ * @param {Array<number>} values - Values to summarise
+ * @returns {object} { mean, min, max, stdDev }
+ */
+function summarise(values) {
+    if (values.length === 0) {
+        return { mean: 0, min: 0, max: 0, stdDev: 0 };
+    }
+
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    // Population standard deviation (we use every year in the window)
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+
+    return {
+        mean,
+        min: Math.min(...values),
+        max: Math.max(...values),
+        stdDev: Math.sqrt(variance)
+    };
+}
+
+/**
+ * Round a number to 2 decimal places
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function round2(value) {
+    return parseFloat(value.toFixed(2));
+}
+
+module.exports = {
+    MONTH_NAMES,
+    round2,
+    summarise
+};
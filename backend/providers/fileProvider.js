@@ -0,0 +1,400 @@
+/**
+ * Local Weather File Provider
+ *
+ * Reads hourly weather files from a directory so the app can run offline,
+ * in tests, or against our own datasets (TMY/EPW files, PVGIS exports, ...).
+ *
+ * Supported Formats:
+ * - EPW (EnergyPlus Weather): location comes from the LOCATION header line,
+ *   data rows give global/diffuse horizontal irradiance, dry-bulb temperature
+ *   and wind speed for 8760 hours
+ * - CSV: comment lines "# latitude: 21.15" and "# longitude: 79.09", then a
+ *   header row with at least a `ghi` column (optional: dhi, temp_air,
+ *   wind_speed, month, day). One row per hour in local solar time.
+ *
+ * How a file is chosen:
+ * - Every file in the directory is indexed by its coordinates
+ * - The nearest file within WEATHER_FILE_MAX_DISTANCE_KM (default 50 km) is used
+ *
+ * Configuration:
+ * - WEATHER_DATA_DIR: directory with the files (default backend/data/weather)
+ * - WEATHER_FILE_MAX_DISTANCE_KM: how far a file may be from the requested point
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DAYS_IN_MONTH } = require('../../utils/calculations');
+const { MONTH_NAMES, round2 } = require('./common');
+const { apiError } = require('../errors');
+
+const PROVIDER_NAME = 'file';
+
+const WEATHER_DATA_DIR = process.env.WEATHER_DATA_DIR || path.join(__dirname, '..', 'data', 'weather');
+const MAX_DISTANCE_KM = parseFloat(process.env.WEATHER_FILE_MAX_DISTANCE_KM) || 50;
+
+const HOURS_IN_YEAR = 8760;
+const EARTH_RADIUS_KM = 6371;
+
+// EPW data column positions (0-indexed)
+const EPW_COLUMNS = {
+    MONTH: 1,
+    DAY: 2,
+    DRY_BULB: 6,
+    GHI: 13,
+    DHI: 15,
+    WIND_SPEED: 21
+};
+
+// Parsed files, keyed by path (files are read once per server run)
+const parsedFiles = new Map();
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ *
+ * @param {number} lat1 - Latitude of point 1
+ * @param {number} lon1 - Longitude of point 1
+ * @param {number} lat2 - Latitude of point 2
+ * @param {number} lon2 - Longitude of point 2
+ * @returns {number} Distance in km
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Parse an EPW weather file
+ *
+ * EPW hours are in local STANDARD time (1-24, hour ending). We shift them to
+ * approximate local SOLAR time using the longitude/time zone difference so
+ * they line up with the NASA hourly data.
+ *
+ * @param {string} text - File contents
+ * @param {string} fileName - File name (for error messages)
+ * @returns {object} { name, latitude, longitude, rows }
+ */
+function parseEpw(text, fileName) {
+    const lines = text.split(/\r?\n/);
+    const header = lines[0].split(',');
+
+    if (header[0] !== 'LOCATION') {
+        throw new Error(`${fileName}: missing EPW LOCATION header`);
+    }
+
+    const latitude = parseFloat(header[6]);
+    const longitude = parseFloat(header[7]);
+    const timeZone = parseFloat(header[8]);
+
+    // The first 8 lines are headers
+    const rows = lines.slice(8)
+        .filter(line => line.trim() !== '')
+        .map(line => {
+            const fields = line.split(',');
+            return {
+                month: parseInt(fields[EPW_COLUMNS.MONTH], 10),
+                day: parseInt(fields[EPW_COLUMNS.DAY], 10),
+                ghi: parseFloat(fields[EPW_COLUMNS.GHI]),
+                dhi: parseFloat(fields[EPW_COLUMNS.DHI]),
+                temperature: parseFloat(fields[EPW_COLUMNS.DRY_BULB]),
+                windSpeed: parseFloat(fields[EPW_COLUMNS.WIND_SPEED])
+            };
+        });
+
+    // Whole hours between standard time and solar time
+    const solarShift = isNaN(timeZone) ? 0 : Math.round((longitude - 15 * timeZone) / 15);
+
+    return {
+        name: [header[1], header[3]].filter(Boolean).join(', '),
+        latitude,
+        longitude,
+        rows: shiftRows(rows, solarShift)
+    };
+}
+
+/**
+ * Parse a CSV weather file (see module header for the format)
+ *
+ * @param {string} text - File contents
+ * @param {string} fileName - File name (for error messages)
+ * @returns {object} { name, latitude, longitude, rows }
+ */
+function parseCsv(text, fileName) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    const meta = {};
+
+    // Metadata comment lines: "# key: value"
+    const dataLines = lines.filter(line => {
+        if (!line.startsWith('#')) return true;
+        const match = line.slice(1).match(/^\s*(\w+)\s*[:=]\s*(.+)$/);
+        if (match) meta[match[1].toLowerCase()] = match[2].trim();
+        return false;
+    });
+
+    const columns = dataLines[0].split(',').map(col => col.trim().toLowerCase());
+    const column = name => columns.indexOf(name);
+
+    if (column('ghi') === -1) {
+        throw new Error(`${fileName}: CSV needs a "ghi" column`);
+    }
+    if (meta.latitude === undefined || meta.longitude === undefined) {
+        throw new Error(`${fileName}: CSV needs "# latitude:" and "# longitude:" lines`);
+    }
+
+    const read = (fields, name) => (column(name) === -1 ? NaN : parseFloat(fields[column(name)]));
+
+    const rows = dataLines.slice(1).map(line => {
+        const fields = line.split(',');
+        return {
+            month: read(fields, 'month'),
+            day: read(fields, 'day'),
+            ghi: read(fields, 'ghi'),
+            dhi: read(fields, 'dhi'),
+            temperature: read(fields, 'temp_air'),
+            windSpeed: read(fields, 'wind_speed')
+        };
+    });
+
+    return {
+        name: meta.name || path.basename(fileName, path.extname(fileName)),
+        latitude: parseFloat(meta.latitude),
+        longitude: parseFloat(meta.longitude),
+        rows
+    };
+}
+
+/**
+ * Rotate hourly rows by a number of hours (wraps around the year)
+ *
+ * @param {Array} rows - Hourly rows
+ * @param {number} shift - Hours to shift (positive = later)
+ * @returns {Array} Shifted rows
+ */
+function shiftRows(rows, shift) {
+    if (shift === 0 || rows.length === 0) return rows;
+    const n = ((shift % rows.length) + rows.length) % rows.length;
+    return rows.slice(rows.length - n).concat(rows.slice(0, rows.length - n));
+}
+
+/**
+ * Read and parse a weather file (cached after the first read)
+ *
+ * @param {string} filePath - Full path to the file
+ * @returns {object} Parsed file with a normalised 8760-hour series
+ */
+function loadFile(filePath) {
+    if (parsedFiles.has(filePath)) {
+        return parsedFiles.get(filePath);
+    }
+
+    const text = fs.readFileSync(filePath, 'utf8');
+    const fileName = path.basename(filePath);
+    const parsed = path.extname(filePath).toLowerCase() === '.epw'
+        ? parseEpw(text, fileName)
+        : parseCsv(text, fileName);
+
+    // Drop Feb 29 so every year has exactly 8760 hours
+    const rows = parsed.rows.filter(row => !(row.month === 2 && row.day === 29));
+    if (rows.length !== HOURS_IN_YEAR) {
+        throw new Error(`${fileName}: expected ${HOURS_IN_YEAR} hourly rows, found ${rows.length}`);
+    }
+
+    const valid = (value, fallback) => (isNaN(value) || value <= -999 ? fallback : value);
+
+    const file = {
+        fileName,
+        name: parsed.name,
+        latitude: parsed.latitude,
+        longitude: parsed.longitude,
+        series: {
+            ghi: rows.map(row => Math.max(valid(row.ghi, 0), 0)),
+            dhi: rows.map(row => valid(row.dhi, -1)),
+            temperature: rows.map(row => valid(row.temperature, 25)),
+            windSpeed: rows.map(row => valid(row.windSpeed, 1))
+        }
+    };
+
+    parsedFiles.set(filePath, file);
+    return file;
+}
+
+/**
+ * Find the nearest weather file to a location
+ *
+ * @param {number} latitude - Requested latitude
+ * @param {number} longitude - Requested longitude
+ * @returns {object} { file, distanceKm }
+ * @throws {Error} NO_LOCAL_DATA (404) if no file is close enough
+ */
+function findNearestFile(latitude, longitude) {
+    let fileNames = [];
+    try {
+        fileNames = fs.readdirSync(WEATHER_DATA_DIR)
+            .filter(name => /\.(epw|csv)$/i.test(name));
+    } catch (error) {
+        console.error('Cannot read weather data directory:', error.message);
+    }
+
+    let nearest = null;
+    fileNames.forEach(name => {
+        let file;
+        try {
+            file = loadFile(path.join(WEATHER_DATA_DIR, name));
+        } catch (error) {
+            console.error('Skipping weather file:', error.message);
+            return;
+        }
+
+        const distance = distanceKm(latitude, longitude, file.latitude, file.longitude);
+        if (!nearest || distance < nearest.distanceKm) {
+            nearest = { file, distanceKm: distance };
+        }
+    });
+
+    if (!nearest || nearest.distanceKm > MAX_DISTANCE_KM) {
+        throw apiError('NO_LOCAL_DATA', {
+            message: `No local weather file within ${MAX_DISTANCE_KM} km of this location`
+        });
+    }
+
+    return nearest;
+}
+
+/**
+ * Build the common location/source fields for a file
+ *
+ * @param {object} nearest - Result of findNearestFile
+ * @param {number} latitude - Requested latitude
+ * @param {number} longitude - Requested longitude
+ * @returns {object} Shared response fields
+ */
+function describeSource(nearest, latitude, longitude) {
+    return {
+        dataSource: `Local weather file (${nearest.file.fileName})`,
+        weatherFile: {
+            fileName: nearest.file.fileName,
+            name: nearest.file.name,
+            latitude: nearest.file.latitude,
+            longitude: nearest.file.longitude,
+            distanceKm: round2(nearest.distanceKm)
+        },
+        location: {
+            latitude,
+            longitude
+        }
+    };
+}
+
+/**
+ * Monthly climatology from the nearest weather file
+ * Aggregates the hourly series into daily means for each month.
+ *
+ * @param {number} latitude - Location latitude
+ * @param {number} longitude - Location longitude
+ * @returns {Promise<object>} Horizontal solar data (same shape as the NASA provider)
+ */
+async function getMonthlyData(latitude, longitude) {
+    const nearest = findNearestFile(latitude, longitude);
+    const { series } = nearest.file;
+
+    const monthlyData = [];
+    let hour = 0;
+
+    DAYS_IN_MONTH.forEach((days, month) => {
+        const hours = days * 24;
+        let ghi = 0;
+        let dhi = 0;
+        let hasDiffuse = true;
+        let temperature = 0;
+        let windSpeed = 0;
+
+        for (let h = hour; h < hour + hours; h++) {
+            ghi += series.ghi[h];
+            temperature += series.temperature[h];
+            windSpeed += series.windSpeed[h];
+            if (series.dhi[h] < 0) hasDiffuse = false;
+            else dhi += series.dhi[h];
+        }
+        hour += hours;
+
+        const irradiance = round2(ghi / 1000 / days); // Wh/m² -> kWh/m²/day
+
+        monthlyData.push({
+            month: MONTH_NAMES[month],
+            monthIndex: month,
+            irradiance,
+            // A typical year has one value per month - no spread
+            min: irradiance,
+            max: irradiance,
+            stdDev: 0,
+            yearsOfData: 1,
+            diffuseIrradiance: hasDiffuse ? round2(dhi / 1000 / days) : null,
+            clearSkyIrradiance: null,
+            temperature: round2(temperature / hours),
+            windSpeed: round2(windSpeed / hours)
+        });
+    });
+
+    const annualIrradiation = round2(series.ghi.reduce((sum, v) => sum + v, 0) / 1000);
+
+    return {
+        averageDailyIrradiance: round2(monthlyData.reduce((sum, item) => sum + item.irradiance, 0) / 12),
+        monthlyData,
+        annualTotals: [],
+        annualVariability: {
+            mean: annualIrradiation,
+            min: annualIrradiation,
+            max: annualIrradiation,
+            stdDev: 0,
+            unit: 'kWh/m²/year'
+        },
+        period: {
+            startYear: null,
+            endYear: null,
+            yearsUsed: [],
+            typicalYear: true
+        },
+        ...describeSource(nearest, latitude, longitude),
+        parameter: 'Global horizontal irradiance (GHI)',
+        unit: 'kWh/m²/day',
+        note: 'Monthly averages from a typical-year weather file'
+    };
+}
+
+/**
+ * Hourly series from the nearest weather file
+ *
+ * @param {number} latitude - Location latitude
+ * @param {number} longitude - Location longitude
+ * @returns {Promise<object>} Normalised 8760-hour series (same shape as the NASA provider)
+ */
+async function getHourlyData(latitude, longitude) {
+    const nearest = findNearestFile(latitude, longitude);
+    const { series } = nearest.file;
+
+    return {
+        year: null, // typical year
+        hours: HOURS_IN_YEAR,
+        timeStandard: 'LST',
+        series,
+        missingHours: {
+            ghi: 0,
+            dhi: series.dhi.filter(value => value < 0).length,
+            temperature: 0,
+            windSpeed: 0
+        },
+        annualIrradiation: round2(series.ghi.reduce((sum, v) => sum + v, 0) / 1000),
+        ...describeSource(nearest, latitude, longitude)
+    };
+}
+
+module.exports = {
+    name: PROVIDER_NAME,
+    label: 'Local weather files',
+    description: 'EPW/CSV typical-year weather files (offline)',
+    getMonthlyData,
+    getHourlyData
+};
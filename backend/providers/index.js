@@ -0,0 +1,77 @@
+/**
+ * Irradiance Data Providers
+ * 
+ * The app can take solar data from different sources. Each provider is a
+ * module with the same interface, so the rest of the backend doesn't care
+ * where the numbers came from.
+ * 
+ * Provider Interface:
+ * - name: Short id used in config and the `source` query parameter
+ * - label / description: Human-readable text for the API and UI
+ * - getMonthlyData(latitude, longitude, { years }): Promise of horizontal
+ *   monthly data { averageDailyIrradiance, monthlyData[12], annualTotals,
+ *   annualVariability, period, dataSource, location, ... }
+ * - getHourlyData(latitude, longitude, { year }): Promise of a normalised
+ *   8760-hour series { year, hours, timeStandard, series: { ghi, dhi,
+ *   temperature, windSpeed }, dataSource, location, ... }
+ * 
+ * Selecting a Provider:
+ * - SOLAR_DATA_SOURCE environment variable sets the default ("nasa-power")
+ * - The `source` query parameter overrides it per request
+ * 
+ * Adding a Provider (e.g. PVGIS):
+ * - Create a module with the interface above and add it to PROVIDERS
+ */
+
+const nasaPowerProvider = require('./nasaPowerProvider');
+const fileProvider = require('./fileProvider');
+
+const PROVIDERS = {
+    [nasaPowerProvider.name]: nasaPowerProvider,
+    [fileProvider.name]: fileProvider
+};
+
+const DEFAULT_PROVIDER = PROVIDERS[process.env.SOLAR_DATA_SOURCE]
+    ? process.env.SOLAR_DATA_SOURCE
+    : nasaPowerProvider.name;
+
+/**
+ * Check whether a provider name is known
+ * 
+ * @param {string} name - Provider name
+ * @returns {boolean} True if the provider exists
+ */
+function hasProvider(name) {
+    return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+/**
+ * Get a provider by name (or the configured default)
+ * 
+ * @param {string} [name] - Provider name
+ * @returns {object} Provider module
+ */
+function getProvider(name) {
+    return PROVIDERS[name && hasProvider(name) ? name : DEFAULT_PROVIDER];
+}
+
+/**
+ * List all providers (for the API)
+ * 
+ * @returns {Array} Items of { name, label, description, isDefault }
+ */
+function listProviders() {
+    return Object.values(PROVIDERS).map(provider => ({
+        name: provider.name,
+        label: provider.label,
+        description: provider.description,
+        isDefault: provider.name === DEFAULT_PROVIDER
+    }));
+}
+
+module.exports = {
+    hasProvider,
+    getProvider,
+    listProviders,
+    DEFAULT_PROVIDER
+};
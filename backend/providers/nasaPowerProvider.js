@@ -0,0 +1,447 @@
+/**
+ * NASA POWER Data Provider
+ * 
+ * This module handles all interactions with NASA's POWER (Prediction Of Worldwide
+ * Energy Resources) API to fetch solar irradiance data.
+ * 
+ * API Choice Justification (Important for Viva):
+ * - NASA POWER API is free and doesn't require authentication
+ * - Provides reliable, scientific-grade solar radiation data
+ * - Data is based on satellite observations and meteorological models
+ * - Widely used in solar energy research and applications
+ * 
+ * Parameter Used: ALLSKY_SFC_SW_DWN
+ * - "All Sky Surface Shortwave Downward Irradiance"
+ * - Measures total solar radiation reaching the Earth's surface
+ * - Unit: kWh/m²/day (kilowatt-hours per square meter per day)
+ * - Accounts for cloud cover and atmospheric conditions
+ *
+ * Weather Parameters (for the cell temperature model):
+ * - T2M: Air temperature at 2 meters (°C)
+ * - WS2M: Wind speed at 2 meters (m/s)
+ * - Hot months raise panel temperature and reduce output, so we fetch these
+ *   alongside irradiance
+ * 
+ * Parameters for Tilted Panels (plane-of-array transposition):
+ * - ALLSKY_SFC_SW_DIFF: Diffuse part of the horizontal irradiance
+ * - CLRSKY_SFC_SW_DWN: Irradiance under cloud-free skies
+ * 
+ * Hourly Data:
+ * - The hourly endpoint gives one value per hour in Local Solar Time (LST)
+ * - Irradiance is in Wh/m² per hour, which equals the mean W/m² for the hour
+ * - We normalise a year into exactly 8760 hours (Feb 29 is dropped) so every
+ *   hourly calculation can assume the same calendar
+ * 
+ * Multi-Year Climatology:
+ * - A single year can be unusually cloudy (e.g. a heavy monsoon), so we fetch
+ *   a window of recent complete years and average them month by month
+ * - Per-month min/max/standard deviation show how much a month varies
+ * - Year-by-year annual totals show interannual variability
+ */
+
+const cacheService = require('../cacheService');
+const { fetchJson, createCircuitBreaker, upstreamError, DEFAULT_TIMEOUT_MS } = require('../upstreamClient');
+const { DAYS_IN_MONTH } = require('../../utils/calculations');
+const { MONTH_NAMES, round2, summarise } = require('./common');
+
+const PROVIDER_NAME = 'nasa-power';
+
+// NASA POWER API base URLs
+const NASA_POWER_API_BASE = 'https://power.larc.nasa.gov/api/temporal/monthly/point';
+const NASA_POWER_HOURLY_API_BASE = 'https://power.larc.nasa.gov/api/temporal/hourly/point';
+
+// NASA POWER parameters requested from the monthly endpoint
+const NASA_PARAMETERS = ['ALLSKY_SFC_SW_DWN', 'ALLSKY_SFC_SW_DIFF', 'CLRSKY_SFC_SW_DWN', 'T2M', 'WS2M'];
+
+// Parameters requested from the hourly endpoint
+const NASA_HOURLY_PARAMETERS = ['ALLSKY_SFC_SW_DWN', 'ALLSKY_SFC_SW_DIFF', 'T2M', 'WS2M'];
+
+// Hourly data starts in 2001
+const FIRST_HOURLY_YEAR = 2001;
+
+// One breaker for both endpoints - they share the same servers
+const breaker = createCircuitBreaker('NASA POWER API');
+
+// NASA uses -999 as the fill value for missing data
+const NASA_MISSING_VALUE = -999;
+
+/**
+ * Work out which years to request for a given window size
+ * The window always ends at the last complete calendar year
+ * 
+ * @param {number} years - Number of years in the window
+ * @returns {object} { startYear, endYear }
+ */
+function getYearRange(years) {
+    const endYear = new Date().getFullYear() - 1;
+    const startYear = endYear - years + 1;
+    return { startYear, endYear };
+}
+
+/**
+ * Fetch long-term monthly irradiance and weather from NASA POWER API
+ * 
+ * @param {number} latitude - Location latitude (-90 to 90)
+ * @param {number} longitude - Location longitude (-180 to 180)
+ * @param {object} options - Settings
+ * @param {number} options.years - Number of complete years to average (1-30)
+ * @returns {Promise<object>} Horizontal solar data with long-term averages and monthly statistics
+ */
+async function getMonthlyData(latitude, longitude, options) {
+    // Fetching data for the last `years` complete years
+    const { startYear, endYear } = getYearRange(options.years);
+
+    // Served from cache when possible (the key includes the year window)
+    const key = cacheService.generateKey(latitude, longitude, startYear, endYear);
+    const { data, fetchedAt, stale } = await cacheService.getOrFetch(
+        key,
+        () => fetchMonthlyData(latitude, longitude, startYear, endYear)
+    );
+
+    return { ...data, fetchedAt, stale };
+}
+
+/**
+ * Call the NASA POWER monthly endpoint (no caching)
+ * 
+ * @param {number} latitude - Location latitude
+ * @param {number} longitude - Location longitude
+ * @param {number} startYear - First year of the window
+ * @param {number} endYear - Last year of the window
+ * @returns {Promise<object>} Processed horizontal solar data
+ */
+async function fetchMonthlyData(latitude, longitude, startYear, endYear) {
+    // Build API URL
+    // Using monthly temporal resolution for more accurate averages
+    const apiUrl = `${NASA_POWER_API_BASE}?` + new URLSearchParams({
+        parameters: NASA_PARAMETERS.join(','),
+        community: 'RE', // Renewable Energy community
+        longitude: longitude.toString(),
+        latitude: latitude.toString(),
+        start: startYear.toString(),
+        end: endYear.toString(),
+        format: 'JSON'
+    });
+
+    const rawData = await callNasa(apiUrl, DEFAULT_TIMEOUT_MS);
+
+    // Parse and process the response
+    return parseResponse(() => processNasaResponse(rawData, latitude, longitude));
+}
+
+/**
+ * Fetch a year of hourly irradiance and weather from NASA POWER
+ * 
+ * @param {number} latitude - Location latitude (-90 to 90)
+ * @param {number} longitude - Location longitude (-180 to 180)
+ * @param {object} [options] - Optional settings
+ * @param {number} [options.year] - Year to fetch (defaults to the last complete year)
+ * @returns {Promise<object>} Normalised 8760-hour series
+ */
+async function getHourlyData(latitude, longitude, options = {}) {
+    const year = options.year || new Date().getFullYear() - 1;
+
+    const key = cacheService.generateKey(latitude, longitude, year, year, 'hourly');
+    const { data, fetchedAt, stale } = await cacheService.getOrFetch(
+        key,
+        () => fetchHourlyData(latitude, longitude, year)
+    );
+
+    return { ...data, fetchedAt, stale };
+}
+
+/**
+ * Call the NASA POWER hourly endpoint (no caching)
+ * 
+ * @param {number} latitude - Location latitude
+ * @param {number} longitude - Location longitude
+ * @param {number} year - Data year
+ * @returns {Promise<object>} Normalised 8760-hour series
+ */
+async function fetchHourlyData(latitude, longitude, year) {
+    const apiUrl = `${NASA_POWER_HOURLY_API_BASE}?` + new URLSearchParams({
+        parameters: NASA_HOURLY_PARAMETERS.join(','),
+        community: 'RE',
+        longitude: longitude.toString(),
+        latitude: latitude.toString(),
+        start: `${year}0101`,
+        end: `${year}1231`,
+        'time-standard': 'LST', // Local Solar Time - solar noon is at 12:00
+        format: 'JSON'
+    });
+
+    // A year of hourly data is a much bigger response - allow more time
+    const rawData = await callNasa(apiUrl, DEFAULT_TIMEOUT_MS * 2);
+
+    return parseResponse(() => processHourlyResponse(rawData, latitude, longitude, year));
+}
+
+/**
+ * Call NASA POWER with timeout, retries and the circuit breaker
+ * 
+ * @param {string} apiUrl - Request URL
+ * @param {number} timeoutMs - Timeout per attempt
+ * @returns {Promise<object>} Raw NASA response
+ */
+async function callNasa(apiUrl, timeoutMs) {
+    try {
+        return await fetchJson(apiUrl, { breaker, timeoutMs });
+    } catch (error) {
+        console.error('Error calling NASA POWER API:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Run a response parser, turning unexpected data into an upstream error
+ * 
+ * @param {function} parse - Function that processes the raw response
+ * @returns {object} Processed data
+ */
+function parseResponse(parse) {
+    try {
+        return parse();
+    } catch (error) {
+        console.error('Unexpected NASA POWER response:', error.message);
+        throw upstreamError('NASA POWER API returned data in an unexpected format', 'UPSTREAM_BAD_RESPONSE', 502);
+    }
+}
+
+/**
+ * Turn one NASA hourly parameter into a normalised 8760-value array
+ * 
+ * Walks a fixed 365-day calendar (Feb 29 is skipped in leap years) and looks
+ * up each YYYYMMDDHH key. Missing hours are filled by `fillMissing`.
+ * 
+ * @param {object} series - NASA parameter object (keys are YYYYMMDDHH)
+ * @param {number} year - Data year
+ * @param {function} fillMissing - (previousValue) => value for a missing hour
+ * @returns {object} { values, missingHours }
+ */
+function normaliseHourlySeries(series, year, fillMissing) {
+    const values = [];
+    let missingHours = 0;
+    let previous = null;
+
+    DAYS_IN_MONTH.forEach((days, month) => {
+        for (let day = 1; day <= days; day++) {
+            for (let hour = 0; hour < 24; hour++) {
+                const key = `${year}${String(month + 1).padStart(2, '0')}${String(day).padStart(2, '0')}${String(hour).padStart(2, '0')}`;
+                let value = series[key];
+
+                if (value === undefined || value === NASA_MISSING_VALUE) {
+                    value = fillMissing(previous);
+                    missingHours++;
+                }
+
+                values.push(value);
+                previous = value;
+            }
+        }
+    });
+
+    return { values, missingHours };
+}
+
+/**
+ * Process NASA POWER hourly response into a normalised 8760-hour series
+ * 
+ * @param {object} rawData - Raw API response
+ * @param {number} latitude - Request latitude
+ * @param {number} longitude - Request longitude
+ * @param {number} year - Data year
+ * @returns {object} Processed hourly data
+ */
+function processHourlyResponse(rawData, latitude, longitude, year) {
+    const parameters = rawData.properties?.parameter || {};
+
+    // Missing irradiance -> 0 (night or no data), missing weather -> carry forward
+    const ghi = normaliseHourlySeries(parameters.ALLSKY_SFC_SW_DWN || {}, year, () => 0);
+    const dhi = normaliseHourlySeries(parameters.ALLSKY_SFC_SW_DIFF || {}, year, () => -1);
+    const temperature = normaliseHourlySeries(parameters.T2M || {}, year, prev => prev ?? 25);
+    const windSpeed = normaliseHourlySeries(parameters.WS2M || {}, year, prev => prev ?? 1);
+
+    const round1 = value => Math.round(value * 10) / 10;
+
+    return {
+        year,
+        hours: ghi.values.length, // always 8760
+        timeStandard: 'LST',
+        series: {
+            ghi: ghi.values.map(round1),               // W/m², horizontal global
+            dhi: dhi.values.map(round1),               // W/m², horizontal diffuse (-1 = missing)
+            temperature: temperature.values.map(round1), // °C
+            windSpeed: windSpeed.values.map(round1)      // m/s
+        },
+        missingHours: {
+            ghi: ghi.missingHours,
+            dhi: dhi.missingHours,
+            temperature: temperature.missingHours,
+            windSpeed: windSpeed.missingHours
+        },
+        annualIrradiation: round2(ghi.values.reduce((sum, v) => sum + v, 0) / 1000), // kWh/m²/year
+        dataSource: 'NASA POWER API (hourly)',
+        location: {
+            latitude,
+            longitude
+        }
+    };
+}
+
+/**
+ * Average a NASA monthly series by calendar month across all years
+ * Used for weather parameters where only the long-term mean is needed
+ * 
+ * @param {object} series - NASA parameter object (keys are YYYYMM)
+ * @returns {Array<number|null>} 12 monthly means (null if no data)
+ */
+function averageByMonth(series) {
+    const valuesByMonth = Array.from({ length: 12 }, () => []);
+
+    Object.keys(series).forEach(key => {
+        if (key.endsWith('13')) return;
+
+        const value = series[key];
+        // Temperatures can be negative, so only skip the fill value
+        if (value === NASA_MISSING_VALUE) return;
+
+        valuesByMonth[parseInt(key.slice(-2)) - 1].push(value);
+    });
+
+    return valuesByMonth.map(values => (
+        values.length > 0 ? summarise(values).mean : null
+    ));
+}
+
+/**
+ * Process NASA POWER API response into a clean format
+ * 
+ * The response contains one value per month per year (keys are YYYYMM),
+ * plus an annual average for each year (key YYYY13). We group the values by
+ * calendar month to build a long-term climatology.
+ * 
+ * @param {object} rawData - Raw API response
+ * @param {number} latitude - Request latitude
+ * @param {number} longitude - Request longitude
+ * @returns {object} Processed solar data
+ */
+function processNasaResponse(rawData, latitude, longitude) {
+    // Extract the irradiance data from nested response
+    const parameters = rawData.properties?.parameter || {};
+    const irradianceData = parameters.ALLSKY_SFC_SW_DWN || {};
+    const diffuseByMonth = averageByMonth(parameters.ALLSKY_SFC_SW_DIFF || {});
+    const clearSkyByMonth = averageByMonth(parameters.CLRSKY_SFC_SW_DWN || {});
+    const temperatureByMonth = averageByMonth(parameters.T2M || {});
+    const windSpeedByMonth = averageByMonth(parameters.WS2M || {});
+
+    // Values grouped by month (0-11) and by year
+    const valuesByMonth = Array.from({ length: 12 }, () => []);
+    const valuesByYear = {};
+
+    // Iterate through every year's data (keys are in format YYYYMM)
+    Object.keys(irradianceData).forEach(key => {
+        // Skip annual average key (ends with 13)
+        if (key.endsWith('13')) return;
+
+        const value = irradianceData[key];
+
+        // Skip invalid/missing data (NASA uses -999 for missing)
+        if (value < 0) return;
+
+        const year = parseInt(key.slice(0, 4));
+        const month = parseInt(key.slice(-2)) - 1; // Convert to 0-indexed
+
+        valuesByMonth[month].push(value);
+
+        if (!valuesByYear[year]) {
+            valuesByYear[year] = {};
+        }
+        valuesByYear[year][month] = value;
+    });
+
+    // Long-term monthly statistics
+    const monthlyData = [];
+    valuesByMonth.forEach((values, month) => {
+        if (values.length === 0) return;
+
+        const stats = summarise(values);
+        const diffuse = diffuseByMonth[month];
+        const clearSky = clearSkyByMonth[month];
+        const temperature = temperatureByMonth[month];
+        const windSpeed = windSpeedByMonth[month];
+
+        monthlyData.push({
+            month: MONTH_NAMES[month],
+            monthIndex: month,
+            irradiance: round2(stats.mean), // long-term mean
+            min: round2(stats.min),
+            max: round2(stats.max),
+            stdDev: round2(stats.stdDev),
+            yearsOfData: values.length,
+            diffuseIrradiance: diffuse !== null ? round2(diffuse) : null,     // kWh/m²/day
+            clearSkyIrradiance: clearSky !== null ? round2(clearSky) : null,  // kWh/m²/day
+            // Weather (null when NASA has no data for the month)
+            temperature: temperature !== null ? round2(temperature) : null,   // °C
+            windSpeed: windSpeed !== null ? round2(windSpeed) : null          // m/s
+        });
+    });
+
+    // Year-by-year annual totals (kWh/m²/year)
+    // Only complete years are included so totals are comparable
+    const yearsUsed = Object.keys(valuesByYear)
+        .map(Number)
+        .sort((a, b) => a - b);
+
+    const annualTotals = yearsUsed
+        .filter(year => Object.keys(valuesByYear[year]).length === 12)
+        .map(year => {
+            const total = DAYS_IN_MONTH.reduce(
+                (sum, days, month) => sum + valuesByYear[year][month] * days,
+                0
+            );
+            return { year, irradiance: round2(total) };
+        });
+
+    const annualStats = summarise(annualTotals.map(item => item.irradiance));
+
+    // Calculate average daily irradiance from the long-term monthly means
+    const averageDailyIrradiance = monthlyData.length > 0
+        ? round2(monthlyData.reduce((sum, item) => sum + item.irradiance, 0) / monthlyData.length)
+        : 0;
+
+    return {
+        averageDailyIrradiance, // kWh/m²/day
+        monthlyData,
+        annualTotals, // kWh/m²/year for each complete year
+        annualVariability: {
+            mean: round2(annualStats.mean),
+            min: round2(annualStats.min),
+            max: round2(annualStats.max),
+            stdDev: round2(annualStats.stdDev),
+            unit: 'kWh/m²/year'
+        },
+        period: {
+            startYear: yearsUsed[0] || null,
+            endYear: yearsUsed[yearsUsed.length - 1] || null,
+            yearsUsed
+        },
+        dataSource: 'NASA POWER API',
+        parameter: 'ALLSKY_SFC_SW_DWN (All Sky Surface Shortwave Downward Irradiance)',
+        weatherParameters: 'T2M (Air Temperature at 2 m, °C), WS2M (Wind Speed at 2 m, m/s)',
+        unit: 'kWh/m²/day',
+        location: {
+            latitude,
+            longitude
+        },
+        note: 'Solar irradiance data represents the long-term average solar energy received per square meter per day'
+    };
+}
+
+module.exports = {
+    name: PROVIDER_NAME,
+    label: 'NASA POWER API',
+    description: 'Satellite-derived irradiance and weather from NASA (online)',
+    getMonthlyData,
+    getHourlyData,
+    FIRST_HOURLY_YEAR
+};
@@ -1,33 +1,84 @@
 /**
  * Solar Potential Calculator - Backend Server
  * 
- * This Express server provides API endpoints for fetching real-time solar data
- * from NASA POWER API. It acts as a middleware between the frontend and external APIs.
+ * This Express server provides API endpoints for fetching solar data from
+ * NASA POWER API (or local weather files - see providers/). It acts as a
+ * middleware between the frontend and external APIs.
  * 
  * Why use a backend server?
  * - Handle CORS issues when calling external APIs
  * - Cache responses to reduce API calls
  * - Process and clean data before sending to frontend
  * - Hide API implementation details from client
+ * 
+ * API Contract:
+ * - Every /api route is described in openapi.js and served at GET /api/docs
+ * - validation.js checks requests against it before the handlers run, so
+ *   handlers receive typed, in-range values
+ * - Errors use the code catalogue in errors.js (e.g. INVALID_LATITUDE)
  */
 
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const solarApiService = require('./solarApiService');
+const providers = require('./providers');
+const batchService = require('./batchService');
+const projectStore = require('./projectStore');
+const { buildOpenApiDocument } = require('./openapi');
+const { createValidator } = require('./validation');
+const { apiError, sendError } = require('./errors');
+const { calculateAll, calculateHourlyEnergy, PANEL_EFFICIENCY } = require('../utils/calculations');
+const { transposeHourly } = require('../utils/transposition');
+const tariffs = require('../utils/tariffs');
+const { FINANCE_DEFAULTS, LOAN_DEFAULTS } = require('../utils/finance');
+const costs = require('../utils/costs');
+const modules = require('../utils/modules');
+const losses = require('../utils/losses');
+const consumption = require('../utils/consumption');
+const battery = require('../utils/battery');
+const roofGeometry = require('../utils/roofGeometry');
+const uncertainty = require('../utils/uncertainty');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// API description - also drives request validation
+const openApiDocument = buildOpenApiDocument({
+    minYears: solarApiService.MIN_YEARS_WINDOW,
+    maxYears: solarApiService.MAX_YEARS_WINDOW,
+    defaultYears: solarApiService.DEFAULT_YEARS_WINDOW,
+    firstHourlyYear: solarApiService.FIRST_HOURLY_YEAR,
+    providers: providers.listProviders().map(provider => provider.name),
+    maxBatchSites: batchService.MAX_SITES,
+    tariffPresets: Object.keys(tariffs.TARIFF_PRESETS),
+    metering: tariffs.METERING_DEFAULTS,
+    finance: FINANCE_DEFAULTS,
+    loan: LOAN_DEFAULTS,
+    modules: Object.keys(modules.MODULE_CATALOG),
+    sizing: modules.SIZING_DEFAULTS,
+    losses: losses.LOSS_COMPONENTS,
+    battery: battery.BATTERY_DEFAULTS,
+    loadProfiles: Object.keys(battery.LOAD_PROFILES),
+    subsidySchemes: Object.keys(costs.SUBSIDY_SCHEMES),
+    stateTopUps: Object.keys(costs.STATE_TOPUPS),
+    uncertainty: uncertainty.UNCERTAINTY_DEFAULTS,
+    maxUncertaintySamples: uncertainty.MAX_SAMPLES
+});
+
 // Middleware setup
 app.use(cors()); // Enable CORS for frontend requests
-app.use(express.json()); // Parse JSON request bodies
+app.use(express.json({ limit: '2mb' })); // Parse JSON request bodies (saved projects carry their results)
+app.use(express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' })); // CSV uploads for batch assessment
 
 // Serve static files from React build folder
 // In development, the React app runs on port 5173
 // In production, we serve the built files from frontend/dist
 app.use(express.static(path.join(__dirname, '../frontend/dist')));
 
+// Check /api requests against the OpenAPI document (undocumented paths pass through)
+app.use(createValidator(openApiDocument));
+
 /**
  * Health check endpoint
  * Used to verify server is running
@@ -40,74 +91,635 @@ app.get('/api/health', (req, res) => {
     });
 });
 
+/**
+ * API Documentation Endpoint
+ * 
+ * The OpenAPI 3.1 document for this server - load it in Swagger UI /
+ * Redoc or generate a client from it
+ */
+app.get('/api/docs', (req, res) => {
+    res.json(openApiDocument);
+});
+
+/**
+ * Data Providers Endpoint
+ * 
+ * Lists the irradiance data sources the server can use and which one is
+ * the default (set with the SOLAR_DATA_SOURCE environment variable)
+ */
+app.get('/api/solar/providers', (req, res) => {
+    res.json({
+        success: true,
+        providers: providers.listProviders(),
+        defaultProvider: providers.DEFAULT_PROVIDER
+    });
+});
+
+/**
+ * Tariff Presets Endpoint
+ * 
+ * Lists the bundled state DISCOM slab tariffs (utils/tariffs.js) - use an
+ * `id` as the `tariff` for POST /api/calculate
+ */
+app.get('/api/tariffs', (req, res) => {
+    res.json({
+        success: true,
+        tariffs: Object.values(tariffs.TARIFF_PRESETS)
+    });
+});
+
+/**
+ * Module Catalog Endpoint
+ * 
+ * Lists the bundled solar modules (utils/modules.js) with their derived
+ * efficiency - use an `id` as `sizing.module` for POST /api/calculate
+ */
+app.get('/api/modules', (req, res) => {
+    res.json({
+        success: true,
+        modules: modules.listModules(),
+        defaults: modules.SIZING_DEFAULTS
+    });
+});
+
+/**
+ * System Loss Components Endpoint
+ * 
+ * Lists the loss tree components (utils/losses.js) with their default % -
+ * override any of them with `losses` in POST /api/calculate
+ */
+app.get('/api/losses', (req, res) => {
+    res.json({
+        success: true,
+        components: losses.listLossComponents()
+    });
+});
+
+/**
+ * Battery Load Profiles Endpoint
+ * 
+ * Lists the typical daily load shapes (utils/battery.js) and the battery
+ * defaults - use a profile id as battery.loadProfile in POST /api/calculate
+ */
+app.get('/api/batteries', (req, res) => {
+    res.json({
+        success: true,
+        loadProfiles: battery.listLoadProfiles(),
+        defaults: battery.BATTERY_DEFAULTS
+    });
+});
+
+/**
+ * Cost & Subsidy Rules Endpoint
+ * 
+ * Lists the ₹/kWp cost benchmarks, central subsidy schemes (PM Surya Ghar)
+ * and state top-ups from utils/costs.js - use the ids in `cost` for
+ * POST /api/calculate
+ */
+app.get('/api/subsidies', (req, res) => {
+    res.json({
+        success: true,
+        benchmarks: costs.COST_BENCHMARKS,
+        schemes: Object.values(costs.SUBSIDY_SCHEMES),
+        stateTopUps: Object.values(costs.STATE_TOPUPS),
+        defaultScheme: costs.DEFAULT_SUBSIDY_SCHEME
+    });
+});
+
 /**
  * Solar Data API Endpoint
  * 
- * Fetches solar irradiance data from NASA POWER API for given coordinates
+ * Fetches solar irradiance data for given coordinates from the selected
+ * data provider (NASA POWER API by default)
  * 
  * Query Parameters:
  * - lat: Latitude (-90 to 90)
  * - lon: Longitude (-180 to 180)
+ * - years: (optional) Number of complete years to average (1 to 30, default 10)
+ * - tilt: (optional) Panel tilt from horizontal in degrees (0 to 90, default 0)
+ * - azimuth: (optional) Panel compass azimuth in degrees (0 to 360, 180 = South)
+ * - source: (optional) Data provider - "nasa-power" or "file" (see /api/solar/providers)
  * 
  * Returns:
- * - averageDailyIrradiance: Average daily solar irradiance (kWh/m²/day)
- * - monthlyData: Array of monthly average values
+ * - averageDailyIrradiance: Long-term average daily solar irradiance (kWh/m²/day)
+ * - monthlyData: Array of monthly means with min/max/stdDev
+ * - annualTotals: Year-by-year annual irradiance totals
+ * - period: Which years were used
+ * - averageDailyPoaIrradiance / monthlyData[].poaIrradiance: Irradiance on the panel plane
+ * - orientation / orientationComparison: Optimal tilt and gain/loss per orientation
+ * - provider: Which data provider produced the numbers
  * - location: Coordinates used for the query
+ * 
+ * Errors (see the `x-error-codes` catalogue in /api/docs):
+ * - 400 bad_input: e.g. INVALID_LATITUDE with field "/query/lat"
+ * - 503/504 upstream_unavailable: NASA is down, slow or rate limiting us (e.g. UPSTREAM_TIMEOUT)
  */
 app.get('/api/solar', async (req, res) => {
     try {
-        const { lat, lon } = req.query;
+        // Already validated and converted to numbers by the validator
+        const { lat: latitude, lon: longitude, years, tilt, azimuth, source } = req.query;
+
+        // Fetch solar data from the selected provider
+        const solarData = await solarApiService.getSolarData(latitude, longitude, {
+            years: years ?? solarApiService.DEFAULT_YEARS_WINDOW,
+            tilt: tilt ?? 0,
+            azimuth,
+            source
+        });
+
+        res.json({
+            success: true,
+            data: solarData,
+            location: { latitude, longitude },
+            period: solarData.period
+        });
+
+    } catch (error) {
+        console.error('Error fetching solar data:', error.message);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Hourly Simulation API Endpoint
+ * 
+ * Fetches a year of hourly data (normalised to 8760 hours) and,
+ * when system details are given, runs an hour-by-hour energy simulation.
+ * 
+ * Query Parameters:
+ * - lat, lon: Coordinates (required)
+ * - year: (optional) Data year (2001 to last complete year, default last complete year)
+ * - tilt, azimuth: (optional) Panel orientation, as for /api/solar
+ * - source: (optional) Data provider, as for /api/solar (weather files are a typical year, so year is ignored)
+ * - roofArea: (optional) Roof area in m² - enables the simulation
+ * - efficiency: (optional) Panel efficiency in % (default 18)
+ * - temperatureCoefficient: (optional) Power temperature coefficient in %/°C
+ * - inverterCapacity: (optional) Inverter AC limit in kW - output above it is clipped
+ * - series: (optional) "false" to leave out the raw 8760-hour series
+ * 
+ * Returns:
+ * - data: Normalised hourly series (ghi, dhi, temperature, windSpeed)
+ * - simulation: Annual/monthly energy, peak power, clipping and a typical day per month
+ */
+app.get('/api/solar/hourly', async (req, res) => {
+    try {
+        const {
+            lat: latitude, lon: longitude, year, tilt = 0, azimuth, source,
+            roofArea, efficiency = PANEL_EFFICIENCY.DEFAULT, temperatureCoefficient, inverterCapacity, series
+        } = req.query;
+
+        const hourlyData = await solarApiService.getHourlyData(latitude, longitude, {
+            year: year ?? new Date().getFullYear() - 1,
+            source
+        });
+
+        // Run the simulation only when a roof area is given
+        let simulation = null;
+        if (roofArea !== undefined) {
+            const panelAzimuth = azimuth ?? (latitude >= 0 ? 180 : 0);
+            const poaIrradiance = transposeHourly(
+                latitude,
+                hourlyData.series.ghi,
+                hourlyData.series.dhi,
+                tilt,
+                panelAzimuth
+            );
+
+            const result = calculateHourlyEnergy({
+                roofArea,
+                efficiency,
+                poaIrradiance,
+                temperature: hourlyData.series.temperature,
+                windSpeed: hourlyData.series.windSpeed,
+                temperatureCoefficient,
+                inverterCapacity
+            });
+
+            simulation = {
+                ...result,
+                // Hourly energy is large - only include it with the raw series
+                hourlyEnergy: series === false ? undefined : result.hourlyEnergy,
+                tilt,
+                azimuth: panelAzimuth
+            };
+        }
+
+        res.json({
+            success: true,
+            data: series === false ? { ...hourlyData, series: undefined } : hourlyData,
+            simulation,
+            location: { latitude, longitude }
+        });
+
+    } catch (error) {
+        console.error('Error fetching hourly solar data:', error.message);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Calculation API Endpoint
+ * 
+ * Runs the same calculation engine the frontend uses (utils/calculations.js),
+ * so API consumers get exactly the numbers shown in the UI.
+ * 
+ * Request Body (JSON):
+ * - roofArea: Roof area in m² (required unless roofFaces is sent)
+ * - roofFaces: (optional) [{ points: [{ lat, lng }, ...], tilt, azimuth, exclusion }] - roof faces
+ *   outlined on the map; their usable area (pitch-corrected, minus obstructions) is the roof area
+ *   when roofArea is left out. Each face is laid out and modelled at its own tilt/azimuth
+ *   (flat ones at tilt/azimuth, which default to the largest face's). results.roof has the
+ *   measured faces
+ * - efficiency: Panel efficiency in % (default 18)
+ * - temperatureCoefficient: (optional) Power temperature coefficient in %/°C
+ *   (default: the module's, else -0.40)
+ * - sizing: (optional) { module, roofLength, roofWidth, setback, rowSpacing, orientation, tilt }
+ *   - fits whole modules on the roof; energy then comes from the installed kWp
+ *   - targetOffset: installs only the panels needed to cover that % of yearly consumption
+ * - losses: (optional) { soiling, inverter, ... } in % - overrides the default loss tree
+ *   (see /api/losses); results.lossTree walks from nominal DC to delivered AC energy
+ * - Electricity price, either:
+ *   - electricityRate: Flat rate in ₹/kWh
+ *   - tariff (preset id from /api/tariffs or tariff object) + monthlyConsumption
+ *     (kWh per month, one number or 12) - savings from the monthly bill, slab by slab
+ *   - sanctionedLoad: (optional) kW, for per-kW fixed charges (default 3)
+ * - monthlyBill: (optional) average bill in ₹/month instead of monthlyConsumption -
+ *   turned into units through the tariff (or flat rate)
+ * - metering: (optional) { mode: net | gross | net-billing, settlementRate, feedInTariff, exportRate }
+ *   - splits generation into self-consumed and exported energy (needs monthlyConsumption,
+ *     except gross metering at a flat rate)
+ * - cost: (optional) { costPerKw, subsidyScheme, stateTopUp } - gross cost, subsidy and
+ *   net cost from ₹/kWp benchmarks and the rules at /api/subsidies
+ * - finance: (optional) { systemCost, discountRate, tariffEscalation, degradationRate, ... }
+ *   - 25-year cash flows with NPV, IRR, LCOE and payback (rates in % per year)
+ *   - systemCost can be left out with `cost` - the net cost estimate is used
+ *   - loan: (optional) { downPaymentPercent, interestRate, tenureYears } - EMI and
+ *     monthly net position for cash, loan and zero-down purchases
+ * - horizon: (optional) skyline elevation in degrees by compass direction - numbers equally
+ *   spaced clockwise from North, or [{ azimuth, elevation }]. Needs the site latitude (lat,
+ *   latitude or the roofFaces corners); the sun is walked past it on each month's average day
+ *   and the monthly loss replaces losses.shading
+ *   (results.horizonShading, and unshadedEnergy per month)
+ * - battery: (optional) { capacity, depthOfDischarge, roundTripEfficiency, degradationRate,
+ *   loadProfile, backupLoad, costPerKwh, ... } - hourly dispatch on a typical day per month
+ *   (needs monthlyConsumption or monthlyBill); profiles and defaults at /api/batteries
+ * - uncertainty: (optional) { samples, seed, irradianceVariability, lossSpread, degradationSpread } -
+ *   Monte Carlo P50/P75/P90/P99 of annual energy and savings; with lat/lon the irradiance spread
+ *   comes from NASA's year-to-year totals
+ * - Solar data, either:
+ *   - lat, lon (+ optional tilt, azimuth, years, source) - fetched like /api/solar
+ *   - monthlyData (12 months) and/or avgDailyIrradiance - your own values, with latitude
+ *     (optional) for horizon shading and roof faces - nothing is fetched
+ * 
+ * Returns:
+ * - results: Annual energy, savings, CO₂, monthly breakdown, roof faces, horizon shading, system sizing, consumption sizing, loss tree, cost estimate, financials,
+ *   financing, battery storage, uncertainty ranges and assumptions
+ * - solarData: Summary of the irradiance data used (when fetched by lat/lon)
+ */
+app.post('/api/calculate', async (req, res) => {
+    try {
+        // Types and ranges are checked by the validator; only cross-field rules remain here
+        const {
+            roofArea,
+            roofFaces,
+            efficiency = PANEL_EFFICIENCY.DEFAULT,
+            electricityRate,
+            temperatureCoefficient,
+            sizing,
+            losses: lossOverrides,
+            tariff,
+            monthlyConsumption,
+            monthlyBill,
+            sanctionedLoad,
+            metering,
+            cost,
+            finance,
+            battery: batteryOptions,
+            horizon,
+            uncertainty: uncertaintyOptions,
+            lat,
+            lon
+        } = req.body;
+        // where the sun is - from the fetched site, the latitude sent with your own data, or the roof outline
+        const latitude = lat ?? req.body.latitude ?? roofFaces?.[0]?.points[0].lat;
+
+        if (roofArea === undefined && roofFaces === undefined) {
+            throw apiError('MISSING_PARAMETER', {
+                message: 'Send roofArea (m²) or roofFaces outlined on a map',
+                field: '/body/roofArea'
+            });
+        }
+
+        if (electricityRate === undefined && tariff === undefined) {
+            throw apiError('MISSING_PARAMETER', {
+                message: 'Send electricityRate (flat rate) or tariff with monthlyConsumption',
+                field: '/body/electricityRate'
+            });
+        }
+
+        // A bill amount stands in for monthlyConsumption
+        const hasConsumption = monthlyConsumption !== undefined || monthlyBill !== undefined;
+
+        if (tariff !== undefined && !hasConsumption) {
+            throw apiError('MISSING_PARAMETER', {
+                message: 'monthlyConsumption (or monthlyBill) is required with a slab tariff',
+                field: '/body/monthlyConsumption'
+            });
+        }
+
+        if (metering?.mode === 'net-billing' && !hasConsumption) {
+            throw apiError('MISSING_PARAMETER', {
+                message: 'monthlyConsumption (or monthlyBill) is required for net billing',
+                field: '/body/monthlyConsumption'
+            });
+        }
+
+        if (sizing?.targetOffset !== undefined && !hasConsumption) {
+            throw apiError('MISSING_PARAMETER', {
+                message: 'monthlyConsumption (or monthlyBill) is required to size from consumption',
+                field: '/body/monthlyConsumption'
+            });
+        }
+
+        if (batteryOptions && !hasConsumption) {
+            throw apiError('MISSING_PARAMETER', {
+                message: 'monthlyConsumption (or monthlyBill) is required for the battery simulation',
+                field: '/body/monthlyConsumption'
+            });
+        }
 
-        // Validate input parameters
-        if (!lat || !lon) {
-            return res.status(400).json({
-                error: 'Missing parameters',
-                message: 'Both lat and lon query parameters are required'
+        if (horizon && latitude === undefined) {
+            throw apiError('MISSING_PARAMETER', {
+                message: 'A latitude (lat and lon, latitude or roofFaces) is required to trace the sun past the horizon',
+                field: '/body/latitude'
             });
         }
 
-        const latitude = parseFloat(lat);
-        const longitude = parseFloat(lon);
+        if (finance && finance.systemCost === undefined && !cost) {
+            throw apiError('MISSING_PARAMETER', {
+                message: 'Send finance.systemCost, or a cost object to estimate it',
+                field: '/body/finance/systemCost'
+            });
+        }
 
-        // Validate coordinate ranges
-        if (isNaN(latitude) || latitude < -90 || latitude > 90) {
-            return res.status(400).json({
-                error: 'Invalid latitude',
-                message: 'Latitude must be a number between -90 and 90'
+        // Traced faces must leave some roof once obstructions are taken out
+        if (roofArea === undefined && roofFaces !== undefined && roofGeometry.measureRoof(roofFaces).usableArea <= 0) {
+            throw apiError('INVALID_ROOF_FACES', {
+                message: 'The roof faces leave no usable area after obstructions',
+                field: '/body/roofFaces'
             });
         }
 
-        if (isNaN(longitude) || longitude < -180 || longitude > 180) {
-            return res.status(400).json({
-                error: 'Invalid longitude',
-                message: 'Longitude must be a number between -180 and 180'
+        // Custom modules also need a believable efficiency
+        if (sizing && typeof sizing.module === 'object') {
+            const problem = modules.validateModule(sizing.module);
+            if (problem) {
+                throw apiError('INVALID_MODULE', { message: problem, field: '/body/sizing/module' });
+            }
+        }
+
+        // Custom tariff objects also need sensible slabs (ascending, last one open-ended)
+        if (tariff !== undefined && typeof tariff === 'object') {
+            const problem = tariffs.validateTariff(tariff);
+            if (problem) {
+                throw apiError('INVALID_TARIFF', { message: problem, field: '/body/tariff' });
+            }
+        }
+
+        // A custom load profile needs some load in it
+        if (Array.isArray(batteryOptions?.loadProfile)) {
+            try {
+                battery.resolveLoadProfile(batteryOptions.loadProfile);
+            } catch (error) {
+                throw apiError('INVALID_BATTERY', { message: error.message, field: '/body/battery/loadProfile' });
+            }
+        }
+
+        // A bill must at least cover the tariff's fixed charges
+        if (monthlyBill !== undefined && monthlyConsumption === undefined) {
+            try {
+                consumption.estimateConsumptionFromBill({
+                    monthlyBill,
+                    tariff: tariff ?? tariffs.createFlatTariff(electricityRate),
+                    sanctionedLoad
+                });
+            } catch (error) {
+                throw apiError('INVALID_BILL', { message: error.message, field: '/body/monthlyBill' });
+            }
+        }
+
+        // Traced faces without a tilt or azimuth: the panels lie on the largest face
+        const roof = roofFaces !== undefined ? roofGeometry.measureRoof(roofFaces) : null;
+        const tilt = req.body.tilt ?? (roof ? roof.tilt : 0);
+        const azimuth = req.body.azimuth ?? (roof && roof.tilt > 0 ? roof.azimuth : undefined);
+
+        let { monthlyData, avgDailyIrradiance } = req.body;
+        let solarSummary = null;
+        let annualVariability = null;
+
+        if (lat !== undefined) {
+            const solarData = await solarApiService.getSolarData(lat, lon, {
+                years: req.body.years ?? solarApiService.DEFAULT_YEARS_WINDOW,
+                tilt,
+                azimuth,
+                source: req.body.source
             });
+
+            monthlyData = solarData.monthlyData;
+            annualVariability = solarData.annualVariability ?? null;
+            avgDailyIrradiance = solarData.averageDailyPoaIrradiance ?? solarData.averageDailyIrradiance;
+            solarSummary = {
+                averageDailyIrradiance: solarData.averageDailyIrradiance,
+                averageDailyPoaIrradiance: solarData.averageDailyPoaIrradiance,
+                orientation: solarData.orientation,
+                period: solarData.period,
+                provider: solarData.provider,
+                fetchedAt: solarData.fetchedAt,
+                stale: solarData.stale
+            };
+        } else if (monthlyData) {
+            if (avgDailyIrradiance === undefined) {
+                avgDailyIrradiance = monthlyData.reduce((sum, item) => sum + (item.poaIrradiance ?? item.irradiance), 0) / 12;
+            }
+        } else if (avgDailyIrradiance === undefined) {
+            throw apiError('MISSING_SOLAR_DATA', { field: '/body' });
         }
 
-        // Fetch solar data from NASA POWER API
-        const solarData = await solarApiService.getSolarData(latitude, longitude);
+        const results = calculateAll({
+            roofArea,
+            roofFaces,
+            efficiency,
+            electricityRate,
+            avgDailyIrradiance,
+            monthlyData,
+            temperatureCoefficient,
+            sizing,
+            losses: lossOverrides,
+            tariff,
+            monthlyConsumption,
+            monthlyBill,
+            sanctionedLoad,
+            metering,
+            cost,
+            finance,
+            battery: batteryOptions,
+            latitude,
+            horizon,
+            tilt,
+            azimuth,
+            uncertainty: uncertaintyOptions,
+            annualVariability
+        });
 
         res.json({
             success: true,
-            data: solarData,
-            location: { latitude, longitude }
+            results,
+            solarData: solarSummary
         });
 
     } catch (error) {
-        console.error('Error fetching solar data:', error.message);
-        res.status(500).json({
-            error: 'API Error',
-            message: 'Failed to fetch solar data. Please try again later.'
+        console.error('Error running calculation:', error.message);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Batch Portfolio Assessment Endpoint
+ * 
+ * Runs the calculator for many sites at once (e.g. a district's school roofs).
+ * 
+ * Request Body (either):
+ * - JSON: { sites: [{ name, lat, lon, roofArea, panelType, tariff, tilt?, azimuth? }] }
+ * - CSV (Content-Type: text/csv): header row name,lat,lon,roof_area,panel_type,tariff
+ * 
+ * Query Parameters (defaults for rows that leave them out):
+ * - tariff: Electricity rate in ₹/kWh (default 7)
+ * - tilt, azimuth: Panel orientation (default 20° facing the equator)
+ * - source: Data provider, as for /api/solar
+ * 
+ * Returns:
+ * - sites: Per-site results (status "ok" or "error" with a code and message)
+ * - totals: Portfolio totals for energy, savings and CO₂ (successful sites only)
+ */
+app.post('/api/solar/batch', async (req, res) => {
+    try {
+        // JSON bodies are checked by the validator; CSV is parsed here
+        const rows = typeof req.body === 'string'
+            ? batchService.parseSitesCsv(req.body)
+            : req.body.sites;
+
+        if (rows.length === 0 || rows.length > batchService.MAX_SITES) {
+            throw apiError('INVALID_SITES', { field: '/body' });
+        }
+
+        const { tariff, tilt, azimuth, source } = req.query;
+        const portfolio = await batchService.assessPortfolio(rows, { tariff, tilt, azimuth, source });
+
+        res.json({
+            success: true,
+            ...portfolio
         });
+
+    } catch (error) {
+        console.error('Error running batch assessment:', error.message);
+        sendError(res, error);
+    }
+});
+
+/**
+ * Saved Projects Endpoints
+ * 
+ * Customer projects kept on the server (projectStore.js - one JSON file each):
+ * - GET    /api/projects               - list, newest change first (headline numbers only)
+ * - POST   /api/projects               - save { name, customerName, site, inputs, solarSnapshot, results }
+ * - GET    /api/projects/:id           - one project, in full
+ * - PATCH  /api/projects/:id           - change some fields (rename, new results)
+ * - DELETE /api/projects/:id           - delete
+ * - POST   /api/projects/:id/duplicate - copy, optionally with { name }
+ * 
+ * solarSnapshot is the irradiance data the results came from, so a reopened
+ * project reproduces its numbers even after NASA revises its data.
+ */
+app.get('/api/projects', async (req, res) => {
+    try {
+        res.json({ success: true, projects: await projectStore.listProjects() });
+    } catch (error) {
+        console.error('Error listing projects:', error.message);
+        sendError(res, error);
+    }
+});
+
+app.post('/api/projects', async (req, res) => {
+    try {
+        res.status(201).json({ success: true, project: await projectStore.createProject(req.body) });
+    } catch (error) {
+        console.error('Error saving project:', error.message);
+        sendError(res, error);
+    }
+});
+
+app.get('/api/projects/:id', async (req, res) => {
+    try {
+        res.json({ success: true, project: await projectStore.getProject(req.params.id) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.patch('/api/projects/:id', async (req, res) => {
+    try {
+        res.json({ success: true, project: await projectStore.updateProject(req.params.id, req.body) });
+    } catch (error) {
+        console.error('Error updating project:', error.message);
+        sendError(res, error);
+    }
+});
+
+app.delete('/api/projects/:id', async (req, res) => {
+    try {
+        await projectStore.deleteProject(req.params.id);
+        res.json({ success: true, id: req.params.id });
+    } catch (error) {
+        console.error('Error deleting project:', error.message);
+        sendError(res, error);
+    }
+});
+
+app.post('/api/projects/:id/duplicate', async (req, res) => {
+    try {
+        res.status(201).json({ success: true, project: await projectStore.duplicateProject(req.params.id, req.body?.name) });
+    } catch (error) {
+        console.error('Error duplicating project:', error.message);
+        sendError(res, error);
     }
 });
 
+// Unknown /api routes get a JSON 404 instead of the React app
+app.all('/api/*', (req, res) => {
+    sendError(res, apiError('NOT_FOUND', { message: `No API endpoint at ${req.method} ${req.path}` }));
+});
+
 // Serve React app for all other routes (SPA support)
 // This ensures React Router works correctly if we add it later
 app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, '../frontend/dist/index.html'));
 });
 
+// Error handler - validation failures and unreadable bodies (e.g. broken JSON)
+// (Express only treats a function with all four arguments as an error handler, so keep `next`)
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed' || error.type === 'entity.too.large') {
+        return sendError(res, apiError('INVALID_BODY', {
+            message: `Could not read the request body: ${error.message}`,
+            field: '/body'
+        }));
+    }
+    if (!error.statusCode) {
+        console.error('Unexpected error:', error.message);
+    }
+    sendError(res, error);
+});
+
 // Start server
 app.listen(PORT, () => {
     console.log(`
@@ -115,7 +727,17 @@ app.listen(PORT, () => {
     ====================================
     Server running on: http://localhost:${PORT}
     API Health Check:  http://localhost:${PORT}/api/health
+    API Docs:          http://localhost:${PORT}/api/docs
     Solar Data API:    http://localhost:${PORT}/api/solar?lat=28.6&lon=77.2
+    Hourly Data API:   http://localhost:${PORT}/api/solar/hourly?lat=28.6&lon=77.2
+    Calculation API:   POST http://localhost:${PORT}/api/calculate
+    Tariff Presets:    http://localhost:${PORT}/api/tariffs
+    Module Catalog:    http://localhost:${PORT}/api/modules
+    System Losses:     http://localhost:${PORT}/api/losses
+    Battery Profiles:  http://localhost:${PORT}/api/batteries
+    Subsidy Rules:     http://localhost:${PORT}/api/subsidies
+    Saved Projects:    http://localhost:${PORT}/api/projects
+    Data Providers:    http://localhost:${PORT}/api/solar/providers (default: ${providers.DEFAULT_PROVIDER})
     
     Ready to calculate solar potential!
     `);
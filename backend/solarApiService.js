@@ -1,152 +1,158 @@
 /**
- * NASA POWER API Service
+ * Solar Data Service
  * 
- * This module handles all interactions with NASA's POWER (Prediction Of Worldwide
- * Energy Resources) API to fetch solar irradiance data.
+ * Entry point the API routes use to get irradiance data. It picks a data
+ * provider (NASA POWER by default, or local weather files - see providers/),
+ * then adds the panel-specific parts that don't depend on the data source:
+ * irradiance on the tilted panel plane and cell temperature.
  * 
- * API Choice Justification (Important for Viva):
- * - NASA POWER API is free and doesn't require authentication
- * - Provides reliable, scientific-grade solar radiation data
- * - Data is based on satellite observations and meteorological models
- * - Widely used in solar energy research and applications
- * 
- * Parameter Used: ALLSKY_SFC_SW_DWN
- * - "All Sky Surface Shortwave Downward Irradiance"
- * - Measures total solar radiation reaching the Earth's surface
- * - Unit: kWh/m²/day (kilowatt-hours per square meter per day)
- * - Accounts for cloud cover and atmospheric conditions
+ * Every result carries a `provider` field saying which source produced it.
  */
 
-const fetch = require('node-fetch');
-const cacheService = require('./cacheService');
+const providers = require('./providers');
+const { calculateCellTemperature } = require('../utils/calculations');
+const transposition = require('../utils/transposition');
+const { round2 } = require('./providers/common');
 
-// NASA POWER API base URL
-const NASA_POWER_API_BASE = 'https://power.larc.nasa.gov/api/temporal/monthly/point';
+// Climatology window (number of complete years to average)
+// Can be overridden with the SOLAR_YEARS_WINDOW environment variable
+const DEFAULT_YEARS_WINDOW = parseInt(process.env.SOLAR_YEARS_WINDOW, 10) || 10;
+const MIN_YEARS_WINDOW = 1;
+const MAX_YEARS_WINDOW = 30;
 
 /**
- * Fetch solar irradiance data from NASA POWER API
+ * Describe a provider for API responses
+ * @param {object} provider - Provider module
+ * @returns {object} { name, label }
+ */
+function describeProvider(provider) {
+    return { name: provider.name, label: provider.label };
+}
+
+/**
+ * Fetch solar irradiance data for a location
  * 
  * @param {number} latitude - Location latitude (-90 to 90)
  * @param {number} longitude - Location longitude (-180 to 180)
- * @returns {Promise<object>} Solar data with averages and monthly values
+ * @param {object} [options] - Optional settings
+ * @param {number} [options.years] - Number of complete years to average (1-30)
+ * @param {number} [options.tilt] - Panel tilt in degrees (0 = flat, default)
+ * @param {number} [options.azimuth] - Panel compass azimuth in degrees (180 = South)
+ * @param {string} [options.source] - Data provider name (defaults to SOLAR_DATA_SOURCE)
+ * @returns {Promise<object>} Solar data with long-term averages, monthly statistics
+ *                            and irradiance on the panel plane
  */
-async function getSolarData(latitude, longitude) {
-    // Check cache first
-    const cachedData = cacheService.get(latitude, longitude);
-    if (cachedData) {
-        return cachedData;
-    }
+async function getSolarData(latitude, longitude, options = {}) {
+    const provider = providers.getProvider(options.source);
 
-    // Build API URL
-    // Using monthly temporal resolution for more accurate averages
-    // Fetching data for the last complete year
-    const currentYear = new Date().getFullYear();
-    const startYear = currentYear - 1;
-    const endYear = currentYear - 1;
-
-    const apiUrl = `${NASA_POWER_API_BASE}?` + new URLSearchParams({
-        parameters: 'ALLSKY_SFC_SW_DWN',
-        community: 'RE', // Renewable Energy community
-        longitude: longitude.toString(),
-        latitude: latitude.toString(),
-        start: startYear.toString(),
-        end: endYear.toString(),
-        format: 'JSON'
+    const data = await provider.getMonthlyData(latitude, longitude, {
+        years: options.years || DEFAULT_YEARS_WINDOW
     });
 
+    return {
+        ...applyOrientation(data, options.tilt, options.azimuth),
+        provider: describeProvider(provider)
+    };
+}
 
+/**
+ * Fetch a year of hourly irradiance and weather (normalised to 8760 hours)
+ * 
+ * @param {number} latitude - Location latitude (-90 to 90)
+ * @param {number} longitude - Location longitude (-180 to 180)
+ * @param {object} [options] - Optional settings
+ * @param {number} [options.year] - Year to fetch (providers with a typical year ignore it)
+ * @param {string} [options.source] - Data provider name (defaults to SOLAR_DATA_SOURCE)
+ * @returns {Promise<object>} Normalised 8760-hour series
+ */
+async function getHourlyData(latitude, longitude, options = {}) {
+    const provider = providers.getProvider(options.source);
+    const data = await provider.getHourlyData(latitude, longitude, { year: options.year });
 
-    try {
-        const response = await fetch(apiUrl);
-
-        if (!response.ok) {
-            throw new Error(`NASA API responded with status: ${response.status}`);
-        }
-
-        const rawData = await response.json();
-
-        // Parse and process the response
-        const processedData = processNasaResponse(rawData, latitude, longitude);
-
-        // Cache the processed data
-        cacheService.set(latitude, longitude, processedData);
-
-        return processedData;
-
-    } catch (error) {
-        console.error('Error calling NASA POWER API:', error.message);
-        throw new Error('Failed to fetch solar data from NASA POWER API');
-    }
+    return {
+        ...data,
+        provider: describeProvider(provider)
+    };
 }
 
 /**
- * Process NASA POWER API response into a clean format
+ * Add plane-of-array irradiance for a panel orientation to processed data
+ * 
+ * Also estimates cell temperature from the irradiance on the panel, finds the
+ * optimal tilt for the latitude and compares compass orientations against it.
+ * Returns a new object so cached data is never modified.
  * 
- * @param {object} rawData - Raw API response
- * @param {number} latitude - Request latitude
- * @param {number} longitude - Request longitude
- * @returns {object} Processed solar data
+ * @param {object} data - Processed (horizontal) solar data
+ * @param {number} [tilt=0] - Panel tilt in degrees
+ * @param {number} [azimuth] - Panel compass azimuth (defaults to facing the equator)
+ * @returns {object} Solar data with poaIrradiance per month and orientation analysis
  */
-function processNasaResponse(rawData, latitude, longitude) {
-    // Extract the irradiance data from nested response
-    const parameters = rawData.properties?.parameter || {};
-    const irradianceData = parameters.ALLSKY_SFC_SW_DWN || {};
-
-    // Month names for display
-    const monthNames = [
-        'January', 'February', 'March', 'April', 'May', 'June',
-        'July', 'August', 'September', 'October', 'November', 'December'
-    ];
-
-    // Process monthly data
-    const monthlyData = [];
-    let totalIrradiance = 0;
-    let validMonths = 0;
-
-    // Iterate through the year's data (keys are in format YYYYMM)
-    Object.keys(irradianceData).forEach(key => {
-        // Skip annual average key (ends with 13)
-        if (key.endsWith('13')) return;
-
-        const value = irradianceData[key];
-
-        // Skip invalid/missing data (NASA uses -999 for missing)
-        if (value < 0) return;
-
-        const month = parseInt(key.slice(-2)) - 1; // Convert to 0-indexed
-
-        monthlyData.push({
-            month: monthNames[month],
-            monthIndex: month,
-            irradiance: parseFloat(value.toFixed(2))
-        });
-
-        totalIrradiance += value;
-        validMonths++;
-    });
-
-    // Sort by month index
-    monthlyData.sort((a, b) => a.monthIndex - b.monthIndex);
+function applyOrientation(data, tilt = 0, azimuth) {
+    const { latitude } = data.location;
+    const panelAzimuth = azimuth ?? (latitude >= 0 ? 180 : 0);
+
+    if (data.monthlyData.length !== 12) {
+        // Incomplete data - fall back to horizontal values
+        return {
+            ...data,
+            averageDailyPoaIrradiance: data.averageDailyIrradiance,
+            orientation: null,
+            orientationComparison: []
+        };
+    }
 
-    // Calculate average daily irradiance
-    const averageDailyIrradiance = validMonths > 0
-        ? parseFloat((totalIrradiance / validMonths).toFixed(2))
-        : 0;
+    const poa = transposition.transposeMonthly(latitude, data.monthlyData, tilt, panelAzimuth);
+
+    const monthlyData = data.monthlyData.map((item, index) => ({
+        ...item,
+        poaIrradiance: round2(poa[index].poaIrradiance),
+        // beam and sky-diffuse parts, for horizon shading (utils/shading.js)
+        poaBeamIrradiance: round2(poa[index].beam),
+        poaDiffuseIrradiance: round2(poa[index].diffuse),
+        clearSkyPoaIrradiance: poa[index].clearSkyPoaIrradiance !== null
+            ? round2(poa[index].clearSkyPoaIrradiance)
+            : null,
+        // Panels heat up from the sunlight that actually hits them
+        cellTemperature: item.temperature !== null
+            ? calculateCellTemperature(item.temperature, poa[index].poaIrradiance, item.windSpeed ?? undefined)
+            : null
+    }));
+
+    const averageDailyPoaIrradiance = round2(
+        monthlyData.reduce((sum, item) => sum + item.poaIrradiance, 0) / 12
+    );
+
+    const optimum = transposition.findOptimalOrientation(latitude, data.monthlyData);
+    const annualPoaIrradiation = transposition.calculateAnnualPoaIrradiation(
+        latitude, data.monthlyData, tilt, panelAzimuth
+    );
 
     return {
-        averageDailyIrradiance, // kWh/m²/day
+        ...data,
+        averageDailyPoaIrradiance, // kWh/m²/day on the panel plane
         monthlyData,
-        dataSource: 'NASA POWER API',
-        parameter: 'ALLSKY_SFC_SW_DWN (All Sky Surface Shortwave Downward Irradiance)',
-        unit: 'kWh/m²/day',
-        location: {
-            latitude,
-            longitude
+        orientation: {
+            tilt,
+            azimuth: panelAzimuth,
+            annualPoaIrradiation: round2(annualPoaIrradiation),         // kWh/m²/year
+            optimalTilt: optimum.tilt,
+            optimalAzimuth: optimum.azimuth,
+            optimalAnnualIrradiation: round2(optimum.annualIrradiation), // kWh/m²/year
+            differencePercent: optimum.annualIrradiation > 0
+                ? round2(((annualPoaIrradiation - optimum.annualIrradiation) / optimum.annualIrradiation) * 100)
+                : 0,
+            diffuseSource: poa[0].diffuseSource,
+            model: 'Liu-Jordan isotropic sky, albedo ' + transposition.DEFAULT_ALBEDO
         },
-        note: 'Solar irradiance data represents the average solar energy received per square meter per day'
+        orientationComparison: transposition.compareOrientations(latitude, data.monthlyData, tilt, optimum)
     };
 }
 
 module.exports = {
-    getSolarData
+    getSolarData,
+    getHourlyData,
+    FIRST_HOURLY_YEAR: providers.getProvider('nasa-power').FIRST_HOURLY_YEAR,
+    DEFAULT_YEARS_WINDOW,
+    MIN_YEARS_WINDOW,
+    MAX_YEARS_WINDOW
 };
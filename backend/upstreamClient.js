@@ -0,0 +1,226 @@
+/**
+ * Upstream HTTP Client
+ *
+ * Wraps fetch() for calls to external APIs (NASA POWER) so a slow or broken
+ * upstream can't hang or overload our server.
+ *
+ * Resilience Features (Important for Viva):
+ * - Timeout: every attempt is aborted after `timeoutMs`
+ * - Retries: 5xx, 429 and network errors are retried with exponential
+ *   backoff (500 ms, 1 s, 2 s, ... plus a little random jitter so many
+ *   clients don't retry in lockstep). 429 honours the Retry-After header.
+ * - Circuit breaker: after several failed calls in a row the circuit "opens"
+ *   and calls fail immediately for a cool-down period instead of piling up
+ *   on an upstream that is down. One trial call is then let through
+ *   ("half-open"); if it works the circuit closes again.
+ *
+ * Errors thrown here carry `code` and `statusCode` so the API can tell the
+ * user the upstream is unavailable rather than returning a generic 500.
+ */
+
+const fetch = require('node-fetch');
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.UPSTREAM_TIMEOUT_MS, 10) || 20000;
+const DEFAULT_RETRIES = process.env.UPSTREAM_RETRIES !== undefined
+    ? parseInt(process.env.UPSTREAM_RETRIES, 10)
+    : 2;
+const BACKOFF_BASE_MS = 500;
+const MAX_RETRY_AFTER_MS = 10000;
+
+// Circuit breaker settings
+const FAILURE_THRESHOLD = 5;    // consecutive failures before opening
+const OPEN_DURATION_MS = 30000; // how long to fail fast before a trial call
+
+/**
+ * Create an error for an upstream problem
+ *
+ * @param {string} message - Error message
+ * @param {string} code - Machine-readable code (e.g. 'UPSTREAM_TIMEOUT')
+ * @param {number} statusCode - HTTP status for our API response
+ * @param {object} [extra] - Extra fields (e.g. retryAfter in seconds)
+ * @returns {Error} Error with code, statusCode and upstream flag
+ */
+function upstreamError(message, code, statusCode, extra = {}) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    error.upstream = true;
+    Object.assign(error, extra);
+    return error;
+}
+
+/**
+ * Check whether a failed attempt is worth retrying
+ *
+ * @param {Error} error - Error from an attempt
+ * @returns {boolean} True for timeouts, network errors, 5xx and 429
+ */
+function isRetryable(error) {
+    if (error.code === 'UPSTREAM_TIMEOUT' || error.code === 'UPSTREAM_NETWORK_ERROR') return true;
+    return error.upstreamStatus === 429 || error.upstreamStatus >= 500;
+}
+
+/**
+ * Wait for a number of milliseconds
+ *
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a circuit breaker for one upstream
+ *
+ * @param {string} name - Upstream name (for logs and error messages)
+ * @returns {object} Breaker with canRequest, recordSuccess, recordFailure, getState
+ */
+function createCircuitBreaker(name) {
+    let consecutiveFailures = 0;
+    let openedAt = null;
+    let trialInProgress = false;
+
+    const getState = () => {
+        if (openedAt === null) return 'closed';
+        return Date.now() - openedAt >= OPEN_DURATION_MS ? 'half-open' : 'open';
+    };
+
+    return {
+        name,
+        getState,
+
+        // Throws straight away while the circuit is open
+        canRequest() {
+            const state = getState();
+            if (state === 'closed') return;
+
+            if (state === 'half-open' && !trialInProgress) {
+                trialInProgress = true; // let one trial call through
+                return;
+            }
+
+            const retryAfter = Math.ceil((OPEN_DURATION_MS - (Date.now() - openedAt)) / 1000);
+            throw upstreamError(
+                `${name} is temporarily unavailable (too many recent failures)`,
+                'UPSTREAM_CIRCUIT_OPEN',
+                503,
+                { retryAfter: Math.max(retryAfter, 1) }
+            );
+        },
+
+        recordSuccess() {
+            consecutiveFailures = 0;
+            openedAt = null;
+            trialInProgress = false;
+        },
+
+        recordFailure() {
+            consecutiveFailures++;
+            trialInProgress = false;
+            if (openedAt !== null || consecutiveFailures >= FAILURE_THRESHOLD) {
+                if (openedAt === null) {
+                    console.error(`Circuit opened for ${name} after ${consecutiveFailures} failures`);
+                }
+                openedAt = Date.now();
+            }
+        }
+    };
+}
+
+/**
+ * Run one request with a timeout
+ *
+ * @param {string} url - URL to fetch
+ * @param {number} timeoutMs - Timeout for this attempt
+ * @param {string} name - Upstream name (for error messages)
+ * @returns {Promise<object>} Parsed JSON body
+ */
+async function attempt(url, timeoutMs, name) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+
+        if (!response.ok) {
+            const retryAfter = parseInt(response.headers?.get?.('retry-after'), 10);
+            throw upstreamError(
+                `${name} responded with status: ${response.status}`,
+                response.status === 429 ? 'UPSTREAM_RATE_LIMITED' : 'UPSTREAM_ERROR',
+                response.status >= 500 || response.status === 429 ? 503 : 502,
+                {
+                    upstreamStatus: response.status,
+                    retryAfter: isNaN(retryAfter) ? undefined : retryAfter
+                }
+            );
+        }
+
+        return await response.json();
+
+    } catch (error) {
+        if (error.upstream) throw error;
+        if (error.name === 'AbortError') {
+            throw upstreamError(`${name} did not respond within ${timeoutMs / 1000} s`, 'UPSTREAM_TIMEOUT', 504);
+        }
+        if (error instanceof SyntaxError || error.type === 'invalid-json') {
+            throw upstreamError(`${name} returned an invalid response`, 'UPSTREAM_BAD_RESPONSE', 502);
+        }
+        throw upstreamError(`${name} could not be reached: ${error.message}`, 'UPSTREAM_NETWORK_ERROR', 503);
+
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Fetch JSON from an upstream with timeout, retries and circuit breaker
+ *
+ * @param {string} url - URL to fetch
+ * @param {object} options - Settings
+ * @param {object} options.breaker - Circuit breaker from createCircuitBreaker
+ * @param {number} [options.timeoutMs] - Timeout per attempt
+ * @param {number} [options.retries] - Extra attempts after the first
+ * @returns {Promise<object>} Parsed JSON body
+ * @throws {Error} Upstream error with code and statusCode
+ */
+async function fetchJson(url, options) {
+    const { breaker, timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES } = options;
+
+    breaker.canRequest();
+
+    for (let attemptNumber = 0; ; attemptNumber++) {
+        try {
+            const body = await attempt(url, timeoutMs, breaker.name);
+            breaker.recordSuccess();
+            return body;
+
+        } catch (error) {
+            if (!isRetryable(error)) {
+                // The upstream answered, it just didn't like the request
+                breaker.recordSuccess();
+                throw error;
+            }
+
+            if (attemptNumber >= retries) {
+                breaker.recordFailure();
+                throw error;
+            }
+
+            const backoff = BACKOFF_BASE_MS * 2 ** attemptNumber + Math.random() * 100;
+            const delay = error.retryAfter
+                ? Math.min(error.retryAfter * 1000, MAX_RETRY_AFTER_MS)
+                : backoff;
+
+            console.warn(`${breaker.name} attempt ${attemptNumber + 1} failed (${error.message}), retrying in ${Math.round(delay)} ms`);
+            await sleep(delay);
+        }
+    }
+}
+
+module.exports = {
+    fetchJson,
+    createCircuitBreaker,
+    upstreamError,
+    DEFAULT_TIMEOUT_MS
+};
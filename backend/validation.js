@@ -0,0 +1,229 @@
+/**
+ * Request/Response Validation Middleware
+ *
+ * Checks every /api request against the OpenAPI document (openapi.js) so
+ * route handlers only ever see valid input, and the published contract is
+ * exactly what the server enforces.
+ *
+ * How it works:
+ * - Each operation's query parameters and JSON body schema are compiled
+ *   once at startup with Ajv (a JSON Schema validator)
+ * - Query strings are converted to the declared types ("28.6" -> 28.6,
+ *   "false" -> false) and written back to req.query
+ * - Failures become catalogue errors (errors.js): the parameter's
+ *   `x-error-code` plus a JSON pointer to the bad field, e.g.
+ *   { code: "INVALID_LATITUDE", field: "/query/lat" }
+ *
+ * Response validation (development aid):
+ * - With VALIDATE_RESPONSES=true, JSON responses are checked against the
+ *   documented response schema and mismatches are logged (never sent)
+ */
+
+const Ajv2020 = require('ajv/dist/2020');
+const { apiError, ERROR_CODES } = require('./errors');
+
+const COMPONENTS_ID = 'components';
+const VALIDATE_RESPONSES = process.env.VALIDATE_RESPONSES === 'true';
+
+/**
+ * Point OpenAPI component refs at the schema registered with Ajv
+ * ("#/components/schemas/X" -> "components#/$defs/X")
+ *
+ * @param {*} schema - Schema (or part of one)
+ * @returns {*} Copy with rewritten refs
+ */
+function rewriteRefs(schema) {
+    if (Array.isArray(schema)) return schema.map(rewriteRefs);
+    if (!schema || typeof schema !== 'object') return schema;
+
+    return Object.fromEntries(Object.entries(schema).map(([key, value]) => [
+        key,
+        key === '$ref' && typeof value === 'string'
+            ? value.replace('#/components/schemas/', `${COMPONENTS_ID}#/$defs/`)
+            : rewriteRefs(value)
+    ]));
+}
+
+/**
+ * Create an Ajv instance that knows the document's component schemas
+ *
+ * @param {object} document - OpenAPI document
+ * @param {boolean} coerceTypes - Convert strings to declared types (for query strings)
+ * @returns {object} Ajv instance
+ */
+function createAjv(document, coerceTypes) {
+    const ajv = new Ajv2020({
+        allErrors: true,       // report every bad field, not just the first
+        coerceTypes,
+        allowUnionTypes: true, // batch site fields may be numbers or CSV strings
+        validateFormats: false // formats (date-time) are documentation only
+    });
+    ajv.addKeyword('x-error-code');
+    ajv.addSchema({ $id: COMPONENTS_ID, $defs: rewriteRefs(document.components.schemas) });
+    return ajv;
+}
+
+/**
+ * Turn an OpenAPI path template into a regular expression
+ * ("/api/projects/{id}" -> /^\/api\/projects\/([^/]+)$/)
+ *
+ * @param {string} template - Path template
+ * @returns {RegExp} Matcher
+ */
+function pathToRegExp(template) {
+    const pattern = template
+        .split('/')
+        .map(part => (/^\{.+\}$/.test(part) ? '([^/]+)' : part.replace(/[.*+?^$()|[\]\\]/g, '\\$&')))
+        .join('/');
+    return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Follow a component $ref (one level) to read x-error-code annotations
+ *
+ * @param {object} document - OpenAPI document
+ * @param {object} schema - Schema that may be a $ref
+ * @returns {object} Resolved schema
+ */
+function resolveRef(document, schema) {
+    if (schema && schema.$ref) {
+        const name = schema.$ref.split('/').pop();
+        return document.components.schemas[name] || {};
+    }
+    return schema || {};
+}
+
+/**
+ * Convert Ajv errors into catalogue error entries
+ *
+ * @param {Array} ajvErrors - Errors from an Ajv validate function
+ * @param {string} location - 'query' or 'body'
+ * @param {object} properties - Top-level property schemas (for x-error-code)
+ * @returns {Array} Items of { code, field, message }
+ */
+function describeErrors(ajvErrors, location, properties) {
+    const seen = new Set();
+    const errors = [];
+
+    ajvErrors.forEach(error => {
+        const path = error.instancePath;
+        const missing = error.params.missingProperty;
+        const field = `/${location}${path}${missing ? `/${missing}` : ''}`;
+        if (seen.has(field)) return; // anyOf/oneOf can report one field several times
+        seen.add(field);
+
+        const top = (path.split('/')[1] ?? missing ?? '').replace(/~1/g, '/').replace(/~0/g, '~');
+
+        if (path === '' && !missing) {
+            errors.push({ code: 'INVALID_BODY', field: `/${location}`, message: `Request ${location} ${error.message}` });
+            return;
+        }
+
+        if (missing && path === '') {
+            errors.push({ code: 'MISSING_PARAMETER', field, message: `${missing} is required` });
+            return;
+        }
+
+        const code = properties[top]?.['x-error-code'] || 'INVALID_PARAMETER';
+        const message = code === 'INVALID_PARAMETER'
+            ? `${field.slice(location.length + 2)} ${error.message}`
+            : ERROR_CODES[code].message;
+        errors.push({ code, field, message });
+    });
+
+    return errors;
+}
+
+/**
+ * Build the validation middleware for an OpenAPI document
+ *
+ * @param {object} document - OpenAPI document
+ * @returns {function} Express middleware
+ */
+function createValidator(document) {
+    const queryAjv = createAjv(document, true);
+    const bodyAjv = createAjv(document, false);
+
+    // Compile every operation once
+    const operations = [];
+    Object.entries(document.paths).forEach(([template, methods]) => {
+        Object.entries(methods).forEach(([method, operation]) => {
+            const parameters = (operation.parameters || []).filter(p => p.in === 'query');
+            const queryProperties = Object.fromEntries(parameters.map(p => [p.name, p.schema]));
+
+            const querySchema = {
+                type: 'object',
+                properties: rewriteRefs(queryProperties),
+                required: parameters.filter(p => p.required).map(p => p.name)
+            };
+
+            const content = operation.requestBody?.content || {};
+            const jsonBodySchema = content['application/json']?.schema;
+
+            const responses = {};
+            if (VALIDATE_RESPONSES) {
+                Object.entries(operation.responses || {}).forEach(([status, response]) => {
+                    const schema = response.content?.['application/json']?.schema;
+                    if (schema) responses[status] = bodyAjv.compile(rewriteRefs(schema));
+                });
+            }
+
+            operations.push({
+                method: method.toUpperCase(),
+                matcher: pathToRegExp(template),
+                template,
+                validateQuery: queryAjv.compile(querySchema),
+                queryProperties,
+                validateBody: jsonBodySchema ? bodyAjv.compile(rewriteRefs(jsonBodySchema)) : null,
+                bodyProperties: resolveRef(document, jsonBodySchema).properties || {},
+                acceptsCsv: Boolean(content['text/csv']),
+                bodyRequired: Boolean(operation.requestBody?.required),
+                responses
+            });
+        });
+    });
+
+    return (req, res, next) => {
+        const operation = operations.find(op => op.method === req.method && op.matcher.test(req.path));
+        if (!operation) return next(); // not documented - the 404 handler deals with it
+
+        // ---- Query parameters ----
+        const query = { ...req.query };
+        if (!operation.validateQuery(query)) {
+            const errors = describeErrors(operation.validateQuery.errors, 'query', operation.queryProperties);
+            return next(apiError(errors[0].code, { message: errors[0].message, field: errors[0].field, errors }));
+        }
+        req.query = query; // with converted types
+
+        // ---- Body ----
+        if (operation.bodyRequired || operation.validateBody) {
+            if (typeof req.body === 'string') {
+                if (!operation.acceptsCsv) {
+                    return next(apiError('INVALID_BODY', { message: 'Send a JSON body (Content-Type: application/json)', field: '/body' }));
+                }
+            } else if (operation.validateBody && !operation.validateBody(req.body)) {
+                const errors = describeErrors(operation.validateBody.errors, 'body', operation.bodyProperties);
+                return next(apiError(errors[0].code, { message: errors[0].message, field: errors[0].field, errors }));
+            }
+        }
+
+        // ---- Responses (optional, logs only) ----
+        if (VALIDATE_RESPONSES) {
+            const json = res.json.bind(res);
+            res.json = body => {
+                const validate = operation.responses[String(res.statusCode)];
+                if (validate && !validate(body)) {
+                    console.warn(`Response for ${req.method} ${operation.template} does not match the OpenAPI schema:`,
+                        validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`).join('; '));
+                }
+                return json(body);
+            };
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    createValidator
+};
@@ -1,14 +1,18 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import Header from './components/Header';
 import CalculatorForm from './components/CalculatorForm';
 import MapView from './components/MapView';
 import ResultsSection from './components/ResultsSection';
+import BatchAssessment from './components/BatchAssessment';
+import ProjectList from './components/ProjectList';
 import ErrorMessage from './components/ErrorMessage';
-import { fetchSolarData, reverseGeocode } from './services/apiService';
-import { calculateSolarPotential, validateInputs } from './services/calculationService';
-import { DEFAULT_LOCATION } from './utils/constants';
+import { fetchSolarData, fetchHourlySimulation, reverseGeocode, fetchProject, saveProject, updateProject } from './services/apiService';
+import { calculateSolarPotential, validateInputs, validateUncertaintySettings, createCustomModule, parseMonthlyConsumption, parseLoadProfile, parseRoofFaces, measureRoofFaces, parseHorizon, createScenario, describeScenario, isSameLocation } from './services/calculationService';
+import { DEFAULT_LOCATION, DEFAULT_TEMPERATURE_COEFFICIENT, FLAT_TARIFF, METERING_DEFAULTS, FINANCE_DEFAULTS, LOAN_DEFAULTS, DEFAULT_SUBSIDY_SCHEME, NO_STATE_TOPUP, MODULE_CATALOG, SIZING_DEFAULTS, CUSTOM_MODULES_KEY, LOSS_DEFAULTS, SIZING_MODES, CONSUMPTION_DEFAULTS, BATTERY_DEFAULTS, CUSTOM_LOAD_PROFILE, UNCERTAINTY_DEFAULTS, SCENARIOS_KEY } from './utils/constants';
 import './App.css';
 
+const DEFAULT_MODULE = MODULE_CATALOG.find(module => module.id === SIZING_DEFAULTS.moduleId);
+
 // main component - connects everything together
 function App() {
 
@@ -17,8 +21,49 @@ function App() {
     latitude: '',
     longitude: '',
     roofArea: '',
-    panelEfficiency: '18', // default 18%
-    electricityRate: '7'   // Indian national avg
+    roofFaces: [],         // faces traced on the map: { points, tilt, azimuth, exclusion }
+    sizingMode: SIZING_MODES.ROOF, // fill the roof, or match the electricity bill
+    targetOffset: String(CONSUMPTION_DEFAULTS.targetOffset), // % of yearly use to cover
+    moduleId: SIZING_DEFAULTS.moduleId, // catalog or custom module
+    setback: String(SIZING_DEFAULTS.setback),       // m clear along roof edges
+    rowSpacing: String(SIZING_DEFAULTS.rowSpacing), // m between panel rows
+    orientation: SIZING_DEFAULTS.orientation,       // portrait / landscape / auto
+    // % loss per component (soiling, inverter, ...) - advanced section of the form
+    losses: Object.fromEntries(Object.entries(LOSS_DEFAULTS).map(([id, loss]) => [id, String(loss)])),
+    electricityRate: '7',  // Indian national avg
+    tariffPreset: FLAT_TARIFF, // or a state discom slab tariff
+    monthlyConsumption: '', // kWh/month (or 12 months) - needed for slab tariffs & net billing
+    monthlyBill: '',       // ₹/month - used when the units aren't known
+    meteringMode: METERING_DEFAULTS.mode, // net / gross / net-billing
+    settlementRate: String(METERING_DEFAULTS.settlementRate),
+    feedInTariff: String(METERING_DEFAULTS.feedInTariff),
+    exportRate: String(METERING_DEFAULTS.exportRate),
+    subsidyScheme: DEFAULT_SUBSIDY_SCHEME, // pm surya ghar
+    stateTopUp: NO_STATE_TOPUP,
+    costPerKw: '',         // ₹/kWp - empty = market benchmark
+    systemCost: '',        // ₹ - optional, overrides the estimated net cost
+    discountRate: String(FINANCE_DEFAULTS.discountRate),
+    tariffEscalation: String(FINANCE_DEFAULTS.tariffEscalation),
+    degradationRate: String(FINANCE_DEFAULTS.degradationRate),
+    omCostPercent: String(FINANCE_DEFAULTS.omCostPercent),
+    inverterReplacementYear: String(FINANCE_DEFAULTS.inverterReplacementYear),
+    inverterReplacementPercent: String(FINANCE_DEFAULTS.inverterReplacementPercent),
+    downPaymentPercent: String(LOAN_DEFAULTS.downPaymentPercent), // loan vs cash comparison
+    loanInterestRate: String(LOAN_DEFAULTS.interestRate),
+    loanTenureYears: String(LOAN_DEFAULTS.tenureYears),
+    batteryCapacity: '',   // kWh - empty = no battery
+    loadProfile: BATTERY_DEFAULTS.loadProfile, // daily load shape preset (or custom)
+    customLoadProfile: '', // 24 hourly values when the profile is custom
+    depthOfDischarge: String(BATTERY_DEFAULTS.depthOfDischarge),
+    roundTripEfficiency: String(BATTERY_DEFAULTS.roundTripEfficiency),
+    batteryDegradation: String(BATTERY_DEFAULTS.degradationRate),
+    batteryCostPerKwh: String(BATTERY_DEFAULTS.costPerKwh),
+    horizon: '',           // skyline height (°) in 16 directions from north - empty = no horizon
+    uncertaintySamples: String(UNCERTAINTY_DEFAULTS.samples), // monte carlo runs for the p50/p90 range
+    uncertaintySeed: String(UNCERTAINTY_DEFAULTS.seed),       // same seed = same range
+    temperatureCoefficient: String(DEFAULT_MODULE?.temperatureCoefficient ?? DEFAULT_TEMPERATURE_COEFFICIENT),
+    tilt: '20',            // degrees from flat
+    azimuth: '180'         // facing south
   });
 
   // Theme Management
@@ -32,6 +77,35 @@ function App() {
     localStorage.setItem('theme', isDarkMode ? 'dark' : 'light');
   }, [isDarkMode]);
 
+  // user's own modules (from datasheets) - kept between visits
+  const [customModules, setCustomModules] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(CUSTOM_MODULES_KEY)) || [];
+    } catch {
+      return [];
+    }
+  });
+
+  useEffect(() => {
+    localStorage.setItem(CUSTOM_MODULES_KEY, JSON.stringify(customModules));
+  }, [customModules]);
+
+  // saved what-if scenarios (all locations) - kept between visits
+  const [scenarios, setScenarios] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(SCENARIOS_KEY)) || [];
+    } catch {
+      return [];
+    }
+  });
+
+  useEffect(() => {
+    localStorage.setItem(SCENARIOS_KEY, JSON.stringify(scenarios));
+  }, [scenarios]);
+
+  // catalog + custom modules for the module picker
+  const modules = [...MODULE_CATALOG, ...customModules];
+
   // store map pin location
   const [mapPosition, setMapPosition] = useState({
     lat: DEFAULT_LOCATION.latitude,
@@ -41,9 +115,18 @@ function App() {
   // store final calculations
   const [results, setResults] = useState(null);
 
+  // form as it was when the results were calculated (saved with a scenario)
+  const [resultsForm, setResultsForm] = useState(null);
+
   // store raw nasa api data
   const [solarData, setSolarData] = useState(null);
 
+  // hourly simulation (typical day heatmap) - loaded after main results
+  const [hourlySimulation, setHourlySimulation] = useState(null);
+
+  // bumped on every calculate / project open - a response for an older one is dropped
+  const latestCalculation = useRef(0);
+
   // loading status
   const [isCalculating, setIsCalculating] = useState(false);
 
@@ -53,6 +136,13 @@ function App() {
   // toggle results view
   const [showResults, setShowResults] = useState(false);
 
+  // single site calculator, csv portfolio upload or saved projects
+  const [view, setView] = useState('single');
+
+  // project reopened from the server (inputs + solar snapshot), null for a fresh calculation
+  const [openProject, setOpenProject] = useState(null);
+  const [isSavingProject, setIsSavingProject] = useState(false);
+
   // search query state (lifted for map sync)
   const [searchQuery, setSearchQuery] = useState('');
 
@@ -104,30 +194,225 @@ function App() {
     }
   };
 
+  // roof faces traced or edited -> usable area (and a pitched roof's slope) into the form
+  const handleRoofFacesChange = useCallback((roofFaces) => {
+    setFormData(prev => {
+      const next = { ...prev, roofFaces };
+      const roof = roofFaces.length > 0 ? measureRoofFaces(roofFaces) : null;
+      if (!roof) return next; // nothing traced, or a face field is half typed
+
+      next.roofArea = String(roof.usableArea);
+      // panels lie flush on a pitched roof - on a flat one keep the mounting tilt
+      // (the largest face's; with several faces each is still modelled at its own)
+      if (roof.tilt > 0) {
+        next.tilt = String(roof.tilt);
+        next.azimuth = String(roof.azimuth);
+      }
+      return next;
+    });
+  }, []);
+
+  // save a custom module and select it
+  const handleAddModule = (spec) => {
+    const { module: saved, error: problem } = createCustomModule(spec);
+    if (problem) {
+      setError(problem);
+      return false;
+    }
+
+    setCustomModules(prev => [...prev, saved]);
+    setFormData(prev => ({
+      ...prev,
+      moduleId: saved.id,
+      temperatureCoefficient: String(saved.temperatureCoefficient ?? prev.temperatureCoefficient)
+    }));
+    setError(null);
+    return true;
+  };
+
   // calculate button clicked -> validate & fetch data
   const handleCalculate = async () => {
+    const calculationId = ++latestCalculation.current;
+    const isStale = () => calculationId !== latestCalculation.current;
     setError(null);
     setShowResults(false);
+    setHourlySimulation(null);
 
     const lat = parseFloat(formData.latitude);
     const lng = parseFloat(formData.longitude);
     const roofArea = parseFloat(formData.roofArea);
-    const efficiency = parseFloat(formData.panelEfficiency);
+    const selectedModule = modules.find(item => item.id === formData.moduleId) || DEFAULT_MODULE;
+    const efficiency = selectedModule.efficiency;
+    const setback = parseFloat(formData.setback);
+    const rowSpacing = parseFloat(formData.rowSpacing);
     const rate = parseFloat(formData.electricityRate);
+    const tempCoefficient = parseFloat(formData.temperatureCoefficient);
+    const tilt = parseFloat(formData.tilt);
+    const azimuth = parseFloat(formData.azimuth);
+    const consumption = parseMonthlyConsumption(formData.monthlyConsumption);
+    const monthlyBill = parseFloat(formData.monthlyBill);
+    const useSlabTariff = formData.tariffPreset !== FLAT_TARIFF;
+    const sizeFromConsumption = formData.sizingMode === SIZING_MODES.CONSUMPTION;
+    const targetOffset = parseFloat(formData.targetOffset);
+    // the bill stands in for units when they aren't known
+    const hasConsumption = consumption !== null || (!isNaN(monthlyBill) && monthlyBill > 0);
 
     // check if inputs are valid
-    const validation = validateInputs(lat, lng, roofArea, efficiency, rate);
+    const validation = validateInputs(lat, lng, roofArea, efficiency, rate, tilt, azimuth);
     if (!validation.isValid) {
       setError(validation.error);
       return;
     }
 
+    if (isNaN(setback) || setback < 0 || isNaN(rowSpacing) || rowSpacing < 0) {
+      setError('Setback and row spacing must be 0 m or more.');
+      return;
+    }
+
+    const losses = Object.fromEntries(Object.entries(formData.losses).map(([id, loss]) => [id, parseFloat(loss)]));
+    if (Object.values(losses).some(loss => isNaN(loss) || loss < 0 || loss >= 100)) {
+      setError('System losses must be between 0 and 100%.');
+      return;
+    }
+
+    const roofFaces = formData.roofFaces.length > 0 ? parseRoofFaces(formData.roofFaces) : undefined;
+    if (roofFaces === null) {
+      setError('Roof faces need a tilt of 0-90°, an azimuth of 0-360° and obstructions of 0 m² or more.');
+      return;
+    }
+
+    const horizon = formData.horizon.trim() !== '' ? parseHorizon(formData.horizon) : undefined;
+    if (horizon === null) {
+      setError('The horizon needs 16 heights from 0 to 89° (north first, clockwise).');
+      return;
+    }
+
+    const uncertainty = {
+      samples: Number(formData.uncertaintySamples),
+      seed: Number(formData.uncertaintySeed)
+    };
+    const uncertaintyProblem = validateUncertaintySettings(uncertainty);
+    if (uncertaintyProblem) {
+      setError(`${uncertaintyProblem}.`);
+      return;
+    }
+
+    if (formData.monthlyConsumption.trim() !== '' && consumption === null) {
+      setError('Monthly electricity use must be one number or 12 numbers separated by commas (kWh).');
+      return;
+    }
+
+    // slab tariffs and net billing depend on the units you use, so we need your usage
+    if ((useSlabTariff || formData.meteringMode === 'net-billing') && !hasConsumption) {
+      setError('Enter your monthly electricity use (kWh) or bill (₹) for a slab tariff or net billing.');
+      return;
+    }
+
+    if (sizeFromConsumption && !hasConsumption) {
+      setError('Enter your monthly electricity use (kWh) or bill (₹) to size the system from it.');
+      return;
+    }
+
+    if (sizeFromConsumption && (isNaN(targetOffset) || targetOffset <= 0 || targetOffset > 200)) {
+      setError('Target offset must be between 1 and 200%.');
+      return;
+    }
+
+    const metering = {
+      mode: formData.meteringMode,
+      settlementRate: parseFloat(formData.settlementRate),
+      feedInTariff: parseFloat(formData.feedInTariff),
+      exportRate: parseFloat(formData.exportRate)
+    };
+    if ([metering.settlementRate, metering.feedInTariff, metering.exportRate].some(rate => isNaN(rate) || rate < 0)) {
+      setError('Export rates must be 0 or more (₹/kWh).');
+      return;
+    }
+
+    // cost estimate - benchmark ₹/kWp unless the user has a quote
+    const costPerKw = parseFloat(formData.costPerKw);
+    if (formData.costPerKw !== '' && (isNaN(costPerKw) || costPerKw <= 0)) {
+      setError('Cost per kWp must be more than 0 (or leave it empty for the benchmark).');
+      return;
+    }
+    const cost = {
+      costPerKw: isNaN(costPerKw) ? undefined : costPerKw,
+      subsidyScheme: formData.subsidyScheme,
+      stateTopUp: formData.stateTopUp === NO_STATE_TOPUP ? undefined : formData.stateTopUp
+    };
+
+    // lifetime financials - own system cost if given, else the estimated net cost
+    const systemCost = parseFloat(formData.systemCost);
+    const finance = {
+      systemCost: !isNaN(systemCost) && systemCost > 0 ? systemCost : undefined,
+      discountRate: parseFloat(formData.discountRate),
+      tariffEscalation: parseFloat(formData.tariffEscalation),
+      degradationRate: parseFloat(formData.degradationRate),
+      omCostPercent: parseFloat(formData.omCostPercent),
+      inverterReplacementYear: parseInt(formData.inverterReplacementYear, 10),
+      inverterReplacementPercent: parseFloat(formData.inverterReplacementPercent),
+      loan: {
+        downPaymentPercent: parseFloat(formData.downPaymentPercent),
+        interestRate: parseFloat(formData.loanInterestRate),
+        tenureYears: parseFloat(formData.loanTenureYears)
+      }
+    };
+    const { discountRate, tariffEscalation, degradationRate, omCostPercent, inverterReplacementYear, inverterReplacementPercent } = finance;
+    if ([discountRate, degradationRate, omCostPercent, inverterReplacementYear, inverterReplacementPercent].some(value => isNaN(value) || value < 0) || isNaN(tariffEscalation)) {
+      setError('Financial assumptions must be numbers of 0 or more (tariff escalation can be negative).');
+      return;
+    }
+    const { loan } = finance;
+    if (isNaN(loan.downPaymentPercent) || loan.downPaymentPercent < 0 || loan.downPaymentPercent > 100 ||
+      isNaN(loan.interestRate) || loan.interestRate < 0 || isNaN(loan.tenureYears) || loan.tenureYears <= 0) {
+      setError('Loan terms: down payment 0-100%, interest 0% or more and a tenure above 0 years.');
+      return;
+    }
+
+    // home battery - only simulated when a capacity is given
+    let battery;
+    if (formData.batteryCapacity !== '') {
+      battery = {
+        capacity: parseFloat(formData.batteryCapacity),
+        depthOfDischarge: parseFloat(formData.depthOfDischarge),
+        roundTripEfficiency: parseFloat(formData.roundTripEfficiency),
+        degradationRate: parseFloat(formData.batteryDegradation),
+        costPerKwh: parseFloat(formData.batteryCostPerKwh),
+        loadProfile: formData.loadProfile === CUSTOM_LOAD_PROFILE
+          ? parseLoadProfile(formData.customLoadProfile)
+          : formData.loadProfile
+      };
+      if (isNaN(battery.capacity) || battery.capacity <= 0) {
+        setError('Battery capacity must be more than 0 kWh (or leave it empty for no battery).');
+        return;
+      }
+      if ([battery.depthOfDischarge, battery.roundTripEfficiency].some(value => isNaN(value) || value <= 0 || value > 100) ||
+        isNaN(battery.degradationRate) || battery.degradationRate < 0 || isNaN(battery.costPerKwh) || battery.costPerKwh < 0) {
+        setError('Battery: depth of discharge and efficiency 1-100%, fade and cost 0 or more.');
+        return;
+      }
+      if (battery.loadProfile === null) {
+        setError('Your load profile needs 24 hourly values (midnight first), not all zero.');
+        return;
+      }
+      if (!hasConsumption) {
+        setError('Enter your monthly electricity use (kWh) or bill (₹) to simulate a battery.');
+        return;
+      }
+    }
+
     try {
       setIsCalculating(true);
 
+      // reopened project at the same site and orientation -> its saved solar data,
+      // so it keeps the numbers it was quoted with even if nasa's data has changed
+      const reuseSnapshot = openProject?.solarSnapshot &&
+        ['latitude', 'longitude', 'tilt', 'azimuth'].every(key => parseFloat(openProject.inputs[key]) === parseFloat(formData[key]));
+
       // get solar data from backend
       console.log('fetching data...', lat, lng);
-      const solarResponse = await fetchSolarData(lat, lng);
+      const solarResponse = reuseSnapshot ? openProject.solarSnapshot : await fetchSolarData(lat, lng, { tilt, azimuth });
+      if (isStale()) return;
 
       if (!solarResponse || !solarResponse.data) {
         throw new Error('bad server response');
@@ -138,14 +423,62 @@ function App() {
         roofArea,
         efficiency,
         rate,
-        solarResponse.data.averageDailyIrradiance
+        solarResponse.data.averageDailyPoaIrradiance ?? solarResponse.data.averageDailyIrradiance,
+        solarResponse.data.monthlyData,
+        isNaN(tempCoefficient) ? DEFAULT_TEMPERATURE_COEFFICIENT : tempCoefficient,
+        {
+          // custom modules are sent as specs, catalog ones by id
+          sizing: {
+            module: selectedModule.custom ? selectedModule : selectedModule.id,
+            setback,
+            rowSpacing,
+            orientation: formData.orientation,
+            targetOffset: sizeFromConsumption ? targetOffset : undefined
+          },
+          losses,
+          roofFaces,
+          tariff: useSlabTariff ? formData.tariffPreset : undefined,
+          monthlyConsumption: consumption ?? undefined,
+          monthlyBill: consumption === null && monthlyBill > 0 ? monthlyBill : undefined,
+          metering,
+          cost,
+          finance,
+          battery,
+          latitude: lat,
+          horizon,
+          tilt,
+          azimuth,
+          uncertainty,
+          // nasa's year-to-year spread sets how much the weather varies
+          annualVariability: solarResponse.data.annualVariability
+        }
       );
 
+      const { systemSizing } = calculationResults;
+      if (systemSizing.panelCount === 0) {
+        throw new Error(`No ${selectedModule.name} panels fit on ${roofArea} m² with a ${setback} m setback - try a smaller module or setback.`);
+      }
+
       // save results and show them
       setSolarData(solarResponse);
       setResults(calculationResults);
+      setResultsForm(formData);
       setShowResults(true);
 
+      // hourly data is a big download - load it in the background
+      // so the main results show straight away
+      fetchHourlySimulation(lat, lng, {
+        tilt,
+        azimuth,
+        // the panels, not the whole roof (panel area x efficiency = installed kWp)
+        roofArea: systemSizing.panelArea,
+        efficiency: systemSizing.efficiency,
+        temperatureCoefficient: isNaN(tempCoefficient) ? DEFAULT_TEMPERATURE_COEFFICIENT : tempCoefficient
+      })
+        .then(response => !isStale() && setHourlySimulation(response.simulation))
+        // the rest of the results still stand - just say the heatmap is missing
+        .catch(() => !isStale() && setHourlySimulation({ unavailable: true }));
+
       // scroll down to results
       setTimeout(() => {
         const resultsSection = document.querySelector('.results-section');
@@ -156,12 +489,96 @@ function App() {
 
     } catch (err) {
       console.error('calc error:', err);
-      setError(err.message || 'calc failed, try again');
+      if (!isStale()) setError(err.message || 'calc failed, try again');
     } finally {
-      setIsCalculating(false);
+      if (!isStale()) setIsCalculating(false);
     }
   };
 
+  // scenarios saved for the location of the current results
+  const locationScenarios = solarData?.location
+    ? scenarios.filter(scenario => isSameLocation(scenario.location, solarData.location))
+    : [];
+
+  // save the current results - the first one at a location is the baseline
+  const handleSaveScenario = (name) => {
+    const scenario = createScenario(name, results, resultsForm, solarData.location);
+    setScenarios(prev => [...prev, { ...scenario, baseline: locationScenarios.length === 0 }]);
+  };
+
+  const handleRemoveScenario = (id) => {
+    setScenarios(prev => prev.filter(scenario => scenario.id !== id));
+  };
+
+  // one baseline per location
+  const handleSetBaseline = (id) => {
+    setScenarios(prev => prev.map(scenario => (isSameLocation(scenario.location, solarData.location)
+      ? { ...scenario, baseline: scenario.id === id }
+      : scenario)));
+  };
+
+  // save the results on the server - asNew makes a new project even when one is open
+  const handleSaveProject = async ({ name, customerName }, asNew) => {
+    const customModule = modules.find(module => module.id === resultsForm.moduleId && module.custom);
+    const project = {
+      name,
+      customerName,
+      site: { name: searchQuery, latitude: solarData.location.latitude, longitude: solarData.location.longitude },
+      // custom modules live in this browser - keep the spec so the project opens anywhere
+      inputs: customModule ? { ...resultsForm, customModule } : resultsForm,
+      solarSnapshot: solarData,
+      results
+    };
+
+    setError(null);
+    try {
+      setIsSavingProject(true);
+      const saved = asNew || !openProject
+        ? await saveProject(project)
+        : await updateProject(openProject.id, project);
+      setOpenProject(saved);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSavingProject(false);
+    }
+  };
+
+  // reopen a saved project exactly as it was calculated
+  const handleOpenProject = async (id) => {
+    const calculationId = ++latestCalculation.current;
+    setError(null);
+    // a calculation still loading is dropped, so it won't clear its own spinner
+    setIsCalculating(false);
+    try {
+      const project = await fetchProject(id);
+      if (calculationId !== latestCalculation.current) return;
+      const { customModule, ...inputs } = project.inputs;
+      if (customModule && !customModules.some(module => module.id === customModule.id)) {
+        setCustomModules(prev => [...prev, customModule]);
+      }
+
+      setFormData(prev => ({ ...prev, ...inputs }));
+      setMapPosition({ lat: project.site.latitude, lng: project.site.longitude });
+      setSearchQuery(project.site.name ?? '');
+      setSolarData(project.solarSnapshot);
+      setResults(project.results);
+      setResultsForm(inputs);
+      setHourlySimulation(null);
+      setShowResults(Boolean(project.results));
+      setOpenProject(project);
+      setView('single');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // put a scenario's inputs back in the form to tweak and recalculate
+  const handleLoadScenario = (scenario) => {
+    handleFormChange(scenario.formData);
+    document.querySelector('.grid-layout')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
   return (
     <div className={`app-wrapper ${isDarkMode ? 'dark-theme' : 'light-theme'}`}>
       <Header
@@ -172,37 +589,92 @@ function App() {
       <main className="main-content">
         <div className="container">
 
-          <div className="grid-layout">
-
-            {/* left: form inputs */}
-            <CalculatorForm
-              formData={formData}
-              onFormChange={handleFormChange}
-              onLocationFound={handleLocationFound}
-              onCalculate={handleCalculate}
-              isCalculating={isCalculating}
-              onError={setError}
-              searchQuery={searchQuery}
-              setSearchQuery={setSearchQuery}
-              currentLat={formData.latitude}
-              currentLng={formData.longitude}
-            />
-
-            {/* right: map view */}
-            <MapView
-              position={mapPosition}
-              onLocationSelect={handleLocationSelect}
-            />
+          {/* switch between one site and a csv portfolio */}
+          <div className="view-tabs">
+            <button
+              className={`btn-secondary ${view === 'single' ? 'active' : ''}`}
+              onClick={() => setView('single')}
+            >
+              Single Site
+            </button>
+            <button
+              className={`btn-secondary ${view === 'batch' ? 'active' : ''}`}
+              onClick={() => setView('batch')}
+            >
+              Portfolio (CSV)
+            </button>
+            <button
+              className={`btn-secondary ${view === 'projects' ? 'active' : ''}`}
+              onClick={() => setView('projects')}
+            >
+              My Projects
+            </button>
           </div>
 
-          <ErrorMessage message={error} onClose={() => setError(null)} />
-
-          <ResultsSection
-            results={results}
-            solarData={solarData}
-            formData={formData}
-            isVisible={showResults}
-          />
+          {view === 'batch' && (
+            <>
+              <ErrorMessage message={error} onClose={() => setError(null)} />
+              <BatchAssessment onError={setError} />
+            </>
+          )}
+
+          {view === 'projects' && (
+            <>
+              <ErrorMessage message={error} onClose={() => setError(null)} />
+              <ProjectList onOpen={handleOpenProject} onError={setError} openProjectId={openProject?.id} />
+            </>
+          )}
+
+          {view === 'single' && (
+            <>
+              <div className="grid-layout">
+
+                {/* left: form inputs */}
+                <CalculatorForm
+                  formData={formData}
+                  onFormChange={handleFormChange}
+                  onLocationFound={handleLocationFound}
+                  onCalculate={handleCalculate}
+                  isCalculating={isCalculating}
+                  onError={setError}
+                  modules={modules}
+                  onAddModule={handleAddModule}
+                  onRoofFacesChange={handleRoofFacesChange}
+                  searchQuery={searchQuery}
+                  setSearchQuery={setSearchQuery}
+                  currentLat={formData.latitude}
+                  currentLng={formData.longitude}
+                />
+
+                {/* right: map view */}
+                <MapView
+                  position={mapPosition}
+                  onLocationSelect={handleLocationSelect}
+                  roofFaces={formData.roofFaces}
+                  onRoofFacesChange={handleRoofFacesChange}
+                />
+              </div>
+
+              <ErrorMessage message={error} onClose={() => setError(null)} />
+
+              <ResultsSection
+                results={results}
+                solarData={solarData}
+                hourlySimulation={hourlySimulation}
+                formData={formData}
+                isVisible={showResults}
+                scenarios={locationScenarios}
+                scenarioName={results && resultsForm ? describeScenario(results, resultsForm) : ''}
+                onSaveScenario={handleSaveScenario}
+                onRemoveScenario={handleRemoveScenario}
+                onSetBaseline={handleSetBaseline}
+                onLoadScenario={handleLoadScenario}
+                openProject={openProject}
+                onSaveProject={handleSaveProject}
+                isSavingProject={isSavingProject}
+              />
+            </>
+          )}
         </div>
       </main>
 
@@ -0,0 +1,204 @@
+import React, { useState } from 'react';
+import ResultCard from './ResultCard';
+import { fetchBatchAssessment } from '../services/apiService';
+
+// columns shown in the results table (also used for the csv download)
+const COLUMNS = [
+    { key: 'name', label: 'Site' },
+    { key: 'latitude', label: 'Lat' },
+    { key: 'longitude', label: 'Lon' },
+    { key: 'roofArea', label: 'Roof (m²)' },
+    { key: 'efficiency', label: 'Eff. (%)' },
+    { key: 'tariff', label: 'Tariff (₹/kWh)' },
+    { key: 'annualEnergy', label: 'Energy (kWh/yr)' },
+    { key: 'annualSavings', label: 'Savings (₹/yr)' },
+    { key: 'co2Saved', label: 'CO₂ (kg/yr)' },
+    { key: 'systemSize', label: 'System (kWp)' },
+    { key: 'specificYield', label: 'kWh/kWp' },
+    { key: 'status', label: 'Status' }
+];
+
+const TEMPLATE = 'name,lat,lon,roof_area,panel_type,tariff\n' +
+    'Govt School Nagpur,21.1458,79.0882,120,mono,8\n' +
+    'Head Office Pune,18.5204,73.8567,80,perc,9.5\n';
+
+// quote a value for csv if needed
+const csvValue = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// save text as a file in the browser
+const downloadFile = (text, fileName) => {
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+const formatNumber = (value) => (typeof value === 'number' ? value.toLocaleString('en-IN') : value);
+
+// upload many sites as csv -> table of results + portfolio totals
+const BatchAssessment = ({ onError }) => {
+    const [fileName, setFileName] = useState('');
+    const [portfolio, setPortfolio] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [sort, setSort] = useState({ key: 'annualEnergy', direction: 'desc' });
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        setFileName(file.name);
+        setPortfolio(null);
+        onError(null);
+
+        try {
+            setIsLoading(true);
+            const text = await file.text();
+            const response = await fetchBatchAssessment(text);
+            setPortfolio(response);
+        } catch (err) {
+            onError(err.message);
+        } finally {
+            setIsLoading(false);
+            e.target.value = ''; // allow re-uploading the same file
+        }
+    };
+
+    // click header -> sort by it, click again -> flip direction
+    const handleSort = (key) => {
+        setSort(prev => ({
+            key,
+            direction: prev.key === key && prev.direction === 'desc' ? 'asc' : 'desc'
+        }));
+    };
+
+    const sortedSites = portfolio
+        ? [...portfolio.sites].sort((a, b) => {
+            const x = a[sort.key] ?? '';
+            const y = b[sort.key] ?? '';
+            const order = typeof x === 'number' && typeof y === 'number'
+                ? x - y
+                : String(x).localeCompare(String(y));
+            return sort.direction === 'asc' ? order : -order;
+        })
+        : [];
+
+    const handleDownload = () => {
+        const header = [...COLUMNS.map(col => col.label), 'Message'].map(csvValue).join(',');
+        const rows = sortedSites.map(site =>
+            [...COLUMNS.map(col => site[col.key]), site.message].map(csvValue).join(',')
+        );
+        downloadFile([header, ...rows].join('\n'), 'solar-portfolio-results.csv');
+    };
+
+    return (
+        <div className="batch-section fade-in">
+            <div className="card">
+                <div className="card-header">
+                    <h2>Portfolio Assessment</h2>
+                    <p className="subtitle">
+                        Upload a CSV of rooftops to assess them all at once.
+                        Columns: name, lat, lon, roof_area, panel_type (poly / mono / perc / high or an efficiency %), tariff
+                    </p>
+                </div>
+
+                <div className="batch-actions">
+                    <label className="btn-primary batch-upload">
+                        {isLoading ? 'Assessing sites...' : 'Upload Sites CSV'}
+                        <input type="file" accept=".csv,text/csv" onChange={handleFile} disabled={isLoading} hidden />
+                    </label>
+                    <button
+                        type="button"
+                        className="btn-secondary"
+                        onClick={() => downloadFile(TEMPLATE, 'solar-sites-template.csv')}
+                    >
+                        Download Template
+                    </button>
+                </div>
+                {fileName && <small className="hint">File: {fileName}</small>}
+            </div>
+
+            {portfolio && (
+                <>
+                    {/* portfolio totals */}
+                    <div className="results-grid">
+                        <ResultCard
+                            title="Total Energy"
+                            value={portfolio.totals.annualEnergy}
+                            unit="kWh/year"
+                            icon="⚡"
+                            description={`${portfolio.totals.succeeded} sites, ${formatNumber(portfolio.totals.roofArea)} m² of roof`}
+                            color="energy"
+                        />
+                        <ResultCard
+                            title="Total Savings"
+                            value={portfolio.totals.annualSavings}
+                            unit="₹/year"
+                            icon="💰"
+                            description="Across all sites"
+                            color="savings"
+                        />
+                        <ResultCard
+                            title="Total CO₂ Reduction"
+                            value={portfolio.totals.co2Saved}
+                            unit="kg/year"
+                            icon="🌱"
+                            description="Across all sites"
+                            color="co2"
+                        />
+                    </div>
+
+                    <div className="table-container card">
+                        <div className="card-header">
+                            <h2>Site Results</h2>
+                            <p className="subtitle">
+                                {portfolio.totals.succeeded} of {portfolio.totals.sites} sites assessed
+                                {portfolio.totals.failed > 0 && ` · ${portfolio.totals.failed} with errors`}
+                                {' · '}click a column to sort
+                            </p>
+                        </div>
+                        <div className="table-wrapper">
+                            <table className="data-table sortable">
+                                <thead>
+                                    <tr>
+                                        {COLUMNS.map(col => (
+                                            <th key={col.key} onClick={() => handleSort(col.key)}>
+                                                {col.label}
+                                                {sort.key === col.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                                            </th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {sortedSites.map(site => (
+                                        <tr key={site.index} className={site.status === 'error' ? 'row-error' : ''}>
+                                            {COLUMNS.map(col => (
+                                                <td key={col.key}>
+                                                    {col.key === 'status' && site.status === 'error'
+                                                        ? site.message
+                                                        : formatNumber(site[col.key])}
+                                                </td>
+                                            ))}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        <div className="batch-actions">
+                            <button type="button" className="btn-secondary" onClick={handleDownload}>
+                                Download Results CSV
+                            </button>
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default BatchAssessment;
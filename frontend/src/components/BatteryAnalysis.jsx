@@ -0,0 +1,227 @@
+import React, { useRef, useEffect, useState } from 'react';
+import {
+    Chart as ChartJS,
+    CategoryScale,
+    LinearScale,
+    LineElement,
+    PointElement,
+    Filler,
+    Title,
+    Tooltip,
+    Legend
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import ResultCard from './ResultCard';
+import { MONTHS } from '../utils/constants';
+import { formatCurrency } from 'solar-calculations';
+
+// register chartjs parts
+ChartJS.register(
+    CategoryScale,
+    LinearScale,
+    LineElement,
+    PointElement,
+    Filler,
+    Title,
+    Tooltip,
+    Legend
+);
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => `${String(hour).padStart(2, '0')}:00`);
+
+// home battery: with vs without, plus a typical day of load, solar and charge level
+const BatteryAnalysis = ({ batteryStorage }) => {
+    const { settings, months, withoutBattery, withBattery, value, typicalDays } = batteryStorage;
+
+    // start on the month the battery works hardest
+    const busiestMonth = months.reduce((best, month) => (month.discharged > months[best].discharged ? month.monthIndex : best), 0);
+    const [monthIndex, setMonthIndex] = useState(busiestMonth);
+    const day = typicalDays[monthIndex];
+
+    const chartRef = useRef(null);
+
+    // Forces a chart update on mount to avoid sizing issues
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            if (chartRef.current) {
+                chartRef.current.update();
+            }
+        }, 100);
+        return () => clearTimeout(timer);
+    }, []);
+
+    const chartData = {
+        labels: HOURS,
+        datasets: [
+            {
+                label: 'Load (kW)',
+                data: day.load,
+                borderColor: '#3B82F6',
+                backgroundColor: '#3B82F6',
+                borderWidth: 2,
+                tension: 0.3,
+                pointRadius: 0,
+                yAxisID: 'y'
+            },
+            {
+                label: 'Solar (kW)',
+                data: day.solar,
+                borderColor: '#F59E0B',
+                backgroundColor: 'rgba(245, 158, 11, 0.15)',
+                borderWidth: 2,
+                tension: 0.3,
+                pointRadius: 0,
+                fill: true,
+                yAxisID: 'y'
+            },
+            {
+                label: 'Grid Import (kW)',
+                data: day.gridImport,
+                borderColor: '#EF4444',
+                backgroundColor: '#EF4444',
+                borderWidth: 2,
+                borderDash: [4, 4],
+                tension: 0.3,
+                pointRadius: 0,
+                yAxisID: 'y'
+            },
+            {
+                label: 'Battery Charge (%)',
+                data: day.stateOfCharge,
+                borderColor: '#10B981',
+                backgroundColor: '#10B981',
+                borderWidth: 2,
+                tension: 0.3,
+                pointRadius: 0,
+                yAxisID: 'charge'
+            }
+        ]
+    };
+
+    const options = {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: { duration: 1000, easing: 'easeOutQuart' },
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+            legend: {
+                position: 'top',
+                align: 'end',
+                labels: {
+                    color: '#94A3B8',
+                    usePointStyle: true,
+                    pointStyle: 'line',
+                    font: { family: 'Inter', size: 11, weight: '500' }
+                }
+            },
+            title: { display: false },
+            tooltip: {
+                backgroundColor: '#1E293B',
+                padding: 12,
+                cornerRadius: 8,
+                titleFont: { family: 'Inter', size: 14, weight: 'bold' },
+                bodyFont: { family: 'Inter', size: 13 },
+                borderColor: 'rgba(255,255,255,0.05)',
+                borderWidth: 1,
+                callbacks: {
+                    label: (context) => context.dataset.yAxisID === 'charge'
+                        ? `Battery: ${context.raw}%`
+                        : `${context.dataset.label.replace(' (kW)', '')}: ${context.raw.toFixed(2)} kW`
+                }
+            }
+        },
+        scales: {
+            y: {
+                beginAtZero: true,
+                position: 'left',
+                grid: { color: 'rgba(255,255,255,0.03)', drawTicks: false },
+                ticks: { color: '#64748B', font: { size: 10 }, padding: 10, callback: (tick) => `${tick} kW` },
+                border: { display: false }
+            },
+            charge: {
+                min: 0,
+                max: 100,
+                position: 'right',
+                grid: { display: false },
+                ticks: { color: '#10B981', font: { size: 10 }, padding: 10, callback: (tick) => `${tick}%` },
+                border: { display: false }
+            },
+            x: {
+                grid: { display: false },
+                ticks: { color: '#64748B', font: { size: 11 }, padding: 5, maxTicksLimit: 8 },
+                border: { display: false }
+            }
+        }
+    };
+
+    return (
+        <>
+            <h2 className="section-title" style={{ marginTop: '2.2rem' }}>Home Battery ({settings.capacity} kWh)</h2>
+            <div className="results-grid">
+                <ResultCard
+                    title="Self-consumption"
+                    value={withBattery.selfConsumption}
+                    unit="%"
+                    icon="🔋"
+                    description={`Solar used at home - ${withoutBattery.selfConsumption}% without the battery`}
+                    color="solar"
+                />
+
+                <ResultCard
+                    title="Self-sufficiency"
+                    value={withBattery.selfSufficiency}
+                    unit="%"
+                    icon="🏠"
+                    description={`Use met by solar - ${withoutBattery.selfSufficiency}% without · ${withBattery.imported.toLocaleString('en-IN')} kWh/yr still imported`}
+                    color="energy"
+                />
+
+                <ResultCard
+                    title="Backup Time"
+                    value={batteryStorage.backupHours ?? 0}
+                    unit="hours"
+                    icon="🕯️"
+                    description={`${settings.usableCapacity} kWh usable at ${batteryStorage.backupLoad} kW during an outage`}
+                    color="co2"
+                />
+
+                <ResultCard
+                    title="Added Value"
+                    value={value.firstYear}
+                    unit="₹/year"
+                    icon="💰"
+                    description={value.payback === null
+                        ? `${formatCurrency(value.cost)} battery not repaid in ${value.lifetimeYears} years`
+                        : `${formatCurrency(value.cost)} battery repaid in ${value.payback} years`}
+                    color="savings"
+                />
+            </div>
+
+            {/* one typical day: solar fills the battery, the evening load empties it */}
+            <div className="chart-container card">
+                <div className="card-header">
+                    <h2>Typical Day</h2>
+                    <p className="subtitle">
+                        {settings.loadProfile.name} · each stored kWh saves ₹{value.importRate} bought
+                        but gives up ₹{value.exportRate} for exporting it
+                    </p>
+                    <select
+                        className="month-select"
+                        value={monthIndex}
+                        onChange={(e) => setMonthIndex(Number(e.target.value))}
+                        aria-label="Month"
+                    >
+                        {MONTHS.map((month, index) => (
+                            <option key={month} value={index}>{month}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="chart-wrapper">
+                    <Line ref={chartRef} options={options} data={chartData} />
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default BatteryAnalysis;
@@ -1,5 +1,10 @@
-import React from 'react';
+import React, { useState } from 'react';
 import LocationSearch from './LocationSearch';
+import HorizonEditor from './HorizonEditor';
+import { measureRoofFaces, parseHorizon } from '../services/calculationService';
+import { FLAT_TARIFF, TARIFF_PRESETS, METERING_OPTIONS, SUBSIDY_SCHEMES, STATE_TOPUPS, NO_STATE_TOPUP, ADD_CUSTOM_MODULE, LOSS_COMPONENTS, SIZING_MODES, LOAD_PROFILES, CUSTOM_LOAD_PROFILE, HORIZON_SECTORS } from '../utils/constants';
+
+const EMPTY_MODULE = { name: '', watts: '', length: '', width: '', temperatureCoefficient: '' };
 
 const CalculatorForm = ({
     formData,
@@ -8,9 +13,21 @@ const CalculatorForm = ({
     onCalculate,
     isCalculating,
     searchQuery,
-    setSearchQuery
+    setSearchQuery,
+    modules,
+    onAddModule,
+    onRoofFacesChange
 }) => {
 
+    // custom module being typed in (shown after picking "add custom module")
+    const [showModuleForm, setShowModuleForm] = useState(false);
+    const [newModule, setNewModule] = useState(EMPTY_MODULE);
+
+    const selectedModule = modules.find(module => module.id === formData.moduleId);
+
+    // rate field + hint for the chosen metering mode
+    const metering = METERING_OPTIONS.find(option => option.mode === formData.meteringMode) || METERING_OPTIONS[0];
+
     const handleChange = (e) => {
         const { name, value } = e.target;
         onFormChange({
@@ -19,6 +36,74 @@ const CalculatorForm = ({
         });
     };
 
+    // faces traced on the map, measured (null while a field is half typed)
+    const roof = formData.roofFaces.length > 0 ? measureRoofFaces(formData.roofFaces) : null;
+    // pitched faces pointing different ways (flat ones all take the mounting tilt)
+    const mixedOrientation = roof !== null &&
+        new Set(roof.faces.map(face => (face.tilt > 0 ? `${face.tilt}/${face.azimuth}` : 'flat'))).size > 1;
+
+    // per-face tilt / azimuth / obstruction inputs
+    const handleFaceChange = (index, e) => {
+        const { name, value } = e.target;
+        onRoofFacesChange(formData.roofFaces.map((face, i) => (i === index ? { ...face, [name]: value } : face)));
+    };
+
+    const handleRemoveFace = (index) => {
+        onRoofFacesChange(formData.roofFaces.filter((_, i) => i !== index));
+    };
+
+    // skyline drawn on the polar view is kept as the same comma text the input shows
+    const horizon = parseHorizon(formData.horizon) ?? Array(HORIZON_SECTORS).fill(0);
+    const handleHorizonChange = (values) => {
+        onFormChange({
+            ...formData,
+            horizon: values.join(', ')
+        });
+    };
+
+    // loss inputs live in their own object (formData.losses)
+    const handleLossChange = (e) => {
+        const { name, value } = e.target;
+        onFormChange({
+            ...formData,
+            losses: { ...formData.losses, [name]: value }
+        });
+    };
+
+    // picking a module also fills in its datasheet temperature coefficient
+    const handleModuleChange = (e) => {
+        if (e.target.value === ADD_CUSTOM_MODULE) {
+            setShowModuleForm(true);
+            return;
+        }
+        const module = modules.find(item => item.id === e.target.value);
+        setShowModuleForm(false);
+        onFormChange({
+            ...formData,
+            moduleId: module.id,
+            temperatureCoefficient: String(module.temperatureCoefficient ?? formData.temperatureCoefficient)
+        });
+    };
+
+    const handleNewModuleChange = (e) => {
+        const { name, value } = e.target;
+        setNewModule(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSaveModule = () => {
+        const saved = onAddModule({
+            name: newModule.name.trim() || undefined,
+            watts: parseFloat(newModule.watts),
+            length: parseFloat(newModule.length),
+            width: parseFloat(newModule.width),
+            temperatureCoefficient: newModule.temperatureCoefficient === '' ? undefined : parseFloat(newModule.temperatureCoefficient)
+        });
+        if (saved) {
+            setShowModuleForm(false);
+            setNewModule(EMPTY_MODULE);
+        }
+    };
+
     const handleSubmit = (e) => {
         e.preventDefault(); // stop reload
         onCalculate();
@@ -86,41 +171,534 @@ const CalculatorForm = ({
                             min="1"
                             required
                         />
-                        <small className="hint">Approx area available for panels</small>
+                        <small className="hint">
+                            {roof
+                                ? `Usable area of ${formData.roofFaces.length} traced face${formData.roofFaces.length === 1 ? '' : 's'} (pitch-corrected, minus obstructions)`
+                                : formData.sizingMode === SIZING_MODES.CONSUMPTION
+                                    ? 'Approx area available - the recommended system is checked against it'
+                                    : 'Approx area available for panels - or draw your roof on the map'}
+                        </small>
+                    </div>
+
+                    {/* faces drawn on the map - pitch, direction and obstructions for each */}
+                    {formData.roofFaces.map((face, index) => (
+                        <div className="roof-face" key={index}>
+                            <div className="roof-face-header">
+                                <span>
+                                    Face {index + 1}
+                                    {roof && ` · ${roof.faces[index].planArea} m² from above → ${roof.faces[index].usableArea} m² usable`}
+                                </span>
+                                <button type="button" className="btn-secondary" onClick={() => handleRemoveFace(index)}>Remove</button>
+                            </div>
+                            <div className="form-row">
+                                <div className="form-group half">
+                                    <label htmlFor={`faceTilt${index}`}>Roof Pitch (°)</label>
+                                    <input type="number" id={`faceTilt${index}`} name="tilt" value={face.tilt} onChange={(e) => handleFaceChange(index, e)} min="0" max="89" step="1" />
+                                </div>
+                                <div className="form-group half">
+                                    <label htmlFor={`faceAzimuth${index}`}>Faces (azimuth °)</label>
+                                    <input type="number" id={`faceAzimuth${index}`} name="azimuth" value={face.azimuth} onChange={(e) => handleFaceChange(index, e)} min="0" max="360" step="1" />
+                                </div>
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor={`faceExclusion${index}`}>Obstructions (m²)</label>
+                                <input type="number" id={`faceExclusion${index}`} name="exclusion" value={face.exclusion} onChange={(e) => handleFaceChange(index, e)} min="0" step="0.5" />
+                                <small className="hint">Water tanks, stairwells, vents - 0° pitch = flat roof</small>
+                            </div>
+                        </div>
+                    ))}
+                    {mixedOrientation && (
+                        <small className="hint warning">
+                            Faces point different ways - each is sized and modelled at its own pitch and azimuth.
+                            Horizon shading and the hourly heatmap use the largest face ({roof.tilt}° / {roof.azimuth}°).
+                        </small>
+                    )}
+
+                    {/* fill the roof, or work back from the electricity bill */}
+                    <div className="form-row">
+                        <div className="form-group half">
+                            <label htmlFor="sizingMode">System Size</label>
+                            <select
+                                id="sizingMode"
+                                name="sizingMode"
+                                value={formData.sizingMode}
+                                onChange={handleChange}
+                            >
+                                <option value={SIZING_MODES.ROOF}>Fill my roof</option>
+                                <option value={SIZING_MODES.CONSUMPTION}>Match my electricity use</option>
+                            </select>
+                        </div>
+                        {formData.sizingMode === SIZING_MODES.CONSUMPTION && (
+                            <div className="form-group half">
+                                <label htmlFor="targetOffset">Cover (% of yearly use)</label>
+                                <input
+                                    type="number"
+                                    id="targetOffset"
+                                    name="targetOffset"
+                                    value={formData.targetOffset}
+                                    onChange={handleChange}
+                                    min="1"
+                                    max="200"
+                                    step="5"
+                                    required
+                                />
+                            </div>
+                        )}
+                    </div>
+
+                    {/* roof pitch + orientation */}
+                    <div className="form-row">
+                        <div className="form-group half">
+                            <label htmlFor="tilt">Panel Tilt (°)</label>
+                            <input
+                                type="number"
+                                id="tilt"
+                                name="tilt"
+                                value={formData.tilt}
+                                onChange={handleChange}
+                                placeholder="e.g. 20"
+                                min="0"
+                                max="90"
+                                step="1"
+                            />
+                            <small className="hint">0° = flat roof</small>
+                        </div>
+                        <div className="form-group half">
+                            <label htmlFor="azimuth">Panel Azimuth (°)</label>
+                            <input
+                                type="number"
+                                id="azimuth"
+                                name="azimuth"
+                                value={formData.azimuth}
+                                onChange={handleChange}
+                                placeholder="e.g. 180"
+                                min="0"
+                                max="360"
+                                step="1"
+                            />
+                            <small className="hint">180° = South, 90° = East</small>
+                        </div>
+                    </div>
+
+                    {/* module selection - catalog + user's own modules */}
+                    <div className="form-group">
+                        <label htmlFor="moduleId">Solar Module</label>
+                        <select
+                            id="moduleId"
+                            name="moduleId"
+                            value={showModuleForm ? ADD_CUSTOM_MODULE : formData.moduleId}
+                            onChange={handleModuleChange}
+                        >
+                            {modules.map(module => (
+                                <option key={module.id} value={module.id}>
+                                    {module.name} - {module.efficiency}% eff
+                                </option>
+                            ))}
+                            <option value={ADD_CUSTOM_MODULE}>+ Add custom module...</option>
+                        </select>
+                        {selectedModule && !showModuleForm && (
+                            <small className="hint">
+                                {selectedModule.watts} W · {selectedModule.length} × {selectedModule.width} m
+                            </small>
+                        )}
+                    </div>
+
+                    {/* custom module from a datasheet */}
+                    {showModuleForm && (
+                        <div className="custom-module">
+                            <div className="form-group">
+                                <label htmlFor="customModuleName">Module Name</label>
+                                <input type="text" id="customModuleName" name="name" value={newModule.name} onChange={handleNewModuleChange} placeholder="e.g. Brand X 550 W" />
+                            </div>
+                            <div className="form-row">
+                                <div className="form-group half">
+                                    <label htmlFor="customModuleWatts">Power (W)</label>
+                                    <input type="number" id="customModuleWatts" name="watts" value={newModule.watts} onChange={handleNewModuleChange} placeholder="e.g. 550" min="1" />
+                                </div>
+                                <div className="form-group half">
+                                    <label htmlFor="customModuleCoefficient">Temp. Coefficient (%/°C)</label>
+                                    <input type="number" id="customModuleCoefficient" name="temperatureCoefficient" value={newModule.temperatureCoefficient} onChange={handleNewModuleChange} placeholder="e.g. -0.35" max="0" step="0.01" />
+                                </div>
+                            </div>
+                            <div className="form-row">
+                                <div className="form-group half">
+                                    <label htmlFor="customModuleLength">Length (m)</label>
+                                    <input type="number" id="customModuleLength" name="length" value={newModule.length} onChange={handleNewModuleChange} placeholder="e.g. 2.278" min="0" step="0.001" />
+                                </div>
+                                <div className="form-group half">
+                                    <label htmlFor="customModuleWidth">Width (m)</label>
+                                    <input type="number" id="customModuleWidth" name="width" value={newModule.width} onChange={handleNewModuleChange} placeholder="e.g. 1.134" min="0" step="0.001" />
+                                </div>
+                            </div>
+                            <button type="button" className="btn-secondary" onClick={handleSaveModule}>Save Module</button>
+                        </div>
+                    )}
+
+                    {/* layout rules - how panels are packed on the roof */}
+                    <details className="advanced-options">
+                        <summary>Panel layout</summary>
+                        <div className="form-row">
+                            <div className="form-group half">
+                                <label htmlFor="setback">Edge Setback (m)</label>
+                                <input type="number" id="setback" name="setback" value={formData.setback} onChange={handleChange} min="0" step="0.1" />
+                                <small className="hint">Clear strip along each roof edge</small>
+                            </div>
+                            <div className="form-group half">
+                                <label htmlFor="rowSpacing">Row Spacing (m)</label>
+                                <input type="number" id="rowSpacing" name="rowSpacing" value={formData.rowSpacing} onChange={handleChange} min="0" step="0.1" />
+                                <small className="hint">Walkway / shade gap between rows</small>
+                            </div>
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="orientation">Panel Orientation</label>
+                            <select id="orientation" name="orientation" value={formData.orientation} onChange={handleChange}>
+                                <option value="auto">Whichever fits more</option>
+                                <option value="portrait">Portrait</option>
+                                <option value="landscape">Landscape</option>
+                            </select>
+                        </div>
+                    </details>
+
+                    {/* loss tree - nominal dc to delivered ac energy */}
+                    <details className="advanced-options">
+                        <summary>System losses</summary>
+                        <div className="form-row">
+                            {LOSS_COMPONENTS.map(component => (
+                                <div className="form-group half" key={component.id}>
+                                    <label htmlFor={`loss-${component.id}`}>{component.name} (%)</label>
+                                    <input
+                                        type="number"
+                                        id={`loss-${component.id}`}
+                                        name={component.id}
+                                        value={formData.losses[component.id]}
+                                        onChange={handleLossChange}
+                                        min="0"
+                                        max="99"
+                                        step="0.5"
+                                        title={component.description}
+                                    />
+                                </div>
+                            ))}
+                        </div>
+                        <small className="hint">Inverter loss = 100 − inverter efficiency. Temperature loss comes from the weather data.</small>
+                    </details>
+
+                    {/* buildings / trees around the roof - sun is blocked behind them */}
+                    <details className="advanced-options">
+                        <summary>Horizon shading</summary>
+                        <HorizonEditor horizon={horizon} onChange={handleHorizonChange} />
+                        <div className="form-group">
+                            <label htmlFor="horizon">Skyline Height (°) - optional</label>
+                            <input type="text" id="horizon" name="horizon" value={formData.horizon} onChange={handleChange} placeholder="16 values from N clockwise, e.g. 0, 0, 5, ..." />
+                            <small className="hint">Click the sky view at the top of each obstruction (centre = overhead, edge = horizon). Replaces the shading loss %.</small>
+                        </div>
+                        {formData.horizon !== '' && (
+                            <button type="button" className="btn-secondary" onClick={() => onFormChange({ ...formData, horizon: '' })}>
+                                Clear Horizon
+                            </button>
+                        )}
+                    </details>
+
+                    {/* panel temperature coefficient */}
+                    <div className="form-group">
+                        <label htmlFor="temperatureCoefficient">Temperature Coefficient (%/°C)</label>
+                        <input
+                            type="number"
+                            id="temperatureCoefficient"
+                            name="temperatureCoefficient"
+                            value={formData.temperatureCoefficient}
+                            onChange={handleChange}
+                            placeholder="e.g. -0.40"
+                            max="0"
+                            step="0.01"
+                        />
+                        <small className="hint">From the panel datasheet (Pmax), usually -0.30 to -0.45</small>
                     </div>
 
-                    {/* panel type selection */}
+                    {/* tariff picker - flat rate or a state discom slab tariff */}
                     <div className="form-group">
-                        <label htmlFor="panelEfficiency">Panel Type</label>
+                        <label htmlFor="tariffPreset">Electricity Tariff</label>
                         <select
-                            id="panelEfficiency"
-                            name="panelEfficiency"
-                            value={formData.panelEfficiency}
+                            id="tariffPreset"
+                            name="tariffPreset"
+                            value={formData.tariffPreset}
                             onChange={handleChange}
                         >
-                            <option value="15">Polycrystalline (Standard) - 15% eff</option>
-                            <option value="18">Monocrystalline (Efficient) - 18% eff</option>
-                            <option value="20">PERC / Premium - 20% eff</option>
-                            <option value="22">High Efficiency - 22% eff</option>
+                            <option value={FLAT_TARIFF}>Flat rate (enter ₹/kWh)</option>
+                            {TARIFF_PRESETS.map(preset => (
+                                <option key={preset.id} value={preset.id}>
+                                    {preset.state} - {preset.name}
+                                </option>
+                            ))}
                         </select>
                     </div>
 
-                    {/* cost input */}
+                    {formData.tariffPreset === FLAT_TARIFF && (
+                        <div className="form-group">
+                            <label htmlFor="electricityRate">Electricity Rate (₹/kWh)</label>
+                            <input
+                                type="number"
+                                id="electricityRate"
+                                name="electricityRate"
+                                value={formData.electricityRate}
+                                onChange={handleChange}
+                                placeholder="e.g. 8"
+                                min="0"
+                                step="0.1"
+                                required
+                            />
+                        </div>
+                    )}
+
+                    <div className="form-group">
+                        <label htmlFor="monthlyConsumption">
+                            Monthly Electricity Use (kWh){formData.tariffPreset === FLAT_TARIFF && formData.meteringMode !== 'net-billing' && ' - optional'}
+                        </label>
+                        <input
+                            type="text"
+                            inputMode="decimal"
+                            id="monthlyConsumption"
+                            name="monthlyConsumption"
+                            value={formData.monthlyConsumption}
+                            onChange={handleChange}
+                            placeholder="e.g. 300, or 12 months: 280, 260, ..."
+                        />
+                        <small className="hint">
+                            {formData.tariffPreset === FLAT_TARIFF
+                                ? 'Units on your bill - splits solar into used-at-home and exported'
+                                : `Units on your bill - solar cuts the costliest slabs first (${TARIFF_PRESETS.find(p => p.id === formData.tariffPreset)?.effectiveFrom} rates)`}
+                        </small>
+                    </div>
+
+                    {/* don't know the units? work them out from the bill amount */}
+                    {formData.monthlyConsumption.trim() === '' && (
+                        <div className="form-group">
+                            <label htmlFor="monthlyBill">Or Average Monthly Bill (₹)</label>
+                            <input
+                                type="number"
+                                id="monthlyBill"
+                                name="monthlyBill"
+                                value={formData.monthlyBill}
+                                onChange={handleChange}
+                                placeholder="e.g. 2500"
+                                min="1"
+                                step="1"
+                            />
+                            <small className="hint">Converted to units through the tariff above</small>
+                        </div>
+                    )}
+
+                    {/* how exports are paid for */}
+                    <div className="form-row">
+                        <div className="form-group half">
+                            <label htmlFor="meteringMode">Metering</label>
+                            <select
+                                id="meteringMode"
+                                name="meteringMode"
+                                value={formData.meteringMode}
+                                onChange={handleChange}
+                            >
+                                {METERING_OPTIONS.map(option => (
+                                    <option key={option.mode} value={option.mode}>{option.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="form-group half">
+                            <label htmlFor={metering.rateField}>{metering.rateLabel}</label>
+                            <input
+                                type="number"
+                                id={metering.rateField}
+                                name={metering.rateField}
+                                value={formData[metering.rateField]}
+                                onChange={handleChange}
+                                min="0"
+                                step="0.1"
+                            />
+                            <small className="hint">{metering.hint}</small>
+                        </div>
+                    </div>
+
+                    {/* system cost = size x benchmark, minus pm surya ghar + state subsidy */}
+                    <div className="form-row">
+                        <div className="form-group half">
+                            <label htmlFor="subsidyScheme">Subsidy</label>
+                            <select
+                                id="subsidyScheme"
+                                name="subsidyScheme"
+                                value={formData.subsidyScheme}
+                                onChange={handleChange}
+                            >
+                                {SUBSIDY_SCHEMES.map(scheme => (
+                                    <option key={scheme.id} value={scheme.id}>{scheme.name}</option>
+                                ))}
+                            </select>
+                            <small className="hint">{SUBSIDY_SCHEMES.find(scheme => scheme.id === formData.subsidyScheme)?.description}</small>
+                        </div>
+                        <div className="form-group half">
+                            <label htmlFor="stateTopUp">State Top-up</label>
+                            <select
+                                id="stateTopUp"
+                                name="stateTopUp"
+                                value={formData.stateTopUp}
+                                onChange={handleChange}
+                            >
+                                <option value={NO_STATE_TOPUP}>None</option>
+                                {STATE_TOPUPS.map(topUp => (
+                                    <option key={topUp.id} value={topUp.id}>{topUp.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                    </div>
+
                     <div className="form-group">
-                        <label htmlFor="electricityRate">Electricity Rate (₹/kWh)</label>
+                        <label htmlFor="costPerKw">Installed Cost (₹/kWp) - optional</label>
                         <input
                             type="number"
-                            id="electricityRate"
-                            name="electricityRate"
-                            value={formData.electricityRate}
+                            id="costPerKw"
+                            name="costPerKw"
+                            value={formData.costPerKw}
                             onChange={handleChange}
-                            placeholder="e.g. 8"
+                            placeholder="market benchmark"
                             min="0"
-                            step="0.1"
-                            required
+                            step="1000"
                         />
+                        <small className="hint">From your installer's quote - leave empty for the benchmark by system size</small>
                     </div>
 
+                    {/* optional - replaces the estimated net cost in the 25 year cash flow */}
+                    <div className="form-group">
+                        <label htmlFor="systemCost">Total System Cost (₹) - optional</label>
+                        <input
+                            type="number"
+                            id="systemCost"
+                            name="systemCost"
+                            value={formData.systemCost}
+                            onChange={handleChange}
+                            placeholder="e.g. 180000"
+                            min="0"
+                            step="1000"
+                        />
+                        <small className="hint">Final price after subsidy - leave empty to use the estimate</small>
+                    </div>
+
+                    <details className="advanced-options">
+                        <summary>Financial assumptions</summary>
+                        <div className="form-row">
+                            <div className="form-group half">
+                                <label htmlFor="discountRate">Discount Rate (%)</label>
+                                <input type="number" id="discountRate" name="discountRate" value={formData.discountRate} onChange={handleChange} min="0" step="0.5" />
+                            </div>
+                            <div className="form-group half">
+                                <label htmlFor="tariffEscalation">Tariff Escalation (%/yr)</label>
+                                <input type="number" id="tariffEscalation" name="tariffEscalation" value={formData.tariffEscalation} onChange={handleChange} step="0.5" />
+                            </div>
+                        </div>
+                        <div className="form-row">
+                            <div className="form-group half">
+                                <label htmlFor="degradationRate">Degradation (%/yr)</label>
+                                <input type="number" id="degradationRate" name="degradationRate" value={formData.degradationRate} onChange={handleChange} min="0" step="0.1" />
+                            </div>
+                            <div className="form-group half">
+                                <label htmlFor="omCostPercent">O&amp;M (% of cost/yr)</label>
+                                <input type="number" id="omCostPercent" name="omCostPercent" value={formData.omCostPercent} onChange={handleChange} min="0" step="0.1" />
+                            </div>
+                        </div>
+                        <div className="form-row">
+                            <div className="form-group half">
+                                <label htmlFor="inverterReplacementYear">Inverter Replaced in Year</label>
+                                <input type="number" id="inverterReplacementYear" name="inverterReplacementYear" value={formData.inverterReplacementYear} onChange={handleChange} min="0" max="25" step="1" />
+                                <small className="hint">0 = never</small>
+                            </div>
+                            <div className="form-group half">
+                                <label htmlFor="inverterReplacementPercent">Inverter Cost (% of system)</label>
+                                <input type="number" id="inverterReplacementPercent" name="inverterReplacementPercent" value={formData.inverterReplacementPercent} onChange={handleChange} min="0" step="1" />
+                            </div>
+                        </div>
+                    </details>
+
+                    {/* emi terms for the cash vs loan vs zero-down comparison */}
+                    <details className="advanced-options">
+                        <summary>Loan terms</summary>
+                        <div className="form-row">
+                            <div className="form-group half">
+                                <label htmlFor="downPaymentPercent">Down Payment (%)</label>
+                                <input type="number" id="downPaymentPercent" name="downPaymentPercent" value={formData.downPaymentPercent} onChange={handleChange} min="0" max="100" step="5" />
+                            </div>
+                            <div className="form-group half">
+                                <label htmlFor="loanInterestRate">Interest Rate (%/yr)</label>
+                                <input type="number" id="loanInterestRate" name="loanInterestRate" value={formData.loanInterestRate} onChange={handleChange} min="0" step="0.25" />
+                            </div>
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="loanTenureYears">Tenure (years)</label>
+                            <input type="number" id="loanTenureYears" name="loanTenureYears" value={formData.loanTenureYears} onChange={handleChange} min="1" max="30" step="1" />
+                            <small className="hint">PM Surya Ghar loans: about 7% for up to 10 years</small>
+                        </div>
+                    </details>
+
+                    {/* home battery - stores midday surplus for the evening */}
+                    <details className="advanced-options">
+                        <summary>Battery storage</summary>
+                        <div className="form-group">
+                            <label htmlFor="batteryCapacity">Battery Capacity (kWh) - optional</label>
+                            <input type="number" id="batteryCapacity" name="batteryCapacity" value={formData.batteryCapacity} onChange={handleChange} placeholder="e.g. 5" min="0" step="0.5" />
+                            <small className="hint">Leave empty for no battery - needs your monthly use or bill</small>
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="loadProfile">Daily Load Profile</label>
+                            <select id="loadProfile" name="loadProfile" value={formData.loadProfile} onChange={handleChange}>
+                                {LOAD_PROFILES.map(profile => (
+                                    <option key={profile.id} value={profile.id}>{profile.name}</option>
+                                ))}
+                                <option value={CUSTOM_LOAD_PROFILE}>Enter my own (24 hours)</option>
+                            </select>
+                        </div>
+                        {formData.loadProfile === CUSTOM_LOAD_PROFILE && (
+                            <div className="form-group">
+                                <label htmlFor="customLoadProfile">Hourly Use (midnight first)</label>
+                                <input type="text" id="customLoadProfile" name="customLoadProfile" value={formData.customLoadProfile} onChange={handleChange} placeholder="24 values, e.g. 2, 1.5, 1.5, ..." />
+                                <small className="hint">Relative use per hour - only the shape matters, it is scaled to your monthly use</small>
+                            </div>
+                        )}
+                        <div className="form-row">
+                            <div className="form-group half">
+                                <label htmlFor="depthOfDischarge">Depth of Discharge (%)</label>
+                                <input type="number" id="depthOfDischarge" name="depthOfDischarge" value={formData.depthOfDischarge} onChange={handleChange} min="1" max="100" step="5" />
+                            </div>
+                            <div className="form-group half">
+                                <label htmlFor="roundTripEfficiency">Round-trip Efficiency (%)</label>
+                                <input type="number" id="roundTripEfficiency" name="roundTripEfficiency" value={formData.roundTripEfficiency} onChange={handleChange} min="1" max="100" step="1" />
+                            </div>
+                        </div>
+                        <div className="form-row">
+                            <div className="form-group half">
+                                <label htmlFor="batteryDegradation">Capacity Fade (%/yr)</label>
+                                <input type="number" id="batteryDegradation" name="batteryDegradation" value={formData.batteryDegradation} onChange={handleChange} min="0" step="0.5" />
+                            </div>
+                            <div className="form-group half">
+                                <label htmlFor="batteryCostPerKwh">Battery Cost (₹/kWh)</label>
+                                <input type="number" id="batteryCostPerKwh" name="batteryCostPerKwh" value={formData.batteryCostPerKwh} onChange={handleChange} min="0" step="1000" />
+                            </div>
+                        </div>
+                        <small className="hint">Lithium (LFP) home batteries: about 90% depth of discharge and 90% round-trip efficiency</small>
+                    </details>
+
+                    {/* monte carlo runs behind the p50/p90 range on the result cards */}
+                    <details className="advanced-options">
+                        <summary>Uncertainty (P50/P90)</summary>
+                        <div className="form-row">
+                            <div className="form-group half">
+                                <label htmlFor="uncertaintySamples">Simulated Years</label>
+                                <input type="number" id="uncertaintySamples" name="uncertaintySamples" value={formData.uncertaintySamples} onChange={handleChange} min="100" max="20000" step="100" />
+                            </div>
+                            <div className="form-group half">
+                                <label htmlFor="uncertaintySeed">Random Seed</label>
+                                <input type="number" id="uncertaintySeed" name="uncertaintySeed" value={formData.uncertaintySeed} onChange={handleChange} step="1" />
+                            </div>
+                        </div>
+                        <small className="hint">Weather, losses and panel wear are drawn at random - keep the seed to get the same range again</small>
+                    </details>
+
                     <button
                         type="submit"
                         className={`btn-primary ${isCalculating ? 'loading' : ''}`}
@@ -0,0 +1,141 @@
+import React, { useRef, useEffect } from 'react';
+import {
+    Chart as ChartJS,
+    CategoryScale,
+    LinearScale,
+    BarElement,
+    Title,
+    Tooltip,
+    Legend
+} from 'chart.js';
+import { Bar } from 'react-chartjs-2';
+import { MONTHS } from '../utils/constants';
+
+// register chartjs parts
+ChartJS.register(
+    CategoryScale,
+    LinearScale,
+    BarElement,
+    Title,
+    Tooltip,
+    Legend
+);
+
+// system sized from the bill: recommended kWp, roof check, use vs generation per month
+const ConsumptionChart = ({ consumptionSizing, consumptionEstimate }) => {
+    const { months } = consumptionSizing;
+
+    const chartRef = useRef(null);
+
+    // Forces a chart update on mount to avoid sizing issues
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            if (chartRef.current) {
+                chartRef.current.update();
+            }
+        }, 100);
+        return () => clearTimeout(timer);
+    }, []);
+
+    const chartData = {
+        labels: MONTHS,
+        datasets: [
+            {
+                label: 'Consumption (kWh)',
+                data: months.map(month => month.consumption),
+                backgroundColor: 'rgba(59, 130, 246, 0.4)',
+                borderColor: '#3B82F6',
+                borderWidth: 2,
+                borderRadius: 4,
+                barPercentage: 0.8,
+                categoryPercentage: 0.7
+            },
+            {
+                label: 'Solar Generation (kWh)',
+                data: months.map(month => month.generation),
+                backgroundColor: 'rgba(16, 185, 129, 0.4)',
+                borderColor: '#10B981',
+                borderWidth: 2,
+                borderRadius: 4,
+                barPercentage: 0.8,
+                categoryPercentage: 0.7
+            }
+        ]
+    };
+
+    const options = {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: { duration: 1000, easing: 'easeOutQuart' },
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+            legend: {
+                position: 'top',
+                align: 'end',
+                labels: {
+                    color: '#94A3B8',
+                    usePointStyle: true,
+                    pointStyle: 'rectRounded',
+                    font: { family: 'Inter', size: 11, weight: '500' }
+                }
+            },
+            title: { display: false },
+            tooltip: {
+                backgroundColor: '#1E293B',
+                padding: 12,
+                cornerRadius: 8,
+                titleFont: { family: 'Inter', size: 14, weight: 'bold' },
+                bodyFont: { family: 'Inter', size: 13 },
+                borderColor: 'rgba(255,255,255,0.05)',
+                borderWidth: 1,
+                callbacks: {
+                    label: (context) => `${context.dataset.label.replace(' (kWh)', '')}: ${context.raw.toLocaleString('en-IN')} kWh`
+                }
+            }
+        },
+        scales: {
+            y: {
+                beginAtZero: true,
+                grid: { color: 'rgba(255,255,255,0.03)', drawTicks: false },
+                ticks: { color: '#64748B', font: { size: 10 }, padding: 10 },
+                border: { display: false }
+            },
+            x: {
+                grid: { display: false },
+                ticks: { color: '#64748B', font: { size: 11 }, padding: 5 },
+                border: { display: false }
+            }
+        }
+    };
+
+    return (
+        <div className="chart-container card">
+            <div className="card-header">
+                <h2>Use vs Generation</h2>
+                <p className="subtitle">
+                    {consumptionSizing.annualConsumption.toLocaleString('en-IN')} kWh/year
+                    {consumptionEstimate && ` (from a ₹${consumptionEstimate.monthlyBill.toLocaleString('en-IN')} bill ≈ ${consumptionEstimate.monthlyConsumption} kWh/month)`}
+                    {' '}· {consumptionSizing.targetOffset}% needs {consumptionSizing.recommendedKwp} kWp
+                    at {consumptionSizing.specificYield.toLocaleString('en-IN')} kWh/kWp
+                    · {consumptionSizing.panelsNeeded} panels
+                </p>
+                {consumptionSizing.fitsOnRoof ? (
+                    <p className="subtitle">
+                        Installed {consumptionSizing.installedKwp} kWp covers {consumptionSizing.achievedOffset}% of your yearly use
+                    </p>
+                ) : (
+                    <p className="subtitle warning">
+                        Only {consumptionSizing.roofPanelLimit} panels ({consumptionSizing.roofCapacity} kWp) fit on this roof -
+                        {consumptionSizing.roofAreaNeeded !== null && ` about ${consumptionSizing.roofAreaNeeded} m² is needed;`}
+                        {' '}they cover {consumptionSizing.achievedOffset}% of your yearly use
+                    </p>
+                )}
+            </div>
+            <div className="chart-wrapper">
+                <Bar ref={chartRef} options={options} data={chartData} />
+            </div>
+        </div>
+    );
+};
+
+export default ConsumptionChart;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { formatCurrency } from 'solar-calculations';
+
+// gross cost -> subsidy (central slabs + state top-up) -> net cost
+const CostEstimate = ({ costEstimate }) => {
+    const { subsidy } = costEstimate;
+
+    return (
+        <div className="table-container card">
+            <div className="card-header">
+                <h2>System Cost</h2>
+                <p className="subtitle">
+                    {costEstimate.systemSize} kWp · {formatCurrency(costEstimate.costPerKw)}/kWp
+                    {costEstimate.customCost
+                        ? ` (your quote, benchmark ${formatCurrency(costEstimate.benchmarkCostPerKw)}/kWp)`
+                        : ' (market benchmark for this size)'}
+                </p>
+            </div>
+            <div className="table-wrapper">
+                <table className="data-table">
+                    <tbody>
+                        <tr>
+                            <td>Gross cost</td>
+                            <td>{costEstimate.systemSize} kWp × {formatCurrency(costEstimate.costPerKw)}</td>
+                            <td>{formatCurrency(costEstimate.grossCost)}</td>
+                        </tr>
+                        {subsidy.centralSlabs.map((slab, index) => (
+                            <tr key={index}>
+                                <td>{index === 0 ? subsidy.scheme.name : ''}</td>
+                                <td>{slab.kw} kW × {formatCurrency(slab.perKw)}</td>
+                                <td>{formatCurrency(-slab.amount)}</td>
+                            </tr>
+                        ))}
+                        {subsidy.centralSlabs.reduce((sum, slab) => sum + slab.amount, 0) > subsidy.central && (
+                            <tr>
+                                <td></td>
+                                <td>Capped at</td>
+                                <td>{formatCurrency(-subsidy.central)}</td>
+                            </tr>
+                        )}
+                        {subsidy.stateName && (
+                            <tr>
+                                <td>{subsidy.stateName} top-up</td>
+                                <td></td>
+                                <td>{formatCurrency(-subsidy.state)}</td>
+                            </tr>
+                        )}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <td>Net cost</td>
+                            <td>after {formatCurrency(subsidy.total)} subsidy</td>
+                            <td>{formatCurrency(costEstimate.netCost)}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default CostEstimate;
@@ -0,0 +1,230 @@
+import React, { useRef, useEffect } from 'react';
+import {
+    Chart as ChartJS,
+    CategoryScale,
+    LinearScale,
+    LineElement,
+    PointElement,
+    Filler,
+    Title,
+    Tooltip,
+    Legend
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import ResultCard from './ResultCard';
+import { formatCurrency } from 'solar-calculations';
+
+// register chartjs parts
+ChartJS.register(
+    CategoryScale,
+    LinearScale,
+    LineElement,
+    PointElement,
+    Filler,
+    Title,
+    Tooltip,
+    Legend
+);
+
+// lifetime view: npv / irr / lcoe / payback cards, cumulative cash flow and yearly table
+const FinancialSummary = ({ financials }) => {
+    const { years, assumptions, totals } = financials;
+
+    const chartRef = useRef(null);
+
+    // Forces a chart update on mount to avoid sizing issues
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            if (chartRef.current) {
+                chartRef.current.update();
+            }
+        }, 100);
+        return () => clearTimeout(timer);
+    }, []);
+
+    const chartData = {
+        labels: years.map(row => `Y${row.year}`),
+        datasets: [
+            {
+                label: 'Cumulative Cash Flow (₹)',
+                data: years.map(row => row.cumulative),
+                borderColor: '#10B981',
+                backgroundColor: 'rgba(16, 185, 129, 0.15)',
+                fill: 'origin',
+                tension: 0.2,
+                pointRadius: 2
+            },
+            {
+                label: `Discounted @ ${assumptions.discountRate}% (₹)`,
+                data: years.map(row => row.cumulativeDiscounted),
+                borderColor: '#3B82F6',
+                borderDash: [6, 4],
+                fill: false,
+                tension: 0.2,
+                pointRadius: 0
+            }
+        ]
+    };
+
+    const options = {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: { duration: 1000, easing: 'easeOutQuart' },
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+            legend: {
+                position: 'top',
+                align: 'end',
+                labels: {
+                    color: '#94A3B8',
+                    usePointStyle: true,
+                    pointStyle: 'line',
+                    font: { family: 'Inter', size: 11, weight: '500' }
+                }
+            },
+            title: { display: false },
+            tooltip: {
+                backgroundColor: '#1E293B',
+                padding: 12,
+                cornerRadius: 8,
+                titleFont: { family: 'Inter', size: 14, weight: 'bold' },
+                bodyFont: { family: 'Inter', size: 13 },
+                borderColor: 'rgba(255,255,255,0.05)',
+                borderWidth: 1,
+                callbacks: {
+                    label: (context) => `${context.dataset.label.replace(' (₹)', '')}: ${formatCurrency(context.raw)}`
+                }
+            }
+        },
+        scales: {
+            y: {
+                grid: { color: 'rgba(255,255,255,0.03)', drawTicks: false },
+                ticks: {
+                    color: '#64748B',
+                    font: { size: 10 },
+                    padding: 10,
+                    callback: (value) => formatCurrency(value)
+                },
+                border: { display: false }
+            },
+            x: {
+                grid: { display: false },
+                ticks: { color: '#64748B', font: { size: 11 }, padding: 5 },
+                border: { display: false }
+            }
+        }
+    };
+
+    return (
+        <>
+            <h2 className="section-title" style={{ marginTop: '2.2rem' }}>{assumptions.lifetimeYears}-Year Financials</h2>
+            <div className="results-grid">
+                <ResultCard
+                    title="Net Present Value"
+                    value={financials.npv}
+                    unit="₹"
+                    icon="📈"
+                    description={`Today's value of all cash flows at ${assumptions.discountRate}%`}
+                    color="savings"
+                />
+
+                <ResultCard
+                    title="Internal Rate of Return"
+                    value={financials.irr ?? 0}
+                    unit="%/year"
+                    icon="🏦"
+                    description={financials.irr === null ? 'Investment is not recovered' : 'Compare with an FD or loan rate'}
+                    color="energy"
+                />
+
+                <ResultCard
+                    title="Levelised Cost (LCOE)"
+                    value={financials.lcoe ?? 0}
+                    unit="₹/kWh"
+                    icon="🔌"
+                    description="Lifetime cost per unit generated"
+                    color="co2"
+                />
+
+                <ResultCard
+                    title="Payback Period"
+                    value={financials.simplePayback ?? 0}
+                    unit="years"
+                    icon="⏳"
+                    description={financials.simplePayback === null
+                        ? `Not within ${assumptions.lifetimeYears} years`
+                        : `Discounted: ${financials.discountedPayback ?? `> ${assumptions.lifetimeYears}`} years`}
+                    color="solar"
+                />
+            </div>
+
+            {/* cumulative cash flow - crosses zero at payback */}
+            <div className="chart-container card">
+                <div className="card-header">
+                    <h2>Cumulative Cash Flow</h2>
+                    <p className="subtitle">
+                        {formatCurrency(-years[0].cashFlow)} invested · {assumptions.degradationRate}%/yr degradation · {assumptions.tariffEscalation}%/yr tariff rise
+                        · O&amp;M {assumptions.omCostPercent}% of cost/yr
+                        {assumptions.inverterReplacementYear > 0 && ` · inverter replaced in year ${assumptions.inverterReplacementYear}`}
+                    </p>
+                </div>
+                <div className="chart-wrapper">
+                    <Line ref={chartRef} options={options} data={chartData} />
+                </div>
+            </div>
+
+            {/* year by year cash flow table */}
+            <div className="table-container card">
+                <div className="card-header">
+                    <h2>Year-by-Year Cash Flow</h2>
+                    <p className="subtitle">
+                        Net gain over {assumptions.lifetimeYears} years: {formatCurrency(totals.netGain)}
+                    </p>
+                </div>
+                <div className="table-wrapper">
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>Year</th>
+                                <th>Energy (kWh)</th>
+                                <th>Savings</th>
+                                <th>O&amp;M</th>
+                                <th>Inverter</th>
+                                <th>Net Cash Flow</th>
+                                <th>Cumulative</th>
+                                <th>Discounted Cumulative</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {years.map(row => (
+                                <tr key={row.year}>
+                                    <td>{row.year}</td>
+                                    <td>{row.energy.toLocaleString('en-IN')}</td>
+                                    <td>{formatCurrency(row.savings)}</td>
+                                    <td>{formatCurrency(row.omCost)}</td>
+                                    <td>{row.inverterCost ? formatCurrency(row.inverterCost) : '-'}</td>
+                                    <td className={row.cashFlow < 0 ? 'negative' : ''}>{formatCurrency(row.cashFlow)}</td>
+                                    <td className={row.cumulative < 0 ? 'negative' : ''}>{formatCurrency(row.cumulative)}</td>
+                                    <td className={row.cumulativeDiscounted < 0 ? 'negative' : ''}>{formatCurrency(row.cumulativeDiscounted)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                        <tfoot>
+                            <tr>
+                                <td>Total</td>
+                                <td>{totals.energy.toLocaleString('en-IN')}</td>
+                                <td>{formatCurrency(totals.savings)}</td>
+                                <td colSpan="2">{formatCurrency(totals.costs)} incl. system</td>
+                                <td></td>
+                                <td>{formatCurrency(totals.netGain)}</td>
+                                <td>{formatCurrency(financials.npv)}</td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default FinancialSummary;
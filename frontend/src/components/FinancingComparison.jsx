@@ -0,0 +1,172 @@
+import React, { useRef, useEffect } from 'react';
+import {
+    Chart as ChartJS,
+    CategoryScale,
+    LinearScale,
+    LineElement,
+    PointElement,
+    Title,
+    Tooltip,
+    Legend
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { formatCurrency } from 'solar-calculations';
+
+// register chartjs parts
+ChartJS.register(
+    CategoryScale,
+    LinearScale,
+    LineElement,
+    PointElement,
+    Title,
+    Tooltip,
+    Legend
+);
+
+// one colour per way of paying
+const SCENARIO_COLORS = {
+    cash: '#10B981',
+    loan: '#3B82F6',
+    'zero-down': '#F59E0B'
+};
+
+// comparison rows: label + how to show each scenario's value
+const ROWS = [
+    { label: 'Paid up front', value: s => formatCurrency(s.upfront) },
+    { label: 'Loan amount', value: s => formatCurrency(s.principal) },
+    { label: 'EMI', value: s => (s.emi ? `${formatCurrency(s.emi)}/month` : '-') },
+    { label: 'Total interest', value: s => formatCurrency(s.totalInterest) },
+    { label: 'Total paid for the system', value: s => formatCurrency(s.totalPaid) },
+    { label: 'Monthly net in year 1', value: s => `${formatCurrency(s.firstYearMonthlyNet)}/month`, sign: s => s.firstYearMonthlyNet },
+    { label: 'Break-even', value: s => (s.breakEven === null ? 'Never' : s.breakEven === 0 ? 'From day one' : `${s.breakEven} years`) },
+    { label: 'Lifetime net gain', value: s => formatCurrency(s.netGain), sign: s => s.netGain },
+    { label: 'NPV', value: s => formatCurrency(s.npv), sign: s => s.npv }
+];
+
+// cash vs loan vs zero-down on the same yearly savings
+const FinancingComparison = ({ financing }) => {
+    const { terms, scenarios } = financing;
+
+    const chartRef = useRef(null);
+
+    // Forces a chart update on mount to avoid sizing issues
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            if (chartRef.current) {
+                chartRef.current.update();
+            }
+        }, 100);
+        return () => clearTimeout(timer);
+    }, []);
+
+    const chartData = {
+        labels: scenarios[0].years.map(row => `Y${row.year}`),
+        datasets: scenarios.map(scenario => ({
+            label: scenario.label,
+            data: scenario.years.map(row => row.monthlyNet),
+            borderColor: SCENARIO_COLORS[scenario.id],
+            backgroundColor: SCENARIO_COLORS[scenario.id],
+            stepped: true,
+            pointRadius: 0
+        }))
+    };
+
+    const options = {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: { duration: 1000, easing: 'easeOutQuart' },
+        interaction: { mode: 'index', intersect: false },
+        plugins: {
+            legend: {
+                position: 'top',
+                align: 'end',
+                labels: {
+                    color: '#94A3B8',
+                    usePointStyle: true,
+                    pointStyle: 'line',
+                    font: { family: 'Inter', size: 11, weight: '500' }
+                }
+            },
+            title: { display: false },
+            tooltip: {
+                backgroundColor: '#1E293B',
+                padding: 12,
+                cornerRadius: 8,
+                titleFont: { family: 'Inter', size: 14, weight: 'bold' },
+                bodyFont: { family: 'Inter', size: 13 },
+                borderColor: 'rgba(255,255,255,0.05)',
+                borderWidth: 1,
+                callbacks: {
+                    label: (context) => `${context.dataset.label}: ${formatCurrency(context.raw)}/month`
+                }
+            }
+        },
+        scales: {
+            y: {
+                grid: { color: 'rgba(255,255,255,0.03)', drawTicks: false },
+                ticks: {
+                    color: '#64748B',
+                    font: { size: 10 },
+                    padding: 10,
+                    callback: (value) => formatCurrency(value)
+                },
+                border: { display: false }
+            },
+            x: {
+                grid: { display: false },
+                ticks: { color: '#64748B', font: { size: 11 }, padding: 5 },
+                border: { display: false }
+            }
+        }
+    };
+
+    return (
+        <>
+            <div className="table-container card">
+                <div className="card-header">
+                    <h2>Cash vs Loan</h2>
+                    <p className="subtitle">
+                        {terms.interestRate}% interest over {terms.tenureYears} years · net position = bill savings − O&amp;M − EMI
+                    </p>
+                </div>
+                <div className="table-wrapper">
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th></th>
+                                {scenarios.map(scenario => (
+                                    <th key={scenario.id}>{scenario.label}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {ROWS.map(row => (
+                                <tr key={row.label}>
+                                    <td>{row.label}</td>
+                                    {scenarios.map(scenario => (
+                                        <td key={scenario.id} className={row.sign && row.sign(scenario) < 0 ? 'negative' : ''}>
+                                            {row.value(scenario)}
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            {/* monthly net position - jumps up when the loan is paid off */}
+            <div className="chart-container card">
+                <div className="card-header">
+                    <h2>Monthly Net Position</h2>
+                    <p className="subtitle">Average ₹/month in your pocket each year, after EMI</p>
+                </div>
+                <div className="chart-wrapper">
+                    <Line ref={chartRef} options={options} data={chartData} />
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default FinancingComparison;
@@ -0,0 +1,79 @@
+import React from 'react';
+import { HORIZON_DIRECTIONS, HORIZON_SECTORS } from '../utils/constants';
+
+const SIZE = 220;
+const CENTER = SIZE / 2;
+const RADIUS = 90; // horizon (0°) at the edge, zenith (90°) in the middle
+const MAX_ELEVATION = 85;
+const SECTOR = 360 / HORIZON_SECTORS;
+
+// compass bearing + elevation -> svg point (north up, east right)
+const toPoint = (azimuth, elevation) => {
+    const r = RADIUS * (1 - elevation / 90);
+    const angle = (azimuth * Math.PI) / 180;
+    return [CENTER + r * Math.sin(angle), CENTER - r * Math.cos(angle)];
+};
+
+// filled wedge for one direction, from the edge up to its skyline height
+const sectorPath = (index, elevation) => {
+    const start = index * SECTOR - SECTOR / 2;
+    const end = start + SECTOR;
+    const [x1, y1] = toPoint(start, 0);
+    const [x2, y2] = toPoint(end, 0);
+    const [x3, y3] = toPoint(end, elevation);
+    const [x4, y4] = toPoint(start, elevation);
+    const outer = RADIUS;
+    const inner = RADIUS * (1 - elevation / 90);
+    return `M${x1},${y1} A${outer},${outer} 0 0 1 ${x2},${y2} L${x3},${y3} A${inner},${inner} 0 0 0 ${x4},${y4} Z`;
+};
+
+// polar sky view: click a direction at the height the obstruction reaches
+const HorizonEditor = ({ horizon, onChange }) => {
+
+    const handleClick = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        const x = ((e.clientX - rect.left) / rect.width) * SIZE - CENTER;
+        const y = ((e.clientY - rect.top) / rect.height) * SIZE - CENTER;
+        const distance = Math.hypot(x, y);
+        if (distance > RADIUS) return;
+
+        const azimuth = ((Math.atan2(x, -y) * 180) / Math.PI + 360) % 360;
+        const index = Math.round(azimuth / SECTOR) % HORIZON_SECTORS;
+        const elevation = Math.min(Math.round(90 * (1 - distance / RADIUS)), MAX_ELEVATION);
+        onChange(horizon.map((value, i) => (i === index ? elevation : value)));
+    };
+
+    return (
+        <svg
+            className="horizon-editor"
+            viewBox={`0 0 ${SIZE} ${SIZE}`}
+            onClick={handleClick}
+            role="img"
+            aria-label="Horizon profile - click a direction to set how high the obstruction rises"
+        >
+            {/* elevation rings every 30° */}
+            {[0, 30, 60].map(elevation => (
+                <circle key={elevation} cx={CENTER} cy={CENTER} r={RADIUS * (1 - elevation / 90)} className="polar-ring" />
+            ))}
+            {HORIZON_DIRECTIONS.map((direction, index) => {
+                const [x, y] = toPoint(index * SECTOR, 0);
+                return <line key={direction} x1={CENTER} y1={CENTER} x2={x} y2={y} className="polar-spoke" />;
+            })}
+
+            {/* skyline */}
+            {horizon.map((elevation, index) => elevation > 0 && (
+                <path key={HORIZON_DIRECTIONS[index]} d={sectorPath(index, elevation)} className="horizon-sector">
+                    <title>{HORIZON_DIRECTIONS[index]}: {elevation}°</title>
+                </path>
+            ))}
+
+            {/* main compass points just outside the edge */}
+            {['N', 'E', 'S', 'W'].map(direction => {
+                const [x, y] = toPoint(HORIZON_DIRECTIONS.indexOf(direction) * SECTOR, -12);
+                return <text key={direction} x={x} y={y} className="polar-label">{direction}</text>;
+            })}
+        </svg>
+    );
+};
+
+export default HorizonEditor;
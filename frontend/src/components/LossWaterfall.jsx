@@ -0,0 +1,126 @@
+import React, { useRef, useEffect } from 'react';
+import {
+    Chart as ChartJS,
+    CategoryScale,
+    LinearScale,
+    BarElement,
+    Title,
+    Tooltip,
+    Legend
+} from 'chart.js';
+import { Bar } from 'react-chartjs-2';
+
+// register chartjs parts
+ChartJS.register(
+    CategoryScale,
+    LinearScale,
+    BarElement,
+    Title,
+    Tooltip,
+    Legend
+);
+
+const formatKwh = (value) => `${Math.round(value).toLocaleString('en-IN')} kWh`;
+
+// nominal dc energy -> one floating bar per loss -> delivered ac energy
+const LossWaterfall = ({ lossTree }) => {
+    // skip losses set to 0 (e.g. no shading) so the chart stays readable
+    const steps = lossTree.steps.filter(step => step.energyLost > 0);
+
+    const chartRef = useRef(null);
+
+    // Forces a chart update on mount to avoid sizing issues
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            if (chartRef.current) {
+                chartRef.current.update();
+            }
+        }, 100);
+        return () => clearTimeout(timer);
+    }, []);
+
+    // floating bars: [bottom, top] - each loss hangs from the energy left before it
+    const bars = [
+        { label: 'Nominal DC', range: [0, lossTree.nominalEnergy], color: '#3B82F6' },
+        ...steps.map(step => ({
+            label: step.name,
+            range: [step.energyAfter, step.energyAfter + step.energyLost],
+            color: '#EF4444',
+            step
+        })),
+        { label: 'Delivered AC', range: [0, lossTree.deliveredEnergy], color: '#10B981' }
+    ];
+
+    const chartData = {
+        labels: bars.map(bar => bar.label),
+        datasets: [
+            {
+                label: 'Energy (kWh/year)',
+                data: bars.map(bar => bar.range),
+                backgroundColor: bars.map(bar => bar.color),
+                borderRadius: 4,
+                borderSkipped: false,
+                barPercentage: 0.7,
+                categoryPercentage: 0.8
+            }
+        ]
+    };
+
+    const options = {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: { duration: 1000, easing: 'easeOutQuart' },
+        plugins: {
+            legend: { display: false },
+            title: { display: false },
+            tooltip: {
+                backgroundColor: '#1E293B',
+                padding: 12,
+                cornerRadius: 8,
+                titleFont: { family: 'Inter', size: 14, weight: 'bold' },
+                bodyFont: { family: 'Inter', size: 13 },
+                borderColor: 'rgba(255,255,255,0.05)',
+                borderWidth: 1,
+                displayColors: false,
+                callbacks: {
+                    label: (context) => {
+                        const { step, range } = bars[context.dataIndex];
+                        return step
+                            ? `−${formatKwh(step.energyLost)} (${step.loss}%) · ${step.description}`
+                            : formatKwh(range[1]);
+                    }
+                }
+            }
+        },
+        scales: {
+            y: {
+                beginAtZero: true,
+                grid: { color: 'rgba(255,255,255,0.03)', drawTicks: false },
+                ticks: { color: '#64748B', font: { size: 10 }, padding: 10 },
+                border: { display: false }
+            },
+            x: {
+                grid: { display: false },
+                ticks: { color: '#64748B', font: { size: 11 }, padding: 5 },
+                border: { display: false }
+            }
+        }
+    };
+
+    return (
+        <div className="chart-container card">
+            <div className="card-header">
+                <h2>System Losses</h2>
+                <p className="subtitle">
+                    Performance ratio {lossTree.performanceRatio}% · {lossTree.totalLoss}% lost
+                    between {formatKwh(lossTree.nominalEnergy)} nominal DC and {formatKwh(lossTree.deliveredEnergy)} at the meter
+                </p>
+            </div>
+            <div className="chart-wrapper">
+                <Bar ref={chartRef} options={options} data={chartData} />
+            </div>
+        </div>
+    );
+};
+
+export default LossWaterfall;
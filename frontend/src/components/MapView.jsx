@@ -1,11 +1,13 @@
 import React, { useEffect, useMemo, memo } from 'react';
-import { MapContainer, TileLayer, Marker, useMap, useMapEvents } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, Polygon, Polyline, CircleMarker, Tooltip, useMap, useMapEvents } from 'react-leaflet';
 // fix leaflet icon issue
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
 
 import icon from 'leaflet/dist/images/marker-icon.png';
 import iconShadow from 'leaflet/dist/images/marker-shadow.png';
+import { measureRoofFace } from 'solar-calculations';
+import { ROOF_FACE_DEFAULTS } from '../utils/constants';
 
 let DefaultIcon = L.icon({
     iconUrl: icon,
@@ -35,17 +37,24 @@ function ChangeView({ center }) {
 }
 
 // component to handle map clicks
-function LocationMarker({ onLocationSelect }) {
+function LocationMarker({ onLocationSelect, isDrawing, onAddCorner }) {
     useMapEvents({
         click(e) {
-            // click -> send lat/lng to parent
-            onLocationSelect(e.latlng.lat, e.latlng.lng);
+            // drawing -> next roof corner, otherwise send lat/lng to parent
+            if (isDrawing) {
+                onAddCorner({ lat: e.latlng.lat, lng: e.latlng.lng });
+            } else {
+                onLocationSelect(e.latlng.lat, e.latlng.lng);
+            }
         },
     });
     return null;
 }
 
-function MapView({ position, onLocationSelect }) {
+// plan area seen from above, for map labels
+const formatPlanArea = (points) => `${Math.round(measureRoofFace({ points }).planArea)} m²`;
+
+function MapView({ position, onLocationSelect, roofFaces, onRoofFacesChange }) {
     // default view (India)
     const defaultCenter = [20.5937, 78.9629];
 
@@ -57,11 +66,35 @@ function MapView({ position, onLocationSelect }) {
 
     const [isSatelliteView, setIsSatelliteView] = React.useState(false);
 
+    // corners of the roof face being drawn (null = not drawing)
+    const [draft, setDraft] = React.useState(null);
+
+    const startDrawing = () => {
+        setDraft([]);
+        setIsSatelliteView(true); // roofs are only visible on the imagery
+    };
+
+    // close the outline -> new face facing away from its longest edge
+    const finishFace = () => {
+        const { suggestedAzimuth } = measureRoofFace({ points: draft });
+        onRoofFacesChange([...roofFaces, {
+            points: draft,
+            tilt: String(ROOF_FACE_DEFAULTS.tilt),
+            azimuth: String(suggestedAzimuth ?? ROOF_FACE_DEFAULTS.azimuth),
+            exclusion: String(ROOF_FACE_DEFAULTS.exclusion)
+        }]);
+        setDraft(null);
+    };
+
     return (
         <div className={`map-container card ${isSatelliteView ? 'satellite-active' : ''}`}>
             <div className="card-header">
                 <h2>Select Location</h2>
-                <p className="subtitle">Click on map or search to pinpoint roof</p>
+                <p className="subtitle">
+                    {draft
+                        ? 'Click each corner of one roof face, then Finish'
+                        : 'Click on map or search to pinpoint roof - or draw your roof faces'}
+                </p>
             </div>
 
             <div className="map-wrapper">
@@ -73,6 +106,23 @@ function MapView({ position, onLocationSelect }) {
                     >
                         {isSatelliteView ? 'Street View' : 'Satellite View'}
                     </button>
+                    {draft ? (
+                        <>
+                            <button type="button" className="btn-secondary active" onClick={finishFace} disabled={draft.length < 3}>
+                                Finish Face{draft.length >= 3 && ` (${formatPlanArea(draft)})`}
+                            </button>
+                            <button type="button" className="btn-secondary" onClick={() => setDraft(draft.slice(0, -1))} disabled={draft.length === 0}>
+                                Undo
+                            </button>
+                            <button type="button" className="btn-secondary" onClick={() => setDraft(null)}>
+                                Cancel
+                            </button>
+                        </>
+                    ) : (
+                        <button type="button" className="btn-secondary" onClick={startDrawing}>
+                            Draw Roof Face
+                        </button>
+                    )}
                 </div>
                 <MapContainer
                     center={displayPosition}
@@ -95,7 +145,40 @@ function MapView({ position, onLocationSelect }) {
                     )}
 
                     <ChangeView center={displayPosition} />
-                    <LocationMarker onLocationSelect={onLocationSelect} />
+                    <LocationMarker
+                        onLocationSelect={onLocationSelect}
+                        isDrawing={draft !== null}
+                        onAddCorner={(corner) => setDraft([...draft, corner])}
+                    />
+
+                    {/* traced roof faces */}
+                    {roofFaces.map((face, index) => (
+                        <Polygon
+                            key={index}
+                            positions={face.points.map(point => [point.lat, point.lng])}
+                            pathOptions={{ color: '#F59E0B', weight: 2, fillOpacity: 0.3 }}
+                        >
+                            <Tooltip sticky>Face {index + 1} · {formatPlanArea(face.points)} from above</Tooltip>
+                        </Polygon>
+                    ))}
+
+                    {/* face being drawn */}
+                    {draft && draft.length > 0 && (
+                        <>
+                            <Polyline
+                                positions={draft.map(point => [point.lat, point.lng])}
+                                pathOptions={{ color: '#10B981', weight: 2, dashArray: '4 4' }}
+                            />
+                            {draft.map((point, index) => (
+                                <CircleMarker
+                                    key={index}
+                                    center={[point.lat, point.lng]}
+                                    radius={4}
+                                    pathOptions={{ color: '#10B981', fillOpacity: 1 }}
+                                />
+                            ))}
+                        </>
+                    )}
 
                     {/* show marker if pos exists */}
                     {position.lat && position.lng && (
@@ -0,0 +1,45 @@
+import React from 'react';
+import { MONTHS } from '../utils/constants';
+
+// month by month table: irradiance, temps, thermal loss, energy
+const MonthlyBreakdown = ({ monthlyBreakdown }) => {
+
+    const formatTemp = (value) => (value === null || value === undefined ? '—' : `${value.toFixed(1)} °C`);
+
+    return (
+        <div className="table-container card">
+            <div className="card-header">
+                <h2>Monthly Breakdown</h2>
+                <p className="subtitle">Hot months raise panel temperature and reduce output</p>
+            </div>
+            <div className="table-wrapper">
+                <table className="data-table">
+                    <thead>
+                        <tr>
+                            <th>Month</th>
+                            <th>Irradiance (kWh/m²/day)</th>
+                            <th>Air Temp</th>
+                            <th>Cell Temp</th>
+                            <th>Thermal Loss</th>
+                            <th>Energy (kWh)</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {monthlyBreakdown.map(item => (
+                            <tr key={item.monthIndex}>
+                                <td>{MONTHS[item.monthIndex]}</td>
+                                <td>{item.irradiance.toFixed(2)}</td>
+                                <td>{formatTemp(item.ambientTemperature)}</td>
+                                <td>{formatTemp(item.cellTemperature)}</td>
+                                <td>{item.thermalLoss.toFixed(1)}%</td>
+                                <td>{item.energy.toLocaleString('en-IN')}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default MonthlyBreakdown;
@@ -9,7 +9,7 @@ import {
     Legend
 } from 'chart.js';
 import { Bar } from 'react-chartjs-2';
-import { MONTHS } from '../utils/constants';
+import { MONTHS, SCENARIO_COLORS } from '../utils/constants';
 
 // register chartjs parts
 ChartJS.register(
@@ -21,7 +21,8 @@ ChartJS.register(
     Legend
 );
 
-const MonthlyChart = ({ monthlyData, roofArea, efficiency }) => {
+// scenarios: saved what-ifs for this location, overlaid as extra bars
+const MonthlyChart = ({ monthlyBreakdown, period, provider, horizonShading, scenarios = [] }) => {
 
     const chartRef = useRef(null);
 
@@ -35,24 +36,16 @@ const MonthlyChart = ({ monthlyData, roofArea, efficiency }) => {
         return () => clearTimeout(timer);
     }, []);
 
-    // prepare data for chart
-    const calculateMonthlyEnergy = () => {
-        const area = parseFloat(roofArea) || 0;
-        const eff = parseFloat(efficiency) || 0;
-
-        return monthlyData.map(item => {
-            const irrValue = parseFloat(item.irradiance) || 0;
-            // More precise calculation: area * efficiency * monthly irradiance * (365/12 days)
-            return Math.round(area * (eff / 100) * irrValue * 30.42);
-        });
-    };
+    // more than one series -> name each one in the tooltip
+    const showSeries = Boolean(horizonShading) || scenarios.length > 0;
 
     const chartData = {
         labels: MONTHS,
         datasets: [
             {
-                label: 'Monthly Generation (kWh)',
-                data: calculateMonthlyEnergy(),
+                label: scenarios.length > 0 ? 'This Calculation (kWh)' : 'Monthly Generation (kWh)',
+                // temperature-derated energy for each month
+                data: monthlyBreakdown.map(item => item.energy),
                 backgroundColor: 'rgba(16, 185, 129, 0.4)', // Semi-transparent Forest Green
                 borderColor: '#10B981',
                 borderWidth: 2,
@@ -61,6 +54,27 @@ const MonthlyChart = ({ monthlyData, roofArea, efficiency }) => {
                 barPercentage: 0.7,
                 categoryPercentage: 0.8,
             },
+            // horizon profile given - what the same panels make without the skyline
+            ...(horizonShading ? [{
+                label: 'Without Shading (kWh)',
+                data: monthlyBreakdown.map(item => item.unshadedEnergy),
+                backgroundColor: 'rgba(148, 163, 184, 0.25)',
+                borderColor: '#94A3B8',
+                borderWidth: 2,
+                borderRadius: 4,
+                barPercentage: 0.7,
+                categoryPercentage: 0.8,
+            }] : []),
+            ...scenarios.map((scenario, index) => ({
+                label: `${scenario.baseline ? '★ ' : ''}${scenario.name} (kWh)`,
+                data: scenario.monthlyEnergy,
+                backgroundColor: `${SCENARIO_COLORS[index % SCENARIO_COLORS.length]}55`,
+                borderColor: SCENARIO_COLORS[index % SCENARIO_COLORS.length],
+                borderWidth: 2,
+                borderRadius: 4,
+                barPercentage: 0.7,
+                categoryPercentage: 0.8,
+            })),
         ],
     };
 
@@ -89,9 +103,15 @@ const MonthlyChart = ({ monthlyData, roofArea, efficiency }) => {
                 bodyFont: { family: 'Inter', size: 13 },
                 borderColor: 'rgba(255,255,255,0.05)',
                 borderWidth: 1,
-                displayColors: false,
+                displayColors: showSeries,
                 callbacks: {
-                    label: (context) => `⚡ ${context.raw.toLocaleString('en-IN')} kWh`
+                    label: (context) => (showSeries
+                        ? `${context.dataset.label.replace(' (kWh)', '')}: ${context.raw.toLocaleString('en-IN')} kWh`
+                        : `⚡ ${context.raw.toLocaleString('en-IN')} kWh`),
+                    // shaded bar: how much the skyline took that month
+                    afterLabel: (context) => (horizonShading && context.datasetIndex === 0
+                        ? `Shading: −${monthlyBreakdown[context.dataIndex].shadingLoss}%`
+                        : '')
                 }
             }
         },
@@ -114,7 +134,18 @@ const MonthlyChart = ({ monthlyData, roofArea, efficiency }) => {
         <div className="chart-container card">
             <div className="card-header">
                 <h2>Monthly Energy Profile</h2>
-                <p className="subtitle">Estimated generation based on historical irradiance</p>
+                <p className="subtitle">
+                    Estimated generation based on historical irradiance
+                    {period?.startYear && ` (${period.startYear}–${period.endYear} average)`}
+                    {period?.typicalYear && ' (typical-year weather file)'}
+                    {provider && ` · Source: ${provider.label}`}
+                </p>
+                {horizonShading && (
+                    <p className="subtitle">
+                        Horizon shading takes {horizonShading.annualLoss}% of the sunlight on the panels
+                        (sky light −{horizonShading.diffuseLoss}%) · worst in {MONTHS[horizonShading.months.reduce((worst, month) => (month.loss > horizonShading.months[worst].loss ? month.monthIndex : worst), 0)]}
+                    </p>
+                )}
             </div>
             <div className="chart-wrapper">
                 <Bar ref={chartRef} options={options} data={chartData} />
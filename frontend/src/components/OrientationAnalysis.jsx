@@ -0,0 +1,48 @@
+import React from 'react';
+
+// optimal tilt + how each roof direction compares to it
+const OrientationAnalysis = ({ orientation, comparison }) => {
+
+    const formatDiff = (value) => (value > 0 ? `+${value.toFixed(1)}%` : `${value.toFixed(1)}%`);
+
+    return (
+        <div className="table-container card">
+            <div className="card-header">
+                <h2>Roof Orientation</h2>
+                <p className="subtitle">
+                    Optimal for this location: {orientation.optimalTilt}° tilt facing {orientation.optimalAzimuth === 180 ? 'South' : 'North'}.
+                    Your {orientation.tilt}° / {orientation.azimuth}° roof: {formatDiff(orientation.differencePercent)} vs optimum.
+                </p>
+            </div>
+            <div className="table-wrapper">
+                <table className="data-table">
+                    <thead>
+                        <tr>
+                            <th>Orientation</th>
+                            <th>Tilt</th>
+                            <th>Azimuth</th>
+                            <th>Annual Irradiance (kWh/m²)</th>
+                            <th>vs Optimum</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {comparison.map(item => (
+                            <tr key={item.label}>
+                                <td>{item.label}</td>
+                                <td>{item.tilt}°</td>
+                                <td>{item.tilt === 0 ? '—' : `${item.azimuth}°`}</td>
+                                <td>{item.annualIrradiation.toLocaleString('en-IN')}</td>
+                                <td>{formatDiff(item.differencePercent)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <small className="hint">
+                Diffuse light from {orientation.diffuseSource}. Model: {orientation.model}.
+            </small>
+        </div>
+    );
+};
+
+export default OrientationAnalysis;
@@ -0,0 +1,124 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { fetchProjects, updateProject, duplicateProject, deleteProject } from '../services/apiService';
+
+const formatNumber = (value, digits = 0) => (typeof value === 'number'
+    ? value.toLocaleString('en-IN', { maximumFractionDigits: digits })
+    : '—');
+
+const formatDate = (iso) => new Date(iso).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+
+// saved projects on the server - reopen, duplicate, rename, delete
+const ProjectList = ({ onOpen, onError, openProjectId }) => {
+    const [projects, setProjects] = useState(null);
+    const [renaming, setRenaming] = useState(null); // { id, name } while a name is being edited
+
+    const loadProjects = useCallback(() => fetchProjects()
+        .then(setProjects)
+        .catch(err => {
+            setProjects([]);
+            onError(err.message);
+        }), [onError]);
+
+    useEffect(() => {
+        loadProjects();
+    }, [loadProjects]);
+
+    // every action reloads the list so the order (newest change first) stays right
+    const run = async (action) => {
+        onError(null);
+        try {
+            await action();
+            await loadProjects();
+        } catch (err) {
+            onError(err.message);
+        }
+    };
+
+    const handleRename = (e) => {
+        e.preventDefault();
+        const name = renaming.name.trim();
+        if (!name) return;
+        run(() => updateProject(renaming.id, { name }));
+        setRenaming(null);
+    };
+
+    const handleDelete = (project) => {
+        if (window.confirm(`Delete "${project.name}"? This cannot be undone.`)) {
+            run(() => deleteProject(project.id));
+        }
+    };
+
+    return (
+        <div className="table-container card">
+            <div className="card-header">
+                <h2>My Projects</h2>
+                <p className="subtitle">
+                    Saved on the server with the solar data they were calculated from, so a reopened
+                    project shows the numbers the customer was quoted
+                </p>
+            </div>
+
+            {projects === null && <p className="subtitle">Loading projects...</p>}
+            {projects?.length === 0 && (
+                <p className="subtitle">No saved projects yet - calculate a site and click <strong>Save Project</strong> under the results.</p>
+            )}
+
+            {projects?.length > 0 && (
+                <div className="table-wrapper">
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>Project</th>
+                                <th>Customer</th>
+                                <th>Site</th>
+                                <th>System (kWp)</th>
+                                <th>Energy (kWh/yr)</th>
+                                <th>Savings (₹/yr)</th>
+                                <th>Last Saved</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {projects.map(project => (
+                                <tr key={project.id} className={project.id === openProjectId ? 'open-project' : ''}>
+                                    <td>
+                                        {renaming?.id === project.id ? (
+                                            <form className="project-rename" onSubmit={handleRename}>
+                                                <input
+                                                    type="text"
+                                                    value={renaming.name}
+                                                    onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                                                    aria-label="Project name"
+                                                    maxLength="120"
+                                                    autoFocus
+                                                />
+                                                <button type="submit" className="btn-secondary">Save</button>
+                                                <button type="button" className="btn-secondary" onClick={() => setRenaming(null)}>Cancel</button>
+                                            </form>
+                                        ) : project.name}
+                                    </td>
+                                    <td>{project.customerName || '—'}</td>
+                                    <td>{project.site.name || `${project.site.latitude.toFixed(4)}, ${project.site.longitude.toFixed(4)}`}</td>
+                                    <td>{formatNumber(project.summary.dcCapacity, 2)}</td>
+                                    <td>{formatNumber(project.summary.annualEnergy)}</td>
+                                    <td>{formatNumber(project.summary.annualSavings)}</td>
+                                    <td>{formatDate(project.updatedAt)}</td>
+                                    <td>
+                                        <div className="scenario-actions">
+                                            <button type="button" onClick={() => onOpen(project.id)}>Open</button>
+                                            <button type="button" onClick={() => run(() => duplicateProject(project.id))}>Duplicate</button>
+                                            <button type="button" onClick={() => setRenaming({ id: project.id, name: project.name })}>Rename</button>
+                                            <button type="button" onClick={() => handleDelete(project)}>Delete</button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ProjectList;
@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+
+// save these results as a project on the server (or update the one that's open)
+const ProjectSave = ({ openProject, defaultName, onSave, isSaving }) => {
+    const [name, setName] = useState(openProject?.name ?? '');
+    const [customerName, setCustomerName] = useState(openProject?.customerName ?? '');
+
+    const save = (asNew) => onSave({ name: name.trim() || defaultName, customerName: customerName.trim() }, asNew);
+
+    return (
+        <div className="table-container card">
+            <div className="card-header">
+                <h2>Save Project</h2>
+                <p className="subtitle">
+                    {openProject
+                        ? `Open project: ${openProject.name} · recalculating at the same site and orientation reuses its saved solar data`
+                        : 'Keep the location, inputs, solar data and results - reopen them from My Projects'}
+                </p>
+            </div>
+            <form className="scenario-save" onSubmit={(e) => { e.preventDefault(); save(!openProject); }}>
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder={defaultName}
+                    aria-label="Project name"
+                    maxLength="120"
+                />
+                <input
+                    type="text"
+                    value={customerName}
+                    onChange={(e) => setCustomerName(e.target.value)}
+                    placeholder="Customer name"
+                    aria-label="Customer name"
+                    maxLength="120"
+                />
+                <button type="submit" className="btn-secondary" disabled={isSaving}>
+                    {openProject ? 'Save Changes' : 'Save Project'}
+                </button>
+                {openProject && (
+                    <button type="button" className="btn-secondary" disabled={isSaving} onClick={() => save(true)}>
+                        Save as New
+                    </button>
+                )}
+            </form>
+        </div>
+    );
+};
+
+export default ProjectSave;
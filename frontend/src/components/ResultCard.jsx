@@ -1,7 +1,30 @@
 import React, { useEffect, useState } from 'react';
 
+const formatNumber = (value) => Math.round(value).toLocaleString('en-IN');
+
+// tiny histogram of the monte carlo samples - bars below p90 are dimmed
+const Distribution = ({ range }) => {
+    const peak = Math.max(...range.histogram.map(bin => bin.count));
+    const width = 100 / range.histogram.length;
+    return (
+        <svg className="card-distribution" viewBox="0 0 100 24" preserveAspectRatio="none" aria-hidden="true">
+            {range.histogram.map((bin, index) => (
+                <rect
+                    key={index}
+                    x={index * width}
+                    y={24 - (bin.count / peak) * 24}
+                    width={width - 0.5}
+                    height={(bin.count / peak) * 24}
+                    className={bin.to <= range.p90 ? 'below-p90' : ''}
+                />
+            ))}
+        </svg>
+    );
+};
+
 // card for single stat with animation
-const ResultCard = ({ title, value, unit, icon, description, color }) => {
+// range: p-values + histogram from results.uncertainty (optional)
+const ResultCard = ({ title, value, unit, icon, description, color, range }) => {
     const [displayValue, setDisplayValue] = useState(0);
 
     // animate number count up
@@ -47,6 +70,12 @@ const ResultCard = ({ title, value, unit, icon, description, color }) => {
                     <span className="unit">{unit}</span>
                 </div>
                 <p className="card-desc">{description}</p>
+                {range && (
+                    <>
+                        <p className="card-range">P90 {formatNumber(range.p90)} – P50 {formatNumber(range.p50)}</p>
+                        <Distribution range={range} />
+                    </>
+                )}
             </div>
         </div>
     );
@@ -1,17 +1,51 @@
 import React from 'react';
 import ResultCard from './ResultCard';
 import MonthlyChart from './MonthlyChart';
+import MonthlyBreakdown from './MonthlyBreakdown';
+import OrientationAnalysis from './OrientationAnalysis';
+import TypicalDayHeatmap from './TypicalDayHeatmap';
+import TariffSavings from './TariffSavings';
+import LossWaterfall from './LossWaterfall';
+import ConsumptionChart from './ConsumptionChart';
+import CostEstimate from './CostEstimate';
+import FinancialSummary from './FinancialSummary';
+import FinancingComparison from './FinancingComparison';
+import BatteryAnalysis from './BatteryAnalysis';
+import SunPathDiagram from './SunPathDiagram';
+import UncertaintyRanges from './UncertaintyRanges';
+import ScenarioComparison from './ScenarioComparison';
+import ProjectSave from './ProjectSave';
 
 // container for all results + charts
-const ResultsSection = ({ results, solarData, formData, isVisible }) => {
+const ResultsSection = ({ results, solarData, hourlySimulation, formData, isVisible, scenarios, scenarioName, onSaveScenario, onRemoveScenario, onSetBaseline, onLoadScenario, openProject, onSaveProject, isSavingProject }) => {
     if (!isVisible || !results) return null;
 
+    // when the backend last got this data from NASA (missing for local weather files)
+    const fetchedAt = solarData?.data?.fetchedAt;
+
     return (
         <div className="results-section fade-in">
             <h2 className="section-title">Solar Potential Results</h2>
+            {fetchedAt && (
+                <p className={`data-freshness ${solarData.data.stale ? 'stale' : ''}`}>
+                    Solar data fetched {new Date(fetchedAt).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })}
+                    {solarData.data.stale && ' · cached copy, refreshing in the background'}
+                </p>
+            )}
 
-            {/* 4 cards grid */}
+            {/* 4 cards grid (+ installed capacity when sized from a module) */}
             <div className="results-grid">
+                {results.systemSizing && (
+                    <ResultCard
+                        title="Installed Capacity"
+                        value={results.systemSizing.dcCapacity}
+                        unit="kWp"
+                        icon="🔲"
+                        description={`${results.systemSizing.panelCount} × ${results.systemSizing.module.watts} W panels · ${results.systemSizing.packingDensity}% of roof`}
+                        color="solar"
+                    />
+                )}
+
                 <ResultCard
                     title="Annual Energy Generation"
                     value={results.annualEnergy}
@@ -19,6 +53,7 @@ const ResultsSection = ({ results, solarData, formData, isVisible }) => {
                     icon="⚡"
                     description="Est. electricity generated"
                     color="energy"
+                    range={results.uncertainty?.firstYear.energy}
                 />
 
                 <ResultCard
@@ -26,8 +61,11 @@ const ResultsSection = ({ results, solarData, formData, isVisible }) => {
                     value={results.annualSavings}
                     unit="₹/year"
                     icon="💰"
-                    description="Est. money saved on bills"
+                    description={results.tariffSavings
+                        ? `Lower bills · ${results.tariffSavings.selfConsumptionShare}% of solar used at home`
+                        : 'Est. money saved on bills'}
                     color="savings"
+                    range={results.uncertainty?.firstYear.savings}
                 />
 
                 <ResultCard
@@ -40,24 +78,139 @@ const ResultsSection = ({ results, solarData, formData, isVisible }) => {
                 />
 
                 <ResultCard
-                    title="Average Solar Irradiance"
+                    title="Irradiance on Panels"
                     value={results.avgDailyIrradiance}
                     unit="kWh/m²/day"
                     icon="☀️"
-                    description="Sunlight received at loc"
+                    description="Sunlight on the tilted panel"
                     color="solar"
                 />
             </div>
 
+            {/* keep this project on the server (needs the site from the solar data) */}
+            {solarData?.location && (
+                <ProjectSave
+                    key={openProject?.id ?? 'new'}
+                    openProject={openProject}
+                    defaultName={scenarioName || 'Solar project'}
+                    onSave={onSaveProject}
+                    isSaving={isSavingProject}
+                />
+            )}
+
+            {/* saved what-ifs for this location side by side */}
+            {solarData?.location && results.systemSizing && (
+                <ScenarioComparison
+                    scenarios={scenarios}
+                    defaultName={scenarioName}
+                    onSave={onSaveScenario}
+                    onRemove={onRemoveScenario}
+                    onSetBaseline={onSetBaseline}
+                    onLoad={onLoadScenario}
+                />
+            )}
+
+            {/* p50-p99 of energy and savings from the monte carlo runs */}
+            {results.uncertainty && (
+                <UncertaintyRanges uncertainty={results.uncertainty} />
+            )}
+
             {/* monthly chart visualization */}
-            {solarData?.data?.monthlyData && (
+            {results.monthlyBreakdown && (
                 <MonthlyChart
                     key={`${results.annualEnergy}-${formData.roofArea}`}
-                    monthlyData={solarData.data.monthlyData}
-                    roofArea={formData.roofArea}
-                    efficiency={formData.panelEfficiency}
+                    monthlyBreakdown={results.monthlyBreakdown}
+                    period={solarData?.data?.period}
+                    provider={solarData?.data?.provider}
+                    horizonShading={results.horizonShading}
+                    scenarios={scenarios}
                 />
             )}
+
+            {/* sized from the bill - monthly use vs generation */}
+            {results.consumptionSizing && (
+                <ConsumptionChart
+                    key={results.annualEnergy}
+                    consumptionSizing={results.consumptionSizing}
+                    consumptionEstimate={results.consumptionEstimate}
+                />
+            )}
+
+            {/* nominal dc -> delivered ac, one loss at a time */}
+            {results.lossTree && (
+                <LossWaterfall
+                    key={results.lossTree.deliveredEnergy}
+                    lossTree={results.lossTree}
+                />
+            )}
+
+            {/* hour x month heatmap from the hourly simulation */}
+            {hourlySimulation?.typicalDay && (
+                <TypicalDayHeatmap simulation={hourlySimulation} />
+            )}
+            {hourlySimulation?.unavailable && (
+                <div className="table-container card">
+                    <div className="card-header">
+                        <h2>Typical Day by Month</h2>
+                        <p className="subtitle">Hourly weather data could not be loaded, so the heatmap is unavailable - recalculate to try again</p>
+                    </div>
+                </div>
+            )}
+
+            {/* tilt/azimuth vs optimum */}
+            {solarData?.data?.orientation && (
+                <OrientationAnalysis
+                    orientation={solarData.data.orientation}
+                    comparison={solarData.data.orientationComparison}
+                />
+            )}
+
+            {/* sun's track through the year for this location */}
+            {solarData?.location && (
+                <SunPathDiagram
+                    location={solarData.location}
+                    horizon={results.horizonShading?.horizon ?? null}
+                />
+            )}
+
+            {/* bills with and without solar (needs usage, a slab tariff or gross metering) */}
+            {results.tariffSavings && (
+                <TariffSavings tariffSavings={results.tariffSavings} />
+            )}
+
+            {/* gross cost, subsidy, net cost */}
+            {results.costEstimate && (
+                <CostEstimate costEstimate={results.costEstimate} />
+            )}
+
+            {/* 25 year cash flow (needs a system cost) */}
+            {results.financials && (
+                <FinancialSummary
+                    key={`${results.financials.npv}-${results.financials.assumptions.discountRate}`}
+                    financials={results.financials}
+                />
+            )}
+
+            {/* cash vs loan vs zero-down */}
+            {results.financing && (
+                <FinancingComparison
+                    key={`${results.financing.terms.interestRate}-${results.financing.scenarios[1].emi}`}
+                    financing={results.financing}
+                />
+            )}
+
+            {/* home battery - self-consumption, backup and a typical day */}
+            {results.batteryStorage && (
+                <BatteryAnalysis
+                    key={`${results.batteryStorage.settings.capacity}-${results.batteryStorage.value.firstYear}`}
+                    batteryStorage={results.batteryStorage}
+                />
+            )}
+
+            {/* month by month temperature table */}
+            {results.monthlyBreakdown && (
+                <MonthlyBreakdown monthlyBreakdown={results.monthlyBreakdown} />
+            )}
         </div>
     );
 };
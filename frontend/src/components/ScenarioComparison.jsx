@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { SCENARIO_COLORS } from '../utils/constants';
+
+// rows of the comparison - text rows have no difference column value
+const METRICS = [
+    { key: 'panels', label: 'Panels', text: true },
+    { key: 'roofArea', label: 'Roof Area (m²)' },
+    { key: 'orientation', label: 'Tilt / Azimuth', text: true },
+    { key: 'tariff', label: 'Tariff', text: true },
+    { key: 'dcCapacity', label: 'System Size (kWp)', digits: 2 },
+    { key: 'annualEnergy', label: 'Annual Energy (kWh)' },
+    { key: 'p90Energy', label: 'P90 Energy (kWh)' },
+    { key: 'specificYield', label: 'Specific Yield (kWh/kWp)' },
+    { key: 'annualSavings', label: 'Annual Savings (₹)' },
+    { key: 'netCost', label: 'Net Cost (₹)', lowerIsBetter: true },
+    { key: 'payback', label: 'Payback (years)', digits: 1, lowerIsBetter: true },
+    { key: 'npv', label: 'NPV (₹)' },
+    { key: 'co2Saved', label: 'CO₂ Saved (kg/yr)' }
+];
+
+const formatValue = (value, digits = 0) => (value === null || value === undefined
+    ? '—'
+    : value.toLocaleString('en-IN', { maximumFractionDigits: digits }));
+
+// "+1,200 (+8%)" against the baseline - worse than the baseline is shown in red
+const Difference = ({ metric, value, baseline }) => {
+    if (metric.text || value === null || baseline === null) return <td></td>;
+    const change = value - baseline;
+    if (Math.abs(change) < 10 ** -(metric.digits ?? 0) / 2) return <td>=</td>;
+
+    const worse = metric.lowerIsBetter ? change > 0 : change < 0;
+    const percent = baseline !== 0 ? ` (${change > 0 ? '+' : ''}${Math.round((change / Math.abs(baseline)) * 100)}%)` : '';
+    return (
+        <td className={worse ? 'negative' : 'positive'}>
+            {change > 0 ? '+' : '−'}{formatValue(Math.abs(change), metric.digits)}{percent}
+        </td>
+    );
+};
+
+// saved what-ifs for this location side by side, with differences from the baseline
+const ScenarioComparison = ({ scenarios, defaultName, onSave, onRemove, onSetBaseline, onLoad }) => {
+    const [name, setName] = useState('');
+    const baseline = scenarios.find(scenario => scenario.baseline) ?? scenarios[0];
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        onSave(name.trim() || defaultName);
+        setName('');
+    };
+
+    return (
+        <div className="table-container card">
+            <div className="card-header">
+                <h2>Compare Scenarios</h2>
+                <p className="subtitle">
+                    Save this result, change the panels, roof area, tariff or tilt, recalculate and save again ·
+                    differences are from the baseline (★)
+                </p>
+            </div>
+
+            <form className="scenario-save" onSubmit={handleSave}>
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder={defaultName}
+                    aria-label="Scenario name"
+                    maxLength="60"
+                />
+                <button type="submit" className="btn-secondary">Save Scenario</button>
+            </form>
+
+            {scenarios.length > 0 && (
+                <div className="table-wrapper">
+                    <table className="data-table scenario-table">
+                        <thead>
+                            <tr>
+                                <th></th>
+                                {scenarios.map((scenario, index) => (
+                                    <th key={scenario.id} colSpan={scenario === baseline ? 1 : 2}>
+                                        <span className="scenario-swatch" style={{ background: SCENARIO_COLORS[index % SCENARIO_COLORS.length] }} />
+                                        {scenario === baseline && '★ '}{scenario.name}
+                                        <div className="scenario-actions">
+                                            {scenario !== baseline && (
+                                                <button type="button" onClick={() => onSetBaseline(scenario.id)}>Make baseline</button>
+                                            )}
+                                            <button type="button" onClick={() => onLoad(scenario)}>Load</button>
+                                            <button type="button" onClick={() => onRemove(scenario.id)}>Remove</button>
+                                        </div>
+                                    </th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {METRICS.map(metric => (
+                                <tr key={metric.key}>
+                                    <td>{metric.label}</td>
+                                    {scenarios.map(scenario => (
+                                        <React.Fragment key={scenario.id}>
+                                            <td>{metric.text ? scenario.summary[metric.key] : formatValue(scenario.summary[metric.key], metric.digits)}</td>
+                                            {scenario !== baseline && (
+                                                <Difference
+                                                    metric={metric}
+                                                    value={scenario.summary[metric.key]}
+                                                    baseline={baseline.summary[metric.key]}
+                                                />
+                                            )}
+                                        </React.Fragment>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ScenarioComparison;
@@ -0,0 +1,194 @@
+import React, { useMemo, useState } from 'react';
+import { getSunPathDiagram } from '../services/calculationService';
+import { MONTHS } from '../utils/constants';
+
+const SIZE = 360;
+const CENTER = SIZE / 2;
+const RADIUS = 150; // horizon (0°) at the edge, overhead (90°) in the middle
+
+const ELEVATION_RINGS = [0, 15, 30, 45, 60, 75];
+const COMPASS = { 0: 'N', 90: 'E', 180: 'S', 270: 'W' };
+
+// solstices + equinoxes drawn over the monthly paths
+const KEY_DAY_STYLES = {
+    'june-solstice': { color: '#F59E0B' },
+    'march-equinox': { color: '#10B981' },
+    'september-equinox': { color: '#10B981', dash: '6 4' },
+    'december-solstice': { color: '#3B82F6' }
+};
+const SELECTED_COLOR = '#EF4444';
+
+// compass bearing + elevation -> svg point (north up, east right)
+const toPoint = (azimuth, elevation) => {
+    const r = RADIUS * (1 - elevation / 90);
+    const angle = (azimuth * Math.PI) / 180;
+    return [CENTER + r * Math.sin(angle), CENTER - r * Math.cos(angle)];
+};
+
+const toPolyline = (points) => points.map(({ azimuth, elevation }) => toPoint(azimuth, elevation).join(',')).join(' ');
+
+// 13.97 -> "13:58"
+const formatClock = (hours) => {
+    if (hours === null) return '—';
+    const minutes = Math.round(hours * 60) % (24 * 60);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+const formatDayLength = (hours) => `${Math.floor(hours)} h ${String(Math.round((hours % 1) * 60)).padStart(2, '0')} min`;
+
+// sun's track across the sky through the year, with the horizon profile on top
+const SunPathDiagram = ({ location, horizon }) => {
+    const { latitude, longitude } = location;
+    const diagram = useMemo(
+        () => getSunPathDiagram(latitude, longitude, horizon),
+        [latitude, longitude, horizon]
+    );
+
+    // start on the current month
+    const [monthIndex, setMonthIndex] = useState(() => new Date().getMonth());
+    const selected = diagram.months[monthIndex];
+
+    const timeZone = diagram.utcOffset === 5.5 ? 'IST' : `UTC${diagram.utcOffset >= 0 ? '+' : ''}${diagram.utcOffset}`;
+
+    // filled band between the horizon circle and the skyline (even-odd fill leaves the sky open)
+    const skylinePath = diagram.skyline && diagram.skyline.some(point => point.elevation > 0)
+        ? `M${CENTER - RADIUS},${CENTER} a${RADIUS},${RADIUS} 0 1,0 ${RADIUS * 2},0 a${RADIUS},${RADIUS} 0 1,0 ${-RADIUS * 2},0 Z `
+            + `M${toPolyline(diagram.skyline).replace(/ /g, ' L')} Z`
+        : null;
+
+    const rows = (days) => days.map(day => (
+        <tr key={day.id ?? day.monthIndex}>
+            <td>{day.name ? `${day.name} (${day.day} ${MONTHS[day.monthIndex]})` : `${day.day} ${MONTHS[day.monthIndex]}`}</td>
+            <td>{formatClock(day.sunrise)}</td>
+            <td>{formatClock(day.solarNoon)}</td>
+            <td>{formatClock(day.sunset)}</td>
+            <td>{formatDayLength(day.dayLength)}</td>
+            <td>{day.noonElevation}°</td>
+        </tr>
+    ));
+
+    const header = (
+        <thead>
+            <tr>
+                <th>Date</th>
+                <th>Sunrise</th>
+                <th>Solar Noon</th>
+                <th>Sunset</th>
+                <th>Day Length</th>
+                <th>Noon Sun</th>
+            </tr>
+        </thead>
+    );
+
+    return (
+        <>
+            <div className="chart-container card">
+                <div className="card-header">
+                    <h2>Sun Path</h2>
+                    <p className="subtitle">
+                        The sun's track over your roof at {latitude.toFixed(2)}°, {longitude.toFixed(2)}° ·
+                        centre = overhead, edge = horizon · times in {timeZone}
+                        {skylinePath && ' · shaded band = your horizon profile'}
+                    </p>
+                    <select
+                        className="month-select"
+                        value={monthIndex}
+                        onChange={(e) => setMonthIndex(Number(e.target.value))}
+                        aria-label="Month"
+                    >
+                        {MONTHS.map((month, index) => (
+                            <option key={month} value={index}>{month} 21</option>
+                        ))}
+                    </select>
+                </div>
+
+                <svg className="sun-path" viewBox={`0 0 ${SIZE} ${SIZE}`} role="img" aria-label="Sun path diagram">
+                    {/* elevation rings + compass spokes */}
+                    {ELEVATION_RINGS.map(elevation => (
+                        <g key={elevation}>
+                            <circle cx={CENTER} cy={CENTER} r={RADIUS * (1 - elevation / 90)} className="polar-ring" />
+                            {elevation > 0 && (
+                                <text x={CENTER + 3} y={toPoint(0, elevation)[1]} className="polar-label sun-path-ring-label">{elevation}°</text>
+                            )}
+                        </g>
+                    ))}
+                    {Array.from({ length: 12 }, (_, i) => i * 30).map(azimuth => {
+                        const [x, y] = toPoint(azimuth, 0);
+                        const [labelX, labelY] = toPoint(azimuth, -9);
+                        return (
+                            <g key={azimuth}>
+                                <line x1={CENTER} y1={CENTER} x2={x} y2={y} className="polar-spoke" />
+                                <text x={labelX} y={labelY} className="polar-label">{COMPASS[azimuth] ?? `${azimuth}°`}</text>
+                            </g>
+                        );
+                    })}
+
+                    {skylinePath && <path d={skylinePath} fillRule="evenodd" className="sun-path-skyline" />}
+
+                    {/* one faint path per month */}
+                    {diagram.months.map(month => (
+                        <polyline key={month.monthIndex} points={toPolyline(month.path.points)} className="sun-path-month" />
+                    ))}
+
+                    {diagram.keyDays.map(day => (
+                        <polyline
+                            key={day.id}
+                            points={toPolyline(day.path.points)}
+                            fill="none"
+                            stroke={KEY_DAY_STYLES[day.id].color}
+                            strokeWidth="2"
+                            strokeDasharray={KEY_DAY_STYLES[day.id].dash}
+                        >
+                            <title>{day.name}</title>
+                        </polyline>
+                    ))}
+
+                    {/* selected month, with the clock hours marked */}
+                    <polyline points={toPolyline(selected.path.points)} fill="none" stroke={SELECTED_COLOR} strokeWidth="2.5" />
+                    {selected.path.hours.map(({ hour, azimuth, elevation }) => {
+                        const [x, y] = toPoint(azimuth, elevation);
+                        return (
+                            <g key={hour}>
+                                <circle cx={x} cy={y} r="3" fill={SELECTED_COLOR}>
+                                    <title>{`${formatClock(hour)} - ${azimuth}° / ${elevation}° high`}</title>
+                                </circle>
+                                <text x={x} y={y - 8} className="polar-label">{hour}</text>
+                            </g>
+                        );
+                    })}
+                </svg>
+
+                <div className="sun-path-legend">
+                    {diagram.keyDays.filter(day => day.id !== 'september-equinox').map(day => (
+                        <span key={day.id}>
+                            <i style={{ background: KEY_DAY_STYLES[day.id].color }} />
+                            {day.id === 'march-equinox' ? 'Equinoxes' : day.name}
+                        </span>
+                    ))}
+                    <span><i style={{ background: SELECTED_COLOR }} />{MONTHS[monthIndex]} 21 (hours marked)</span>
+                </div>
+            </div>
+
+            <div className="table-container card">
+                <div className="card-header">
+                    <h2>Sunrise, Sunset & Day Length</h2>
+                    <p className="subtitle">
+                        Clock times in {timeZone} · noon sun = height of the sun at solar noon
+                    </p>
+                </div>
+                <div className="table-wrapper">
+                    <table className="data-table">
+                        {header}
+                        <tbody>{rows(diagram.keyDays)}</tbody>
+                    </table>
+                    <table className="data-table sun-times-months">
+                        {header}
+                        <tbody>{rows(diagram.months)}</tbody>
+                    </table>
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default SunPathDiagram;
@@ -0,0 +1,81 @@
+import React from 'react';
+import { MONTHS, METERING_OPTIONS } from '../utils/constants';
+import { formatCurrency } from 'solar-calculations';
+
+const formatUnits = (value) => Math.round(value).toLocaleString('en-IN');
+
+// month by month bill with and without solar: tariff + metering mode
+const TariffSavings = ({ tariffSavings }) => {
+    const { tariff, metering, months, settlement } = tariffSavings;
+    const meteringLabel = METERING_OPTIONS.find(option => option.mode === metering.mode)?.label;
+
+    return (
+        <div className="table-container card">
+            <div className="card-header">
+                <h2>Bill Savings</h2>
+                <p className="subtitle">
+                    {tariff.name} · {meteringLabel}
+                    {tariff.effectiveFrom && ` · ${tariff.effectiveFrom} rates`}
+                    {' · '}{tariffSavings.selfConsumptionShare}% of solar used at home,
+                    worth {formatCurrency(tariffSavings.effectiveRate)}/kWh on average
+                </p>
+            </div>
+            <div className="table-wrapper">
+                <table className="data-table">
+                    <thead>
+                        <tr>
+                            <th>Month</th>
+                            <th>Usage (kWh)</th>
+                            <th>Solar (kWh)</th>
+                            <th>Used at Home</th>
+                            <th>Exported</th>
+                            <th>Billed (kWh)</th>
+                            <th>Bill Without Solar</th>
+                            <th>Bill With Solar</th>
+                            <th>Savings</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {months.map(item => (
+                            <tr key={item.monthIndex}>
+                                <td>{MONTHS[item.monthIndex]}</td>
+                                <td>{formatUnits(item.consumption)}</td>
+                                <td>{formatUnits(item.generation)}</td>
+                                <td>{formatUnits(item.selfConsumed)}</td>
+                                <td>{formatUnits(item.exported)}</td>
+                                <td>{formatUnits(item.billedUnits)}</td>
+                                <td>{formatCurrency(item.billWithout)}</td>
+                                <td>{formatCurrency(item.billWith)}</td>
+                                <td>{formatCurrency(item.savings)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                    <tfoot>
+                        {settlement && settlement.units > 0 && (
+                            <tr>
+                                <td>Settlement</td>
+                                <td colSpan="7">
+                                    {formatUnits(settlement.units)} banked kWh paid at ₹{settlement.rate}/kWh
+                                </td>
+                                <td>{formatCurrency(settlement.amount)}</td>
+                            </tr>
+                        )}
+                        <tr>
+                            <td>Year</td>
+                            <td>{formatUnits(tariffSavings.annualConsumption)}</td>
+                            <td>{formatUnits(tariffSavings.annualGeneration)}</td>
+                            <td>{formatUnits(tariffSavings.selfConsumed)}</td>
+                            <td>{formatUnits(tariffSavings.exported)}</td>
+                            <td></td>
+                            <td>{formatCurrency(tariffSavings.annualBillWithout)}</td>
+                            <td>{formatCurrency(tariffSavings.annualBillWith)}</td>
+                            <td>{formatCurrency(tariffSavings.annualSavings)}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default TariffSavings;
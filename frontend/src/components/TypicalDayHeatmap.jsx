@@ -0,0 +1,49 @@
+import React from 'react';
+import { MONTHS } from '../utils/constants';
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+// typical day per month: rows = months, columns = hours (local solar time)
+const TypicalDayHeatmap = ({ simulation }) => {
+    const { typicalDay, peakPower, clippedEnergy } = simulation;
+
+    // scale colours to the busiest hour of the year
+    const maxValue = Math.max(...typicalDay.flat(), 0.001);
+
+    return (
+        <div className="table-container card">
+            <div className="card-header">
+                <h2>Typical Day by Month</h2>
+                <p className="subtitle">
+                    Average hourly generation (kWh) from a year of hourly weather data.
+                    Peak hour: {peakPower.toLocaleString('en-IN')} kW
+                    {clippedEnergy > 0 && ` · Clipped: ${clippedEnergy.toLocaleString('en-IN')} kWh/year`}
+                </p>
+            </div>
+            <div className="table-wrapper">
+                <div className="heatmap">
+                    <div className="heatmap-label"></div>
+                    {HOURS.map(hour => (
+                        <div key={hour} className="heatmap-hour">{hour % 3 === 0 ? hour : ''}</div>
+                    ))}
+
+                    {typicalDay.map((hours, month) => (
+                        <React.Fragment key={MONTHS[month]}>
+                            <div className="heatmap-label">{MONTHS[month]}</div>
+                            {hours.map((value, hour) => (
+                                <div
+                                    key={hour}
+                                    className="heatmap-cell"
+                                    style={{ backgroundColor: `rgba(245, 158, 11, ${value / maxValue})` }}
+                                    title={`${MONTHS[month]} ${hour}:00 - ${value.toFixed(2)} kWh`}
+                                />
+                            ))}
+                        </React.Fragment>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default TypicalDayHeatmap;
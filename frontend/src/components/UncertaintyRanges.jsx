@@ -0,0 +1,57 @@
+import React from 'react';
+
+const formatNumber = (value) => Math.round(value).toLocaleString('en-IN');
+
+const LEVELS = [
+    { key: 'p50', label: 'P50', hint: 'half of years do better' },
+    { key: 'p75', label: 'P75', hint: '3 years in 4 do better' },
+    { key: 'p90', label: 'P90', hint: '9 years in 10 do better' },
+    { key: 'p99', label: 'P99', hint: 'a very bad year' }
+];
+
+// exceedance levels for year 1 and the average year over the system life
+const UncertaintyRanges = ({ uncertainty }) => {
+    const { settings, firstYear, lifetime } = uncertainty;
+
+    return (
+        <div className="table-container card">
+            <div className="card-header">
+                <h2>Uncertainty Range (P50 / P90)</h2>
+                <p className="subtitle">
+                    {settings.samples.toLocaleString('en-IN')} simulated years · seed {settings.seed} ·
+                    weather ±{settings.irradianceVariability}% ({settings.irradianceSource}) ·
+                    losses ±{settings.lossSpread}% · degradation {settings.degradationRate} ± {settings.degradationSpread} %/yr
+                </p>
+            </div>
+            <div className="table-wrapper">
+                <table className="data-table">
+                    <thead>
+                        <tr>
+                            <th>Level</th>
+                            <th>Year 1 Energy (kWh)</th>
+                            <th>Year 1 Savings (₹)</th>
+                            <th>{settings.lifetimeYears}-yr Avg Energy (kWh)</th>
+                            <th>{settings.lifetimeYears}-yr Avg Savings (₹)</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {LEVELS.map(level => (
+                            <tr key={level.key}>
+                                <td title={level.hint}>{level.label}</td>
+                                <td>{formatNumber(firstYear.energy[level.key])}</td>
+                                <td>{formatNumber(firstYear.savings[level.key])}</td>
+                                <td>{formatNumber(lifetime.energy[level.key])}</td>
+                                <td>{formatNumber(lifetime.savings[level.key])}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <small className="hint">
+                P90 = the value beaten in 9 years out of 10 - banks size loans on it. Same seed and sample count give the same numbers.
+            </small>
+        </div>
+    );
+};
+
+export default UncertaintyRanges;
@@ -2,10 +2,11 @@ import axios from 'axios';
 import { API_BASE_URL, NOMINATIM_BASE_URL } from '../utils/constants';
 
 // get solar data from our backend
-export const fetchSolarData = async (lat, lon) => {
+// options: { tilt, azimuth } for irradiance on the panel plane
+export const fetchSolarData = async (lat, lon, options = {}) => {
     try {
         const response = await axios.get(`${API_BASE_URL}/solar`, {
-            params: { lat, lon }
+            params: { lat, lon, ...options }
         });
         return response.data;
     } catch (error) {
@@ -14,6 +15,89 @@ export const fetchSolarData = async (lat, lon) => {
     }
 };
 
+// get hourly simulation from our backend
+// system: { tilt, azimuth, roofArea, efficiency, temperatureCoefficient }
+export const fetchHourlySimulation = async (lat, lon, system = {}) => {
+    try {
+        const response = await axios.get(`${API_BASE_URL}/solar/hourly`, {
+            params: { lat, lon, ...system, series: false } // skip the raw 8760 values
+        });
+        return response.data;
+    } catch (error) {
+        throw new Error(error.response?.data?.message || 'Failed to fetch hourly data');
+    }
+};
+
+// run the calculator for many sites at once
+// csvText: contents of the uploaded sites csv
+export const fetchBatchAssessment = async (csvText) => {
+    try {
+        const response = await axios.post(`${API_BASE_URL}/solar/batch`, csvText, {
+            headers: { 'Content-Type': 'text/csv' }
+        });
+        return response.data;
+    } catch (error) {
+        throw new Error(error.response?.data?.message || 'Failed to run batch assessment');
+    }
+};
+
+// saved projects (backend/projectStore.js) - list has headline numbers only
+export const fetchProjects = async () => {
+    try {
+        const response = await axios.get(`${API_BASE_URL}/projects`);
+        return response.data.projects;
+    } catch (error) {
+        throw new Error(error.response?.data?.message || 'Failed to load projects');
+    }
+};
+
+// one project in full: inputs, irradiance snapshot and results
+export const fetchProject = async (id) => {
+    try {
+        const response = await axios.get(`${API_BASE_URL}/projects/${id}`);
+        return response.data.project;
+    } catch (error) {
+        throw new Error(error.response?.data?.message || 'Failed to open project');
+    }
+};
+
+// project: { name, customerName, site, inputs, solarSnapshot, results }
+export const saveProject = async (project) => {
+    try {
+        const response = await axios.post(`${API_BASE_URL}/projects`, project);
+        return response.data.project;
+    } catch (error) {
+        throw new Error(error.response?.data?.message || 'Failed to save project');
+    }
+};
+
+// changes: any project fields, e.g. { name } to rename
+export const updateProject = async (id, changes) => {
+    try {
+        const response = await axios.patch(`${API_BASE_URL}/projects/${id}`, changes);
+        return response.data.project;
+    } catch (error) {
+        throw new Error(error.response?.data?.message || 'Failed to update project');
+    }
+};
+
+export const duplicateProject = async (id) => {
+    try {
+        const response = await axios.post(`${API_BASE_URL}/projects/${id}/duplicate`, {});
+        return response.data.project;
+    } catch (error) {
+        throw new Error(error.response?.data?.message || 'Failed to duplicate project');
+    }
+};
+
+export const deleteProject = async (id) => {
+    try {
+        await axios.delete(`${API_BASE_URL}/projects/${id}`);
+    } catch (error) {
+        throw new Error(error.response?.data?.message || 'Failed to delete project');
+    }
+};
+
 // search place name (openstreetmap api)
 export const searchLocation = async (query) => {
     try {
@@ -1,34 +1,136 @@
+import { calculateAll, validateModule, validateUncertainty, resolveModule, validateRoofFace, measureRoof, calculateSunPathDiagram, horizonElevationAt } from 'solar-calculations';
+import { DEFAULT_TEMPERATURE_COEFFICIENT, HORIZON_SECTORS } from '../utils/constants';
+
 // validate user inputs
-export const validateInputs = (lat, lng, roofArea, efficiency, rate) => {
+export const validateInputs = (lat, lng, roofArea, efficiency, rate, tilt = 0, azimuth = 180) => {
     // check required fields
     if (!lat || !lng) return { isValid: false, error: 'Please select a location on the map.' };
     if (!roofArea || roofArea <= 0) return { isValid: false, error: 'Enter a valid roof area.' };
+    if (isNaN(tilt) || tilt < 0 || tilt > 90) return { isValid: false, error: 'Tilt must be between 0° and 90°.' };
+    if (isNaN(azimuth) || azimuth < 0 || azimuth > 360) return { isValid: false, error: 'Azimuth must be between 0° and 360°.' };
 
     return { isValid: true };
 };
 
-// core solar calc logic
-export const calculateSolarPotential = (roofArea, efficiency, rate, avgDailyIrradiance) => {
+// turn a user-entered module (watts + dimensions) into a catalog-style entry
+// returns { module } with its efficiency, or { error } if the numbers don't add up
+export const createCustomModule = (spec) => {
+    const problem = validateModule(spec);
+    if (problem) return { error: problem };
+    return { module: { ...resolveModule(spec), id: `custom-${Date.now()}`, custom: true } };
+};
+
+// one number, or 12 comma-separated months (january first) from a year of bills
+// returns kWh/month as a number or an array of 12, or null if it can't be read
+export const parseMonthlyConsumption = (text) => {
+    const values = String(text).split(/[,;\s]+/).filter(Boolean).map(Number);
+    if (values.length === 1 && values[0] > 0) return values[0];
+    if (values.length === 12 && values.every(value => !isNaN(value) && value >= 0)) return values;
+    return null;
+};
+
+// "2, 1.5, ..., 3" -> 24 hourly values (relative use from midnight), else null
+export const parseLoadProfile = (text) => {
+    const values = String(text).split(/[,;\s]+/).filter(Boolean).map(Number);
+    if (values.length !== 24 || values.some(value => isNaN(value) || value < 0)) return null;
+    return values.some(value => value > 0) ? values : null;
+};
+
+// "0, 0, 5, ..., 0" -> skyline height (°) in each of the 16 directions from north, else null
+export const parseHorizon = (text) => {
+    const values = String(text).split(/[,;\s]+/).filter(Boolean).map(Number);
+    if (values.length !== HORIZON_SECTORS) return null;
+    return values.every(value => !isNaN(value) && value >= 0 && value < 90) ? values : null;
+};
+
+// monte carlo settings from the form - returns what is wrong, or null
+export const validateUncertaintySettings = (settings) => validateUncertainty(settings);
 
-    const efficiencyDecimal = efficiency / 100;
+// roof faces from the form (tilt/azimuth/exclusion typed as text) -> numbers
+// returns null while any face is incomplete or out of range
+export const parseRoofFaces = (faces) => {
+    const parsed = faces.map(face => ({
+        points: face.points,
+        tilt: parseFloat(face.tilt),
+        azimuth: parseFloat(face.azimuth),
+        exclusion: face.exclusion === '' ? 0 : parseFloat(face.exclusion)
+    }));
+    return parsed.every(face => validateRoofFace(face) === null) ? parsed : null;
+};
 
-    // formula: area * eff * sun * 365
-    const annualEnergy = roofArea * efficiencyDecimal * avgDailyIrradiance * 365;
+// traced faces -> plan, pitch-corrected and usable m² (null if a face isn't valid yet)
+export const measureRoofFaces = (faces) => {
+    const parsed = parseRoofFaces(faces);
+    return parsed ? measureRoof(parsed) : null;
+};
 
-    // savings: energy * rate
-    const annualSavings = annualEnergy * rate;
+// sun paths (solstices, equinoxes, 21st of each month) + sunrise/sunset for a location
+// horizon: points from results.horizonShading - sampled every 5° to draw the skyline
+export const getSunPathDiagram = (latitude, longitude, horizon = null) => ({
+    ...calculateSunPathDiagram({ latitude, longitude }),
+    skyline: horizon
+        ? Array.from({ length: 72 }, (_, i) => ({ azimuth: i * 5, elevation: horizonElevationAt(horizon, i * 5) }))
+        : null
+});
 
-    // co2: energy * 0.82 (india avg)
-    const co2Factor = 0.82;
-    const co2Saved = annualEnergy * co2Factor;
+// same site? scenarios are kept per location (within ~100 m)
+export const isSameLocation = (a, b) => Boolean(a && b) &&
+    Math.abs(a.latitude - b.latitude) < 0.001 && Math.abs(a.longitude - b.longitude) < 0.001;
 
+// default scenario name, e.g. "Mono PERC 540 W · 40 m² · 20°"
+export const describeScenario = (results, formData) =>
+    `${results.systemSizing.module.name} · ${formData.roofArea} m² · ${formData.tilt}°`;
+
+// a result worth comparing later: the form it came from (to load it back)
+// + the headline numbers and monthly energy - not the whole result, to keep localStorage small
+export const createScenario = (name, results, formData, location) => {
+    const { systemSizing, costEstimate, financials, uncertainty } = results;
     return {
-        annualEnergy: Math.round(annualEnergy),
-        annualSavings: Math.round(annualSavings),
-        co2Saved: Math.round(co2Saved),
-        avgDailyIrradiance: avgDailyIrradiance,
-        // extras for charts
-        dailyEnergy: (annualEnergy / 365).toFixed(2),
-        monthlySavings: Math.round(annualSavings / 12)
+        id: `scenario-${Date.now()}`,
+        name,
+        location: { latitude: location.latitude, longitude: location.longitude },
+        savedAt: new Date().toISOString(),
+        baseline: false,
+        formData,
+        summary: {
+            panels: `${systemSizing.panelCount} × ${systemSizing.module.name}`,
+            roofArea: parseFloat(formData.roofArea),
+            orientation: `${formData.tilt}° / ${formData.azimuth}°`,
+            tariff: results.assumptions.electricityRate,
+            dcCapacity: systemSizing.dcCapacity,
+            annualEnergy: results.annualEnergy,
+            p90Energy: uncertainty?.firstYear.energy.p90 ?? null,
+            specificYield: systemSizing.dcCapacity > 0 ? Math.round(results.annualEnergy / systemSizing.dcCapacity) : null,
+            annualSavings: results.annualSavings,
+            netCost: costEstimate?.netCost ?? null,
+            payback: financials?.simplePayback ?? null,
+            npv: financials?.npv ?? null,
+            co2Saved: results.co2Saved
+        },
+        monthlyEnergy: results.monthlyBreakdown.map(item => item.energy)
     };
 };
+
+// core solar calc - same module the backend uses for /api/calculate,
+// so the UI and the API always give identical numbers
+// tariffOptions: { tariff, monthlyConsumption or monthlyBill, metering } for slab tariffs (flat rate if empty)
+// plus sizing: { module, setback, rowSpacing, orientation, targetOffset } to fit whole panels
+// (targetOffset = size from consumption instead of filling the roof)
+// plus losses: { soiling, inverter, ... } in % for the loss tree
+// plus roofFaces: [{ points, tilt, azimuth, exclusion }] traced on the map (kept in results.roof)
+// plus cost: { costPerKw, subsidyScheme, stateTopUp } for the cost estimate
+// plus finance: { systemCost, ..., loan } for the 25-year cash flow + loan comparison
+// plus horizon: 16 skyline heights + tilt/azimuth for the shading model
+// plus uncertainty: { samples, seed } + annualVariability for the p50/p90 monte carlo
+// and battery: { capacity, depthOfDischarge, loadProfile, ... } + latitude for the storage simulation
+export const calculateSolarPotential = (roofArea, efficiency, rate, avgDailyIrradiance, monthlyData = null, temperatureCoefficient = DEFAULT_TEMPERATURE_COEFFICIENT, tariffOptions = {}) => {
+    return calculateAll({
+        roofArea,
+        efficiency,
+        electricityRate: rate,
+        avgDailyIrradiance,
+        monthlyData,
+        temperatureCoefficient,
+        ...tariffOptions
+    });
+};
@@ -1,4 +1,5 @@
 // global constants
+import { DAYS_IN_MONTH as SHARED_DAYS_IN_MONTH, TEMPERATURE_MODEL, listTariffPresets, METERING_DEFAULTS as SHARED_METERING_DEFAULTS, FINANCE_DEFAULTS as SHARED_FINANCE_DEFAULTS, LOAN_DEFAULTS as SHARED_LOAN_DEFAULTS, listModules, SIZING_DEFAULTS as SHARED_SIZING_DEFAULTS, listSubsidySchemes, STATE_TOPUPS as SHARED_STATE_TOPUPS, listLossComponents, LOSS_DEFAULTS as SHARED_LOSS_DEFAULTS, CONSUMPTION_DEFAULTS as SHARED_CONSUMPTION_DEFAULTS, listLoadProfiles, BATTERY_DEFAULTS as SHARED_BATTERY_DEFAULTS, ROOF_FACE_DEFAULTS as SHARED_ROOF_FACE_DEFAULTS, HORIZON_SECTORS as SHARED_HORIZON_SECTORS, UNCERTAINTY_DEFAULTS as SHARED_UNCERTAINTY_DEFAULTS, DEFAULT_SUBSIDY_SCHEME as SHARED_DEFAULT_SUBSIDY_SCHEME } from 'solar-calculations';
 
 export const API_BASE_URL = window.location.hostname === 'localhost'
     ? 'http://localhost:3000/api'
@@ -15,3 +16,63 @@ export const MONTHS = [
     'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
     'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'
 ];
+
+// model constants come from the shared calculation module (utils/calculations.js)
+export const DAYS_IN_MONTH = SHARED_DAYS_IN_MONTH;
+export const STC_CELL_TEMPERATURE = TEMPERATURE_MODEL.STC_CELL_TEMPERATURE; // °C
+export const DEFAULT_TEMPERATURE_COEFFICIENT = TEMPERATURE_MODEL.DEFAULT_COEFFICIENT; // %/°C (typical mono panel)
+
+// state discom slab tariffs for the tariff picker ('flat' = single rate)
+export const FLAT_TARIFF = 'flat';
+export const TARIFF_PRESETS = listTariffPresets();
+
+// how exported solar is paid for - each mode has its own ₹/kWh rate field
+export const METERING_DEFAULTS = SHARED_METERING_DEFAULTS;
+export const METERING_OPTIONS = [
+    { mode: 'net', label: 'Net metering', rateField: 'settlementRate', rateLabel: 'Surplus Settlement Rate (₹/kWh)', hint: 'Exports offset your imports; units left at year end are paid at this rate' },
+    { mode: 'gross', label: 'Gross metering', rateField: 'feedInTariff', rateLabel: 'Feed-in Tariff (₹/kWh)', hint: 'All generation is sold to the DISCOM at this rate' },
+    { mode: 'net-billing', label: 'Net billing', rateField: 'exportRate', rateLabel: 'Export Rate (₹/kWh)', hint: 'Exports are credited each month at this rate' }
+];
+
+// lifetime cash flow assumptions (rates in % per year) - see utils/finance.js
+export const FINANCE_DEFAULTS = SHARED_FINANCE_DEFAULTS;
+export const LOAN_DEFAULTS = SHARED_LOAN_DEFAULTS; // down payment %, interest %, tenure
+
+// pm surya ghar subsidy schemes + optional state top-ups (rules live in utils/costs.js)
+export const SUBSIDY_SCHEMES = listSubsidySchemes();
+export const DEFAULT_SUBSIDY_SCHEME = SHARED_DEFAULT_SUBSIDY_SCHEME;
+export const STATE_TOPUPS = Object.values(SHARED_STATE_TOPUPS);
+export const NO_STATE_TOPUP = 'none';
+
+// module catalog + layout rules for panel-level sizing (utils/modules.js)
+export const MODULE_CATALOG = listModules();
+export const SIZING_DEFAULTS = SHARED_SIZING_DEFAULTS;
+export const ADD_CUSTOM_MODULE = 'add-custom'; // select option that opens the custom module form
+export const CUSTOM_MODULES_KEY = 'customModules'; // localStorage key
+
+// system loss tree - soiling, wiring, inverter... in % (utils/losses.js)
+export const LOSS_COMPONENTS = listLossComponents();
+export const LOSS_DEFAULTS = SHARED_LOSS_DEFAULTS;
+
+// fill the roof, or size the system from the electricity bill (utils/consumption.js)
+export const SIZING_MODES = { ROOF: 'roof', CONSUMPTION: 'consumption' };
+export const CONSUMPTION_DEFAULTS = SHARED_CONSUMPTION_DEFAULTS; // target offset %
+
+// home battery - daily load shapes + defaults (utils/battery.js)
+export const LOAD_PROFILES = listLoadProfiles();
+export const BATTERY_DEFAULTS = SHARED_BATTERY_DEFAULTS; // DoD %, round-trip %, fade %/yr, ₹/kWh
+export const CUSTOM_LOAD_PROFILE = 'custom'; // select option for 24 typed-in hourly values
+
+// roof faces traced on the map - pitch, azimuth, obstructions (utils/roofGeometry.js)
+export const ROOF_FACE_DEFAULTS = SHARED_ROOF_FACE_DEFAULTS;
+
+// horizon profile - skyline height every 22.5° from north (utils/shading.js)
+export const HORIZON_SECTORS = SHARED_HORIZON_SECTORS;
+export const HORIZON_DIRECTIONS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+// monte carlo p50/p90 ranges - sample count, seed, spreads (utils/uncertainty.js)
+export const UNCERTAINTY_DEFAULTS = SHARED_UNCERTAINTY_DEFAULTS;
+
+// saved what-if scenarios (panels, area, tariff, tilt) for side-by-side comparison
+export const SCENARIOS_KEY = 'scenarios'; // localStorage key
+export const SCENARIO_COLORS = ['#3B82F6', '#F59E0B', '#A855F7', '#EF4444', '#14B8A6', '#EC4899'];
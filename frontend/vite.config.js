@@ -6,6 +6,12 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   plugins: [react()],
 
+  // The shared calculation module (../utils, linked as "solar-calculations")
+  // is CommonJS so the backend can require() it - let Vite convert it
+  optimizeDeps: {
+    include: ['solar-calculations'],
+  },
+
   // Development server settings
   server: {
     port: 5173, // The port where our React app will run during development
@@ -24,5 +30,8 @@ export default defineConfig({
   build: {
     outDir: 'dist', // Where the final built files will go
     sourcemap: false, // Don't create source maps for production
+    commonjsOptions: {
+      include: [/utils/, /node_modules/], // convert the linked shared module too
+    },
   }
 })
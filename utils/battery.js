@@ -0,0 +1,395 @@
+/**
+ * Battery Storage Simulation (Dispatch over a Typical Day)
+ *
+ * A battery stores midday solar that would otherwise be exported and uses
+ * it in the evening instead of grid power. Whether that pays depends on the
+ * gap between what you pay for grid units and what exports earn, and on
+ * when the household uses electricity.
+ *
+ * ============================================
+ * DISPATCH RULES (Important for Viva!)
+ * ============================================
+ *
+ * For each month we build one typical day (24 hours):
+ *    Load(h)  = Monthly Consumption / Days × Load Profile(h)
+ *    Solar(h) = Monthly Generation  / Days × Solar Shape(h)
+ * The solar shape follows the sun's height (cos zenith) on the month's
+ * average day at the site latitude.
+ *
+ * Every hour:
+ *    1. Solar supplies the load directly
+ *    2. Surplus solar charges the battery (up to its power and free space),
+ *       the rest is exported
+ *    3. A shortfall is taken from the battery (down to the depth-of-discharge
+ *       limit), the rest is imported from the grid
+ * The battery only charges from solar, never from the grid. The day is run
+ * twice so the battery starts with what it had left the night before.
+ *
+ *    Usable Capacity   = Capacity × Depth of Discharge × (1 − Fade)^(year − 1)
+ *    Charge / discharge each lose √(Round-trip Efficiency)
+ *
+ * ============================================
+ * RESULTS
+ * ============================================
+ *
+ *    Self-consumption = Solar used at home / Solar generated
+ *    Self-sufficiency = Load met by solar + battery / Total load
+ *    Backup Hours     = Usable Capacity / Backup Load (kW)
+ *    Added Value (₹)  = Discharged × Import Rate − Charged × Export Rate
+ * (every kWh stored is one not exported, and comes back as one not bought)
+ *
+ * Under net metering exports are worth the retail rate, so the value is
+ * close to zero (only the round-trip losses) - the battery then only buys
+ * backup during outages.
+ */
+
+// Sun position for the solar shape - plain <script> users load solarGeometry.js first
+const geometry = typeof require === 'function' ? require('./solarGeometry') : window.SolarGeometry;
+// Payback on the added value - plain <script> users load finance.js first
+const finance = typeof require === 'function' ? require('./finance') : window.SolarFinance;
+
+/**
+ * Typical daily load shapes - relative use in each hour (0 = midnight)
+ * Scaled to the month's consumption, so only the shape matters
+ */
+const LOAD_PROFILES = {
+    'working-family': {
+        id: 'working-family',
+        name: 'Working family (morning & evening peaks)',
+        hourly: [2, 1.5, 1.5, 1.5, 1.5, 2, 4, 6, 5, 3, 2, 2, 2, 2, 2, 2, 3, 4, 6, 8, 8, 7, 5, 3]
+    },
+    'home-all-day': {
+        id: 'home-all-day',
+        name: 'Someone home all day',
+        hourly: [2, 1.5, 1.5, 1.5, 1.5, 2, 3, 5, 5, 4, 4, 4, 5, 5, 4, 4, 4, 5, 6, 7, 7, 6, 4, 3]
+    },
+    'night-ac': {
+        id: 'night-ac',
+        name: 'Night-time air conditioning',
+        hourly: [7, 7, 7, 7, 6, 5, 3, 3, 3, 2, 2, 2, 2, 2, 2, 2, 2, 3, 4, 5, 6, 7, 7, 7]
+    },
+    'daytime-business': {
+        id: 'daytime-business',
+        name: 'Shop / office (9 am - 7 pm)',
+        hourly: [1, 1, 1, 1, 1, 1, 1, 2, 4, 7, 8, 8, 8, 8, 8, 8, 8, 7, 6, 3, 1, 1, 1, 1]
+    }
+};
+
+/**
+ * Default battery settings (lithium iron phosphate home battery)
+ * - capacity: kWh (nameplate)
+ * - depthOfDischarge: % of capacity that may be used
+ * - roundTripEfficiency: % of stored energy that comes back out
+ * - degradationRate: % capacity fade per year
+ * - powerRate: kW per kWh of capacity (0.5 = a 5 kWh battery gives 2.5 kW)
+ * - lifetimeYears: years the added value is counted for
+ * - costPerKwh: installed ₹ per kWh incl. the hybrid inverter premium (approx. 2024-25)
+ */
+const BATTERY_DEFAULTS = {
+    capacity: 5,
+    depthOfDischarge: 90,
+    roundTripEfficiency: 90,
+    degradationRate: 3,
+    powerRate: 0.5,
+    lifetimeYears: 10,
+    costPerKwh: 20000,
+    loadProfile: 'working-family'
+};
+
+/**
+ * Latitude used for the solar shape when none is given (central India)
+ */
+const DEFAULT_LATITUDE = 20;
+
+const HOURS_IN_DAY = 24;
+const { DAYS_IN_MONTH } = geometry;
+
+// ============================================
+// Daily Shapes
+// ============================================
+
+/**
+ * Scale 24 values so they add up to 1
+ *
+ * @param {Array<number>} values - 24 non-negative values
+ * @returns {Array<number>} Shares of the day
+ */
+function normaliseShape(values) {
+    const total = values.reduce((sum, value) => sum + value, 0);
+    return values.map(value => (total > 0 ? value / total : 1 / HOURS_IN_DAY));
+}
+
+/**
+ * Resolve a load profile id or 24 user-entered values
+ *
+ * @param {string|Array<number>} profile - LOAD_PROFILES id or 24 hourly values
+ * @returns {object} { id, name, shape (24 shares of the day) }
+ */
+function resolveLoadProfile(profile) {
+    if (Array.isArray(profile)) {
+        if (profile.length !== HOURS_IN_DAY || profile.some(value => typeof value !== 'number' || value < 0)) {
+            throw new Error('A custom load profile needs 24 hourly values of 0 or more');
+        }
+        if (profile.every(value => value === 0)) {
+            throw new Error('A custom load profile cannot be all zeros');
+        }
+        return { id: 'custom', name: 'Your load profile', shape: normaliseShape(profile) };
+    }
+
+    const preset = LOAD_PROFILES[profile || BATTERY_DEFAULTS.loadProfile];
+    if (!preset) {
+        throw new Error(`Unknown load profile "${profile}"`);
+    }
+    return { id: preset.id, name: preset.name, shape: normaliseShape(preset.hourly) };
+}
+
+/**
+ * Share of a month's solar generated in each hour (solar time)
+ * Proportional to cos(zenith) at the middle of each hour on the month's average day
+ *
+ * @param {number} latitude - Degrees
+ * @param {number} monthIndex - 0 = January
+ * @returns {Array<number>} 24 shares of the day
+ */
+function calculateSolarShape(latitude, monthIndex) {
+    const declination = geometry.calculateDeclination(geometry.AVERAGE_DAY_OF_MONTH[monthIndex]);
+    const values = Array.from({ length: HOURS_IN_DAY }, (_, hour) => (
+        Math.max(geometry.cosZenith(latitude, declination, (hour + 0.5 - 12) * 15), 0)
+    ));
+    return normaliseShape(values);
+}
+
+// ============================================
+// Dispatch
+// ============================================
+
+/**
+ * Run one typical day through the battery
+ *
+ * @param {Array<number>} load - 24 hourly kWh
+ * @param {Array<number>} solar - 24 hourly kWh
+ * @param {object} battery - { usableCapacity, power, efficiency (one way), startCharge }
+ * @returns {object} Daily totals and the hourly state of charge
+ */
+function dispatchDay(load, solar, battery) {
+    const { usableCapacity, power, efficiency } = battery;
+    let stored = battery.startCharge;
+    const totals = { direct: 0, charged: 0, discharged: 0, exported: 0, imported: 0 };
+    const stateOfCharge = [];
+    const gridImport = [];
+
+    for (let hour = 0; hour < HOURS_IN_DAY; hour++) {
+        const direct = Math.min(load[hour], solar[hour]);
+        const surplus = solar[hour] - direct;
+        const shortfall = load[hour] - direct;
+
+        const charge = Math.min(surplus, power, (usableCapacity - stored) / efficiency);
+        stored += charge * efficiency;
+
+        const discharge = Math.min(shortfall, power, stored * efficiency);
+        stored -= discharge / efficiency;
+
+        totals.direct += direct;
+        totals.charged += charge;
+        totals.discharged += discharge;
+        totals.exported += surplus - charge;
+        totals.imported += shortfall - discharge;
+        stateOfCharge.push(usableCapacity > 0 ? stored / usableCapacity : 0);
+        gridImport.push(shortfall - discharge);
+    }
+
+    return { ...totals, endCharge: stored, stateOfCharge, gridImport };
+}
+
+/**
+ * One year of typical days with a given usable capacity
+ *
+ * @param {object} params - { monthlyLoad, monthlyGeneration, loadShape, solarShapes, usableCapacity, power, efficiency }
+ * @returns {Array} 12 months of { days, day } (day = dispatchDay result)
+ */
+function simulateYear(params) {
+    const { monthlyLoad, monthlyGeneration, loadShape, solarShapes, usableCapacity, power, efficiency } = params;
+
+    return DAYS_IN_MONTH.map((days, month) => {
+        const load = loadShape.map(share => (monthlyLoad[month] / days) * share);
+        const solar = solarShapes[month].map(share => (monthlyGeneration[month] / days) * share);
+        const battery = { usableCapacity, power, efficiency, startCharge: 0 };
+
+        // second run starts with last night's leftover charge (steady state)
+        const firstRun = dispatchDay(load, solar, battery);
+        const day = dispatchDay(load, solar, { ...battery, startCharge: firstRun.endCharge });
+        return { days, load, solar, day };
+    });
+}
+
+/**
+ * Added value of the battery in one simulated year
+ *
+ * @param {Array} months - simulateYear output
+ * @param {number} importRate - ₹/kWh saved per kWh not bought
+ * @param {number} exportRate - ₹/kWh given up per kWh not exported
+ * @returns {number} ₹/year
+ */
+function yearValue(months, importRate, exportRate) {
+    return months.reduce((sum, { days, day }) => (
+        sum + days * (day.discharged * importRate - day.charged * exportRate)
+    ), 0);
+}
+
+/**
+ * Simulate a home battery against the household load and the solar generation
+ *
+ * @param {object} params
+ * @param {Array<number>} params.monthlyLoad - 12 monthly consumption values (kWh)
+ * @param {Array<number>} params.monthlyGeneration - 12 monthly solar values (kWh)
+ * @param {number} params.importRate - ₹/kWh paid for grid units
+ * @param {number} params.exportRate - ₹/kWh earned (or offset) for exported units
+ * @param {number} [params.latitude] - Degrees, for the solar shape (default central India)
+ * @param {number} [params.capacity] - kWh nameplate
+ * @param {number} [params.depthOfDischarge] - %
+ * @param {number} [params.roundTripEfficiency] - %
+ * @param {number} [params.degradationRate] - % capacity fade per year
+ * @param {number} [params.power] - kW charge/discharge limit (default capacity × powerRate)
+ * @param {string|Array<number>} [params.loadProfile] - LOAD_PROFILES id or 24 hourly values
+ * @param {number} [params.backupLoad] - kW kept running in an outage (default: average load)
+ * @param {number} [params.costPerKwh] - Installed ₹/kWh
+ * @param {number} [params.lifetimeYears] - Years of added value
+ * @returns {object} { settings, months, withoutBattery, withBattery, backupHours, value, typicalDays }
+ */
+function simulateBattery(params) {
+    const settings = { ...BATTERY_DEFAULTS };
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) settings[key] = value;
+    });
+
+    const {
+        monthlyLoad, monthlyGeneration, importRate, exportRate, latitude = DEFAULT_LATITUDE,
+        capacity, depthOfDischarge, roundTripEfficiency, degradationRate, costPerKwh, lifetimeYears
+    } = settings;
+    const power = settings.power > 0 ? settings.power : capacity * settings.powerRate;
+    const profile = resolveLoadProfile(settings.loadProfile);
+    const solarShapes = DAYS_IN_MONTH.map((_, month) => calculateSolarShape(latitude, month));
+    const efficiency = Math.sqrt(roundTripEfficiency / 100);
+    const usableCapacity = capacity * (depthOfDischarge / 100);
+
+    const yearParams = { monthlyLoad, monthlyGeneration, loadShape: profile.shape, solarShapes, power, efficiency };
+    const firstYear = simulateYear({ ...yearParams, usableCapacity });
+
+    // Lifetime value - the battery fades a little every year
+    const yearlyValues = [];
+    for (let year = 1; year <= lifetimeYears; year++) {
+        const months = year === 1
+            ? firstYear
+            : simulateYear({ ...yearParams, usableCapacity: usableCapacity * Math.pow(1 - degradationRate / 100, year - 1) });
+        yearlyValues.push(yearValue(months, importRate, exportRate));
+    }
+
+    const round = value => Math.round(value * 10) / 10;
+    const monthRows = firstYear.map(({ days, day }, monthIndex) => ({
+        monthIndex,
+        load: round(monthlyLoad[monthIndex]),
+        generation: round(monthlyGeneration[monthIndex]),
+        selfConsumedWithout: round(day.direct * days),
+        selfConsumedWith: round((day.direct + day.charged) * days),
+        charged: round(day.charged * days),
+        discharged: round(day.discharged * days),
+        exported: round(day.exported * days),
+        imported: round(day.imported * days)
+    }));
+
+    const total = key => monthRows.reduce((sum, row) => sum + row[key], 0);
+    const load = total('load');
+    const generation = total('generation');
+    const share = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+    const averageLoad = load / (365 * HOURS_IN_DAY);
+    const backupLoad = settings.backupLoad > 0 ? settings.backupLoad : averageLoad;
+    const cost = Math.round(capacity * costPerKwh);
+    const lifetimeValue = yearlyValues.reduce((sum, value) => sum + value, 0);
+
+    return {
+        settings: {
+            capacity,
+            usableCapacity: round(usableCapacity),
+            power: round(power),
+            depthOfDischarge,
+            roundTripEfficiency,
+            degradationRate,
+            loadProfile: { id: profile.id, name: profile.name },
+            latitude
+        },
+        months: monthRows,
+        withoutBattery: {
+            selfConsumption: share(total('selfConsumedWithout'), generation),
+            selfSufficiency: share(total('selfConsumedWithout'), load),
+            exported: Math.round(generation - total('selfConsumedWithout')),
+            imported: Math.round(load - total('selfConsumedWithout'))
+        },
+        withBattery: {
+            // charged solar counts as self-consumed (its losses never reach the grid)
+            selfConsumption: share(total('selfConsumedWith'), generation),
+            selfSufficiency: share(load - total('imported'), load),
+            exported: Math.round(total('exported')),
+            imported: Math.round(total('imported'))
+        },
+        throughput: Math.round(total('discharged')), // kWh/year delivered by the battery
+        backupLoad: Math.round(backupLoad * 100) / 100,
+        backupHours: backupLoad > 0 ? round(usableCapacity / backupLoad) : null,
+        value: {
+            importRate,
+            exportRate,
+            firstYear: Math.round(yearlyValues[0] || 0),
+            lifetime: Math.round(lifetimeValue),
+            lifetimeYears,
+            cost,
+            costPerKwh,
+            payback: finance.calculatePayback([-cost, ...yearlyValues])
+        },
+        // hour-by-hour typical day per month (for charts)
+        typicalDays: firstYear.map(({ load: dayLoad, solar, day }) => ({
+            load: dayLoad.map(value => Math.round(value * 1000) / 1000),
+            solar: solar.map(value => Math.round(value * 1000) / 1000),
+            gridImport: day.gridImport.map(value => Math.round(value * 1000) / 1000),
+            stateOfCharge: day.stateOfCharge.map(value => Math.round(value * 1000) / 10) // %
+        }))
+    };
+}
+
+/**
+ * Load profiles for dropdowns
+ *
+ * @returns {Array} [{ id, name, hourly }]
+ */
+function listLoadProfiles() {
+    return Object.values(LOAD_PROFILES).map(profile => ({ ...profile }));
+}
+
+// ============================================
+// Export for use in other modules
+// ============================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / bundler environment
+    module.exports = {
+        resolveLoadProfile,
+        calculateSolarShape,
+        dispatchDay,
+        simulateBattery,
+        listLoadProfiles,
+        LOAD_PROFILES,
+        BATTERY_DEFAULTS,
+        DEFAULT_LATITUDE
+    };
+} else {
+    // Browser environment - attach to window (load before calculations.js)
+    window.SolarBattery = {
+        resolveLoadProfile,
+        calculateSolarShape,
+        dispatchDay,
+        simulateBattery,
+        listLoadProfiles,
+        LOAD_PROFILES,
+        BATTERY_DEFAULTS,
+        DEFAULT_LATITUDE
+    };
+}
@@ -5,6 +5,13 @@
  * calculating solar energy potential. It can be used independently
  * of the main application for testing or integration with other systems.
  * 
+ * Single Source of Truth:
+ * - The backend require()s it (POST /api/calculate, batch assessment)
+ * - The React frontend imports it as the "solar-calculations" package
+ *   (utils/package.json, linked from frontend/package.json)
+ * - So the UI and API consumers always get identical numbers - never copy
+ *   a formula or constant into the frontend
+ * 
  * ============================================
  * CALCULATION FORMULAS (Important for Viva!)
  * ============================================
@@ -12,10 +19,20 @@
  * 1. Annual Solar Energy Generation:
  *    Annual Energy (kWh) = Roof Area × Panel Efficiency × Avg Daily Irradiance × 365
  *    
+ *    With a module from the catalog (see modules.js), only the area covered
+ *    by whole panels counts, so this becomes Installed kWp × Irradiance × 365
+ *    
+ *    Or, sized from the electricity bill (see consumption.js):
+ *    Installed kWp = Annual Consumption × Target Offset % / Specific Yield
+ *    
+ *    calculateAll then applies the system loss tree (see losses.js):
+ *    Delivered AC Energy = DC Energy × (1 − Soiling) × ... × Inverter Efficiency
+ *    
  *    Where:
  *    - Roof Area is in square meters (m²)
  *    - Panel Efficiency is a decimal (e.g., 0.18 for 18%)
- *    - Avg Daily Irradiance is in kWh/m²/day
+ *    - Avg Daily Irradiance is in kWh/m²/day on the PANEL PLANE
+ *      (horizontal NASA data transposed for tilt/azimuth, see transposition.js)
  *    - 365 is the number of days in a year
  * 
  * 2. Annual Cost Savings:
@@ -24,6 +41,9 @@
  *    Where:
  *    - Annual Energy is in kWh
  *    - Electricity Rate is in ₹/kWh
+ *    
+ *    With a slab tariff and the customer's consumption, savings are worked
+ *    out month by month as the drop in the bill instead (see tariffs.js)
  * 
  * 3. CO₂ Emission Reduction:
  *    CO₂ Saved (kg/year) = Annual Energy × 0.82
@@ -32,29 +52,86 @@
  *    - 0.82 kg CO₂/kWh is the grid emission factor for India
  *    - This represents average CO₂ emissions from thermal power plants
  * 
+ * 4. Cell Temperature (Faiman model):
+ *    Cell Temp (°C) = Ambient Temp + G / (U0 + U1 × Wind Speed)
+ *    
+ *    Where:
+ *    - G is the irradiance-weighted daytime irradiance in W/m²
+ *    - U0 = 25 W/m²K (heat loss coefficient), U1 = 6.84 W·s/m³K (wind cooling)
+ *    - Ambient temperature (T2M) and wind speed (WS2M) come from NASA POWER
+ * 
+ * 5. Temperature Derating:
+ *    Temperature Factor = 1 + (Temp Coefficient / 100) × (Cell Temp − 25)
+ *    Derated Energy = Energy × Temperature Factor
+ *    
+ *    Where:
+ *    - Temp Coefficient is the panel's power coefficient in %/°C (e.g. -0.40)
+ *    - 25°C is the Standard Test Condition (STC) cell temperature
+ * 
+ * 6. Hourly Simulation (8760 hours):
+ *    Hourly Energy (kWh) = Roof Area × Efficiency × POA Irradiance (W/m²) × Temperature Factor / 1000
+ *    
+ *    Where:
+ *    - Each hour uses its own cell temperature (Faiman model, instantaneous G)
+ *    - Output above the inverter capacity (if given) is clipped
+ * 
  * ============================================
  * ASSUMPTIONS & LIMITATIONS
  * ============================================
  * 
- * 1. System losses are not included (simplified for academic purposes)
- *    - Real-world systems have 10-25% losses from inverters, wiring, dirt, etc.
+ * 1. System losses use typical default percentages (losses.js)
+ *    - Soiling, LID, mismatch, wiring, inverter and availability can be
+ *      overridden; the real values depend on cleaning and installation quality
  * 
- * 2. Panel degradation over time is not considered
- *    - Panels typically lose 0.5-1% efficiency per year
+ * 2. Annual energy here is year-1 energy, before any degradation
+ *    - Panels typically lose 0.5-1% efficiency per year; degradationRate is
+ *      applied year by year in finance.js and sampled in uncertainty.js
  * 
- * 3. Roof orientation and tilt are not factored
- *    - Optimal tilt equals latitude; south-facing is ideal in Northern Hemisphere
+ * 3. Roof orientation and tilt use a monthly isotropic-sky model
+ *    - transposition.js converts horizontal irradiance for the panel tilt and
+ *      azimuth; the simple isotropic sky slightly underestimates tilted gains
  * 
- * 4. Shading from nearby objects is not considered
- *    - Trees, buildings can significantly reduce output
+ * 4. Shading uses a horizon profile on each month's average day
+ *    - shading.js blocks the sun behind the skyline (or a flat % without a
+ *      profile); near objects that shade only part of the array are not split
  * 
- * 5. Temperature effects are not included
- *    - High temperatures reduce panel efficiency
+ * 5. Temperature effects use monthly averages
+ *    - Ambient temperature is the 24-hour monthly mean, so hot afternoons
+ *      are smoothed out and the thermal loss is a conservative estimate
  * 
  * These simplifications are acceptable for an educational project
  * but should be considered for commercial-grade applications.
  */
 
+// The other modules of this package: require()d in Node and the bundler, read from
+// window.Solar* in the browser - plain <script> users load each of them before this file
+// Sun-earth geometry & calendar
+const geometry = typeof require === 'function' ? require('./solarGeometry') : window.SolarGeometry;
+// Slab tariff engine
+const tariffs = typeof require === 'function' ? require('./tariffs') : window.SolarTariffs;
+// Lifetime cash-flow model
+const finance = typeof require === 'function' ? require('./finance') : window.SolarFinance;
+// System cost & subsidy rules
+const costs = typeof require === 'function' ? require('./costs') : window.SolarCosts;
+// Module catalog & panel layout
+const modules = typeof require === 'function' ? require('./modules') : window.SolarModules;
+// System loss tree
+const losses = typeof require === 'function' ? require('./losses') : window.SolarLosses;
+// Sizing from bills
+const consumption = typeof require === 'function' ? require('./consumption') : window.SolarConsumption;
+// Battery dispatch
+const battery = typeof require === 'function' ? require('./battery') : window.SolarBattery;
+// Roof faces traced on the map
+const roofGeometry = typeof require === 'function' ? require('./roofGeometry') : window.SolarRoofGeometry;
+// Plane-of-array light for each roof face
+const transposition = typeof require === 'function' ? require('./transposition') : window.SolarTransposition;
+// Horizon shading
+const shading = typeof require === 'function' ? require('./shading') : window.SolarShading;
+// Sun path diagram
+const sunPosition = typeof require === 'function' ? require('./sunPosition') : window.SolarSunPosition;
+// P50/P90 Monte Carlo
+const uncertainty = typeof require === 'function' ? require('./uncertainty') : window.SolarUncertainty;
+
 // ============================================
 // Constants
 // ============================================
@@ -76,9 +153,24 @@ const PANEL_EFFICIENCY = {
 };
 
 /**
- * Days in each month (for monthly calculations)
+ * Days in each month (for monthly calculations) - defined in solarGeometry.js
+ */
+const DAYS_IN_MONTH = geometry.DAYS_IN_MONTH;
+
+/**
+ * Temperature model constants
+ * - STC_CELL_TEMPERATURE: cell temperature at Standard Test Conditions (°C)
+ * - DEFAULT_COEFFICIENT: typical monocrystalline power coefficient (%/°C)
+ * - FAIMAN_U0 / FAIMAN_U1: heat loss coefficients for open-rack rooftop mounting
+ * - DAYLIGHT_HOURS: assumed generating hours used to turn daily irradiance into W/m²
  */
-const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+const TEMPERATURE_MODEL = {
+    STC_CELL_TEMPERATURE: 25,
+    DEFAULT_COEFFICIENT: -0.40,
+    FAIMAN_U0: 25,
+    FAIMAN_U1: 6.84,
+    DAYLIGHT_HOURS: 12
+};
 
 // ============================================
 // Core Calculation Functions
@@ -89,10 +181,11 @@ const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
  * 
  * @param {number} roofArea - Roof area in square meters
  * @param {number} efficiency - Panel efficiency as percentage (15-22)
- * @param {number} avgDailyIrradiance - Average daily irradiance in kWh/m²/day
+ * @param {number} avgDailyIrradiance - Average daily plane-of-array irradiance in kWh/m²/day
+ * @param {number} [temperatureFactor=1] - Thermal derating factor (see calculateTemperatureFactor)
  * @returns {number} Annual energy generation in kWh/year
  */
-function calculateAnnualEnergy(roofArea, efficiency, avgDailyIrradiance) {
+function calculateAnnualEnergy(roofArea, efficiency, avgDailyIrradiance, temperatureFactor = 1) {
     // Validate inputs
     if (roofArea <= 0 || efficiency <= 0 || avgDailyIrradiance <= 0) {
         return 0;
@@ -102,8 +195,8 @@ function calculateAnnualEnergy(roofArea, efficiency, avgDailyIrradiance) {
     const efficiencyDecimal = efficiency / 100;
 
     // Calculate annual energy
-    // Formula: Roof Area × Efficiency × Irradiance × 365 days
-    const annualEnergy = roofArea * efficiencyDecimal * avgDailyIrradiance * 365;
+    // Formula: Roof Area × Efficiency × Irradiance × 365 days × Temperature Factor
+    const annualEnergy = roofArea * efficiencyDecimal * avgDailyIrradiance * 365 * temperatureFactor;
 
     return Math.round(annualEnergy * 100) / 100; // Round to 2 decimal places
 }
@@ -143,10 +236,11 @@ function calculateCO2Reduction(annualEnergy) {
  * 
  * @param {number} roofArea - Roof area in square meters
  * @param {number} efficiency - Panel efficiency as percentage
- * @param {Array} monthlyIrradiance - Array of 12 monthly irradiance values
+ * @param {Array} monthlyIrradiance - Array of 12 monthly plane-of-array irradiance values
+ * @param {Array} [monthlyTemperatureFactors] - Optional array of 12 thermal derating factors
  * @returns {Array} Array of 12 monthly energy values in kWh
  */
-function calculateMonthlyEnergy(roofArea, efficiency, monthlyIrradiance) {
+function calculateMonthlyEnergy(roofArea, efficiency, monthlyIrradiance, monthlyTemperatureFactors) {
     if (!Array.isArray(monthlyIrradiance) || monthlyIrradiance.length !== 12) {
         console.error('Invalid monthly irradiance data');
         return Array(12).fill(0);
@@ -156,44 +250,625 @@ function calculateMonthlyEnergy(roofArea, efficiency, monthlyIrradiance) {
 
     return monthlyIrradiance.map((irradiance, index) => {
         const days = DAYS_IN_MONTH[index];
-        const monthlyEnergy = roofArea * efficiencyDecimal * irradiance * days;
+        const temperatureFactor = monthlyTemperatureFactors ? monthlyTemperatureFactors[index] : 1;
+        const monthlyEnergy = roofArea * efficiencyDecimal * irradiance * days * temperatureFactor;
         return Math.round(monthlyEnergy * 10) / 10; // Round to 1 decimal
     });
 }
 
+// ============================================
+// Temperature Model
+// ============================================
+
+/**
+ * Estimate average operating cell temperature for a month (Faiman model)
+ * 
+ * Daily irradiation is converted to an irradiance-weighted daytime irradiance
+ * by assuming a half-sine daily profile over DAYLIGHT_HOURS:
+ *   G = Daily Irradiance × 1000 × π² / (8 × Daylight Hours)
+ * 
+ * @param {number} ambientTemp - Mean ambient air temperature in °C (NASA T2M)
+ * @param {number} dailyIrradiance - Daily irradiance in kWh/m²/day
+ * @param {number} [windSpeed=1] - Mean wind speed at 2 m in m/s (NASA WS2M)
+ * @returns {number} Cell temperature in °C
+ */
+function calculateCellTemperature(ambientTemp, dailyIrradiance, windSpeed = 1) {
+    const operatingIrradiance = (dailyIrradiance * 1000 * Math.PI ** 2) / (8 * TEMPERATURE_MODEL.DAYLIGHT_HOURS);
+    const cellTemp = calculateInstantCellTemperature(ambientTemp, operatingIrradiance, windSpeed);
+
+    return Math.round(cellTemp * 10) / 10; // Round to 1 decimal
+}
+
+/**
+ * Cell temperature for an instantaneous (or hourly mean) irradiance (Faiman model)
+ * 
+ * @param {number} ambientTemp - Ambient air temperature in °C
+ * @param {number} irradiance - Plane-of-array irradiance in W/m²
+ * @param {number} [windSpeed=1] - Wind speed at 2 m in m/s
+ * @returns {number} Cell temperature in °C (not rounded)
+ */
+function calculateInstantCellTemperature(ambientTemp, irradiance, windSpeed = 1) {
+    const { FAIMAN_U0, FAIMAN_U1 } = TEMPERATURE_MODEL;
+    return ambientTemp + irradiance / (FAIMAN_U0 + FAIMAN_U1 * Math.max(windSpeed, 0));
+}
+
+/**
+ * Calculate the thermal derating factor for a given cell temperature
+ * 
+ * @param {number} cellTemp - Cell temperature in °C
+ * @param {number} [temperatureCoefficient=-0.40] - Power temperature coefficient in %/°C
+ * @returns {number} Factor to multiply energy by (e.g. 0.92 for an 8% loss)
+ */
+function calculateTemperatureFactor(cellTemp, temperatureCoefficient = TEMPERATURE_MODEL.DEFAULT_COEFFICIENT) {
+    const factor = 1 + (temperatureCoefficient / 100) * (cellTemp - TEMPERATURE_MODEL.STC_CELL_TEMPERATURE);
+    return Math.max(factor, 0);
+}
+
+/**
+ * Build a month-by-month breakdown with cell temperature and thermal loss
+ * 
+ * @param {number} roofArea - Roof area in square meters
+ * @param {number} efficiency - Panel efficiency as percentage
+ * @param {Array} monthlyData - 12 items of { irradiance, poaIrradiance?, temperature, windSpeed }
+ * @param {number} [temperatureCoefficient=-0.40] - Power temperature coefficient in %/°C
+ * @returns {Array} 12 items of { monthIndex, irradiance, cellTemperature, thermalLoss, grossEnergy, energy }
+ */
+function calculateMonthlyBreakdown(roofArea, efficiency, monthlyData, temperatureCoefficient = TEMPERATURE_MODEL.DEFAULT_COEFFICIENT) {
+    if (!Array.isArray(monthlyData) || monthlyData.length !== 12) {
+        console.error('Invalid monthly data');
+        return [];
+    }
+
+    // Prefer irradiance on the panel plane when it has been transposed
+    const irradiance = monthlyData.map(item => item.poaIrradiance ?? item.irradiance);
+    const cellTemperatures = monthlyData.map((item, index) => (
+        typeof item.temperature === 'number'
+            ? calculateCellTemperature(item.temperature, irradiance[index], item.windSpeed)
+            : TEMPERATURE_MODEL.STC_CELL_TEMPERATURE // no weather data -> no derating
+    ));
+    const factors = cellTemperatures.map(temp => calculateTemperatureFactor(temp, temperatureCoefficient));
+
+    const grossEnergy = calculateMonthlyEnergy(roofArea, efficiency, irradiance);
+    const netEnergy = calculateMonthlyEnergy(roofArea, efficiency, irradiance, factors);
+
+    return monthlyData.map((item, index) => ({
+        monthIndex: index,
+        irradiance: irradiance[index],
+        ambientTemperature: item.temperature,
+        cellTemperature: cellTemperatures[index],
+        thermalLoss: Math.round((1 - factors[index]) * 1000) / 10, // % of gross energy
+        grossEnergy: grossEnergy[index],
+        energy: netEnergy[index]
+    }));
+}
+
+// ============================================
+// Hourly Time-Series Simulation
+// ============================================
+
+/**
+ * Month (0-11) for each hour of a normalised 8760-hour year
+ * Built once from DAYS_IN_MONTH (February always has 28 days)
+ */
+const MONTH_OF_HOUR = DAYS_IN_MONTH.reduce((hours, days, month) => (
+    hours.concat(Array(days * 24).fill(month))
+), []);
+
+/**
+ * Simulate energy output hour by hour for a full year
+ * 
+ * Each hour: Energy = Roof Area × Efficiency × POA Irradiance × Temperature Factor
+ * where the temperature factor uses the hourly cell temperature. If an
+ * inverter capacity is given, output above it is clipped (lost).
+ * 
+ * @param {Object} params - Input parameters
+ * @param {number} params.roofArea - Roof area in m²
+ * @param {number} params.efficiency - Panel efficiency (%)
+ * @param {Array<number>} params.poaIrradiance - 8760 hourly plane-of-array irradiance values (W/m²)
+ * @param {Array<number>} [params.temperature] - 8760 hourly air temperatures (°C)
+ * @param {Array<number>} [params.windSpeed] - 8760 hourly wind speeds (m/s)
+ * @param {number} [params.temperatureCoefficient=-0.40] - Power temperature coefficient in %/°C
+ * @param {number} [params.inverterCapacity] - Inverter AC limit in kW (no clipping if omitted)
+ * @returns {Object} Hourly energy, annual/monthly totals, peak power, clipping and typical day per month
+ */
+function calculateHourlyEnergy(params) {
+    const {
+        roofArea,
+        efficiency,
+        poaIrradiance,
+        temperature,
+        windSpeed,
+        temperatureCoefficient = TEMPERATURE_MODEL.DEFAULT_COEFFICIENT,
+        inverterCapacity
+    } = params;
+
+    if (!Array.isArray(poaIrradiance) || poaIrradiance.length !== MONTH_OF_HOUR.length) {
+        console.error('Invalid hourly irradiance data (expected 8760 values)');
+        return null;
+    }
+
+    const efficiencyDecimal = efficiency / 100;
+    const monthlyEnergy = Array(12).fill(0);
+    const typicalDay = Array.from({ length: 12 }, () => Array(24).fill(0));
+    let clippedEnergy = 0;
+    let peakPower = 0;
+
+    const hourlyEnergy = poaIrradiance.map((irradiance, hour) => {
+        if (irradiance <= 0) return 0;
+
+        const cellTemp = temperature
+            ? calculateInstantCellTemperature(temperature[hour], irradiance, windSpeed ? windSpeed[hour] : undefined)
+            : TEMPERATURE_MODEL.STC_CELL_TEMPERATURE;
+        const factor = calculateTemperatureFactor(cellTemp, temperatureCoefficient);
+
+        // W/m² over one hour = Wh/m², divide by 1000 for kWh
+        let energy = (roofArea * efficiencyDecimal * irradiance * factor) / 1000;
+
+        if (inverterCapacity > 0 && energy > inverterCapacity) {
+            clippedEnergy += energy - inverterCapacity;
+            energy = inverterCapacity;
+        }
+
+        const month = MONTH_OF_HOUR[hour];
+        monthlyEnergy[month] += energy;
+        typicalDay[month][hour % 24] += energy;
+        peakPower = Math.max(peakPower, energy);
+
+        return energy;
+    });
+
+    const annualEnergy = monthlyEnergy.reduce((sum, value) => sum + value, 0);
+
+    return {
+        hourlyEnergy: hourlyEnergy.map(value => Math.round(value * 1000) / 1000), // kWh
+        annualEnergy: Math.round(annualEnergy * 100) / 100,
+        monthlyEnergy: monthlyEnergy.map(value => Math.round(value * 10) / 10),
+        peakPower: Math.round(peakPower * 100) / 100, // kW (hourly mean)
+        clippedEnergy: Math.round(clippedEnergy * 100) / 100,
+        // Average energy (kWh) for each hour of the day, per month
+        typicalDay: typicalDay.map((hours, month) => (
+            hours.map(total => Math.round((total / DAYS_IN_MONTH[month]) * 1000) / 1000)
+        ))
+    };
+}
+
 // ============================================
 // Helper Functions
 // ============================================
 
+/**
+ * One-line description of a metering setup (for assumptions)
+ * 
+ * @param {Object} metering - Resolved metering settings
+ * @returns {string} Description
+ */
+function describeMetering(metering) {
+    if (metering.mode === 'gross') return `Gross metering, feed-in tariff ₹${metering.feedInTariff}/kWh`;
+    if (metering.mode === 'net-billing') return `Net billing, exports credited at ₹${metering.exportRate}/kWh`;
+    return `Net metering, surplus settled at ₹${metering.settlementRate}/kWh`;
+}
+
+/**
+ * Error for a missing or unusable input
+ *
+ * Carries a code from the API error catalogue (backend/errors.js), so the API
+ * answers 400 with that code instead of a 500.
+ *
+ * @param {string} code - Catalogue code, e.g. MISSING_PARAMETER
+ * @param {string} message - What is wrong
+ * @param {string} [field] - JSON pointer to the input, e.g. /body/monthlyConsumption
+ * @returns {Error} Error with code and field
+ */
+function inputError(code, message, field) {
+    const error = new Error(message);
+    error.code = code;
+    error.field = field;
+    return error;
+}
+
+/**
+ * Light on the panels of a roof with several faces
+ *
+ * Each face's months are transposed for its own tilt and azimuth (see transposition.js),
+ * then mixed by the panel area on each face. Energy is linear in the light, so this
+ * is the same as adding up the energy of every face.
+ *
+ * @param {number} latitude - Degrees
+ * @param {Array} monthlyData - 12 items of horizontal { irradiance, diffuseIrradiance?, temperature, ... }
+ * @param {Array} faces - [{ tilt, azimuth, weight }] - weight: m² of panels (or usable area) on the face
+ * @returns {Array} monthlyData with the mixed poaIrradiance, poaBeamIrradiance and poaDiffuseIrradiance
+ */
+function mixRoofFaces(latitude, monthlyData, faces) {
+    const horizontal = monthlyData.map((item, monthIndex) => ({ ...item, monthIndex }));
+    const transposed = faces.map(face => transposition.transposeMonthly(latitude, horizontal, face.tilt, face.azimuth));
+    const totalWeight = faces.reduce((sum, face) => sum + face.weight, 0);
+    const mix = (monthIndex, key) => (totalWeight > 0
+        ? faces.reduce((sum, face, index) => sum + transposed[index][monthIndex][key] * face.weight, 0) / totalWeight
+        : 0);
+
+    return monthlyData.map((item, monthIndex) => ({
+        ...item,
+        poaIrradiance: mix(monthIndex, 'poaIrradiance'),
+        poaBeamIrradiance: mix(monthIndex, 'beam'),
+        poaDiffuseIrradiance: mix(monthIndex, 'diffuse')
+    }));
+}
+
 /**
  * Calculate all solar metrics at once
  * Convenience function that returns all calculations in one object
  * 
  * @param {Object} params - Input parameters
- * @param {number} params.roofArea - Roof area in m²
+ * @param {number} params.roofArea - Roof area in m² (default: usable area of roofFaces)
+ * @param {Array} [params.roofFaces] - Roof faces traced on the map: [{ points: [{ lat, lng }], tilt, azimuth, exclusion }] (see roofGeometry.js)
+ *   - each face is laid out and gets its own light (needs monthlyData and latitude)
  * @param {number} params.efficiency - Panel efficiency (%)
- * @param {number} params.electricityRate - Rate in ₹/kWh
+ * @param {number} params.electricityRate - Rate in ₹/kWh (flat rate, used without a tariff)
  * @param {number} params.avgDailyIrradiance - Avg daily irradiance
+ * @param {Array} [params.monthlyData] - 12 items of { irradiance, poaIrradiance?, temperature, windSpeed }
+ * @param {number} [params.temperatureCoefficient] - Power temperature coefficient in %/°C
+ * @param {Object} [params.sizing] - { module, setback, rowSpacing, orientation, targetOffset, ... } (see modules.js)
+ *   - targetOffset: % of yearly consumption to cover - sizes from the bill instead of filling the roof
+ * @param {Object} [params.losses] - % loss overrides, e.g. { soiling: 5, inverter: 2 } (see losses.js)
+ * @param {string|Object} [params.tariff] - Slab tariff preset id or object (see tariffs.js)
+ * @param {number|Array} [params.monthlyConsumption] - kWh per month (one value or 12), needed with a tariff
+ * @param {number} [params.monthlyBill] - Average bill in ₹/month - converted to units when monthlyConsumption is not given
+ * @param {number} [params.sanctionedLoad] - Sanctioned load in kW (per-kW fixed charges)
+ * @param {Object} [params.metering] - { mode: 'net' | 'gross' | 'net-billing', settlementRate, feedInTariff, exportRate }
+ * @param {Object} [params.cost] - { costPerKw, subsidyScheme, stateTopUp } (see costs.js)
+ * @param {Object} [params.finance] - { systemCost, discountRate, ..., loan } (see finance.js)
+ * @param {Object} [params.battery] - { capacity, depthOfDischarge, loadProfile, ... } (see battery.js), needs consumption
+ * @param {number} [params.latitude] - Site latitude, for the battery's hourly solar shape and horizon shading
+ * @param {Array} [params.horizon] - Skyline elevation by compass direction (see shading.js) - replaces losses.shading
+ * @param {number} [params.tilt=0] - Panel tilt in degrees, for horizon shading and panels on flat roof faces (default: the largest roof face's)
+ * @param {number} [params.azimuth] - Panel compass azimuth, for horizon shading and flat roof faces (default: the largest pitched face's, else facing the equator)
+ * @param {Object} [params.uncertainty] - { samples, seed, irradianceVariability, lossSpread, degradationSpread } (see uncertainty.js)
+ * @param {Object} [params.annualVariability] - { mean, stdDev } of yearly irradiation totals, for the uncertainty
  * @returns {Object} All calculated metrics
  */
 function calculateAll(params) {
-    const { roofArea, efficiency, electricityRate, avgDailyIrradiance } = params;
+    const {
+        roofArea: givenRoofArea,
+        roofFaces,
+        efficiency,
+        electricityRate,
+        avgDailyIrradiance: givenIrradiance,
+        monthlyData: givenMonthlyData,
+        temperatureCoefficient: givenCoefficient,
+        sizing,
+        losses: lossOverrides,
+        tariff,
+        monthlyConsumption: givenConsumption,
+        monthlyBill,
+        sanctionedLoad,
+        metering,
+        cost: costOptions,
+        finance: financeOptions,
+        battery: batteryOptions,
+        latitude,
+        horizon,
+        tilt: givenTilt,
+        azimuth: givenAzimuth,
+        uncertainty: uncertaintyOptions,
+        annualVariability
+    } = params;
+
+    // Roof outlined on the map? Its usable area (after pitch and obstructions) is the roof area
+    const roof = roofFaces && roofFaces.length ? roofGeometry.measureRoof(roofFaces) : null;
+    const roofArea = givenRoofArea ?? (roof ? roof.usableArea : undefined);
+    // No tilt or azimuth given? The panels lie on the largest face
+    const tilt = givenTilt ?? (roof ? roof.tilt : undefined);
+    const azimuth = givenAzimuth ?? (roof && roof.tilt > 0 ? roof.azimuth : undefined);
+    // Each face gets its own layout and its own sunlight (flat faces keep the mounting tilt)
+    // - a roof area typed over the traced one is shared out in proportion to the faces
+    const faceOrientations = roof && roof.usableArea > 0
+        ? roof.faces.map(face => (face.tilt > 0
+            ? { tilt: face.tilt, azimuth: face.azimuth }
+            : { tilt: tilt ?? 0, azimuth: azimuth ?? (latitude >= 0 ? 180 : 0) }))
+        : null;
+
+    // Only a bill amount? Find the monthly units that give that bill (see consumption.js)
+    const consumptionEstimate = (givenConsumption === undefined || givenConsumption === null) && monthlyBill > 0
+        ? consumption.estimateConsumptionFromBill({
+            monthlyBill,
+            tariff: tariff || tariffs.createFlatTariff(electricityRate),
+            sanctionedLoad
+        })
+        : null;
+    const monthlyConsumption = consumptionEstimate ? consumptionEstimate.monthlyConsumption : givenConsumption;
+
+    // With a module, fit whole panels on the roof and generate from their area only
+    // (panel area × array efficiency = installed kWp - see modules.js)
+    const faceOutlines = faceOrientations
+        ? roof.faces.map(face => ({ area: (face.usableArea * roofArea) / roof.usableArea, length: face.length, width: face.width }))
+        : null;
+    const sizeRoof = maxPanels => (faceOrientations
+        ? modules.sizeRoofFaces({ ...sizing, faces: faceOutlines, maxPanels })
+        : modules.sizeSystem({ ...sizing, roofArea, maxPanels }));
+    const roofSizing = sizing ? sizeRoof() : null;
+    const temperatureCoefficient = givenCoefficient
+        ?? (roofSizing && roofSizing.module.temperatureCoefficient)
+        ?? TEMPERATURE_MODEL.DEFAULT_COEFFICIENT;
+
+    // Traced faces: the light on the array is the mix of the faces (transposed from the
+    // horizontal data), weighted by the panels on each - the same as adding up each face's energy
+    const hasMonthlyData = Array.isArray(givenMonthlyData) && givenMonthlyData.length === 12;
+    const monthlyData = faceOrientations && hasMonthlyData && typeof latitude === 'number'
+        ? mixRoofFaces(latitude, givenMonthlyData, faceOrientations.map((face, index) => ({
+            ...face,
+            weight: roofSizing ? roofSizing.faces[index].panelArea : faceOutlines[index].area
+        })))
+        : givenMonthlyData;
+    const avgDailyIrradiance = monthlyData !== givenMonthlyData
+        ? monthlyData.reduce((sum, item) => sum + item.poaIrradiance, 0) / 12
+        : givenIrradiance;
 
-    const annualEnergy = calculateAnnualEnergy(roofArea, efficiency, avgDailyIrradiance);
-    const annualSavings = calculateAnnualSavings(annualEnergy, electricityRate);
+    // Horizon profile? Walk the sun past the skyline each month (see shading.js). The
+    // shaded irradiance then drives the energy, and the profile replaces the flat shading %
+    let horizonShading = null;
+    if (horizon) {
+        if (typeof latitude !== 'number') {
+            throw inputError('MISSING_PARAMETER', 'latitude is required for horizon shading', '/body/latitude');
+        }
+        horizonShading = shading.calculateMonthlyShading({
+            horizon,
+            latitude,
+            tilt,
+            azimuth,
+            monthlyData: hasMonthlyData ? monthlyData : DAYS_IN_MONTH.map(() => ({ irradiance: avgDailyIrradiance }))
+        });
+    }
+    const shadedData = horizonShading && hasMonthlyData
+        ? monthlyData.map((item, index) => ({ ...item, poaIrradiance: horizonShading.months[index].shadedIrradiance }))
+        : monthlyData;
+    const configuredLosses = horizonShading ? { ...lossOverrides, shading: 0 } : lossOverrides;
+    const lossFactor = losses.calculateLossFactor(configuredLosses);
+    const shadedIrradiance = horizonShading
+        ? avgDailyIrradiance * (1 - horizonShading.annualLoss / 100)
+        : avgDailyIrradiance;
+
+    // With a target offset, install only the panels needed to cover that share of the
+    // yearly consumption - as long as they fit on the roof
+    let demandSizing = null;
+    if (roofSizing && sizing.targetOffset > 0) {
+        if (monthlyConsumption === undefined || monthlyConsumption === null) {
+            throw inputError('MISSING_PARAMETER', 'monthlyConsumption (or monthlyBill) is required to size from consumption', '/body/monthlyConsumption');
+        }
+        // Energy delivered by 1 kWp: area × efficiency = 1 kW (see modules.js)
+        const kwpEfficiency = roofSizing.efficiency;
+        const monthlyYield = hasMonthlyData
+            ? calculateMonthlyBreakdown(100 / kwpEfficiency, kwpEfficiency, shadedData, temperatureCoefficient)
+                .map(item => item.energy * lossFactor)
+            : DAYS_IN_MONTH.map(days => shadedIrradiance * days * lossFactor);
+
+        const recommendation = consumption.recommendSystemSize({
+            monthlyConsumption,
+            monthlyYield,
+            targetOffset: sizing.targetOffset
+        });
+        const panelsNeeded = Math.ceil((recommendation.recommendedKwp * 1000) / roofSizing.module.watts);
+        const moduleArea = roofSizing.module.length * roofSizing.module.width;
+
+        demandSizing = {
+            ...recommendation,
+            panelsNeeded,
+            roofPanelLimit: roofSizing.panelCount,
+            roofCapacity: roofSizing.dcCapacity,
+            fitsOnRoof: panelsNeeded <= roofSizing.panelCount,
+            // roof needed at the same packing density as this roof
+            roofAreaNeeded: roofSizing.packingDensity > 0
+                ? Math.round((panelsNeeded * moduleArea) / (roofSizing.packingDensity / 100) * 10) / 10
+                : null
+        };
+    }
+
+    const systemSizing = demandSizing && demandSizing.fitsOnRoof
+        ? sizeRoof(demandSizing.panelsNeeded)
+        : roofSizing;
+    const panelArea = systemSizing ? systemSizing.panelArea : roofArea;
+    const panelEfficiency = systemSizing ? systemSizing.efficiency : efficiency;
+
+    // With monthly weather data, DC energy is the sum of derated months
+    const dcBreakdown = hasMonthlyData
+        ? calculateMonthlyBreakdown(panelArea, panelEfficiency, shadedData, temperatureCoefficient)
+        : null;
+    // the same months without the skyline, to show what it takes away
+    // (monthlyData still holds the unshaded light on the panel)
+    const unshadedBreakdown = dcBreakdown && horizonShading
+        ? calculateMonthlyBreakdown(panelArea, panelEfficiency, monthlyData, temperatureCoefficient)
+        : dcBreakdown;
+    const shadedGross = dcBreakdown
+        ? dcBreakdown.reduce((sum, item) => sum + item.grossEnergy, 0)
+        : calculateAnnualEnergy(panelArea, panelEfficiency, shadedIrradiance);
+    const nominalEnergy = unshadedBreakdown
+        ? unshadedBreakdown.reduce((sum, item) => sum + item.grossEnergy, 0)
+        : calculateAnnualEnergy(panelArea, panelEfficiency, avgDailyIrradiance);
+    const dcEnergy = dcBreakdown
+        ? dcBreakdown.reduce((sum, item) => sum + item.energy, 0)
+        : shadedGross;
+
+    // Nominal DC -> delivered AC through shading, soiling, wiring, inverter, ... (see losses.js)
+    // - a horizon profile's energy-weighted loss fills the shading step
+    const lossTree = losses.calculateLossTree({
+        nominalEnergy,
+        temperatureFactor: shadedGross > 0 ? dcEnergy / shadedGross : 1,
+        losses: horizonShading && nominalEnergy > 0
+            ? { ...lossOverrides, shading: Math.round((1 - shadedGross / nominalEnergy) * 10000) / 100 }
+            : lossOverrides
+    });
+
+    const monthlyBreakdown = dcBreakdown
+        ? dcBreakdown.map(item => ({
+            ...item,
+            // shaded or mixed-face light isn't rounded like the fetched data
+            irradiance: Math.round(item.irradiance * 100) / 100,
+            dcEnergy: item.energy,
+            energy: Math.round(item.energy * lossFactor * 10) / 10,
+            ...(horizonShading && {
+                unshadedEnergy: Math.round(unshadedBreakdown[item.monthIndex].energy * lossFactor * 10) / 10,
+                shadingLoss: horizonShading.months[item.monthIndex].loss
+            })
+        }))
+        : null;
+
+    const annualEnergy = monthlyBreakdown
+        ? Math.round(monthlyBreakdown.reduce((sum, item) => sum + item.energy, 0) * 100) / 100
+        : lossTree.deliveredEnergy;
+    const monthlyGeneration = monthlyBreakdown
+        ? monthlyBreakdown.map(item => item.energy)
+        : DAYS_IN_MONTH.map(days => annualEnergy * days / 365);
+
+    // Consumption vs generation month by month, and the share actually covered
+    const consumptionSizing = demandSizing
+        ? {
+            ...demandSizing,
+            installedKwp: systemSizing.dcCapacity,
+            achievedOffset: demandSizing.annualConsumption > 0
+                ? Math.round((annualEnergy / demandSizing.annualConsumption) * 1000) / 10
+                : 0,
+            months: demandSizing.monthlyConsumption.map((units, monthIndex) => ({
+                monthIndex,
+                consumption: units,
+                generation: Math.round(monthlyGeneration[monthIndex] * 10) / 10
+            }))
+        }
+        : null;
+
+    // With consumption (or a slab tariff / metering mode), savings = drop in each month's
+    // bill, with generation split into self-consumed and exported energy (see tariffs.js)
+    const hasConsumption = monthlyConsumption !== undefined && monthlyConsumption !== null;
+    const meteringMode = metering && metering.mode;
+    let tariffSavings = null;
+
+    if (tariff || hasConsumption || meteringMode === 'gross' || meteringMode === 'net-billing') {
+        if (!hasConsumption && (tariff || meteringMode === 'net-billing')) {
+            throw inputError('MISSING_PARAMETER', 'monthlyConsumption is required with a slab tariff or net billing', '/body/monthlyConsumption');
+        }
+        tariffSavings = tariffs.calculateTariffSavings({
+            tariff: tariff || tariffs.createFlatTariff(electricityRate),
+            // gross metering sells everything, so a flat rate needs no consumption
+            monthlyConsumption: hasConsumption ? monthlyConsumption : 0,
+            monthlyGeneration,
+            sanctionedLoad,
+            metering
+        });
+    }
+
+    const annualSavings = tariffSavings
+        ? tariffSavings.annualSavings
+        : calculateAnnualSavings(annualEnergy, electricityRate);
     const co2Saved = calculateCO2Reduction(annualEnergy);
 
+    // Battery: store midday surplus for the evening, valued at the import rate it
+    // replaces minus the export rate it gives up (see battery.js)
+    let batterySimulation = null;
+    if (batteryOptions) {
+        if (!hasConsumption) {
+            throw inputError('MISSING_PARAMETER', 'monthlyConsumption (or monthlyBill) is required for the battery simulation', '/body/monthlyConsumption');
+        }
+        const monthlyLoad = tariffs.toMonthlyConsumption(monthlyConsumption);
+        // grid units avoided are worth the marginal (top slab) rate on a slab tariff
+        const resolvedTariff = tariff ? tariffs.resolveTariff(tariff) : null;
+        const importRate = resolvedTariff
+            ? monthlyLoad.reduce((sum, units, monthIndex) => (
+                sum + tariffs.calculateMonthlyBill(units, resolvedTariff, { monthIndex, sanctionedLoad }).marginalRate
+            ), 0) / 12
+            : electricityRate;
+        const settings = tariffSavings ? tariffSavings.metering : null;
+        const exportRate = !settings || settings.mode === 'net'
+            ? importRate // exports offset imports unit for unit
+            : settings.mode === 'gross' ? settings.feedInTariff : settings.exportRate;
+
+        batterySimulation = battery.simulateBattery({
+            ...batteryOptions,
+            monthlyLoad,
+            monthlyGeneration,
+            importRate: Math.round(importRate * 100) / 100,
+            exportRate,
+            latitude
+        });
+    }
+
+    // Gross cost, subsidy and net cost from ₹/kWp benchmarks (see costs.js)
+    const costEstimate = costOptions
+        ? costs.calculateSystemCost({
+            ...costOptions,
+            systemSize: systemSizing ? systemSizing.dcCapacity : costs.calculateSystemSize(roofArea, efficiency)
+        })
+        : null;
+
+    // With a system cost (given, or the net cost estimate), project the first year's energy
+    // and savings over the system lifetime (degradation, tariff escalation, O&M - see finance.js)
+    const systemCost = financeOptions && financeOptions.systemCost > 0
+        ? financeOptions.systemCost
+        : costEstimate && costEstimate.netCost;
+    const financials = financeOptions && systemCost > 0
+        ? finance.calculateFinancials({ ...financeOptions, systemCost, annualEnergy, annualSavings })
+        : null;
+
+    // Cash vs loan vs zero-down on the same cash flows (finance.loan = EMI terms)
+    const financing = financials && financeOptions.loan
+        ? finance.calculateFinancing({ ...financeOptions.loan, financials })
+        : null;
+
+    // P50/P75/P90/P99: rerun the estimate with weather, losses and degradation drawn at random
+    const uncertaintyAnalysis = uncertaintyOptions
+        ? uncertainty.simulateUncertainty({
+            annualEnergy,
+            annualSavings,
+            losses: lossTree.losses,
+            degradationRate: (financeOptions && financeOptions.degradationRate) ?? finance.FINANCE_DEFAULTS.degradationRate,
+            lifetimeYears: (financeOptions && financeOptions.lifetimeYears) ?? finance.FINANCE_DEFAULTS.lifetimeYears,
+            monthlyData,
+            annualVariability,
+            settings: uncertaintyOptions
+        })
+        : null;
+
     return {
         annualEnergy,
         annualSavings,
         co2Saved,
+        avgDailyIrradiance,
         dailyEnergy: (annualEnergy / 365).toFixed(2),
         monthlyEnergy: (annualEnergy / 12).toFixed(2),
         monthlySavings: Math.round(annualSavings / 12),
+        monthlyBreakdown,
+        roof,
+        horizonShading,
+        systemSizing,
+        consumptionSizing,
+        consumptionEstimate,
+        lossTree,
+        tariffSavings,
+        costEstimate,
+        financials,
+        financing,
+        batteryStorage: batterySimulation,
+        uncertainty: uncertaintyAnalysis,
         // Additional context
         assumptions: {
-            panelEfficiency: efficiency + '%',
-            electricityRate: '₹' + electricityRate + '/kWh',
+            roofArea: roof
+                ? `${roofArea} m² (${roof.usableArea} m² usable on ${roof.faces.length} traced roof face${roof.faces.length === 1 ? '' : 's'})`
+                : roofArea + ' m²',
+            roofFaces: monthlyData !== givenMonthlyData
+                ? 'Each roof face laid out and modelled at its own tilt and azimuth - horizon shading uses the main orientation'
+                : undefined,
+            panelEfficiency: systemSizing
+                ? `${systemSizing.module.name} (${systemSizing.module.efficiency}%)`
+                : efficiency + '%',
+            temperatureCoefficient: temperatureCoefficient + '%/°C',
+            systemLosses: `${lossTree.totalLoss}% (performance ratio ${lossTree.performanceRatio}%)`,
+            shading: horizonShading
+                ? `${lossTree.losses.shading}% from the horizon profile (${horizonShading.horizon.length} directions)`
+                : undefined,
+            electricityRate: tariffSavings
+                ? tariffSavings.tariff.name
+                : '₹' + electricityRate + '/kWh',
+            metering: tariffSavings ? describeMetering(tariffSavings.metering) : 'All energy valued at the retail rate',
+            consumption: consumptionEstimate
+                ? `~${consumptionEstimate.monthlyConsumption} kWh/month, estimated from a ₹${monthlyBill} bill`
+                : undefined,
             co2Factor: CO2_EMISSION_FACTOR + ' kg CO₂/kWh'
         }
     };
@@ -202,6 +877,9 @@ function calculateAll(params) {
 /**
  * Estimate payback period (optional enhancement)
  * 
+ * Simple division with flat savings - calculateFinancials (finance.js)
+ * adds degradation, tariff escalation and O&M for a lifetime view.
+ * 
  * @param {number} systemCost - Total installation cost in ₹
  * @param {number} annualSavings - Annual savings in ₹
  * @returns {number} Payback period in years
@@ -216,11 +894,12 @@ function estimatePaybackPeriod(systemCost, annualSavings) {
 
 /**
  * Format currency value for display
+ * Whole rupees in Indian grouping, with a minus sign for losses (−₹1,20,000)
  * @param {number} value - Value to format
  * @returns {string} Formatted currency string
  */
 function formatCurrency(value) {
-    return '₹' + value.toLocaleString('en-IN');
+    return `${value < 0 ? '−' : ''}₹${Math.abs(Math.round(value)).toLocaleString('en-IN')}`;
 }
 
 /**
@@ -236,35 +915,97 @@ function formatEnergy(value) {
 // Export for use in other modules
 // ============================================
 
-// Check if running in Node.js or browser
+// One public surface for both environments
+const SolarCalculations = {
+    calculateAnnualEnergy,
+    calculateAnnualSavings,
+    calculateCO2Reduction,
+    calculateMonthlyEnergy,
+    calculateCellTemperature,
+    calculateInstantCellTemperature,
+    calculateTemperatureFactor,
+    calculateMonthlyBreakdown,
+    calculateHourlyEnergy,
+    calculateAll,
+    estimatePaybackPeriod,
+    formatCurrency,
+    formatEnergy,
+    CO2_EMISSION_FACTOR,
+    PANEL_EFFICIENCY,
+    DAYS_IN_MONTH,
+    MONTH_OF_HOUR,
+    TEMPERATURE_MODEL,
+    // Slab tariffs (tariffs.js)
+    calculateMonthlyBill: tariffs.calculateMonthlyBill,
+    calculateTariffSavings: tariffs.calculateTariffSavings,
+    createFlatTariff: tariffs.createFlatTariff,
+    listTariffPresets: tariffs.listTariffPresets,
+    TARIFF_PRESETS: tariffs.TARIFF_PRESETS,
+    DEFAULT_SANCTIONED_LOAD: tariffs.DEFAULT_SANCTIONED_LOAD,
+    METERING_DEFAULTS: tariffs.METERING_DEFAULTS,
+    METERING_MODES: tariffs.METERING_MODES,
+    // System loss tree (losses.js)
+    calculateLossTree: losses.calculateLossTree,
+    calculateLossFactor: losses.calculateLossFactor,
+    listLossComponents: losses.listLossComponents,
+    LOSS_COMPONENTS: losses.LOSS_COMPONENTS,
+    LOSS_DEFAULTS: losses.LOSS_DEFAULTS,
+    // Sizing from consumption (consumption.js)
+    estimateConsumptionFromBill: consumption.estimateConsumptionFromBill,
+    recommendSystemSize: consumption.recommendSystemSize,
+    CONSUMPTION_DEFAULTS: consumption.CONSUMPTION_DEFAULTS,
+    // Battery storage (battery.js)
+    simulateBattery: battery.simulateBattery,
+    listLoadProfiles: battery.listLoadProfiles,
+    LOAD_PROFILES: battery.LOAD_PROFILES,
+    BATTERY_DEFAULTS: battery.BATTERY_DEFAULTS,
+    // Roof faces from map polygons (roofGeometry.js)
+    measureRoof: roofGeometry.measureRoof,
+    measureRoofFace: roofGeometry.measureRoofFace,
+    validateRoofFace: roofGeometry.validateRoofFace,
+    ROOF_FACE_DEFAULTS: roofGeometry.ROOF_FACE_DEFAULTS,
+    // Horizon shading (shading.js)
+    calculateMonthlyShading: shading.calculateMonthlyShading,
+    resolveHorizon: shading.resolveHorizon,
+    horizonElevationAt: shading.horizonElevationAt,
+    HORIZON_SECTORS: shading.HORIZON_SECTORS,
+    // Sun position & sun path (sunPosition.js)
+    getSunPosition: sunPosition.getSunPosition,
+    calculateSunTimes: sunPosition.calculateSunTimes,
+    calculateSunPathDiagram: sunPosition.calculateSunPathDiagram,
+    // P50/P90 uncertainty (uncertainty.js)
+    simulateUncertainty: uncertainty.simulateUncertainty,
+    validateUncertainty: uncertainty.validateUncertainty,
+    UNCERTAINTY_DEFAULTS: uncertainty.UNCERTAINTY_DEFAULTS,
+    // Module catalog & sizing (modules.js)
+    sizeSystem: modules.sizeSystem,
+    listModules: modules.listModules,
+    validateModule: modules.validateModule,
+    resolveModule: modules.resolveModule,
+    MODULE_CATALOG: modules.MODULE_CATALOG,
+    SIZING_DEFAULTS: modules.SIZING_DEFAULTS,
+    // System cost & subsidy (costs.js)
+    calculateSystemSize: costs.calculateSystemSize,
+    calculateSystemCost: costs.calculateSystemCost,
+    listSubsidySchemes: costs.listSubsidySchemes,
+    COST_BENCHMARKS: costs.COST_BENCHMARKS,
+    SUBSIDY_SCHEMES: costs.SUBSIDY_SCHEMES,
+    STATE_TOPUPS: costs.STATE_TOPUPS,
+    DEFAULT_SUBSIDY_SCHEME: costs.DEFAULT_SUBSIDY_SCHEME,
+    // Lifetime financials (finance.js)
+    calculateFinancials: finance.calculateFinancials,
+    calculateNPV: finance.calculateNPV,
+    calculateIRR: finance.calculateIRR,
+    calculateEMI: finance.calculateEMI,
+    calculateFinancing: finance.calculateFinancing,
+    FINANCE_DEFAULTS: finance.FINANCE_DEFAULTS,
+    LOAN_DEFAULTS: finance.LOAN_DEFAULTS
+};
+
 if (typeof module !== 'undefined' && module.exports) {
     // Node.js environment
-    module.exports = {
-        calculateAnnualEnergy,
-        calculateAnnualSavings,
-        calculateCO2Reduction,
-        calculateMonthlyEnergy,
-        calculateAll,
-        estimatePaybackPeriod,
-        formatCurrency,
-        formatEnergy,
-        CO2_EMISSION_FACTOR,
-        PANEL_EFFICIENCY,
-        DAYS_IN_MONTH
-    };
+    module.exports = SolarCalculations;
 } else {
     // Browser environment - attach to window
-    window.SolarCalculations = {
-        calculateAnnualEnergy,
-        calculateAnnualSavings,
-        calculateCO2Reduction,
-        calculateMonthlyEnergy,
-        calculateAll,
-        estimatePaybackPeriod,
-        formatCurrency,
-        formatEnergy,
-        CO2_EMISSION_FACTOR,
-        PANEL_EFFICIENCY,
-        DAYS_IN_MONTH
-    };
+    window.SolarCalculations = SolarCalculations;
 }
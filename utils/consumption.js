@@ -0,0 +1,159 @@
+/**
+ * Consumption-Driven Sizing (from Electricity Bills)
+ *
+ * Most people know their electricity bill better than their roof area.
+ * This module works backwards from consumption: how many kWp are needed to
+ * cover a chosen share of the units you use in a year?
+ *
+ * ============================================
+ * SIZING FROM CONSUMPTION (Important for Viva!)
+ * ============================================
+ *
+ *    Specific Yield (kWh/kWp/year) = Σ months (Energy delivered by 1 kWp)
+ *      (from the NASA monthly profile, temperature and system losses)
+ *
+ *    Target Energy = Annual Consumption × Target Offset %
+ *    Recommended kWp = Target Energy / Specific Yield
+ *    Panels Needed = ceil(Recommended kWp × 1000 / Module Watts)
+ *
+ * Example: 300 kWh/month × 12 = 3,600 kWh/year, 100% offset, 1,450 kWh/kWp
+ *          → 3,600 / 1,450 = 2.48 kWp → 5 panels of 540 W
+ *
+ * ============================================
+ * BILL → UNITS
+ * ============================================
+ *
+ * A bill amount is turned back into units by searching for the monthly kWh
+ * whose bill (same slabs, fixed charge and duty as tariffs.js) matches it.
+ * The bill always grows with units, so a simple bisection finds it.
+ */
+
+// Slab tariff engine - plain <script> users load tariffs.js first
+const tariffs = typeof require === 'function' ? require('./tariffs') : window.SolarTariffs;
+
+/**
+ * Default share of yearly consumption to cover with solar (%)
+ * Net metering rules usually cap the system near 100% of consumption
+ */
+const CONSUMPTION_DEFAULTS = {
+    targetOffset: 100
+};
+
+const MONTHS_IN_YEAR = 12;
+const MAX_MONTHLY_UNITS = 100000; // kWh - search ceiling for the bill inversion
+
+// ============================================
+// Bill → Units
+// ============================================
+
+/**
+ * Average monthly bill for a number of units (seasonal slabs averaged)
+ *
+ * @param {number} units - kWh per month
+ * @param {object} tariff - Tariff object
+ * @param {number} [sanctionedLoad] - kW, for per-kW fixed charges
+ * @returns {number} ₹ per month
+ */
+function averageMonthlyBill(units, tariff, sanctionedLoad) {
+    let total = 0;
+    for (let monthIndex = 0; monthIndex < MONTHS_IN_YEAR; monthIndex++) {
+        total += tariffs.calculateMonthlyBill(units, tariff, { monthIndex, sanctionedLoad }).total;
+    }
+    return total / MONTHS_IN_YEAR;
+}
+
+/**
+ * Estimate monthly units from an average bill amount
+ *
+ * @param {object} params
+ * @param {number} params.monthlyBill - Average bill in ₹ per month
+ * @param {string|object} params.tariff - Preset id or tariff object (createFlatTariff for a flat rate)
+ * @param {number} [params.sanctionedLoad] - kW, for per-kW fixed charges
+ * @returns {object} { monthlyBill, monthlyConsumption (kWh), fixedCharges (₹ bill at 0 units) }
+ */
+function estimateConsumptionFromBill(params) {
+    const { monthlyBill, sanctionedLoad } = params;
+    const tariff = tariffs.resolveTariff(params.tariff);
+
+    const fixedCharges = averageMonthlyBill(0, tariff, sanctionedLoad);
+    if (monthlyBill <= fixedCharges) {
+        throw new Error(`A ₹${monthlyBill} bill does not cover the ₹${Math.round(fixedCharges)} fixed charges of ${tariff.name}`);
+    }
+
+    let low = 0;
+    let high = 100;
+    while (averageMonthlyBill(high, tariff, sanctionedLoad) < monthlyBill) {
+        low = high;
+        high *= 2;
+        if (high > MAX_MONTHLY_UNITS) {
+            throw new Error(`A ₹${monthlyBill} bill is beyond ${MAX_MONTHLY_UNITS} kWh per month`);
+        }
+    }
+
+    // bisection to the nearest 0.1 kWh
+    while (high - low > 0.1) {
+        const mid = (low + high) / 2;
+        if (averageMonthlyBill(mid, tariff, sanctionedLoad) < monthlyBill) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+
+    return {
+        monthlyBill,
+        monthlyConsumption: Math.round((low + high) / 2),
+        fixedCharges: Math.round(fixedCharges)
+    };
+}
+
+// ============================================
+// kWp Recommendation
+// ============================================
+
+/**
+ * kWp needed to cover a share of yearly consumption
+ *
+ * @param {object} params
+ * @param {number|Array<number>} params.monthlyConsumption - kWh per month (one value or 12)
+ * @param {Array<number>} params.monthlyYield - 12 values of kWh delivered per kWp installed
+ * @param {number} [params.targetOffset=100] - % of yearly consumption to cover
+ * @returns {object} { monthlyConsumption, annualConsumption, targetOffset, targetEnergy, specificYield, recommendedKwp }
+ */
+function recommendSystemSize(params) {
+    const { monthlyYield, targetOffset = CONSUMPTION_DEFAULTS.targetOffset } = params;
+    const monthlyConsumption = tariffs.toMonthlyConsumption(params.monthlyConsumption);
+
+    const annualConsumption = monthlyConsumption.reduce((sum, value) => sum + value, 0);
+    const specificYield = monthlyYield.reduce((sum, value) => sum + value, 0);
+    const targetEnergy = annualConsumption * (targetOffset / 100);
+
+    return {
+        monthlyConsumption,
+        annualConsumption: Math.round(annualConsumption),
+        targetOffset,
+        targetEnergy: Math.round(targetEnergy),
+        specificYield: Math.round(specificYield),
+        recommendedKwp: specificYield > 0 ? Math.round((targetEnergy / specificYield) * 100) / 100 : 0
+    };
+}
+
+// ============================================
+// Export for use in other modules
+// ============================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / bundler environment
+    module.exports = {
+        estimateConsumptionFromBill,
+        recommendSystemSize,
+        CONSUMPTION_DEFAULTS
+    };
+} else {
+    // Browser environment - attach to window (load before calculations.js)
+    window.SolarConsumption = {
+        estimateConsumptionFromBill,
+        recommendSystemSize,
+        CONSUMPTION_DEFAULTS
+    };
+}
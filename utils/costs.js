@@ -0,0 +1,267 @@
+/**
+ * System Cost Estimator & Subsidy Rules (PM Surya Ghar)
+ *
+ * Estimates what a rooftop system costs before and after the government
+ * subsidy, so the financial model (finance.js) has a realistic up-front cost.
+ *
+ * ============================================
+ * SYSTEM SIZE AND COST (Important for Viva!)
+ * ============================================
+ *
+ *    System Size (kWp) = Roof Area × Efficiency × 1 kW/m²
+ *    (panels are rated at 1000 W/m² sunlight - Standard Test Conditions)
+ *
+ *    Gross Cost = System Size × Benchmark ₹/kWp (by size band)
+ *
+ * Bigger systems cost less per kW (inverter, wiring, labour and the
+ * net meter are shared), so the benchmark depends on the size band.
+ *
+ * ============================================
+ * SUBSIDY (PM Surya Ghar: Muft Bijli Yojana, 2024)
+ * ============================================
+ *
+ * The central subsidy is paid per kW in slabs, like a telescopic tariff:
+ *
+ *    First 2 kW:  ₹30,000 per kW
+ *    3rd kW:      ₹18,000 per kW
+ *    Above 3 kW:  nothing more (capped at ₹78,000)
+ *
+ *    Example: 2.5 kW → 2 × 30,000 + 0.5 × 18,000 = ₹69,000
+ *
+ * Some states add their own top-up (₹ per kW, with a cap). The subsidy
+ * never exceeds the gross cost.
+ *
+ *    Net Cost = Gross Cost − Central Subsidy − State Top-up
+ *
+ * All ₹ amounts below are DATA, not code: edit the tables (or pass your own
+ * rules) when the scheme changes. Figures are approximate - check the
+ * national portal (pmsuryaghar.gov.in) and your DISCOM before quoting.
+ */
+
+/**
+ * Installed cost benchmarks in ₹ per kWp (approximate 2024-25 market prices,
+ * on-grid, including panels, inverter, structure, wiring and net meter)
+ * Each band applies to systems up to `upToKw` (null = no upper limit)
+ */
+const COST_BENCHMARKS = [
+    { upToKw: 2, costPerKw: 65000 },
+    { upToKw: 3, costPerKw: 60000 },
+    { upToKw: 10, costPerKw: 55000 },
+    { upToKw: 100, costPerKw: 50000 },
+    { upToKw: null, costPerKw: 45000 }
+];
+
+/**
+ * Central subsidy schemes
+ * - slabs: per-kW amounts, applied slab by slab (upToKw = cumulative kW)
+ * - maxAmount: cap per installation in ₹
+ */
+const SUBSIDY_SCHEMES = {
+    none: {
+        id: 'none',
+        name: 'No subsidy',
+        slabs: [],
+        maxAmount: 0
+    },
+    'pm-surya-ghar': {
+        id: 'pm-surya-ghar',
+        name: 'PM Surya Ghar (residential)',
+        effectiveFrom: '2024-02',
+        slabs: [
+            { upToKw: 2, perKw: 30000 },
+            { upToKw: 3, perKw: 18000 }
+        ],
+        maxAmount: 78000
+    },
+    'pm-surya-ghar-special': {
+        id: 'pm-surya-ghar-special',
+        name: 'PM Surya Ghar (special category states)',
+        description: 'North-Eastern and hill states, island UTs - 10% higher',
+        effectiveFrom: '2024-02',
+        slabs: [
+            { upToKw: 2, perKw: 33000 },
+            { upToKw: 3, perKw: 19800 }
+        ],
+        maxAmount: 85800
+    },
+    'pm-surya-ghar-rwa': {
+        id: 'pm-surya-ghar-rwa',
+        name: 'PM Surya Ghar (housing society / RWA)',
+        description: 'Common facilities incl. EV charging, up to 3 kW per house',
+        effectiveFrom: '2024-02',
+        slabs: [
+            { upToKw: 500, perKw: 18000 }
+        ],
+        maxAmount: 9000000
+    }
+};
+
+/**
+ * Optional state top-ups on the central subsidy (₹ per kW up to a cap)
+ */
+const STATE_TOPUPS = {
+    'uttar-pradesh': { id: 'uttar-pradesh', name: 'Uttar Pradesh', perKw: 15000, maxAmount: 30000 },
+    delhi: { id: 'delhi', name: 'Delhi', perKw: 10000, maxAmount: 30000 }
+};
+
+const DEFAULT_SUBSIDY_SCHEME = 'pm-surya-ghar';
+
+// ============================================
+// Lookups
+// ============================================
+
+/**
+ * Size of the system the roof can hold
+ *
+ * @param {number} roofArea - Roof area in m²
+ * @param {number} efficiency - Panel efficiency in %
+ * @returns {number} Capacity in kWp
+ */
+function calculateSystemSize(roofArea, efficiency) {
+    return Math.round(roofArea * (efficiency / 100) * 100) / 100;
+}
+
+/**
+ * Benchmark ₹/kWp for a system size
+ *
+ * @param {number} systemSize - kWp
+ * @param {Array} [benchmarks] - Size bands (default COST_BENCHMARKS)
+ * @returns {number} ₹ per kWp
+ */
+function getBenchmarkCost(systemSize, benchmarks = COST_BENCHMARKS) {
+    const band = benchmarks.find(item => item.upToKw === null || systemSize <= item.upToKw);
+    return (band || benchmarks[benchmarks.length - 1]).costPerKw;
+}
+
+/**
+ * Resolve a subsidy scheme id (or custom rules object)
+ *
+ * @param {string|object} scheme - Scheme id from SUBSIDY_SCHEMES or { slabs, maxAmount }
+ * @returns {object} Scheme rules
+ */
+function resolveSubsidyScheme(scheme) {
+    if (scheme && typeof scheme === 'object') return scheme;
+    const rules = SUBSIDY_SCHEMES[scheme || DEFAULT_SUBSIDY_SCHEME];
+    if (!rules) {
+        throw new Error(`Unknown subsidy scheme "${scheme}"`);
+    }
+    return rules;
+}
+
+// ============================================
+// Subsidy Engine
+// ============================================
+
+/**
+ * Central subsidy for a system size, slab by slab, up to the cap
+ *
+ * @param {number} systemSize - kWp
+ * @param {object} scheme - { slabs: [{ upToKw, perKw }], maxAmount }
+ * @returns {object} { amount, slabs: [{ kw, perKw, amount }] }
+ */
+function calculateCentralSubsidy(systemSize, scheme) {
+    let previousLimit = 0;
+    const slabs = [];
+
+    scheme.slabs.forEach(slab => {
+        const kw = Math.max(Math.min(systemSize, slab.upToKw) - previousLimit, 0);
+        if (kw > 0) {
+            slabs.push({ kw: Math.round(kw * 100) / 100, perKw: slab.perKw, amount: Math.round(kw * slab.perKw) });
+        }
+        previousLimit = slab.upToKw;
+    });
+
+    const total = slabs.reduce((sum, slab) => sum + slab.amount, 0);
+    return { amount: Math.min(total, scheme.maxAmount), slabs };
+}
+
+/**
+ * Gross cost, subsidy and net cost for a rooftop system
+ *
+ * @param {object} params
+ * @param {number} params.systemSize - kWp
+ * @param {number} [params.costPerKw] - Your own ₹/kWp quote (default: size benchmark)
+ * @param {string|object} [params.subsidyScheme] - Scheme id or rules (default PM Surya Ghar)
+ * @param {string|object} [params.stateTopUp] - STATE_TOPUPS id or { name, perKw, maxAmount }
+ * @returns {object} { systemSize, costPerKw, benchmarkCostPerKw, grossCost, subsidy, netCost }
+ */
+function calculateSystemCost(params) {
+    const { systemSize, costPerKw, subsidyScheme, stateTopUp } = params;
+
+    const benchmarkCostPerKw = getBenchmarkCost(systemSize);
+    const rate = costPerKw > 0 ? costPerKw : benchmarkCostPerKw;
+    const grossCost = Math.round(systemSize * rate);
+
+    const scheme = resolveSubsidyScheme(subsidyScheme);
+    const central = calculateCentralSubsidy(systemSize, scheme);
+
+    const topUpRules = typeof stateTopUp === 'string' ? STATE_TOPUPS[stateTopUp] : stateTopUp;
+    if (typeof stateTopUp === 'string' && !topUpRules) {
+        throw new Error(`Unknown state top-up "${stateTopUp}"`);
+    }
+    const stateAmount = topUpRules
+        ? Math.min(Math.round(systemSize * topUpRules.perKw), topUpRules.maxAmount)
+        : 0;
+
+    // a subsidy can't pay more than the system costs
+    const centralAmount = Math.min(central.amount, grossCost);
+    const stateCapped = Math.min(stateAmount, grossCost - centralAmount);
+
+    return {
+        systemSize,
+        costPerKw: rate,
+        benchmarkCostPerKw,
+        customCost: costPerKw > 0,
+        grossCost,
+        subsidy: {
+            scheme: { id: scheme.id || 'custom', name: scheme.name || 'Custom subsidy' },
+            central: centralAmount,
+            centralSlabs: central.slabs,
+            state: stateCapped,
+            stateName: topUpRules ? topUpRules.name : null,
+            total: centralAmount + stateCapped
+        },
+        netCost: grossCost - centralAmount - stateCapped
+    };
+}
+
+/**
+ * Subsidy schemes for dropdowns
+ *
+ * @returns {Array} [{ id, name, description }]
+ */
+function listSubsidySchemes() {
+    return Object.values(SUBSIDY_SCHEMES).map(({ id, name, description }) => ({ id, name, description }));
+}
+
+// ============================================
+// Export for use in other modules
+// ============================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / bundler environment
+    module.exports = {
+        calculateSystemSize,
+        getBenchmarkCost,
+        calculateCentralSubsidy,
+        calculateSystemCost,
+        listSubsidySchemes,
+        COST_BENCHMARKS,
+        SUBSIDY_SCHEMES,
+        STATE_TOPUPS,
+        DEFAULT_SUBSIDY_SCHEME
+    };
+} else {
+    // Browser environment - attach to window (load before calculations.js)
+    window.SolarCosts = {
+        calculateSystemSize,
+        getBenchmarkCost,
+        calculateCentralSubsidy,
+        calculateSystemCost,
+        listSubsidySchemes,
+        COST_BENCHMARKS,
+        SUBSIDY_SCHEMES,
+        STATE_TOPUPS,
+        DEFAULT_SUBSIDY_SCHEME
+    };
+}
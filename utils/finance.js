@@ -0,0 +1,371 @@
+/**
+ * Lifetime Financial Model (Cash Flows, NPV, IRR, LCOE, Payback)
+ *
+ * A rooftop system costs money up front and saves money every year for
+ * about 25 years. This module lays those years out as a cash-flow table so
+ * we can answer "is it worth it?" properly, not just "how many years to
+ * break even?".
+ *
+ * ============================================
+ * YEARLY CASH FLOW (Important for Viva!)
+ * ============================================
+ *
+ *    Year 0:  Cash Flow = − System Cost
+ *    Year n:  Energy    = First-year Energy × (1 − Degradation)^(n−1)
+ *             Savings   = First-year Savings × (1 − Degradation)^(n−1) × (1 + Tariff Escalation)^(n−1)
+ *             O&M       = System Cost × O&M % × (1 + O&M Escalation)^(n−1)
+ *             Cash Flow = Savings − O&M − Inverter Replacement (in its year)
+ *
+ * Results:
+ * - NPV  = Σ Cash Flow_n / (1 + Discount Rate)^n        (₹ value today)
+ * - IRR  = the discount rate at which NPV = 0           (% return per year)
+ * - LCOE = (System Cost + Σ PV(O&M + Inverter)) / Σ PV(Energy)   (₹/kWh)
+ * - Simple payback     = year the cumulative cash flow turns positive
+ * - Discounted payback = same, using discounted cash flows
+ *
+ * All rates are in % per year, like the rest of the calculator's inputs.
+ *
+ * ============================================
+ * LOAN FINANCING (EMI)
+ * ============================================
+ *
+ *    EMI = P × r × (1 + r)^n / ((1 + r)^n − 1)
+ *    where P = loan amount, r = monthly interest rate, n = months
+ *
+ *    Example: ₹1,00,000 at 7% for 10 years → r = 0.583%, n = 120
+ *             EMI ≈ ₹1,161/month, total interest ≈ ₹39,330
+ *
+ *    Monthly net position = Bill savings − O&M − EMI (averaged over the year)
+ *
+ * Three ways to pay are compared on the same savings: cash (all up front),
+ * loan (down payment + EMI) and zero-down (everything borrowed).
+ *
+ * Assumptions:
+ * - Savings grow with the tariff (export credits are assumed to rise too)
+ * - Degradation is the same every year (no first-year drop)
+ * - No tax effects, residual value or decommissioning cost
+ */
+
+/**
+ * Default financial assumptions (each can be overridden)
+ */
+const FINANCE_DEFAULTS = {
+    lifetimeYears: 25,            // panel performance warranty
+    discountRate: 8,              // % - roughly a fixed deposit / home loan rate
+    tariffEscalation: 3,          // % per year rise in electricity prices
+    degradationRate: 0.5,         // % per year loss in panel output
+    omCostPercent: 1,             // % of system cost per year (cleaning, checks)
+    omEscalation: 5,              // % per year rise in O&M cost
+    inverterReplacementYear: 12,  // string inverters last ~10-15 years
+    inverterReplacementPercent: 10 // % of system cost
+};
+
+/**
+ * Default loan terms (PM Surya Ghar collateral-free loans are ~7% for
+ * systems up to 3 kW, with a 10% margin and tenure up to 10 years)
+ */
+const LOAN_DEFAULTS = {
+    downPaymentPercent: 10, // % of system cost paid up front
+    interestRate: 7,        // % per year
+    tenureYears: 10
+};
+
+// ============================================
+// Building Blocks
+// ============================================
+
+/**
+ * Net present value of a cash-flow series (index 0 = today)
+ *
+ * @param {number} rate - Discount rate in %
+ * @param {Array<number>} cashFlows - Cash flow per year, starting at year 0
+ * @returns {number} NPV in ₹
+ */
+function calculateNPV(rate, cashFlows) {
+    return cashFlows.reduce((total, flow, year) => total + flow / Math.pow(1 + rate / 100, year), 0);
+}
+
+/**
+ * Internal rate of return (bisection between −99% and 100%)
+ *
+ * @param {Array<number>} cashFlows - Cash flow per year, starting at year 0
+ * @returns {number|null} IRR in %, or null if the investment never pays back
+ */
+function calculateIRR(cashFlows) {
+    let low = -99;
+    let high = 100;
+    if (calculateNPV(low, cashFlows) * calculateNPV(high, cashFlows) > 0) {
+        return null; // no sign change - no IRR in a sensible range
+    }
+
+    for (let i = 0; i < 100; i++) {
+        const mid = (low + high) / 2;
+        if (calculateNPV(mid, cashFlows) > 0) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return Math.round(((low + high) / 2) * 100) / 100;
+}
+
+/**
+ * Year (with fraction) in which a cumulative series first reaches zero
+ *
+ * @param {Array<number>} cashFlows - Cash flow per year, starting at year 0
+ * @returns {number|null} Payback in years, or null if never within the lifetime
+ */
+function calculatePayback(cashFlows) {
+    let cumulative = cashFlows[0];
+    for (let year = 1; year < cashFlows.length; year++) {
+        const previous = cumulative;
+        cumulative += cashFlows[year];
+        if (cumulative >= 0 && cashFlows[year] > 0) {
+            return Math.round((year - 1 + -previous / cashFlows[year]) * 10) / 10;
+        }
+    }
+    return null;
+}
+
+// ============================================
+// Full Model
+// ============================================
+
+/**
+ * Lifetime cash flows and investment metrics
+ *
+ * @param {object} params
+ * @param {number} params.systemCost - Up-front cost in ₹ (after any subsidy)
+ * @param {number} params.annualEnergy - First-year generation in kWh
+ * @param {number} params.annualSavings - First-year savings in ₹
+ * @param {number} [params.lifetimeYears] - Years to model (default 25)
+ * @param {number} [params.discountRate] - % per year
+ * @param {number} [params.tariffEscalation] - % per year
+ * @param {number} [params.degradationRate] - % per year
+ * @param {number} [params.omCostPercent] - % of system cost per year
+ * @param {number} [params.omEscalation] - % per year
+ * @param {number} [params.inverterReplacementYear] - Year of replacement (0 = none)
+ * @param {number} [params.inverterReplacementPercent] - % of system cost
+ * @returns {object} { years, npv, irr, lcoe, simplePayback, discountedPayback, totals, assumptions }
+ */
+function calculateFinancials(params) {
+    const settings = { ...FINANCE_DEFAULTS };
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && !Number.isNaN(value)) settings[key] = value;
+    });
+
+    const { systemCost, annualEnergy, annualSavings, lifetimeYears, discountRate } = settings;
+    const round = value => Math.round(value);
+    const discount = year => Math.pow(1 + discountRate / 100, year);
+
+    const years = [{
+        year: 0,
+        energy: 0,
+        savings: 0,
+        omCost: 0,
+        inverterCost: 0,
+        cashFlow: -systemCost,
+        cumulative: -systemCost,
+        discountedCashFlow: -systemCost,
+        cumulativeDiscounted: -systemCost
+    }];
+
+    let presentCosts = systemCost;
+    let presentEnergy = 0;
+
+    for (let year = 1; year <= lifetimeYears; year++) {
+        const performance = Math.pow(1 - settings.degradationRate / 100, year - 1);
+        const energy = annualEnergy * performance;
+        const savings = annualSavings * performance * Math.pow(1 + settings.tariffEscalation / 100, year - 1);
+        const omCost = systemCost * settings.omCostPercent / 100 * Math.pow(1 + settings.omEscalation / 100, year - 1);
+        const inverterCost = year === settings.inverterReplacementYear
+            ? systemCost * settings.inverterReplacementPercent / 100
+            : 0;
+        const cashFlow = savings - omCost - inverterCost;
+        const previous = years[year - 1];
+
+        presentCosts += (omCost + inverterCost) / discount(year);
+        presentEnergy += energy / discount(year);
+
+        years.push({
+            year,
+            energy,
+            savings,
+            omCost,
+            inverterCost,
+            cashFlow,
+            cumulative: previous.cumulative + cashFlow,
+            discountedCashFlow: cashFlow / discount(year),
+            cumulativeDiscounted: previous.cumulativeDiscounted + cashFlow / discount(year)
+        });
+    }
+
+    const cashFlows = years.map(row => row.cashFlow);
+    const sum = key => years.reduce((total, row) => total + row[key], 0);
+
+    return {
+        npv: round(calculateNPV(discountRate, cashFlows)),
+        irr: calculateIRR(cashFlows),
+        lcoe: presentEnergy > 0 ? Math.round(presentCosts / presentEnergy * 100) / 100 : null,
+        simplePayback: calculatePayback(cashFlows),
+        discountedPayback: calculatePayback(years.map(row => row.discountedCashFlow)),
+        totals: {
+            energy: round(sum('energy')),
+            savings: round(sum('savings')),
+            costs: round(systemCost + sum('omCost') + sum('inverterCost')),
+            netGain: round(years[years.length - 1].cumulative)
+        },
+        years: years.map(row => ({
+            year: row.year,
+            energy: round(row.energy),
+            savings: round(row.savings),
+            omCost: round(row.omCost),
+            inverterCost: round(row.inverterCost),
+            cashFlow: round(row.cashFlow),
+            cumulative: round(row.cumulative),
+            discountedCashFlow: round(row.discountedCashFlow),
+            cumulativeDiscounted: round(row.cumulativeDiscounted)
+        })),
+        assumptions: {
+            lifetimeYears,
+            discountRate,
+            tariffEscalation: settings.tariffEscalation,
+            degradationRate: settings.degradationRate,
+            omCostPercent: settings.omCostPercent,
+            omEscalation: settings.omEscalation,
+            inverterReplacementYear: settings.inverterReplacementYear,
+            inverterReplacementPercent: settings.inverterReplacementPercent
+        }
+    };
+}
+
+// ============================================
+// Financing (Cash vs Loan vs Zero-down)
+// ============================================
+
+/**
+ * Equated monthly instalment for a loan
+ *
+ * @param {number} principal - Loan amount in ₹
+ * @param {number} interestRate - % per year
+ * @param {number} tenureMonths - Number of monthly payments
+ * @returns {number} EMI in ₹/month
+ */
+function calculateEMI(principal, interestRate, tenureMonths) {
+    if (principal <= 0 || tenureMonths <= 0) return 0;
+    const r = interestRate / 100 / 12;
+    if (r === 0) return principal / tenureMonths;
+    const growth = Math.pow(1 + r, tenureMonths);
+    return principal * r * growth / (growth - 1);
+}
+
+/**
+ * One way of paying for the system, on top of the lifetime cash flows
+ *
+ * @param {object} option - { id, label, downPayment, principal }
+ * @param {object} terms - { interestRate, tenureYears, discountRate }
+ * @param {Array} years - Yearly rows from calculateFinancials (year 0 first)
+ * @returns {object} Scenario summary with a year-by-year monthly net position
+ */
+function buildFinancingScenario(option, terms, years) {
+    const tenureMonths = Math.round(terms.tenureYears * 12);
+    const emi = calculateEMI(option.principal, terms.interestRate, tenureMonths);
+    const totalInterest = option.principal > 0 ? emi * tenureMonths - option.principal : 0;
+
+    const flows = [-option.downPayment];
+    let cumulative = -option.downPayment;
+
+    const rows = years.slice(1).map(row => {
+        const loanMonths = option.principal > 0 ? Math.min(Math.max(tenureMonths - (row.year - 1) * 12, 0), 12) : 0;
+        const loanPayments = emi * loanMonths;
+        const netCashFlow = row.savings - row.omCost - row.inverterCost - loanPayments;
+        cumulative += netCashFlow;
+        flows.push(netCashFlow);
+
+        return {
+            year: row.year,
+            monthlySavings: Math.round((row.savings - row.omCost - row.inverterCost) / 12),
+            monthlyPayment: Math.round(loanPayments / 12),
+            monthlyNet: Math.round(netCashFlow / 12),
+            cumulative: Math.round(cumulative)
+        };
+    });
+
+    return {
+        id: option.id,
+        label: option.label,
+        upfront: Math.round(option.downPayment),
+        principal: Math.round(option.principal),
+        emi: Math.round(emi),
+        totalInterest: Math.round(totalInterest),
+        totalPaid: Math.round(option.downPayment + option.principal + totalInterest),
+        firstYearMonthlyNet: rows.length ? rows[0].monthlyNet : 0,
+        breakEven: calculatePayback(flows),
+        netGain: Math.round(cumulative),
+        npv: Math.round(calculateNPV(terms.discountRate, flows)),
+        years: rows
+    };
+}
+
+/**
+ * Compare cash, loan and zero-down purchases of the same system
+ *
+ * @param {object} params
+ * @param {object} params.financials - Result of calculateFinancials
+ * @param {number} [params.downPaymentPercent] - % of system cost paid up front (loan option)
+ * @param {number} [params.interestRate] - % per year
+ * @param {number} [params.tenureYears] - Loan tenure
+ * @returns {object} { terms, scenarios: [cash, loan, zero-down] }
+ */
+function calculateFinancing(params) {
+    const terms = { ...LOAN_DEFAULTS };
+    ['downPaymentPercent', 'interestRate', 'tenureYears'].forEach(key => {
+        if (params[key] !== undefined && params[key] !== null && !Number.isNaN(params[key])) terms[key] = params[key];
+    });
+
+    const { financials } = params;
+    const systemCost = -financials.years[0].cashFlow;
+    const downPayment = systemCost * Math.min(terms.downPaymentPercent, 100) / 100;
+    const scenarioTerms = { ...terms, discountRate: financials.assumptions.discountRate };
+
+    const options = [
+        { id: 'cash', label: 'Cash', downPayment: systemCost, principal: 0 },
+        { id: 'loan', label: `Loan (${terms.downPaymentPercent}% down)`, downPayment, principal: systemCost - downPayment },
+        { id: 'zero-down', label: 'Zero down', downPayment: 0, principal: systemCost }
+    ];
+
+    return {
+        terms,
+        scenarios: options.map(option => buildFinancingScenario(option, scenarioTerms, financials.years))
+    };
+}
+
+// ============================================
+// Export for use in other modules
+// ============================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / bundler environment
+    module.exports = {
+        calculateNPV,
+        calculateIRR,
+        calculatePayback,
+        calculateFinancials,
+        calculateEMI,
+        calculateFinancing,
+        FINANCE_DEFAULTS,
+        LOAN_DEFAULTS
+    };
+} else {
+    // Browser environment - attach to window (load before calculations.js)
+    window.SolarFinance = {
+        calculateNPV,
+        calculateIRR,
+        calculatePayback,
+        calculateFinancials,
+        calculateEMI,
+        calculateFinancing,
+        FINANCE_DEFAULTS,
+        LOAN_DEFAULTS
+    };
+}
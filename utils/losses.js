@@ -0,0 +1,187 @@
+/**
+ * System Loss Tree
+ *
+ * Panels are rated in the lab. On a real roof some of that energy is lost
+ * before it reaches the meter: dust on the glass, warm cells, cables, the
+ * inverter and days when the system is switched off. This module applies
+ * those losses one after another so each one can be shown and changed.
+ *
+ * ============================================
+ * LOSS TREE (Important for Viva!)
+ * ============================================
+ *
+ *    Nominal DC Energy = Panel Area × Efficiency × POA Irradiance × Days
+ *                      (= Installed kWp × Peak Sun Hours × Days)
+ *
+ *    Each loss takes a share of what is left after the previous one:
+ *
+ *    Energy after a loss = Energy before × (1 − Loss % / 100)
+ *
+ *    Delivered AC Energy = Nominal × (1 − Shading) × (1 − Soiling)
+ *                          × Temperature Factor × (1 − LID) × (1 − Mismatch)
+ *                          × (1 − DC Wiring) × Inverter Efficiency
+ *                          × (1 − AC Wiring) × (1 − Availability)
+ *
+ *    Performance Ratio (PR) = Delivered AC Energy / Nominal DC Energy
+ *
+ * PR is the usual quality figure for an installed system: well-kept Indian
+ * rooftops reach 75-80%. Because the losses multiply, the total is a bit
+ * less than their sum (10% + 10% = 19%, not 20%).
+ *
+ * The temperature loss is not configured here - it comes from the monthly
+ * cell temperatures (see calculations.js).
+ */
+
+/**
+ * Loss components in the order they are applied, with default % loss
+ * - stage: 'dc' (before the inverter) or 'ac' (after it)
+ * - Inverter loss = 100 − inverter efficiency (e.g. 96.5% efficient = 3.5%)
+ */
+const LOSS_COMPONENTS = [
+    { id: 'shading', name: 'Shading', stage: 'dc', defaultLoss: 0, description: 'Nearby buildings, trees and water tanks' },
+    { id: 'soiling', name: 'Soiling', stage: 'dc', defaultLoss: 3, description: 'Dust and bird droppings (more if panels are rarely cleaned)' },
+    { id: 'lid', name: 'Light-induced degradation', stage: 'dc', defaultLoss: 1.5, description: 'First-months drop of new crystalline cells' },
+    { id: 'mismatch', name: 'Module mismatch', stage: 'dc', defaultLoss: 2, description: 'Small differences between panels in a string' },
+    { id: 'dcWiring', name: 'DC wiring', stage: 'dc', defaultLoss: 2, description: 'Resistance of string and array cables' },
+    { id: 'inverter', name: 'Inverter', stage: 'ac', defaultLoss: 3.5, description: 'DC to AC conversion (100 − inverter efficiency)' },
+    { id: 'acWiring', name: 'AC wiring', stage: 'ac', defaultLoss: 1, description: 'Cable from the inverter to the meter' },
+    { id: 'availability', name: 'Availability', stage: 'ac', defaultLoss: 1, description: 'Grid outages and maintenance downtime' }
+];
+
+/**
+ * Default % loss per component, e.g. { shading: 0, soiling: 3, ... }
+ */
+const LOSS_DEFAULTS = LOSS_COMPONENTS.reduce((defaults, component) => (
+    { ...defaults, [component.id]: component.defaultLoss }
+), {});
+
+/**
+ * Temperature sits between the irradiance losses (shading, soiling) and the
+ * electrical ones - it is applied after this many components
+ */
+const TEMPERATURE_POSITION = 2;
+
+// ============================================
+// Loss Helpers
+// ============================================
+
+/**
+ * Merge user overrides with the defaults
+ *
+ * @param {Object} [overrides] - { soiling: 5, inverter: 2, ... } in %
+ * @returns {Object} % loss for every component
+ */
+function resolveLosses(overrides = {}) {
+    const losses = { ...LOSS_DEFAULTS };
+    Object.entries(overrides || {}).forEach(([id, value]) => {
+        if (!(id in LOSS_DEFAULTS)) {
+            throw new Error(`Unknown loss component "${id}"`);
+        }
+        if (typeof value !== 'number' || value < 0 || value >= 100) {
+            throw new Error(`Loss "${id}" must be a percentage from 0 to below 100`);
+        }
+        losses[id] = value;
+    });
+    return losses;
+}
+
+/**
+ * Combined factor of all configured losses (temperature excluded)
+ *
+ * @param {Object} [overrides] - % loss per component
+ * @returns {number} Factor to multiply DC energy by (e.g. 0.87)
+ */
+function calculateLossFactor(overrides) {
+    const losses = resolveLosses(overrides);
+    return LOSS_COMPONENTS.reduce((factor, component) => factor * (1 - losses[component.id] / 100), 1);
+}
+
+// ============================================
+// Loss Waterfall
+// ============================================
+
+/**
+ * Walk from nominal DC energy to delivered AC energy, one loss at a time
+ *
+ * @param {Object} params
+ * @param {number} params.nominalEnergy - kWh/year at STC efficiency (no losses, no heat)
+ * @param {number} [params.temperatureFactor=1] - Energy-weighted thermal derating (see calculations.js)
+ * @param {Object} [params.losses] - % loss overrides per component
+ * @returns {Object} { losses, steps, nominalEnergy, deliveredEnergy, totalLoss, performanceRatio, lossFactor }
+ */
+function calculateLossTree(params) {
+    const { nominalEnergy, temperatureFactor = 1 } = params;
+    const losses = resolveLosses(params.losses);
+
+    const chain = LOSS_COMPONENTS.map(component => ({ ...component, loss: losses[component.id] }));
+    chain.splice(TEMPERATURE_POSITION, 0, {
+        id: 'temperature',
+        name: 'Temperature',
+        stage: 'dc',
+        loss: (1 - temperatureFactor) * 100,
+        description: 'Hot cells produce less than at 25 °C'
+    });
+
+    let energy = nominalEnergy;
+    const steps = chain.map(({ id, name, stage, loss, description }) => {
+        const energyLost = energy * (loss / 100);
+        energy -= energyLost;
+        return {
+            id,
+            name,
+            stage,
+            description,
+            loss: Math.round(loss * 100) / 100,
+            energyLost: Math.round(energyLost * 100) / 100,
+            energyAfter: Math.round(energy * 100) / 100
+        };
+    });
+
+    const performanceRatio = nominalEnergy > 0 ? energy / nominalEnergy : 0;
+
+    return {
+        losses,
+        steps,
+        nominalEnergy: Math.round(nominalEnergy * 100) / 100,
+        deliveredEnergy: Math.round(energy * 100) / 100,
+        totalLoss: Math.round((1 - performanceRatio) * 1000) / 10,
+        performanceRatio: Math.round(performanceRatio * 1000) / 10, // %
+        // configured losses only - applied to each month's (already derated) energy
+        lossFactor: calculateLossFactor(losses)
+    };
+}
+
+/**
+ * Loss components for forms and /api/losses
+ *
+ * @returns {Array} [{ id, name, stage, defaultLoss, description }]
+ */
+function listLossComponents() {
+    return LOSS_COMPONENTS.map(component => ({ ...component }));
+}
+
+// ============================================
+// Export for use in other modules
+// ============================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / bundler environment
+    module.exports = {
+        resolveLosses,
+        calculateLossFactor,
+        calculateLossTree,
+        listLossComponents,
+        LOSS_COMPONENTS,
+        LOSS_DEFAULTS
+    };
+} else {
+    // Browser environment - attach to window (load before calculations.js)
+    window.SolarLosses = {
+        resolveLosses,
+        calculateLossFactor,
+        calculateLossTree,
+        listLossComponents,
+        LOSS_COMPONENTS,
+        LOSS_DEFAULTS
+    };
+}
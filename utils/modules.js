@@ -0,0 +1,364 @@
+/**
+ * Module Catalog & Panel-Level System Sizing
+ *
+ * Instead of "roof area × efficiency", this works out how many real panels
+ * fit on the roof and what DC capacity (kWp) they add up to. Energy is then
+ * calculated from that installed capacity.
+ *
+ * ============================================
+ * SIZING (Important for Viva!)
+ * ============================================
+ *
+ *    Usable Length = Roof Length − 2 × Setback
+ *    Usable Width  = Roof Width  − 2 × Setback
+ *
+ *    Panel footprint (portrait):  across = module width
+ *                                 depth  = module length × cos(tilt)
+ *    (landscape swaps length and width)
+ *
+ *    Panels per Row = floor(Usable Width / across)
+ *    Rows           = floor((Usable Length + Row Spacing) / (depth + Row Spacing))
+ *    Panel Count    = Panels per Row × Rows
+ *
+ *    Installed Capacity (kWp) = Panel Count × Module Watts / 1000
+ *    Packing Density (%)      = Panel Area / Roof Area × 100
+ *
+ * Energy from capacity:
+ *    Annual Energy = kWp × Peak Sun Hours × 365
+ * A kWp is defined at 1000 W/m² sunlight, so irradiance in kWh/m²/day is
+ * the same number as "peak sun hours". This equals Panel Area × Module
+ * Efficiency × Irradiance × 365 - the existing formula, applied only to
+ * the area actually covered by panels.
+ *
+ * Assumptions:
+ * - Without roof dimensions the roof is treated as a square
+ * - Roof faces traced on the map are each laid out on their own, as a rectangle
+ *   with the face's proportions (sizeRoofFaces)
+ * - Setback applies on all four edges (walkways, fire access, parapet shade)
+ * - Row spacing is the gap between tilted rows (self-shading, maintenance)
+ */
+
+/**
+ * Module catalog - typical 2024-25 Indian market modules (generic, rounded
+ * datasheet values). Efficiency is derived from watts and dimensions.
+ * - watts: Rated power at STC (Wp)
+ * - length / width: Module dimensions in metres
+ * - temperatureCoefficient: Pmax coefficient in %/°C
+ */
+const MODULE_CATALOG = {
+    'poly-335': {
+        id: 'poly-335',
+        name: 'Polycrystalline 335 W',
+        technology: 'Poly',
+        watts: 335,
+        length: 1.956,
+        width: 0.992,
+        temperatureCoefficient: -0.40
+    },
+    'mono-perc-440': {
+        id: 'mono-perc-440',
+        name: 'Mono PERC 440 W (half-cut)',
+        technology: 'Mono PERC',
+        watts: 440,
+        length: 1.909,
+        width: 1.134,
+        temperatureCoefficient: -0.35
+    },
+    'mono-perc-540': {
+        id: 'mono-perc-540',
+        name: 'Mono PERC 540 W (large format)',
+        technology: 'Mono PERC',
+        watts: 540,
+        length: 2.279,
+        width: 1.134,
+        temperatureCoefficient: -0.35
+    },
+    'topcon-580': {
+        id: 'topcon-580',
+        name: 'TOPCon 580 W (bifacial)',
+        technology: 'N-type TOPCon',
+        watts: 580,
+        length: 2.278,
+        width: 1.134,
+        temperatureCoefficient: -0.30
+    },
+    'hjt-430': {
+        id: 'hjt-430',
+        name: 'Heterojunction 430 W',
+        technology: 'HJT',
+        watts: 430,
+        length: 1.722,
+        width: 1.134,
+        temperatureCoefficient: -0.26
+    }
+};
+
+/**
+ * Default layout rules
+ */
+const SIZING_DEFAULTS = {
+    moduleId: 'mono-perc-540',
+    setback: 0.5,          // m from each roof edge
+    rowSpacing: 0.5,       // m between rows
+    orientation: 'auto'    // portrait, landscape or auto (whichever fits more)
+};
+
+const ORIENTATIONS = ['portrait', 'landscape', 'auto'];
+
+// ============================================
+// Catalog Helpers
+// ============================================
+
+/**
+ * Module efficiency from its rating and size
+ * Efficiency = Watts / (Length × Width × 1000 W/m²)
+ *
+ * @param {object} panel - { watts, length, width }
+ * @returns {number} Efficiency in %
+ */
+function calculateModuleEfficiency(panel) {
+    return (panel.watts / (panel.length * panel.width * 1000)) * 100;
+}
+
+/**
+ * Check a custom module object
+ *
+ * @param {object} panel - { name, watts, length, width, temperatureCoefficient? }
+ * @returns {string|null} Problem description, or null if valid
+ */
+function validateModule(panel) {
+    if (!panel || typeof panel !== 'object') return 'Module must be an object';
+    if (!(panel.watts > 0)) return 'Module watts must be a positive number';
+    if (!(panel.length > 0) || !(panel.width > 0)) return 'Module length and width must be positive (metres)';
+    if (panel.length > 3 || panel.width > 3) return 'Module dimensions are in metres (e.g. 2.278 x 1.134)';
+
+    const efficiency = calculateModuleEfficiency(panel);
+    if (efficiency > 30) {
+        return `Module efficiency would be ${efficiency.toFixed(1)}% - check the watts and dimensions`;
+    }
+    return null;
+}
+
+/**
+ * Resolve a catalog id or custom module object
+ *
+ * @param {string|object} panel - Catalog id or custom module
+ * @returns {object} Module with derived efficiency (%)
+ */
+function resolveModule(panel) {
+    const spec = typeof panel === 'string' ? MODULE_CATALOG[panel] : panel;
+    if (!spec) {
+        throw new Error(`Unknown module "${panel}"`);
+    }
+    const problem = validateModule(spec);
+    if (problem) {
+        throw new Error(problem);
+    }
+
+    return {
+        id: spec.id || 'custom',
+        name: spec.name || `Custom ${spec.watts} W`,
+        ...spec,
+        efficiency: Math.round(calculateModuleEfficiency(spec) * 10) / 10
+    };
+}
+
+/**
+ * Catalog for dropdowns
+ *
+ * @returns {Array} Modules with derived efficiency
+ */
+function listModules() {
+    return Object.keys(MODULE_CATALOG).map(resolveModule);
+}
+
+// ============================================
+// Layout
+// ============================================
+
+/**
+ * Count panels in one orientation
+ *
+ * @param {number} usableLength - m (rows stack along this side)
+ * @param {number} usableWidth - m (panels sit side by side along this side)
+ * @param {number} across - Panel size along the row in m
+ * @param {number} depth - Projected panel depth in m
+ * @param {number} rowSpacing - Gap between rows in m
+ * @returns {object} { perRow, rows, count }
+ */
+function countPanels(usableLength, usableWidth, across, depth, rowSpacing) {
+    if (usableLength < depth || usableWidth < across) {
+        return { perRow: 0, rows: 0, count: 0 };
+    }
+    const perRow = Math.floor(usableWidth / across);
+    const rows = Math.floor((usableLength + rowSpacing) / (depth + rowSpacing));
+    return { perRow, rows, count: perRow * rows };
+}
+
+/**
+ * Fit modules on a roof and work out the installed capacity
+ *
+ * @param {object} params
+ * @param {number} params.roofArea - Usable roof area in m²
+ * @param {string|object} [params.module] - Catalog id or custom module (default: SIZING_DEFAULTS.moduleId)
+ * @param {number} [params.roofLength] - m (with roofWidth; default: square roof)
+ * @param {number} [params.roofWidth] - m
+ * @param {number} [params.setback] - m kept clear along each edge
+ * @param {number} [params.rowSpacing] - m between rows
+ * @param {number} [params.tilt=0] - Rack tilt on a flat roof in degrees (0 = flush-mounted)
+ * @param {string} [params.orientation] - portrait, landscape or auto
+ * @param {number} [params.maxPanels] - Install at most this many panels (sizing from consumption)
+ * @returns {object} { module, panelCount, rows, panelsPerRow, orientation, dcCapacity, panelArea, efficiency, packingDensity, ... }
+ */
+function sizeSystem(params) {
+    const settings = { ...SIZING_DEFAULTS };
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) settings[key] = value;
+    });
+
+    const { roofArea, setback, rowSpacing, orientation, tilt = 0 } = settings;
+    const panel = resolveModule(settings.module || settings.moduleId);
+
+    const hasDimensions = settings.roofLength > 0 && settings.roofWidth > 0;
+    const roofLength = hasDimensions ? settings.roofLength : Math.sqrt(roofArea);
+    const roofWidth = hasDimensions ? settings.roofWidth : Math.sqrt(roofArea);
+    const usableLength = Math.max(roofLength - 2 * setback, 0);
+    const usableWidth = Math.max(roofWidth - 2 * setback, 0);
+    const tiltFactor = Math.cos((tilt * Math.PI) / 180);
+
+    const layouts = {
+        portrait: countPanels(usableLength, usableWidth, panel.width, panel.length * tiltFactor, rowSpacing),
+        landscape: countPanels(usableLength, usableWidth, panel.length, panel.width * tiltFactor, rowSpacing)
+    };
+    const chosen = orientation === 'auto'
+        ? (layouts.landscape.count > layouts.portrait.count ? 'landscape' : 'portrait')
+        : orientation;
+    const layout = layouts[chosen];
+
+    // fewer panels than the roof holds -> fill whole rows first
+    const panelCount = settings.maxPanels >= 0 ? Math.min(layout.count, Math.floor(settings.maxPanels)) : layout.count;
+    const rows = panelCount < layout.count ? Math.ceil(panelCount / layout.perRow) : layout.rows;
+
+    const dcCapacity = (panelCount * panel.watts) / 1000;
+    const panelArea = panelCount * panel.length * panel.width;
+    const footprintArea = hasDimensions ? roofLength * roofWidth : roofArea;
+
+    return {
+        module: panel,
+        orientation: chosen,
+        panelCount,
+        maxPanelCount: layout.count,
+        rows,
+        panelsPerRow: layout.perRow,
+        dcCapacity: Math.round(dcCapacity * 100) / 100,
+        panelArea: Math.round(panelArea * 100) / 100,
+        // exact efficiency of the array, so panel area × efficiency = kWp
+        efficiency: panelArea > 0 ? (dcCapacity / panelArea) * 100 : panel.efficiency,
+        usableArea: Math.round(usableLength * usableWidth * 10) / 10,
+        packingDensity: footprintArea > 0 ? Math.round((panelArea / footprintArea) * 1000) / 10 : 0,
+        wattsPerSquareMetre: footprintArea > 0 ? Math.round((dcCapacity * 1000) / footprintArea) : 0,
+        layoutRules: { setback, rowSpacing, tilt, roofLength: Math.round(roofLength * 100) / 100, roofWidth: Math.round(roofWidth * 100) / 100 }
+    };
+}
+
+/**
+ * Fit modules on roof faces (traced on the map)
+ *
+ * Each face is laid out on its own - a rectangle with the face's length and
+ * width, shrunk to its usable area, with the setback on every edge - so three
+ * small faces hold fewer panels than one roof of the same total area, and a
+ * long narrow face holds what its shape allows. With maxPanels each face gets
+ * its share of the panels, so the mix of orientations stays the same as on
+ * the full roof.
+ *
+ * @param {object} params - Same as sizeSystem, with faces instead of roofArea
+ * @param {Array<object>} params.faces - { area (usable m²), length, width (m, outline) } for each face
+ * @param {number} [params.maxPanels] - Install at most this many panels across all faces
+ * @returns {object} sizeSystem result for the whole roof, plus faces (a sizeSystem result per face)
+ */
+function sizeRoofFaces(params) {
+    const { faces: outlines, maxPanels, ...settings } = params;
+    // the outline's proportions at the usable area (obstructions and odd corners come off evenly)
+    const sizeFace = ({ area, length, width }, limit) => {
+        const scale = length > 0 && width > 0 ? Math.sqrt(area / (length * width)) : 0;
+        return sizeSystem({
+            ...settings,
+            roofArea: area,
+            roofLength: scale > 0 ? length * scale : undefined, // no outline -> square
+            roofWidth: scale > 0 ? width * scale : undefined,
+            maxPanels: limit
+        });
+    };
+    const faceAreas = outlines.map(face => face.area);
+    const fullFaces = outlines.map(face => sizeFace(face));
+    const roofCount = fullFaces.reduce((sum, face) => sum + face.panelCount, 0);
+
+    let faces = fullFaces;
+    if (maxPanels >= 0 && Math.floor(maxPanels) < roofCount) {
+        // each face's share (rounded down), then the rest on faces that still have room
+        const shares = fullFaces.map(face => Math.floor((maxPanels * face.panelCount) / roofCount));
+        let spare = Math.floor(maxPanels) - shares.reduce((sum, share) => sum + share, 0);
+        fullFaces.forEach((face, index) => {
+            const extra = Math.min(spare, face.panelCount - shares[index]);
+            shares[index] += extra;
+            spare -= extra;
+        });
+        faces = outlines.map((face, index) => sizeFace(face, shares[index]));
+    }
+
+    const panel = faces[0].module;
+    const panelCount = faces.reduce((sum, face) => sum + face.panelCount, 0);
+    const dcCapacity = (panelCount * panel.watts) / 1000;
+    const panelArea = panelCount * panel.length * panel.width;
+    const footprintArea = faceAreas.reduce((sum, area) => sum + area, 0);
+    const mainFace = faces.reduce((best, face) => (face.panelCount > best.panelCount ? face : best), faces[0]);
+
+    return {
+        module: panel,
+        orientation: mainFace.orientation,
+        panelCount,
+        maxPanelCount: roofCount,
+        rows: faces.reduce((sum, face) => sum + face.rows, 0),
+        panelsPerRow: mainFace.panelsPerRow,
+        dcCapacity: Math.round(dcCapacity * 100) / 100,
+        panelArea: Math.round(panelArea * 100) / 100,
+        efficiency: panelArea > 0 ? (dcCapacity / panelArea) * 100 : panel.efficiency,
+        usableArea: Math.round(faces.reduce((sum, face) => sum + face.usableArea, 0) * 10) / 10,
+        packingDensity: footprintArea > 0 ? Math.round((panelArea / footprintArea) * 1000) / 10 : 0,
+        wattsPerSquareMetre: footprintArea > 0 ? Math.round((dcCapacity * 1000) / footprintArea) : 0,
+        layoutRules: { setback: mainFace.layoutRules.setback, rowSpacing: mainFace.layoutRules.rowSpacing, tilt: mainFace.layoutRules.tilt },
+        faces
+    };
+}
+
+// ============================================
+// Export for use in other modules
+// ============================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / bundler environment
+    module.exports = {
+        calculateModuleEfficiency,
+        validateModule,
+        resolveModule,
+        listModules,
+        sizeSystem,
+        sizeRoofFaces,
+        MODULE_CATALOG,
+        SIZING_DEFAULTS,
+        ORIENTATIONS
+    };
+} else {
+    // Browser environment - attach to window (load before calculations.js)
+    window.SolarModules = {
+        calculateModuleEfficiency,
+        validateModule,
+        resolveModule,
+        listModules,
+        sizeSystem,
+        sizeRoofFaces,
+        MODULE_CATALOG,
+        SIZING_DEFAULTS,
+        ORIENTATIONS
+    };
+}
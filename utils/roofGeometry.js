@@ -0,0 +1,307 @@
+/**
+ * Roof Faces from Map Polygons
+ *
+ * Instead of guessing the roof area, the user outlines each roof face on the
+ * satellite map. This module turns those outlines (latitude/longitude
+ * corners) into square metres and suggests which way each face points.
+ *
+ * ============================================
+ * GEODESIC AREA (Important for Viva!)
+ * ============================================
+ *
+ * The corners are on a sphere, not a flat sheet, so the area is summed
+ * edge by edge (the same formula Leaflet.draw uses):
+ *
+ *    Area = | Σ (λ2 − λ1) × (2 + sin φ1 + sin φ2) | × R² / 2
+ *
+ *    φ = latitude, λ = longitude (radians), R = 6,378,137 m (WGS84)
+ *
+ * The map shows the roof from above, so this is the PLAN area. A pitched
+ * face is bigger than its shadow on the ground:
+ *
+ *    Surface Area = Plan Area / cos(Roof Tilt)
+ *    Usable Area  = Surface Area − Obstructions (water tanks, stairs, ...)
+ *
+ * Example: 40 m² outline, 25° pitch → 40 / 0.906 = 44.1 m² of roof surface
+ *
+ * ============================================
+ * ORIENTATION
+ * ============================================
+ *
+ * A pitched face usually slopes away from its longest edge (the ridge or
+ * the eave). The suggested azimuth is the direction at right angles to that
+ * edge - of the two, the one facing the equator (South in India). The user
+ * can always correct it.
+ *
+ * The face's length (up the slope) and width (along the ridge) come from the
+ * outline measured along the azimuth, so panels are laid out in its real shape.
+ */
+
+// Degree/radian helpers - plain <script> users load solarGeometry.js first
+const geometry = typeof require === 'function' ? require('./solarGeometry') : window.SolarGeometry;
+
+/**
+ * Earth radius used by web maps (WGS84 semi-major axis, metres)
+ */
+const EARTH_RADIUS = 6378137;
+
+/**
+ * Defaults for a new face
+ * - tilt: roof pitch in degrees (0 = flat RCC roof, the most common in India)
+ * - azimuth: compass bearing the face slopes towards (180 = South)
+ * - exclusion: m² taken up by obstructions on the face
+ */
+const ROOF_FACE_DEFAULTS = {
+    tilt: 0,
+    azimuth: 180,
+    exclusion: 0
+};
+
+const MIN_CORNERS = 3;
+
+// ============================================
+// Polygon Geometry
+// ============================================
+
+/**
+ * Geodesic area of a polygon on the earth's surface
+ *
+ * @param {Array<{lat: number, lng: number}>} points - Corners in order (not repeated at the end)
+ * @returns {number} Area in m²
+ */
+function calculateGeodesicArea(points) {
+    if (!points || points.length < MIN_CORNERS) {
+        return 0;
+    }
+
+    let area = 0;
+    points.forEach((p1, i) => {
+        const p2 = points[(i + 1) % points.length];
+        area += geometry.toRadians(p2.lng - p1.lng) *
+            (2 + Math.sin(geometry.toRadians(p1.lat)) + Math.sin(geometry.toRadians(p2.lat)));
+    });
+
+    return Math.abs(area * EARTH_RADIUS * EARTH_RADIUS / 2);
+}
+
+/**
+ * Initial compass bearing from one point to another
+ *
+ * @param {{lat: number, lng: number}} from
+ * @param {{lat: number, lng: number}} to
+ * @returns {number} Degrees clockwise from North (0-360)
+ */
+function calculateBearing(from, to) {
+    const phi1 = geometry.toRadians(from.lat);
+    const phi2 = geometry.toRadians(to.lat);
+    const deltaLambda = geometry.toRadians(to.lng - from.lng);
+
+    const y = Math.sin(deltaLambda) * Math.cos(phi2);
+    const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda);
+
+    return (geometry.toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Angle between two compass bearings
+ *
+ * @param {number} a - Degrees
+ * @param {number} b - Degrees
+ * @returns {number} 0-180 degrees
+ */
+function bearingDifference(a, b) {
+    const difference = Math.abs(a - b) % 360;
+    return difference > 180 ? 360 - difference : difference;
+}
+
+/**
+ * Suggest the way a face slopes: at right angles to its longest edge,
+ * towards the equator
+ *
+ * @param {Array<{lat: number, lng: number}>} points - Corners in order
+ * @returns {number|null} Azimuth in degrees (180 = South), null without 3 corners
+ */
+function suggestAzimuth(points) {
+    if (!points || points.length < MIN_CORNERS) {
+        return null;
+    }
+
+    let longest = { length: -1, bearing: 0 };
+    points.forEach((p1, i) => {
+        const p2 = points[(i + 1) % points.length];
+        // equirectangular length is plenty to compare edges of one roof
+        const dx = (p2.lng - p1.lng) * Math.cos(geometry.toRadians((p1.lat + p2.lat) / 2));
+        const dy = p2.lat - p1.lat;
+        const length = Math.hypot(dx, dy);
+        if (length > longest.length) {
+            longest = { length, bearing: calculateBearing(p1, p2) };
+        }
+    });
+
+    const equator = points[0].lat >= 0 ? 180 : 0;
+    const candidates = [(longest.bearing + 90) % 360, (longest.bearing + 270) % 360];
+    const azimuth = bearingDifference(candidates[0], equator) <= bearingDifference(candidates[1], equator)
+        ? candidates[0]
+        : candidates[1];
+
+    return Math.round(azimuth);
+}
+
+/**
+ * Size of a face along and across its slope
+ *
+ * The outline is flattened around its first corner (equirectangular - fine for
+ * one roof) and measured in the azimuth direction (down the slope) and at right
+ * angles to it (along the ridge). Panel rows stack up the slope, so the slope
+ * side is stretched by the pitch like the area is.
+ *
+ * @param {Array<{lat: number, lng: number}>} points - Corners in order
+ * @param {number} azimuth - Degrees the face slopes towards
+ * @param {number} [tilt=0] - Roof pitch in degrees
+ * @returns {object} { length (m, up the slope), width (m, along the ridge) }
+ */
+function calculateFaceDimensions(points, azimuth, tilt = 0) {
+    if (!points || points.length < MIN_CORNERS) {
+        return { length: 0, width: 0 };
+    }
+
+    const origin = points[0];
+    const metresPerDegree = geometry.toRadians(1) * EARTH_RADIUS;
+    const direction = geometry.toRadians(azimuth);
+    const along = [];
+    const across = [];
+    points.forEach(point => {
+        const east = (point.lng - origin.lng) * metresPerDegree * Math.cos(geometry.toRadians(origin.lat));
+        const north = (point.lat - origin.lat) * metresPerDegree;
+        along.push(east * Math.sin(direction) + north * Math.cos(direction));
+        across.push(east * Math.cos(direction) - north * Math.sin(direction));
+    });
+    const extent = values => Math.max(...values) - Math.min(...values);
+
+    return {
+        length: extent(along) / Math.cos(geometry.toRadians(tilt)),
+        width: extent(across)
+    };
+}
+
+// ============================================
+// Roof Faces
+// ============================================
+
+/**
+ * Check one roof face
+ *
+ * @param {object} face - { points, tilt, azimuth, exclusion }
+ * @returns {string|null} What is wrong, or null if the face is fine
+ */
+function validateRoofFace(face) {
+    const { points, tilt = ROOF_FACE_DEFAULTS.tilt, azimuth = ROOF_FACE_DEFAULTS.azimuth, exclusion = ROOF_FACE_DEFAULTS.exclusion } = face || {};
+
+    if (!Array.isArray(points) || points.length < MIN_CORNERS) {
+        return `A roof face needs at least ${MIN_CORNERS} corners`;
+    }
+    if (points.some(point => !point || typeof point.lat !== 'number' || typeof point.lng !== 'number' ||
+        Math.abs(point.lat) > 90 || Math.abs(point.lng) > 180)) {
+        return 'Roof face corners need a lat (-90 to 90) and lng (-180 to 180)';
+    }
+    if (typeof tilt !== 'number' || tilt < 0 || tilt >= 90) {
+        return 'Roof tilt must be from 0 to below 90 degrees';
+    }
+    if (typeof azimuth !== 'number' || azimuth < 0 || azimuth > 360) {
+        return 'Roof azimuth must be from 0 to 360 degrees';
+    }
+    if (typeof exclusion !== 'number' || exclusion < 0) {
+        return 'Obstruction area must be 0 m² or more';
+    }
+    return null;
+}
+
+/**
+ * Measure one roof face
+ *
+ * @param {object} face
+ * @param {Array<{lat: number, lng: number}>} face.points - Corners traced on the map
+ * @param {number} [face.tilt=0] - Roof pitch in degrees
+ * @param {number} [face.azimuth] - Degrees (default: suggested from the outline)
+ * @param {number} [face.exclusion=0] - m² of obstructions (water tanks, stairs, ...)
+ * @param {string} [face.name] - Label shown on the map
+ * @returns {object} { name, points, tilt, azimuth, suggestedAzimuth, planArea, surfaceArea, exclusion, usableArea, length, width }
+ */
+function measureRoofFace(face) {
+    const { points, name, tilt = ROOF_FACE_DEFAULTS.tilt, exclusion = ROOF_FACE_DEFAULTS.exclusion } = face;
+    const suggestedAzimuth = suggestAzimuth(points);
+    const azimuth = face.azimuth ?? suggestedAzimuth ?? ROOF_FACE_DEFAULTS.azimuth;
+
+    const planArea = calculateGeodesicArea(points);
+    const surfaceArea = planArea / Math.cos(geometry.toRadians(tilt));
+    const dimensions = calculateFaceDimensions(points, azimuth, tilt);
+
+    return {
+        name,
+        points: points.map(({ lat, lng }) => ({ lat, lng })),
+        tilt,
+        azimuth,
+        suggestedAzimuth,
+        planArea: Math.round(planArea * 10) / 10,
+        surfaceArea: Math.round(surfaceArea * 10) / 10,
+        exclusion,
+        usableArea: Math.round(Math.max(0, surfaceArea - exclusion) * 10) / 10,
+        // bounding box on the roof surface - up the slope and along the ridge
+        length: Math.round(dimensions.length * 100) / 100,
+        width: Math.round(dimensions.width * 100) / 100
+    };
+}
+
+/**
+ * Measure all roof faces and add them up
+ *
+ * The largest face gives the main tilt and azimuth (the solar data is fetched
+ * for it); with several faces calculateAll models each at its own orientation.
+ *
+ * @param {Array<object>} faces - Roof faces (see measureRoofFace)
+ * @returns {object} { faces, planArea, usableArea, mainFace (index), tilt, azimuth }
+ */
+function measureRoof(faces) {
+    const measured = faces.map((face, index) => measureRoofFace({ name: `Face ${index + 1}`, ...face }));
+    const total = key => Math.round(measured.reduce((sum, face) => sum + face[key], 0) * 10) / 10;
+    const mainFace = measured.reduce((best, face, index) => (face.usableArea > measured[best].usableArea ? index : best), 0);
+
+    return {
+        faces: measured,
+        planArea: total('planArea'),
+        usableArea: total('usableArea'),
+        mainFace,
+        tilt: measured.length ? measured[mainFace].tilt : ROOF_FACE_DEFAULTS.tilt,
+        azimuth: measured.length ? measured[mainFace].azimuth : ROOF_FACE_DEFAULTS.azimuth
+    };
+}
+
+// ============================================
+// Export for use in other modules
+// ============================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / bundler environment
+    module.exports = {
+        calculateGeodesicArea,
+        calculateBearing,
+        suggestAzimuth,
+        calculateFaceDimensions,
+        validateRoofFace,
+        measureRoofFace,
+        measureRoof,
+        ROOF_FACE_DEFAULTS
+    };
+} else {
+    // Browser environment - attach to window (load before calculations.js)
+    window.SolarRoofGeometry = {
+        calculateGeodesicArea,
+        calculateBearing,
+        suggestAzimuth,
+        calculateFaceDimensions,
+        validateRoofFace,
+        measureRoofFace,
+        measureRoof,
+        ROOF_FACE_DEFAULTS
+    };
+}
@@ -0,0 +1,248 @@
+/**
+ * Horizon Shading (Far and Near Obstructions)
+ *
+ * Neighbouring buildings, water tanks and trees hide the sun for part of
+ * the day. The user describes them as a HORIZON PROFILE - how high the
+ * skyline rises (degrees above the horizon) in each compass direction.
+ * This module walks the sun across the sky on each month's average day and
+ * counts how much of the panel's sunlight the skyline blocks.
+ *
+ * ============================================
+ * SHADING MODEL (Important for Viva!)
+ * ============================================
+ *
+ * Beam (direct) sunlight - blocked when the sun is behind an obstruction:
+ *
+ *    Sun is shaded when  Sun Elevation < Horizon Elevation(Sun Azimuth)
+ *
+ *    Beam Loss = Σ cos(incidence) while shaded / Σ cos(incidence) all day
+ *
+ * Diffuse (sky) light - an obstruction of height h hides a band of sky.
+ * For an evenly bright (isotropic) sky that band carries sin²(h) of the
+ * diffuse light, so:
+ *
+ *    Diffuse Loss = average over all directions of sin²(Horizon Elevation)
+ *
+ * Ground-reflected light is not affected.
+ *
+ *    Shading Loss = (Beam × Beam Loss + Diffuse × Diffuse Loss) / POA
+ *
+ * Example: a 30 m tower to the south-west, 60 m away, rises
+ * atan(30 / 60) = 27° above the horizon - in winter, when the noon sun is
+ * only ~38° high in Delhi, it shades the afternoon hours.
+ *
+ * The sun position uses solar time (hour angle), so the result does not
+ * depend on the time zone - only on latitude and the day of the year.
+ */
+
+// Sun position - plain <script> users load solarGeometry.js first
+const geometry = typeof require === 'function' ? require('./solarGeometry') : window.SolarGeometry;
+
+/**
+ * Number of compass directions in a profile entered as plain numbers
+ * (N, NNE, NE, ... every 22.5°) - also used by the polar editor
+ */
+const HORIZON_SECTORS = 16;
+
+/**
+ * Share of the plane-of-array light that is diffuse, when the monthly data
+ * has no beam / diffuse split (typical for Indian monthly averages)
+ */
+const DEFAULT_DIFFUSE_SHARE = 0.35;
+
+/**
+ * Hour-angle steps used to walk the sun across each day
+ */
+const INTEGRATION_STEPS = 180;
+
+const DIFFUSE_AZIMUTH_STEP = 5; // degrees - sampling for the diffuse loss
+
+// ============================================
+// Horizon Profile
+// ============================================
+
+/**
+ * Turn a horizon profile into points sorted by azimuth
+ *
+ * @param {Array<number>|Array<{azimuth: number, elevation: number}>} horizon -
+ *   elevations (degrees) at equally spaced directions clockwise from North,
+ *   or { azimuth, elevation } points
+ * @returns {Array<{azimuth: number, elevation: number}>} Sorted points
+ */
+function resolveHorizon(horizon) {
+    if (!Array.isArray(horizon) || horizon.length === 0) {
+        throw new Error('A horizon profile needs at least one direction');
+    }
+
+    const points = typeof horizon[0] === 'number'
+        ? horizon.map((elevation, index) => ({ azimuth: (index * 360) / horizon.length, elevation }))
+        : horizon.map(({ azimuth, elevation }) => ({ azimuth: azimuth % 360, elevation }));
+
+    if (points.some(point => typeof point.elevation !== 'number' || point.elevation < 0 || point.elevation >= 90 ||
+        typeof point.azimuth !== 'number' || point.azimuth < 0)) {
+        throw new Error('Horizon elevations must be from 0 to below 90 degrees, at azimuths from 0 to 360');
+    }
+
+    return points.sort((a, b) => a.azimuth - b.azimuth);
+}
+
+/**
+ * Skyline height in one direction (linear between profile points, wrapping past North)
+ *
+ * @param {Array<{azimuth: number, elevation: number}>} points - From resolveHorizon
+ * @param {number} azimuth - Compass direction in degrees
+ * @returns {number} Horizon elevation in degrees
+ */
+function horizonElevationAt(points, azimuth) {
+    if (points.length === 1) {
+        return points[0].elevation;
+    }
+
+    const direction = ((azimuth % 360) + 360) % 360;
+    let after = points.findIndex(point => point.azimuth >= direction);
+    if (after === -1) after = 0; // past the last point -> wrap to the first
+    const before = (after - 1 + points.length) % points.length;
+
+    const start = points[before];
+    const end = points[after];
+    const span = ((end.azimuth - start.azimuth) + 360) % 360 || 360;
+    const offset = ((direction - start.azimuth) + 360) % 360;
+
+    return start.elevation + (end.elevation - start.elevation) * (offset / span);
+}
+
+// ============================================
+// Shading Losses
+// ============================================
+
+/**
+ * Share of isotropic sky light hidden by the skyline
+ *
+ * @param {Array<{azimuth: number, elevation: number}>} points - From resolveHorizon
+ * @returns {number} 0-1
+ */
+function calculateDiffuseShading(points) {
+    let total = 0;
+    let samples = 0;
+    for (let azimuth = 0; azimuth < 360; azimuth += DIFFUSE_AZIMUTH_STEP) {
+        total += Math.sin(geometry.toRadians(horizonElevationAt(points, azimuth))) ** 2;
+        samples++;
+    }
+    return total / samples;
+}
+
+/**
+ * Share of a day's beam light on the panel blocked by the skyline
+ *
+ * @param {object} params
+ * @param {Array<{azimuth: number, elevation: number}>} params.points - From resolveHorizon
+ * @param {number} params.latitude - Degrees
+ * @param {number} params.dayOfYear - 1-365
+ * @param {number} params.tilt - Panel tilt in degrees
+ * @param {number} params.azimuth - Panel compass azimuth in degrees
+ * @returns {number} 0-1 (0 when no beam reaches the panel)
+ */
+function calculateBeamShading(params) {
+    const { points, latitude, dayOfYear, tilt, azimuth } = params;
+    const declination = geometry.calculateDeclination(dayOfYear);
+    const sunsetAngle = geometry.calculateSunsetHourAngle(latitude, declination);
+    if (sunsetAngle === 0) return 0;
+
+    const step = (2 * sunsetAngle) / INTEGRATION_STEPS;
+    let total = 0;
+    let shaded = 0;
+
+    for (let i = 0; i < INTEGRATION_STEPS; i++) {
+        const hourAngle = -sunsetAngle + (i + 0.5) * step;
+        const sun = geometry.calculateSunPosition(latitude, declination, hourAngle);
+        if (sun.elevation <= 0) continue;
+
+        const incidence = Math.max(geometry.cosIncidence(latitude, declination, hourAngle, tilt, azimuth), 0);
+        total += incidence;
+        if (sun.elevation < horizonElevationAt(points, sun.azimuth)) {
+            shaded += incidence;
+        }
+    }
+
+    return total > 0 ? shaded / total : 0;
+}
+
+/**
+ * Monthly shading loss for a horizon profile
+ *
+ * @param {object} params
+ * @param {Array} params.horizon - Horizon profile (see resolveHorizon)
+ * @param {number} params.latitude - Degrees
+ * @param {number} [params.tilt=0] - Panel tilt in degrees
+ * @param {number} [params.azimuth] - Panel compass azimuth (default: facing the equator)
+ * @param {Array} params.monthlyData - 12 items of { irradiance, poaIrradiance?, poaBeamIrradiance?, poaDiffuseIrradiance? }
+ * @returns {object} { horizon, diffuseLoss, months: [{ monthIndex, beamLoss, loss, unshadedIrradiance, shadedIrradiance }], annualLoss }
+ */
+function calculateMonthlyShading(params) {
+    const { latitude, tilt = 0, monthlyData } = params;
+    const azimuth = params.azimuth ?? (latitude >= 0 ? 180 : 0);
+    const points = resolveHorizon(params.horizon);
+    const diffuseLoss = calculateDiffuseShading(points);
+
+    const months = monthlyData.map((item, monthIndex) => {
+        const poa = item.poaIrradiance ?? item.irradiance;
+        // beam and sky-diffuse parts of the light on the panel
+        const hasSplit = typeof item.poaBeamIrradiance === 'number' && typeof item.poaDiffuseIrradiance === 'number';
+        const beam = hasSplit ? item.poaBeamIrradiance : poa * (1 - DEFAULT_DIFFUSE_SHARE);
+        const diffuse = hasSplit ? item.poaDiffuseIrradiance : poa * DEFAULT_DIFFUSE_SHARE;
+
+        const beamLoss = calculateBeamShading({
+            points,
+            latitude,
+            dayOfYear: geometry.AVERAGE_DAY_OF_MONTH[monthIndex],
+            tilt,
+            azimuth
+        });
+        const lost = beam * beamLoss + diffuse * diffuseLoss;
+
+        return {
+            monthIndex,
+            beamLoss: Math.round(beamLoss * 1000) / 10, // %
+            loss: poa > 0 ? Math.round((lost / poa) * 1000) / 10 : 0, // % of the light on the panel
+            unshadedIrradiance: poa,
+            shadedIrradiance: Math.max(poa - lost, 0)
+        };
+    });
+
+    // daily averages -> yearly totals, so a long month counts for more than February
+    const unshaded = months.reduce((sum, month) => sum + month.unshadedIrradiance * geometry.DAYS_IN_MONTH[month.monthIndex], 0);
+    const shaded = months.reduce((sum, month) => sum + month.shadedIrradiance * geometry.DAYS_IN_MONTH[month.monthIndex], 0);
+
+    return {
+        horizon: points,
+        diffuseLoss: Math.round(diffuseLoss * 1000) / 10, // %
+        months,
+        annualLoss: unshaded > 0 ? Math.round((1 - shaded / unshaded) * 1000) / 10 : 0 // %
+    };
+}
+
+// ============================================
+// Export for use in other modules
+// ============================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / bundler environment
+    module.exports = {
+        resolveHorizon,
+        horizonElevationAt,
+        calculateDiffuseShading,
+        calculateBeamShading,
+        calculateMonthlyShading,
+        HORIZON_SECTORS
+    };
+} else {
+    // Browser environment - attach to window (load before calculations.js)
+    window.SolarShading = {
+        resolveHorizon,
+        horizonElevationAt,
+        calculateDiffuseShading,
+        calculateBeamShading,
+        calculateMonthlyShading,
+        HORIZON_SECTORS
+    };
+}
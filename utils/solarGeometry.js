@@ -0,0 +1,231 @@
+/**
+ * Solar Geometry Utility Module
+ *
+ * Basic sun-earth geometry used by the irradiance models. All formulas follow
+ * Duffie & Beckman, "Solar Engineering of Thermal Processes".
+ *
+ * ============================================
+ * CONVENTIONS
+ * ============================================
+ *
+ * - Angles passed in and returned are in DEGREES unless the name ends in "Rad"
+ * - Surface azimuth is a compass bearing: 0 = North, 90 = East,
+ *   180 = South, 270 = West (what a user reads off a map)
+ * - Hour angle is negative in the morning, zero at solar noon, positive
+ *   in the afternoon (15° per hour)
+ */
+
+// ============================================
+// Constants
+// ============================================
+
+/**
+ * Solar constant (W/m²) - irradiance at the top of the atmosphere
+ */
+const SOLAR_CONSTANT = 1367;
+
+/**
+ * Recommended "average day" of each month (day of year)
+ * The extraterrestrial irradiation on these days is closest to the monthly mean
+ * Source: Klein (1977)
+ */
+const AVERAGE_DAY_OF_MONTH = [17, 47, 75, 105, 135, 162, 198, 228, 258, 288, 318, 344];
+
+/**
+ * Days in each month (February always has 28 days)
+ * Kept here because this module has no dependencies - every other module
+ * can load it without a circular require
+ */
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const DEG = Math.PI / 180;
+
+// ============================================
+// Core Geometry Functions
+// ============================================
+
+/**
+ * Convert degrees to radians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+function toRadians(degrees) {
+    return degrees * DEG;
+}
+
+/**
+ * Convert radians to degrees
+ * @param {number} radians - Angle in radians
+ * @returns {number} Angle in degrees
+ */
+function toDegrees(radians) {
+    return radians / DEG;
+}
+
+/**
+ * Solar declination for a day of the year (Cooper's equation)
+ *
+ * @param {number} dayOfYear - Day of year (1-365)
+ * @returns {number} Declination in degrees (-23.45 to 23.45)
+ */
+function calculateDeclination(dayOfYear) {
+    return 23.45 * Math.sin(toRadians((360 * (284 + dayOfYear)) / 365));
+}
+
+/**
+ * Sunset hour angle for a horizontal surface
+ * Handles polar night (0) and midnight sun (180)
+ *
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} declination - Declination in degrees
+ * @returns {number} Sunset hour angle in degrees (0-180)
+ */
+function calculateSunsetHourAngle(latitude, declination) {
+    const x = -Math.tan(toRadians(latitude)) * Math.tan(toRadians(declination));
+
+    if (x >= 1) return 0;     // sun never rises
+    if (x <= -1) return 180;  // sun never sets
+
+    return toDegrees(Math.acos(x));
+}
+
+/**
+ * Day length in hours
+ *
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} dayOfYear - Day of year (1-365)
+ * @returns {number} Hours between sunrise and sunset
+ */
+function calculateDayLength(latitude, dayOfYear) {
+    const declination = calculateDeclination(dayOfYear);
+    return (2 / 15) * calculateSunsetHourAngle(latitude, declination);
+}
+
+/**
+ * Daily extraterrestrial irradiation on a horizontal surface (H0)
+ * This is the energy that would arrive with no atmosphere
+ *
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} dayOfYear - Day of year (1-365)
+ * @returns {number} Extraterrestrial irradiation in kWh/m²/day
+ */
+function calculateExtraterrestrialIrradiation(latitude, dayOfYear) {
+    const declination = calculateDeclination(dayOfYear);
+    const sunsetAngle = calculateSunsetHourAngle(latitude, declination);
+
+    const phi = toRadians(latitude);
+    const delta = toRadians(declination);
+    const ws = toRadians(sunsetAngle);
+
+    // Earth-sun distance correction
+    const eccentricity = 1 + 0.033 * Math.cos(toRadians((360 * dayOfYear) / 365));
+
+    const h0 = (24 / Math.PI) * SOLAR_CONSTANT * eccentricity *
+        (Math.cos(phi) * Math.cos(delta) * Math.sin(ws) + ws * Math.sin(phi) * Math.sin(delta));
+
+    return Math.max(h0, 0) / 1000; // Wh -> kWh
+}
+
+/**
+ * Cosine of the sun's zenith angle (angle from straight overhead)
+ *
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} declination - Declination in degrees
+ * @param {number} hourAngle - Hour angle in degrees
+ * @returns {number} cos(zenith), negative when the sun is below the horizon
+ */
+function cosZenith(latitude, declination, hourAngle) {
+    const phi = toRadians(latitude);
+    const delta = toRadians(declination);
+    const w = toRadians(hourAngle);
+
+    return Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.cos(w);
+}
+
+/**
+ * Cosine of the angle of incidence of beam radiation on a tilted surface
+ *
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} declination - Declination in degrees
+ * @param {number} hourAngle - Hour angle in degrees
+ * @param {number} tilt - Surface tilt from horizontal in degrees (0-90)
+ * @param {number} azimuth - Surface compass azimuth in degrees (180 = South)
+ * @returns {number} cos(incidence), negative when the sun is behind the surface
+ */
+function cosIncidence(latitude, declination, hourAngle, tilt, azimuth) {
+    const phi = toRadians(latitude);
+    const delta = toRadians(declination);
+    const w = toRadians(hourAngle);
+    const beta = toRadians(tilt);
+    // Duffie & Beckman measure surface azimuth from South (East negative)
+    const gamma = toRadians(azimuth - 180);
+
+    return Math.sin(delta) * Math.sin(phi) * Math.cos(beta)
+        - Math.sin(delta) * Math.cos(phi) * Math.sin(beta) * Math.cos(gamma)
+        + Math.cos(delta) * Math.cos(phi) * Math.cos(beta) * Math.cos(w)
+        + Math.cos(delta) * Math.sin(phi) * Math.sin(beta) * Math.cos(gamma) * Math.cos(w)
+        + Math.cos(delta) * Math.sin(beta) * Math.sin(gamma) * Math.sin(w);
+}
+
+/**
+ * Sun position in the sky (elevation and compass azimuth)
+ *
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} declination - Declination in degrees
+ * @param {number} hourAngle - Hour angle in degrees
+ * @returns {{elevation: number, azimuth: number}} Degrees above the horizon, and
+ *   compass bearing of the sun (0 = North, 180 = South)
+ */
+function calculateSunPosition(latitude, declination, hourAngle) {
+    const phi = toRadians(latitude);
+    const delta = toRadians(declination);
+    const w = toRadians(hourAngle);
+
+    const elevation = toDegrees(Math.asin(Math.max(-1, Math.min(1, cosZenith(latitude, declination, hourAngle)))));
+    // East and north components of the direction to the sun
+    const east = -Math.cos(delta) * Math.sin(w);
+    const north = Math.sin(delta) * Math.cos(phi) - Math.cos(delta) * Math.sin(phi) * Math.cos(w);
+
+    return {
+        elevation,
+        azimuth: (toDegrees(Math.atan2(east, north)) + 360) % 360
+    };
+}
+
+// ============================================
+// Export for use in other modules
+// ============================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / bundler environment
+    module.exports = {
+        toRadians,
+        toDegrees,
+        calculateDeclination,
+        calculateSunsetHourAngle,
+        calculateDayLength,
+        calculateExtraterrestrialIrradiation,
+        cosZenith,
+        cosIncidence,
+        calculateSunPosition,
+        SOLAR_CONSTANT,
+        AVERAGE_DAY_OF_MONTH,
+        DAYS_IN_MONTH
+    };
+} else {
+    // Browser environment - attach to window (load before transposition.js, battery.js, roofGeometry.js, shading.js, sunPosition.js, uncertainty.js and calculations.js)
+    window.SolarGeometry = {
+        toRadians,
+        toDegrees,
+        calculateDeclination,
+        calculateSunsetHourAngle,
+        calculateDayLength,
+        calculateExtraterrestrialIrradiation,
+        cosZenith,
+        cosIncidence,
+        calculateSunPosition,
+        SOLAR_CONSTANT,
+        AVERAGE_DAY_OF_MONTH,
+        DAYS_IN_MONTH
+    };
+}
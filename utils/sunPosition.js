@@ -0,0 +1,304 @@
+/**
+ * Sun Position & Sun Path
+ *
+ * Where the sun is in the sky (compass azimuth and elevation) at any date
+ * and clock time for a location, and the tracks it draws across the sky
+ * through the year - the data behind a sun path diagram.
+ *
+ * ============================================
+ * CLOCK TIME -> SUN POSITION (Important for Viva!)
+ * ============================================
+ *
+ * Clocks follow a time zone, the sun follows the longitude. Solar time
+ * corrects clock time for both, plus the "equation of time" (the earth's
+ * elliptical orbit makes solar noon drift by up to ±16 minutes a year):
+ *
+ *    Solar Time = UTC + Longitude / 15 + Equation of Time / 60   (hours)
+ *    Hour Angle = 15° × (Solar Time − 12)
+ *
+ *    Sun Elevation = asin(sin φ sin δ + cos φ cos δ cos ω)
+ *    Sun Azimuth   = atan2(−cos δ sin ω, sin δ cos φ − cos δ sin φ cos ω)
+ *
+ *    φ = latitude, δ = declination, ω = hour angle
+ *
+ * Sunrise and sunset are when the top of the sun touches the horizon.
+ * Air bends the light, so that happens at −0.833° elevation:
+ *
+ *    cos ω₀ = (sin(−0.833°) − sin φ sin δ) / (cos φ cos δ)
+ *    Day Length = 2 × ω₀ / 15   (hours)
+ *
+ * Example: Delhi (77.2° E) on 21 June - sunrise 05:23 IST, solar noon
+ * 12:22 (Delhi is 5.3° west of the IST meridian, 82.5° E), sunset 19:21,
+ * 14 hours of daylight, noon sun 84.8° high.
+ *
+ * Declination uses Cooper's equation (see solarGeometry.js), so positions
+ * are good to about half a degree - plenty for a diagram or shading.
+ */
+
+// Declination & sun position - plain <script> users load solarGeometry.js first
+const geometry = typeof require === 'function' ? require('./solarGeometry') : window.SolarGeometry;
+
+/**
+ * Sun elevation at sunrise/sunset: half the sun's disc (0.267°) plus
+ * atmospheric refraction (0.567°)
+ */
+const SUNRISE_ELEVATION = -0.833;
+
+/**
+ * Indian Standard Time (UTC+5:30) - used for locations in India
+ */
+const IST_OFFSET = 5.5;
+
+/**
+ * Day of year each month starts after (non-leap year)
+ */
+const MONTH_START_DAY = [0, 31, 59, 90, 120, 151, 181, 212, 243, 273, 304, 334];
+
+/**
+ * Days drawn on every sun path diagram
+ */
+const SUN_PATH_KEY_DAYS = [
+    { id: 'june-solstice', name: 'June solstice', monthIndex: 5, day: 21 },
+    { id: 'march-equinox', name: 'March equinox', monthIndex: 2, day: 20 },
+    { id: 'september-equinox', name: 'September equinox', monthIndex: 8, day: 22 },
+    { id: 'december-solstice', name: 'December solstice', monthIndex: 11, day: 21 }
+];
+
+const DAY_OF_MONTH_FOR_PATHS = 21; // one path per month, on the 21st like printed charts
+const PATH_STEP_MINUTES = 10;
+
+// ============================================
+// Time Helpers
+// ============================================
+
+/**
+ * Day of the year for a month and day (non-leap year)
+ *
+ * @param {number} monthIndex - 0 = January
+ * @param {number} day - Day of the month
+ * @returns {number} 1-365
+ */
+function toDayOfYear(monthIndex, day) {
+    return MONTH_START_DAY[monthIndex] + day;
+}
+
+/**
+ * Equation of time (Spencer, 1971)
+ *
+ * @param {number} dayOfYear - 1-365
+ * @returns {number} Minutes solar time runs ahead of mean time (−14 to +16)
+ */
+function calculateEquationOfTime(dayOfYear) {
+    const b = geometry.toRadians((360 * (dayOfYear - 1)) / 365);
+    return 229.18 * (0.000075 + 0.001868 * Math.cos(b) - 0.032077 * Math.sin(b)
+        - 0.014615 * Math.cos(2 * b) - 0.04089 * Math.sin(2 * b));
+}
+
+/**
+ * Time zone to show clock times in when none is given
+ * IST inside India, otherwise the nearest whole-hour zone for the longitude
+ *
+ * @param {number} latitude - Degrees
+ * @param {number} longitude - Degrees (East positive)
+ * @returns {number} Hours ahead of UTC
+ */
+function estimateUtcOffset(latitude, longitude) {
+    const inIndia = latitude >= 6 && latitude <= 37 && longitude >= 68 && longitude <= 98;
+    return inIndia ? IST_OFFSET : Math.round(longitude / 15);
+}
+
+/**
+ * Clock time of a solar hour angle
+ *
+ * @param {number} hourAngle - Degrees (0 = solar noon)
+ * @param {number} dayOfYear - 1-365
+ * @param {number} longitude - Degrees (East positive)
+ * @param {number} utcOffset - Hours ahead of UTC
+ * @returns {number} Local clock time in hours (e.g. 12.5 = 12:30), 0-24
+ */
+function hourAngleToClockTime(hourAngle, dayOfYear, longitude, utcOffset) {
+    const solarTime = 12 + hourAngle / 15;
+    const clock = solarTime - longitude / 15 - calculateEquationOfTime(dayOfYear) / 60 + utcOffset;
+    return ((clock % 24) + 24) % 24;
+}
+
+// ============================================
+// Sun Position
+// ============================================
+
+/**
+ * Sun position at a moment in time
+ *
+ * @param {object} params
+ * @param {Date} params.date - The moment (a JavaScript Date - its UTC time is used)
+ * @param {number} params.latitude - Degrees
+ * @param {number} params.longitude - Degrees (East positive)
+ * @returns {object} { azimuth, elevation, declination, hourAngle, solarTime } (degrees, solarTime in hours)
+ */
+function getSunPosition(params) {
+    const { date, latitude, longitude } = params;
+    const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+    const dayOfYear = Math.min(Math.floor((date.getTime() - yearStart) / 86400000) + 1, 365);
+    const utcHours = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
+
+    const solarTime = utcHours + longitude / 15 + calculateEquationOfTime(dayOfYear) / 60;
+    // wrap into -180..180 so a solar time past midnight stays a night-time angle
+    const hourAngle = ((15 * (solarTime - 12)) % 360 + 540) % 360 - 180;
+    const declination = geometry.calculateDeclination(dayOfYear);
+    const { azimuth, elevation } = geometry.calculateSunPosition(latitude, declination, hourAngle);
+
+    return {
+        azimuth: Math.round(azimuth * 10) / 10,
+        elevation: Math.round(elevation * 10) / 10,
+        declination: Math.round(declination * 100) / 100,
+        hourAngle: Math.round(hourAngle * 100) / 100,
+        solarTime: ((solarTime % 24) + 24) % 24
+    };
+}
+
+/**
+ * Sunrise, solar noon, sunset and day length for one day
+ *
+ * @param {object} params
+ * @param {number} params.latitude - Degrees
+ * @param {number} params.longitude - Degrees (East positive)
+ * @param {number} params.dayOfYear - 1-365
+ * @param {number} [params.utcOffset] - Hours ahead of UTC (default: see estimateUtcOffset)
+ * @returns {object} { sunrise, solarNoon, sunset (clock hours, null with midnight sun / polar night), dayLength, noonElevation }
+ */
+function calculateSunTimes(params) {
+    const { latitude, longitude, dayOfYear } = params;
+    const utcOffset = params.utcOffset ?? estimateUtcOffset(latitude, longitude);
+    const declination = geometry.calculateDeclination(dayOfYear);
+
+    const phi = geometry.toRadians(latitude);
+    const delta = geometry.toRadians(declination);
+    const cosSunset = (Math.sin(geometry.toRadians(SUNRISE_ELEVATION)) - Math.sin(phi) * Math.sin(delta))
+        / (Math.cos(phi) * Math.cos(delta));
+    // |cos| > 1: the sun never sets (midnight sun) or never rises (polar night)
+    const sunsetAngle = cosSunset <= -1 ? 180 : cosSunset >= 1 ? 0 : geometry.toDegrees(Math.acos(cosSunset));
+    const risesAndSets = sunsetAngle > 0 && sunsetAngle < 180;
+
+    return {
+        sunrise: risesAndSets ? hourAngleToClockTime(-sunsetAngle, dayOfYear, longitude, utcOffset) : null,
+        solarNoon: hourAngleToClockTime(0, dayOfYear, longitude, utcOffset),
+        sunset: risesAndSets ? hourAngleToClockTime(sunsetAngle, dayOfYear, longitude, utcOffset) : null,
+        dayLength: Math.round(((2 * sunsetAngle) / 15) * 100) / 100,
+        noonElevation: Math.round(geometry.calculateSunPosition(latitude, declination, 0).elevation * 10) / 10
+    };
+}
+
+/**
+ * The sun's track across the sky for one day, horizon to horizon
+ *
+ * @param {object} params
+ * @param {number} params.latitude - Degrees
+ * @param {number} params.longitude - Degrees (East positive)
+ * @param {number} params.dayOfYear - 1-365
+ * @param {number} [params.utcOffset] - Hours ahead of UTC (default: see estimateUtcOffset)
+ * @param {number} [params.stepMinutes=10] - Time between points
+ * @returns {object} { points: [{ time, azimuth, elevation }], hours: [{ hour, azimuth, elevation }] } -
+ *   time in clock hours; hours marks each whole clock hour the sun is up
+ */
+function calculateSunPath(params) {
+    const { latitude, longitude, dayOfYear, stepMinutes = PATH_STEP_MINUTES } = params;
+    const utcOffset = params.utcOffset ?? estimateUtcOffset(latitude, longitude);
+    const declination = geometry.calculateDeclination(dayOfYear);
+    const sunsetAngle = geometry.calculateSunsetHourAngle(latitude, declination);
+
+    const toPoint = hourAngle => {
+        const { azimuth, elevation } = geometry.calculateSunPosition(latitude, declination, hourAngle);
+        return {
+            time: Math.round(hourAngleToClockTime(hourAngle, dayOfYear, longitude, utcOffset) * 1000) / 1000,
+            azimuth: Math.round(azimuth * 10) / 10,
+            elevation: Math.round(Math.max(elevation, 0) * 10) / 10
+        };
+    };
+
+    const points = [];
+    if (sunsetAngle > 0) {
+        const step = stepMinutes / 4; // 15° per hour = 0.25° per minute
+        for (let hourAngle = -sunsetAngle; hourAngle < sunsetAngle; hourAngle += step) {
+            points.push(toPoint(hourAngle));
+        }
+        points.push(toPoint(sunsetAngle));
+    }
+
+    // whole clock hours between sunrise and sunset
+    const noonOffset = (hourAngleToClockTime(0, dayOfYear, longitude, utcOffset) - 12) * 15;
+    const hours = [];
+    for (let hour = 0; hour < 24; hour++) {
+        const hourAngle = (hour - 12) * 15 - noonOffset;
+        if (Math.abs(hourAngle) < sunsetAngle) {
+            const { azimuth, elevation } = toPoint(hourAngle);
+            hours.push({ hour, azimuth, elevation });
+        }
+    }
+
+    return { points, hours };
+}
+
+/**
+ * Everything a sun path diagram shows: solstices, equinoxes and the 21st of
+ * each month, with their sunrise, sunset and day length
+ *
+ * @param {object} params
+ * @param {number} params.latitude - Degrees
+ * @param {number} params.longitude - Degrees (East positive)
+ * @param {number} [params.utcOffset] - Hours ahead of UTC (default: see estimateUtcOffset)
+ * @returns {object} { utcOffset, keyDays: [{ id, name, monthIndex, day, dayOfYear, ...sun times, path }],
+ *   months: [{ monthIndex, day, dayOfYear, ...sun times, path }] }
+ */
+function calculateSunPathDiagram(params) {
+    const { latitude, longitude } = params;
+    const utcOffset = params.utcOffset ?? estimateUtcOffset(latitude, longitude);
+
+    const describeDay = dayOfYear => ({
+        dayOfYear,
+        ...calculateSunTimes({ latitude, longitude, dayOfYear, utcOffset }),
+        path: calculateSunPath({ latitude, longitude, dayOfYear, utcOffset })
+    });
+
+    return {
+        utcOffset,
+        keyDays: SUN_PATH_KEY_DAYS.map(keyDay => ({
+            ...keyDay,
+            ...describeDay(toDayOfYear(keyDay.monthIndex, keyDay.day))
+        })),
+        months: MONTH_START_DAY.map((_, monthIndex) => ({
+            monthIndex,
+            day: DAY_OF_MONTH_FOR_PATHS,
+            ...describeDay(toDayOfYear(monthIndex, DAY_OF_MONTH_FOR_PATHS))
+        }))
+    };
+}
+
+// ============================================
+// Export for use in other modules
+// ============================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / bundler environment
+    module.exports = {
+        toDayOfYear,
+        calculateEquationOfTime,
+        estimateUtcOffset,
+        getSunPosition,
+        calculateSunTimes,
+        calculateSunPath,
+        calculateSunPathDiagram,
+        SUN_PATH_KEY_DAYS
+    };
+} else {
+    // Browser environment - attach to window (load before calculations.js)
+    window.SolarSunPosition = {
+        toDayOfYear,
+        calculateEquationOfTime,
+        estimateUtcOffset,
+        getSunPosition,
+        calculateSunTimes,
+        calculateSunPath,
+        calculateSunPathDiagram,
+        SUN_PATH_KEY_DAYS
+    };
+}
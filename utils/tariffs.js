@@ -0,0 +1,589 @@
+/**
+ * Electricity Tariff Module (Slab / Telescopic Tariffs)
+ *
+ * Indian residential tariffs are not one flat rate. Units are billed in
+ * slabs that get more expensive as consumption rises, plus a fixed charge,
+ * fuel surcharge and electricity duty. Solar reduces the units billed, so
+ * it removes the MOST EXPENSIVE slab first - a flat average rate
+ * underestimates savings for big consumers and overestimates them for small ones.
+ *
+ * ============================================
+ * MONTHLY BILL (Important for Viva!)
+ * ============================================
+ *
+ *    Energy Charge = Σ (units in slab × slab rate)      (telescopic)
+ *    Fixed Charge  = amount per month, or per kW of sanctioned load
+ *    Fuel Surcharge = units × fuel surcharge (₹/kWh, FAC / FPPCA)
+ *    Duty          = (Energy + Fixed + Fuel) × duty % + units × duty per unit
+ *    Bill          = Energy + Fixed + Fuel + Duty
+ *
+ *    Example (MSEDCL, 250 units):
+ *    100 × 5.58 + 150 × 10.81 = ₹2,179.50 energy charge
+ *
+ * Solar Savings (per month):
+ *    Savings = Bill without solar − Bill with solar (after export credits)
+ *
+ * ============================================
+ * METERING MODES
+ * ============================================
+ *
+ * Generation is split into energy used on site while the sun shines
+ * (self-consumed) and energy sent to the grid (exported):
+ *    Self-consumed = min(Generation, Consumption × daytime load share)
+ *    Exported      = Generation − Self-consumed
+ *    Imported      = Consumption − Self-consumed
+ *
+ * 1. Net metering (default in India for homes):
+ *    Billed units = Imported − Exported − banked units (never below 0)
+ *    - Extra exports are banked and used in later months
+ *    - Units still banked at the end of the banking year (April-March)
+ *      are paid at the settlement rate (₹/kWh, usually the APPC)
+ *
+ * 2. Gross metering:
+ *    All generation is sold to the DISCOM at the feed-in tariff and the
+ *    whole consumption is billed as before.
+ *    Savings = Generation × Feed-in tariff
+ *
+ * 3. Net billing:
+ *    Imports are billed at the retail tariff, exports are credited in the
+ *    same month at a (lower) export rate.
+ *    Bill = Bill(Imported) − Exported × Export rate
+ *
+ * Tariff Object:
+ * {
+ *   id, name, state, discom, effectiveFrom,
+ *   fixedCharge: { amount: 128, per: 'month' | 'kW' },
+ *   slabs: [{ upTo: 100, rate: 5.58 }, ..., { upTo: null, rate: 16.74 }],
+ *   fuelSurcharge: 0,   // ₹/kWh on every unit
+ *   dutyPercent: 16,    // % of energy + fixed + fuel charges
+ *   dutyPerUnit: 0,     // ₹/kWh (some states levy duty per unit)
+ *   seasons: [{ name: 'Summer', months: [3, 4, 5], slabs: [...] }]  // optional
+ * }
+ *
+ * Seasons replace the slabs for the listed months (0 = January).
+ *
+ * Presets:
+ * - Approximate FY 2024-25 residential (LT domestic) tariffs for major
+ *   state DISCOMs. Subsidies and free-unit schemes are not modelled.
+ *   Tariffs are revised every year - check the latest state commission
+ *   order before quoting numbers to a customer.
+ */
+
+const MONTHS_IN_YEAR = 12;
+
+/**
+ * Sanctioned load assumed for per-kW fixed charges (typical home)
+ */
+const DEFAULT_SANCTIONED_LOAD = 3; // kW
+
+/**
+ * Metering assumptions (each can be overridden per calculation)
+ * - Rates are typical state commission values in ₹/kWh
+ * - daytimeLoadShare: part of a home's use that happens while panels generate
+ * - bankingStartMonth: first month of the banking year (3 = April)
+ */
+const METERING_DEFAULTS = {
+    mode: 'net',
+    settlementRate: 3.0,
+    feedInTariff: 3.5,
+    exportRate: 3.0,
+    daytimeLoadShare: 0.4,
+    bankingStartMonth: 3
+};
+
+const METERING_MODES = ['net', 'gross', 'net-billing'];
+
+// ============================================
+// State DISCOM Presets
+// ============================================
+
+const TARIFF_PRESETS = {
+    'msedcl': {
+        id: 'msedcl',
+        name: 'MSEDCL Residential (LT-I)',
+        state: 'Maharashtra',
+        discom: 'MSEDCL',
+        effectiveFrom: 'FY 2024-25',
+        fixedCharge: { amount: 128, per: 'month' },
+        // Energy charge + wheeling charge (₹1.17/kWh)
+        slabs: [
+            { upTo: 100, rate: 5.58 },
+            { upTo: 300, rate: 10.81 },
+            { upTo: 500, rate: 14.78 },
+            { upTo: null, rate: 16.74 }
+        ],
+        fuelSurcharge: 0,
+        dutyPercent: 16,
+        dutyPerUnit: 0
+    },
+    'bescom': {
+        id: 'bescom',
+        name: 'BESCOM Domestic (LT-2a)',
+        state: 'Karnataka',
+        discom: 'BESCOM',
+        effectiveFrom: 'FY 2024-25',
+        fixedCharge: { amount: 120, per: 'kW' },
+        slabs: [
+            { upTo: 100, rate: 4.75 },
+            { upTo: null, rate: 7.00 }
+        ],
+        fuelSurcharge: 0,
+        dutyPercent: 9,
+        dutyPerUnit: 0
+    },
+    'tnpdcl': {
+        id: 'tnpdcl',
+        name: 'TNPDCL Domestic (LT-IA)',
+        state: 'Tamil Nadu',
+        discom: 'TNPDCL (TANGEDCO)',
+        effectiveFrom: 'FY 2024-25',
+        fixedCharge: { amount: 0, per: 'month' },
+        // Billed bi-monthly - slab limits halved to monthly, first 100 units / 2 months free
+        slabs: [
+            { upTo: 50, rate: 0 },
+            { upTo: 200, rate: 4.80 },
+            { upTo: 250, rate: 6.45 },
+            { upTo: 300, rate: 8.55 },
+            { upTo: 400, rate: 9.65 },
+            { upTo: 500, rate: 10.70 },
+            { upTo: null, rate: 11.80 }
+        ],
+        fuelSurcharge: 0,
+        dutyPercent: 0,
+        dutyPerUnit: 0
+    },
+    'delhi': {
+        id: 'delhi',
+        name: 'Delhi Domestic (BSES / TPDDL)',
+        state: 'Delhi',
+        discom: 'BRPL, BYPL, TPDDL',
+        effectiveFrom: 'FY 2024-25',
+        fixedCharge: { amount: 20, per: 'kW' },
+        slabs: [
+            { upTo: 200, rate: 3.00 },
+            { upTo: 400, rate: 4.50 },
+            { upTo: 800, rate: 6.50 },
+            { upTo: 1200, rate: 7.00 },
+            { upTo: null, rate: 8.00 }
+        ],
+        fuelSurcharge: 0,
+        // 5% electricity tax + 7% pension trust surcharge
+        dutyPercent: 12,
+        dutyPerUnit: 0
+    },
+    'uppcl': {
+        id: 'uppcl',
+        name: 'UPPCL Domestic Urban (LMV-1)',
+        state: 'Uttar Pradesh',
+        discom: 'UPPCL',
+        effectiveFrom: 'FY 2024-25',
+        fixedCharge: { amount: 110, per: 'kW' },
+        slabs: [
+            { upTo: 150, rate: 5.50 },
+            { upTo: 300, rate: 6.00 },
+            { upTo: 500, rate: 6.50 },
+            { upTo: null, rate: 7.00 }
+        ],
+        fuelSurcharge: 0,
+        dutyPercent: 5,
+        dutyPerUnit: 0
+    },
+    'tgspdcl': {
+        id: 'tgspdcl',
+        name: 'TGSPDCL Domestic (LT-I, above 200 units)',
+        state: 'Telangana',
+        discom: 'TGSPDCL / TGNPDCL',
+        effectiveFrom: 'FY 2024-25',
+        fixedCharge: { amount: 10, per: 'kW' },
+        slabs: [
+            { upTo: 200, rate: 5.10 },
+            { upTo: 300, rate: 7.70 },
+            { upTo: 400, rate: 9.00 },
+            { upTo: 800, rate: 9.50 },
+            { upTo: null, rate: 10.00 }
+        ],
+        fuelSurcharge: 0,
+        dutyPercent: 0,
+        dutyPerUnit: 0.06
+    },
+    'gujarat': {
+        id: 'gujarat',
+        name: 'Gujarat DISCOMs Residential (RGP)',
+        state: 'Gujarat',
+        discom: 'UGVCL, MGVCL, PGVCL, DGVCL',
+        effectiveFrom: 'FY 2024-25',
+        fixedCharge: { amount: 25, per: 'month' },
+        slabs: [
+            { upTo: 50, rate: 3.05 },
+            { upTo: 100, rate: 3.50 },
+            { upTo: 250, rate: 4.15 },
+            { upTo: null, rate: 5.20 }
+        ],
+        // FPPPA (fuel and power purchase price adjustment)
+        fuelSurcharge: 2.85,
+        dutyPercent: 15,
+        dutyPerUnit: 0
+    },
+    'kseb': {
+        id: 'kseb',
+        name: 'KSEB Domestic (LT-1A)',
+        state: 'Kerala',
+        discom: 'KSEB',
+        effectiveFrom: 'FY 2024-25',
+        fixedCharge: { amount: 50, per: 'month' },
+        slabs: [
+            { upTo: 50, rate: 3.30 },
+            { upTo: 100, rate: 4.20 },
+            { upTo: 150, rate: 5.35 },
+            { upTo: 200, rate: 7.20 },
+            { upTo: 250, rate: 8.50 },
+            { upTo: null, rate: 9.20 }
+        ],
+        fuelSurcharge: 0,
+        dutyPercent: 10,
+        dutyPerUnit: 0
+    }
+};
+
+// ============================================
+// Tariff Helpers
+// ============================================
+
+/**
+ * Create a single-rate tariff (the old "flat rate" model)
+ *
+ * @param {number} rate - Rate in ₹/kWh
+ * @returns {object} Tariff with one slab and no extra charges
+ */
+function createFlatTariff(rate) {
+    return {
+        id: 'flat',
+        name: `Flat rate ₹${rate}/kWh`,
+        fixedCharge: { amount: 0, per: 'month' },
+        slabs: [{ upTo: null, rate }],
+        fuelSurcharge: 0,
+        dutyPercent: 0,
+        dutyPerUnit: 0
+    };
+}
+
+/**
+ * Check a tariff object is usable
+ *
+ * @param {object} tariff - Tariff to check
+ * @returns {string|null} Problem description, or null if valid
+ */
+function validateTariff(tariff) {
+    if (!tariff || typeof tariff !== 'object') return 'Tariff must be a preset id or a tariff object';
+
+    const checkSlabs = (slabs, label) => {
+        if (!Array.isArray(slabs) || slabs.length === 0) return `${label} must be a non-empty array`;
+        for (let i = 0; i < slabs.length; i++) {
+            const { upTo, rate } = slabs[i];
+            const isLast = i === slabs.length - 1;
+            if (typeof rate !== 'number' || rate < 0) return `${label}[${i}].rate must be a number ≥ 0`;
+            if (isLast && upTo !== null && upTo !== undefined) return `The last slab in ${label} must have upTo: null`;
+            if (!isLast && (typeof upTo !== 'number' || upTo <= (i > 0 ? slabs[i - 1].upTo : 0))) {
+                return `${label}[${i}].upTo must be a number above the previous slab`;
+            }
+        }
+        return null;
+    };
+
+    const slabProblem = checkSlabs(tariff.slabs, 'slabs');
+    if (slabProblem) return slabProblem;
+
+    for (const [index, season] of (tariff.seasons || []).entries()) {
+        if (!Array.isArray(season.months) || season.months.some(m => !Number.isInteger(m) || m < 0 || m > 11)) {
+            return `seasons[${index}].months must be month indexes 0-11`;
+        }
+        const seasonProblem = checkSlabs(season.slabs, `seasons[${index}].slabs`);
+        if (seasonProblem) return seasonProblem;
+    }
+
+    return null;
+}
+
+/**
+ * Turn a preset id or tariff object into a tariff
+ *
+ * @param {string|object} tariff - Preset id (e.g. 'msedcl') or tariff object
+ * @returns {object} Tariff
+ * @throws {Error} If the preset is unknown or the object is invalid
+ */
+function resolveTariff(tariff) {
+    if (typeof tariff === 'string') {
+        const preset = TARIFF_PRESETS[tariff];
+        if (!preset) {
+            throw new Error(`Unknown tariff preset "${tariff}" (use one of: ${Object.keys(TARIFF_PRESETS).join(', ')})`);
+        }
+        return preset;
+    }
+
+    const problem = validateTariff(tariff);
+    if (problem) throw new Error(problem);
+    return tariff;
+}
+
+/**
+ * Slabs that apply in a month (seasonal slabs override the default)
+ *
+ * @param {object} tariff - Tariff
+ * @param {number} monthIndex - 0 = January
+ * @returns {Array} Slabs
+ */
+function getMonthSlabs(tariff, monthIndex) {
+    const season = (tariff.seasons || []).find(s => s.months.includes(monthIndex));
+    return season ? season.slabs : tariff.slabs;
+}
+
+/**
+ * List presets for pickers (without the slab details)
+ *
+ * @returns {Array} { id, name, state, discom, effectiveFrom }
+ */
+function listTariffPresets() {
+    return Object.values(TARIFF_PRESETS).map(({ id, name, state, discom, effectiveFrom }) => ({
+        id, name, state, discom, effectiveFrom
+    }));
+}
+
+// ============================================
+// Bill Calculation
+// ============================================
+
+/**
+ * Telescopic energy charge - each slab's units at that slab's rate
+ *
+ * @param {number} units - Units consumed in the month (kWh)
+ * @param {Array} slabs - Tariff slabs
+ * @returns {object} { charge, marginalRate, breakdown }
+ */
+function calculateEnergyCharge(units, slabs) {
+    let remaining = Math.max(units, 0);
+    let from = 0;
+    let charge = 0;
+    let marginalRate = slabs[0].rate;
+    const breakdown = [];
+
+    for (const slab of slabs) {
+        if (remaining <= 0) break;
+        const size = slab.upTo === null || slab.upTo === undefined ? Infinity : slab.upTo - from;
+        const slabUnits = Math.min(remaining, size);
+
+        charge += slabUnits * slab.rate;
+        marginalRate = slab.rate;
+        breakdown.push({ from, to: slab.upTo ?? null, units: slabUnits, rate: slab.rate, amount: slabUnits * slab.rate });
+
+        remaining -= slabUnits;
+        from = slab.upTo;
+    }
+
+    return { charge, marginalRate, breakdown };
+}
+
+/**
+ * Calculate one month's electricity bill
+ *
+ * @param {number} units - Units billed in the month (kWh)
+ * @param {object} tariff - Tariff
+ * @param {object} [options] - { monthIndex, sanctionedLoad }
+ * @returns {object} Bill components and total (₹)
+ */
+function calculateMonthlyBill(units, tariff, options = {}) {
+    const { monthIndex = 0, sanctionedLoad = DEFAULT_SANCTIONED_LOAD } = options;
+    const billedUnits = Math.max(units, 0);
+
+    const energy = calculateEnergyCharge(billedUnits, getMonthSlabs(tariff, monthIndex));
+
+    const fixed = tariff.fixedCharge || { amount: 0, per: 'month' };
+    const fixedCharge = fixed.per === 'kW' ? fixed.amount * sanctionedLoad : fixed.amount;
+    const fuelSurcharge = billedUnits * (tariff.fuelSurcharge || 0);
+    const duty = (energy.charge + fixedCharge + fuelSurcharge) * (tariff.dutyPercent || 0) / 100 +
+        billedUnits * (tariff.dutyPerUnit || 0);
+
+    return {
+        units: billedUnits,
+        energyCharge: energy.charge,
+        fixedCharge,
+        fuelSurcharge,
+        duty,
+        total: energy.charge + fixedCharge + fuelSurcharge + duty,
+        marginalRate: energy.marginalRate,
+        slabs: energy.breakdown
+    };
+}
+
+/**
+ * Spread a single monthly figure (or check a 12-month array)
+ *
+ * @param {number|Array<number>} consumption - kWh per month, or 12 values
+ * @returns {Array<number>} 12 monthly values
+ */
+function toMonthlyConsumption(consumption) {
+    if (Array.isArray(consumption)) {
+        if (consumption.length !== MONTHS_IN_YEAR) {
+            throw new Error('monthlyConsumption must have 12 values');
+        }
+        return consumption.map(value => Math.max(Number(value) || 0, 0));
+    }
+    return Array(MONTHS_IN_YEAR).fill(Math.max(Number(consumption) || 0, 0));
+}
+
+/**
+ * Fill in metering defaults and check the mode
+ *
+ * @param {object} [metering] - { mode, settlementRate, feedInTariff, exportRate, daytimeLoadShare, bankingStartMonth }
+ * @returns {object} Complete metering settings
+ * @throws {Error} If the mode is unknown
+ */
+function resolveMetering(metering = {}) {
+    const settings = { ...METERING_DEFAULTS };
+    Object.entries(metering || {}).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) settings[key] = value;
+    });
+
+    if (!METERING_MODES.includes(settings.mode)) {
+        throw new Error(`Unknown metering mode "${settings.mode}" (use one of: ${METERING_MODES.join(', ')})`);
+    }
+    return settings;
+}
+
+/**
+ * Month-by-month savings from solar under a tariff and metering mode
+ *
+ * @param {object} params
+ * @param {string|object} params.tariff - Preset id or tariff object
+ * @param {number|Array<number>} params.monthlyConsumption - kWh per month (one value or 12)
+ * @param {Array<number>} params.monthlyGeneration - 12 monthly solar values (kWh)
+ * @param {number} [params.sanctionedLoad] - kW, for per-kW fixed charges
+ * @param {object} [params.metering] - Metering mode and rates (see METERING_DEFAULTS)
+ * @returns {object} Per-month bills, energy split and annual totals
+ */
+function calculateTariffSavings(params) {
+    const { monthlyGeneration, sanctionedLoad = DEFAULT_SANCTIONED_LOAD } = params;
+    const tariff = resolveTariff(params.tariff);
+    const metering = resolveMetering(params.metering);
+    const consumption = toMonthlyConsumption(params.monthlyConsumption);
+    const round = value => Math.round(value * 100) / 100;
+
+    // Walk the months in banking-year order so banked units carry forward correctly
+    const order = Array.from({ length: MONTHS_IN_YEAR }, (_, i) => (metering.bankingStartMonth + i) % MONTHS_IN_YEAR);
+    const months = new Array(MONTHS_IN_YEAR);
+    let banked = 0;
+
+    order.forEach(monthIndex => {
+        const units = consumption[monthIndex];
+        const generation = monthlyGeneration[monthIndex] || 0;
+
+        let selfConsumed = Math.min(generation, units * metering.daytimeLoadShare);
+        let exported = generation - selfConsumed;
+        const imported = units - selfConsumed;
+
+        let billedUnits = imported;
+        let exportCredit = 0;
+
+        if (metering.mode === 'net') {
+            // Exports cancel imports unit for unit; any surplus goes to the bank
+            const net = imported - exported - banked;
+            billedUnits = Math.max(net, 0);
+            banked = Math.max(-net, 0);
+        } else if (metering.mode === 'gross') {
+            // Everything is sold; the home still buys all it uses
+            selfConsumed = 0;
+            exported = generation;
+            billedUnits = units;
+            exportCredit = generation * metering.feedInTariff;
+        } else {
+            exportCredit = exported * metering.exportRate;
+        }
+
+        const without = calculateMonthlyBill(units, tariff, { monthIndex, sanctionedLoad });
+        const withSolar = calculateMonthlyBill(billedUnits, tariff, { monthIndex, sanctionedLoad });
+        const billWith = withSolar.total - exportCredit;
+
+        months[monthIndex] = {
+            monthIndex,
+            consumption: round(units),
+            generation: round(generation),
+            selfConsumed: round(selfConsumed),
+            exported: round(exported),
+            imported: round(metering.mode === 'gross' ? units : imported),
+            billedUnits: round(billedUnits),
+            bankedUnits: round(banked),
+            exportCredit: Math.round(exportCredit),
+            billWithout: Math.round(without.total),
+            billWith: Math.round(billWith),
+            savings: Math.round(without.total - billWith),
+            marginalRate: without.marginalRate
+        };
+    });
+
+    // Net metering: units left in the bank at the end of the year are paid out
+    const settlement = metering.mode === 'net'
+        ? { units: round(banked), rate: metering.settlementRate, amount: Math.round(banked * metering.settlementRate) }
+        : null;
+
+    const sum = key => months.reduce((total, month) => total + month[key], 0);
+    const annualSavings = sum('savings') + (settlement ? settlement.amount : 0);
+    const generation = sum('generation');
+
+    return {
+        tariff: { id: tariff.id, name: tariff.name, state: tariff.state, effectiveFrom: tariff.effectiveFrom },
+        metering,
+        months,
+        annualConsumption: round(sum('consumption')),
+        annualGeneration: round(generation),
+        selfConsumed: round(sum('selfConsumed')),
+        exported: round(sum('exported')),
+        selfConsumptionShare: generation > 0 ? round(sum('selfConsumed') / generation * 100) : 0, // % of generation
+        annualBillWithout: sum('billWithout'),
+        annualBillWith: sum('billWith') - (settlement ? settlement.amount : 0),
+        settlement,
+        annualSavings,
+        // what each solar unit is worth on average (₹/kWh)
+        effectiveRate: generation > 0 ? round(annualSavings / generation) : 0
+    };
+}
+
+// ============================================
+// Export for use in other modules
+// ============================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / bundler environment
+    module.exports = {
+        createFlatTariff,
+        validateTariff,
+        resolveTariff,
+        getMonthSlabs,
+        listTariffPresets,
+        calculateEnergyCharge,
+        calculateMonthlyBill,
+        toMonthlyConsumption,
+        calculateTariffSavings,
+        resolveMetering,
+        TARIFF_PRESETS,
+        DEFAULT_SANCTIONED_LOAD,
+        METERING_DEFAULTS,
+        METERING_MODES
+    };
+} else {
+    // Browser environment - attach to window (load before calculations.js)
+    window.SolarTariffs = {
+        createFlatTariff,
+        validateTariff,
+        resolveTariff,
+        getMonthSlabs,
+        listTariffPresets,
+        calculateEnergyCharge,
+        calculateMonthlyBill,
+        toMonthlyConsumption,
+        calculateTariffSavings,
+        resolveMetering,
+        TARIFF_PRESETS,
+        DEFAULT_SANCTIONED_LOAD,
+        METERING_DEFAULTS,
+        METERING_MODES
+    };
+}
@@ -0,0 +1,373 @@
+/**
+ * Plane-of-Array (POA) Irradiance Transposition Module
+ *
+ * NASA POWER reports irradiance on a HORIZONTAL surface. Real panels are
+ * tilted and face a direction, so the sunlight they receive is different.
+ * This module converts monthly horizontal irradiance into irradiance on the
+ * panel plane for any tilt and azimuth.
+ *
+ * ============================================
+ * TRANSPOSITION MODEL (Liu & Jordan isotropic sky)
+ * ============================================
+ *
+ *    POA = Beam × Rb + Diffuse × (1 + cos β) / 2 + Global × ρ × (1 − cos β) / 2
+ *
+ *    Where:
+ *    - Beam = Global − Diffuse (direct sunlight on a horizontal surface)
+ *    - Rb is the ratio of beam on the tilted surface to beam on horizontal,
+ *      integrated over the average day of the month
+ *    - β is the panel tilt, ρ is the ground reflectance (albedo, 0.2)
+ *
+ * Diffuse Irradiance:
+ * - Uses NASA's ALLSKY_SFC_SW_DIFF when available
+ * - Otherwise estimated from the clearness index (KT = Global / Extraterrestrial)
+ *   with the Erbs monthly correlation
+ *
+ * Clear-Sky Irradiance:
+ * - NASA's CLRSKY_SFC_SW_DWN is transposed the same way to show the
+ *   cloud-free potential for each month
+ */
+
+// Sun-earth geometry - plain <script> users load solarGeometry.js first
+const {
+    calculateDeclination,
+    calculateSunsetHourAngle,
+    calculateExtraterrestrialIrradiation,
+    cosZenith,
+    cosIncidence,
+    toRadians,
+    AVERAGE_DAY_OF_MONTH,
+    DAYS_IN_MONTH
+} = typeof require === 'function' ? require('./solarGeometry') : window.SolarGeometry;
+
+// ============================================
+// Constants
+// ============================================
+
+/**
+ * Ground reflectance (albedo) - typical value for urban surroundings
+ */
+const DEFAULT_ALBEDO = 0.2;
+
+/**
+ * Number of hour-angle steps used to integrate Rb over a day
+ */
+const INTEGRATION_STEPS = 180;
+
+/**
+ * Compass directions used for the orientation comparison
+ */
+const COMPASS_DIRECTIONS = [
+    { label: 'North', azimuth: 0 },
+    { label: 'North-East', azimuth: 45 },
+    { label: 'East', azimuth: 90 },
+    { label: 'South-East', azimuth: 135 },
+    { label: 'South', azimuth: 180 },
+    { label: 'South-West', azimuth: 225 },
+    { label: 'West', azimuth: 270 },
+    { label: 'North-West', azimuth: 315 }
+];
+
+// ============================================
+// Transposition Functions
+// ============================================
+
+/**
+ * Ratio of daily beam irradiation on a tilted surface to that on a horizontal
+ * surface (Rb), found by integrating over the day in small hour-angle steps.
+ * Works for any azimuth, including east/west-facing roofs.
+ *
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} dayOfYear - Day of year (1-365)
+ * @param {number} tilt - Surface tilt in degrees
+ * @param {number} azimuth - Surface compass azimuth in degrees (180 = South)
+ * @returns {number} Beam ratio Rb (0 when the sun doesn't rise)
+ */
+function calculateBeamRatio(latitude, dayOfYear, tilt, azimuth) {
+    const declination = calculateDeclination(dayOfYear);
+    const sunsetAngle = calculateSunsetHourAngle(latitude, declination);
+    if (sunsetAngle === 0) return 0;
+
+    const step = (2 * sunsetAngle) / INTEGRATION_STEPS;
+    let tilted = 0;
+    let horizontal = 0;
+
+    for (let i = 0; i < INTEGRATION_STEPS; i++) {
+        const hourAngle = -sunsetAngle + (i + 0.5) * step;
+        const zenith = cosZenith(latitude, declination, hourAngle);
+        if (zenith <= 0) continue;
+
+        horizontal += zenith;
+        tilted += Math.max(cosIncidence(latitude, declination, hourAngle, tilt, azimuth), 0);
+    }
+
+    return horizontal > 0 ? tilted / horizontal : 0;
+}
+
+/**
+ * Estimate the diffuse fraction of monthly global irradiance
+ * Erbs et al. (1982) monthly-average correlation
+ *
+ * @param {number} clearnessIndex - Monthly clearness index KT (0-1)
+ * @param {number} sunsetHourAngle - Sunset hour angle in degrees
+ * @returns {number} Diffuse fraction (Hd / H)
+ */
+function estimateDiffuseFraction(clearnessIndex, sunsetHourAngle) {
+    // Correlation is valid for 0.3 <= KT <= 0.8
+    const kt = Math.min(Math.max(clearnessIndex, 0.3), 0.8);
+
+    const fraction = sunsetHourAngle <= 81.4
+        ? 1.391 - 3.560 * kt + 4.189 * kt ** 2 - 2.137 * kt ** 3
+        : 1.311 - 3.022 * kt + 3.427 * kt ** 2 - 1.821 * kt ** 3;
+
+    return Math.min(Math.max(fraction, 0), 1);
+}
+
+/**
+ * Transpose one month's horizontal irradiance onto the panel plane
+ *
+ * @param {Object} params - Input parameters
+ * @param {number} params.latitude - Latitude in degrees
+ * @param {number} params.monthIndex - Month (0-11)
+ * @param {number} params.globalIrradiance - Horizontal global irradiance (kWh/m²/day)
+ * @param {number} [params.diffuseIrradiance] - Horizontal diffuse irradiance (kWh/m²/day)
+ * @param {number} params.tilt - Panel tilt in degrees
+ * @param {number} params.azimuth - Panel compass azimuth in degrees
+ * @param {number} [params.albedo=0.2] - Ground reflectance
+ * @returns {Object} { poa, beam, diffuse, reflected, diffuseSource } in kWh/m²/day
+ */
+function calculatePlaneOfArrayIrradiance(params) {
+    const {
+        latitude,
+        monthIndex,
+        globalIrradiance,
+        diffuseIrradiance,
+        tilt,
+        azimuth,
+        albedo = DEFAULT_ALBEDO
+    } = params;
+
+    if (globalIrradiance <= 0) {
+        return { poa: 0, beam: 0, diffuse: 0, reflected: 0, diffuseSource: 'none' };
+    }
+
+    const dayOfYear = AVERAGE_DAY_OF_MONTH[monthIndex];
+
+    // Split global into diffuse and beam
+    let diffuse;
+    let diffuseSource;
+    if (typeof diffuseIrradiance === 'number' && diffuseIrradiance >= 0) {
+        diffuse = Math.min(diffuseIrradiance, globalIrradiance);
+        diffuseSource = 'NASA POWER';
+    } else {
+        const extraterrestrial = calculateExtraterrestrialIrradiation(latitude, dayOfYear);
+        const clearnessIndex = extraterrestrial > 0 ? globalIrradiance / extraterrestrial : 0;
+        const sunsetAngle = calculateSunsetHourAngle(latitude, calculateDeclination(dayOfYear));
+        diffuse = globalIrradiance * estimateDiffuseFraction(clearnessIndex, sunsetAngle);
+        diffuseSource = 'Erbs correlation';
+    }
+    const beamHorizontal = globalIrradiance - diffuse;
+
+    // Transpose each component
+    const beta = toRadians(tilt);
+    const beam = beamHorizontal * calculateBeamRatio(latitude, dayOfYear, tilt, azimuth);
+    const skyDiffuse = diffuse * (1 + Math.cos(beta)) / 2;
+    const reflected = globalIrradiance * albedo * (1 - Math.cos(beta)) / 2;
+
+    return {
+        poa: beam + skyDiffuse + reflected,
+        beam,
+        diffuse: skyDiffuse,
+        reflected,
+        diffuseSource
+    };
+}
+
+/**
+ * Transpose a full year of monthly data onto the panel plane
+ *
+ * @param {number} latitude - Latitude in degrees
+ * @param {Array} monthlyData - 12 items of { monthIndex, irradiance, diffuseIrradiance?, clearSkyIrradiance? }
+ * @param {number} tilt - Panel tilt in degrees
+ * @param {number} azimuth - Panel compass azimuth in degrees
+ * @returns {Array} 12 items of { monthIndex, poaIrradiance, beam, diffuse, reflected, clearSkyPoaIrradiance, diffuseSource }
+ */
+function transposeMonthly(latitude, monthlyData, tilt, azimuth) {
+    return monthlyData.map(item => {
+        const result = calculatePlaneOfArrayIrradiance({
+            latitude,
+            monthIndex: item.monthIndex,
+            globalIrradiance: item.irradiance,
+            diffuseIrradiance: item.diffuseIrradiance,
+            tilt,
+            azimuth
+        });
+
+        // Clear-sky potential (diffuse estimated, NASA doesn't provide clear-sky diffuse)
+        const clearSky = typeof item.clearSkyIrradiance === 'number' && item.clearSkyIrradiance > 0
+            ? calculatePlaneOfArrayIrradiance({
+                latitude,
+                monthIndex: item.monthIndex,
+                globalIrradiance: item.clearSkyIrradiance,
+                tilt,
+                azimuth
+            }).poa
+            : null;
+
+        return {
+            monthIndex: item.monthIndex,
+            poaIrradiance: result.poa,
+            beam: result.beam,
+            diffuse: result.diffuse,
+            reflected: result.reflected,
+            clearSkyPoaIrradiance: clearSky,
+            diffuseSource: result.diffuseSource
+        };
+    });
+}
+
+/**
+ * Annual plane-of-array irradiation for an orientation
+ *
+ * @param {number} latitude - Latitude in degrees
+ * @param {Array} monthlyData - 12 items of monthly horizontal data
+ * @param {number} tilt - Panel tilt in degrees
+ * @param {number} azimuth - Panel compass azimuth in degrees
+ * @returns {number} Annual irradiation on the panel plane (kWh/m²/year)
+ */
+function calculateAnnualPoaIrradiation(latitude, monthlyData, tilt, azimuth) {
+    return transposeMonthly(latitude, monthlyData, tilt, azimuth)
+        .reduce((sum, item) => sum + item.poaIrradiance * DAYS_IN_MONTH[item.monthIndex], 0);
+}
+
+/**
+ * Find the tilt that maximises annual irradiation for an equator-facing roof
+ * Searches every whole degree from 0 to 90
+ *
+ * @param {number} latitude - Latitude in degrees
+ * @param {Array} monthlyData - 12 items of monthly horizontal data
+ * @returns {Object} { tilt, azimuth, annualIrradiation }
+ */
+function findOptimalOrientation(latitude, monthlyData) {
+    // Face the equator: South in the Northern Hemisphere, North in the Southern
+    const azimuth = latitude >= 0 ? 180 : 0;
+
+    let best = { tilt: 0, azimuth, annualIrradiation: 0 };
+    for (let tilt = 0; tilt <= 90; tilt++) {
+        const annual = calculateAnnualPoaIrradiation(latitude, monthlyData, tilt, azimuth);
+        if (annual > best.annualIrradiation) {
+            best = { tilt, azimuth, annualIrradiation: annual };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Compare compass orientations at a given tilt against the optimum
+ *
+ * @param {number} latitude - Latitude in degrees
+ * @param {Array} monthlyData - 12 items of monthly horizontal data
+ * @param {number} tilt - Panel tilt in degrees
+ * @param {Object} optimum - Result of findOptimalOrientation
+ * @returns {Array} Items of { label, tilt, azimuth, annualIrradiation, differencePercent }
+ */
+function compareOrientations(latitude, monthlyData, tilt, optimum) {
+    const orientations = [
+        { label: 'Flat', azimuth: optimum.azimuth, tilt: 0 },
+        ...COMPASS_DIRECTIONS.map(direction => ({ ...direction, tilt }))
+    ];
+
+    return orientations.map(orientation => {
+        const annual = calculateAnnualPoaIrradiation(latitude, monthlyData, orientation.tilt, orientation.azimuth);
+        return {
+            ...orientation,
+            annualIrradiation: Math.round(annual * 10) / 10,
+            differencePercent: optimum.annualIrradiation > 0
+                ? Math.round(((annual - optimum.annualIrradiation) / optimum.annualIrradiation) * 1000) / 10
+                : 0
+        };
+    });
+}
+
+// ============================================
+// Hourly Transposition
+// ============================================
+
+/**
+ * Lowest cos(zenith) used for the hourly beam ratio - stops the ratio
+ * blowing up when the sun is just above the horizon
+ */
+const MIN_COS_ZENITH = 0.087; // sun ~5° above the horizon
+
+/**
+ * Transpose an hourly series onto the panel plane
+ * Hours are in local solar time; each value is the mean over the hour,
+ * so the sun position is taken at the middle of the hour.
+ *
+ * @param {number} latitude - Latitude in degrees
+ * @param {Array<number>} globalIrradiance - 8760 hourly horizontal irradiance values (W/m²)
+ * @param {Array<number>} [diffuseIrradiance] - 8760 hourly horizontal diffuse values (W/m²)
+ * @param {number} tilt - Panel tilt in degrees
+ * @param {number} azimuth - Panel compass azimuth in degrees
+ * @returns {Array<number>} 8760 hourly plane-of-array irradiance values (W/m²)
+ */
+function transposeHourly(latitude, globalIrradiance, diffuseIrradiance, tilt, azimuth) {
+    const beta = toRadians(tilt);
+    const skyView = (1 + Math.cos(beta)) / 2;
+    const groundView = DEFAULT_ALBEDO * (1 - Math.cos(beta)) / 2;
+
+    return globalIrradiance.map((global, hour) => {
+        if (global <= 0) return 0;
+
+        const dayOfYear = Math.floor(hour / 24) + 1;
+        const hourAngle = 15 * ((hour % 24) + 0.5 - 12);
+        const declination = calculateDeclination(dayOfYear);
+        const zenith = cosZenith(latitude, declination, hourAngle);
+
+        // Without measured diffuse, treat low-sun hours as fully diffuse
+        const diffuse = diffuseIrradiance && diffuseIrradiance[hour] >= 0
+            ? Math.min(diffuseIrradiance[hour], global)
+            : (zenith > MIN_COS_ZENITH ? global * 0.3 : global);
+        const beamHorizontal = global - diffuse;
+
+        const incidence = Math.max(cosIncidence(latitude, declination, hourAngle, tilt, azimuth), 0);
+        const beamRatio = zenith > 0 ? incidence / Math.max(zenith, MIN_COS_ZENITH) : 0;
+
+        return beamHorizontal * beamRatio + diffuse * skyView + global * groundView;
+    });
+}
+
+// ============================================
+// Export for use in other modules
+// ============================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / bundler environment
+    module.exports = {
+        calculateBeamRatio,
+        estimateDiffuseFraction,
+        calculatePlaneOfArrayIrradiance,
+        transposeMonthly,
+        calculateAnnualPoaIrradiation,
+        findOptimalOrientation,
+        compareOrientations,
+        transposeHourly,
+        DEFAULT_ALBEDO,
+        COMPASS_DIRECTIONS
+    };
+} else {
+    // Browser environment - attach to window (load after solarGeometry.js)
+    window.SolarTransposition = {
+        calculateBeamRatio,
+        estimateDiffuseFraction,
+        calculatePlaneOfArrayIrradiance,
+        transposeMonthly,
+        calculateAnnualPoaIrradiation,
+        findOptimalOrientation,
+        compareOrientations,
+        transposeHourly,
+        DEFAULT_ALBEDO,
+        COMPASS_DIRECTIONS
+    };
+}
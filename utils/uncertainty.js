@@ -0,0 +1,306 @@
+/**
+ * Energy Yield Uncertainty (P50 / P90 by Monte Carlo)
+ *
+ * The headline numbers are a single "most likely" estimate. A bank or a
+ * cautious buyer wants to know how bad a year can get. This module re-runs
+ * the estimate thousands of times with the uncertain inputs drawn at random
+ * and reads off the levels the energy beats with a given probability.
+ *
+ * ============================================
+ * P-VALUES (Important for Viva!)
+ * ============================================
+ *
+ *    P50 = exceeded in 50% of years (the middle value)
+ *    P90 = exceeded in 90% of years (what lenders size loans on)
+ *    P99 = exceeded in 99% of years
+ *
+ * Each sample draws:
+ *
+ * 1. Irradiance - a year's sunshine varies around the long-term mean:
+ *       Irradiance Factor = 1 + Normal(0, σ)      σ ≈ 3-5% in India
+ *    σ comes from NASA's year-to-year totals when available, else from
+ *    the monthly spread, else a typical 4%.
+ *
+ * 2. Losses - every loss in the loss tree is only a typical value:
+ *       Loss = Normal(Loss, Loss × Spread%)        (soiling 3% ± 1.5%, ...)
+ *       Loss Factor = Π (1 − Sampled Loss) / Π (1 − Loss)
+ *
+ * 3. Degradation - the rate panels wear at (for the lifetime average):
+ *       Rate = Normal(0.5, 0.2) %/year
+ *       Year y output × (1 − Rate)^y
+ *
+ *    Energy  = Point Estimate × Irradiance Factor × Loss Factor
+ *    Savings = Energy × (Savings / Energy of the point estimate)
+ *
+ * The random numbers come from a seeded generator, so the same seed and
+ * sample count always give the same P-values.
+ */
+
+// Days in each month - plain <script> users load solarGeometry.js first
+const { DAYS_IN_MONTH } = typeof require === 'function' ? require('./solarGeometry') : window.SolarGeometry;
+// Loss components - plain <script> users load losses.js first
+const losses = typeof require === 'function' ? require('./losses') : window.SolarLosses;
+
+/**
+ * Default simulation settings
+ * - samples: Monte Carlo runs
+ * - seed: random seed (same seed = same results)
+ * - irradianceVariability: % std dev of a year's irradiation, when the data has none
+ * - lossSpread: std dev of each loss, as % of its value
+ * - degradationSpread: std dev of the degradation rate (%/year)
+ */
+const UNCERTAINTY_DEFAULTS = {
+    samples: 2000,
+    seed: 42,
+    irradianceVariability: 4,
+    lossSpread: 50,
+    degradationSpread: 0.2
+};
+
+const MAX_SAMPLES = 20000;
+
+/**
+ * Exceedance levels reported (P90 = exceeded with 90% probability)
+ */
+const EXCEEDANCE_LEVELS = [50, 75, 90, 99];
+
+const HISTOGRAM_BINS = 20;
+
+// ============================================
+// Random Numbers
+// ============================================
+
+/**
+ * Seeded random number generator (mulberry32)
+ *
+ * @param {number} seed - Any integer
+ * @returns {Function} Returns a number in [0, 1) on each call
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Normally distributed number (Box-Muller)
+ *
+ * @param {Function} random - From createRandom
+ * @param {number} mean
+ * @param {number} stdDev
+ * @returns {number}
+ */
+function sampleNormal(random, mean, stdDev) {
+    const u = 1 - random(); // (0, 1] - log(0) is undefined
+    const v = random();
+    return mean + stdDev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// ============================================
+// Statistics
+// ============================================
+
+/**
+ * Year-to-year irradiance spread from monthly standard deviations
+ * (months treated as independent - a slight underestimate)
+ *
+ * @param {Array} monthlyData - 12 items of { irradiance, stdDev?, yearsOfData? }
+ * @returns {number|null} % std dev of the annual total, null without spread data
+ */
+function estimateIrradianceVariability(monthlyData) {
+    if (!Array.isArray(monthlyData) || monthlyData.length !== 12 ||
+        !monthlyData.every(item => typeof item.stdDev === 'number' && item.yearsOfData > 1)) {
+        return null;
+    }
+    // kWh/m²/day -> per month: both the mean and the spread scale by the days
+    const total = monthlyData.reduce((sum, item, i) => sum + item.irradiance * DAYS_IN_MONTH[i], 0);
+    const variance = monthlyData.reduce((sum, item, i) => sum + (item.stdDev * DAYS_IN_MONTH[i]) ** 2, 0);
+    return total > 0 && variance > 0 ? Math.round((Math.sqrt(variance) / total) * 1000) / 10 : null;
+}
+
+/**
+ * Summarise samples: mean, spread, P-values and a histogram
+ *
+ * @param {Array<number>} values - Samples
+ * @returns {object} { mean, stdDev, min, max, p50, p75, p90, p99, histogram: [{ from, to, count }] }
+ */
+function summariseSamples(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+    const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / sorted.length;
+
+    // value exceeded in `level`% of samples = the (100 − level)th percentile
+    const exceeded = level => {
+        const position = ((100 - level) / 100) * (sorted.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.min(lower + 1, sorted.length - 1);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    };
+
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    const width = (max - min) / HISTOGRAM_BINS || 1;
+    const counts = Array(HISTOGRAM_BINS).fill(0);
+    sorted.forEach(value => {
+        counts[Math.min(Math.floor((value - min) / width), HISTOGRAM_BINS - 1)]++;
+    });
+
+    const round = value => Math.round(value * 10) / 10;
+    return {
+        mean: round(mean),
+        stdDev: round(Math.sqrt(variance)),
+        min: round(min),
+        max: round(max),
+        ...EXCEEDANCE_LEVELS.reduce((levels, level) => ({ ...levels, [`p${level}`]: round(exceeded(level)) }), {}),
+        histogram: counts.map((count, i) => ({
+            from: round(min + i * width),
+            to: round(min + (i + 1) * width),
+            count
+        }))
+    };
+}
+
+// ============================================
+// Monte Carlo Simulation
+// ============================================
+
+/**
+ * Check simulation settings
+ *
+ * @param {object} [settings] - { samples, seed, irradianceVariability, lossSpread, degradationSpread }
+ * @returns {string|null} What is wrong, or null if the settings are fine
+ */
+function validateUncertainty(settings = {}) {
+    const { samples, seed, irradianceVariability, lossSpread, degradationSpread } = settings;
+    if (samples !== undefined && (!Number.isInteger(samples) || samples < 100 || samples > MAX_SAMPLES)) {
+        return `Sample count must be a whole number from 100 to ${MAX_SAMPLES}`;
+    }
+    if (seed !== undefined && !Number.isInteger(seed)) {
+        return 'Random seed must be a whole number';
+    }
+    if ([irradianceVariability, lossSpread, degradationSpread].some(value => value !== undefined && (typeof value !== 'number' || value < 0))) {
+        return 'Irradiance variability, loss spread and degradation spread must be 0 or more';
+    }
+    return null;
+}
+
+/**
+ * P50-P99 of annual energy and savings
+ *
+ * @param {object} params
+ * @param {number} params.annualEnergy - Point estimate, kWh/year
+ * @param {number} params.annualSavings - Point estimate, ₹/year
+ * @param {object} params.losses - % per loss component used for the estimate (lossTree.losses)
+ * @param {number} params.degradationRate - Expected %/year
+ * @param {number} params.lifetimeYears - Years averaged for the lifetime figures
+ * @param {object} [params.annualVariability] - { mean, stdDev } of yearly irradiation totals (NASA POWER)
+ * @param {Array} [params.monthlyData] - For the irradiance spread when neither is given
+ * @param {object} [params.settings] - See UNCERTAINTY_DEFAULTS
+ * @returns {object} { settings, firstYear: { energy, savings }, lifetime: { energy, savings } } -
+ *   lifetime = average year over the system life, with degradation
+ */
+function simulateUncertainty(params) {
+    const { annualEnergy, annualSavings, degradationRate, lifetimeYears, monthlyData } = params;
+    const given = params.settings || {};
+    const problem = validateUncertainty(given);
+    if (problem) {
+        throw new Error(problem);
+    }
+
+    // given > year-to-year totals > monthly spread > typical
+    const yearly = params.annualVariability;
+    const fromYears = yearly && yearly.mean > 0 && yearly.stdDev > 0
+        ? Math.round((yearly.stdDev / yearly.mean) * 1000) / 10
+        : null;
+    const fromMonths = fromYears === null ? estimateIrradianceVariability(monthlyData) : null;
+    const [irradianceVariability, irradianceSource] =
+        given.irradianceVariability !== undefined ? [given.irradianceVariability, 'given']
+            : fromYears !== null ? [fromYears, 'year-to-year totals of the weather data']
+                : fromMonths !== null ? [fromMonths, 'monthly spread of the weather data']
+                    : [UNCERTAINTY_DEFAULTS.irradianceVariability, 'typical for India'];
+    const settings = {
+        ...UNCERTAINTY_DEFAULTS,
+        ...given,
+        irradianceVariability,
+        irradianceSource,
+        degradationRate,
+        lifetimeYears
+    };
+
+    const resolvedLosses = losses.resolveLosses(params.losses);
+    const lossEntries = Object.entries(resolvedLosses).filter(([, loss]) => loss > 0);
+    const baseLossFactor = lossEntries.reduce((factor, [, loss]) => factor * (1 - loss / 100), 1);
+    const savingsPerKwh = annualEnergy > 0 ? annualSavings / annualEnergy : 0;
+
+    const random = createRandom(settings.seed);
+    const irradianceSigma = settings.irradianceVariability / 100;
+    const firstYearEnergy = [];
+    const lifetimeEnergy = [];
+
+    for (let i = 0; i < settings.samples; i++) {
+        // the same loss assumptions hold for the whole life of one system
+        const lossFactor = lossEntries.reduce((factor, [, loss]) => {
+            const sampled = Math.min(Math.max(sampleNormal(random, loss, loss * settings.lossSpread / 100), 0), 99);
+            return factor * (1 - sampled / 100);
+        }, 1) / baseLossFactor;
+        const rate = Math.max(sampleNormal(random, degradationRate, settings.degradationSpread), 0) / 100;
+
+        // every year of the life gets its own weather
+        let total = 0;
+        for (let year = 0; year < lifetimeYears; year++) {
+            const irradianceFactor = Math.max(sampleNormal(random, 1, irradianceSigma), 0);
+            const energy = annualEnergy * irradianceFactor * lossFactor * (1 - rate) ** year;
+            if (year === 0) firstYearEnergy.push(energy);
+            total += energy;
+        }
+        lifetimeEnergy.push(total / lifetimeYears);
+    }
+
+    const toSavings = values => values.map(energy => energy * savingsPerKwh);
+    return {
+        settings,
+        firstYear: {
+            energy: summariseSamples(firstYearEnergy),
+            savings: summariseSamples(toSavings(firstYearEnergy))
+        },
+        lifetime: {
+            energy: summariseSamples(lifetimeEnergy),
+            savings: summariseSamples(toSavings(lifetimeEnergy))
+        }
+    };
+}
+
+// ============================================
+// Export for use in other modules
+// ============================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js / bundler environment
+    module.exports = {
+        createRandom,
+        estimateIrradianceVariability,
+        summariseSamples,
+        validateUncertainty,
+        simulateUncertainty,
+        UNCERTAINTY_DEFAULTS,
+        EXCEEDANCE_LEVELS,
+        MAX_SAMPLES
+    };
+} else {
+    // Browser environment - attach to window (load before calculations.js)
+    window.SolarUncertainty = {
+        createRandom,
+        estimateIrradianceVariability,
+        summariseSamples,
+        validateUncertainty,
+        simulateUncertainty,
+        UNCERTAINTY_DEFAULTS,
+        EXCEEDANCE_LEVELS,
+        MAX_SAMPLES
+    };
+}